@@ -282,6 +282,35 @@ function isWebFormMetadata(obj) {
                .filter(Boolean).length >= 2;
 }
 
+/**
+ * Checks if an array is a settings list
+ * Characteristics:
+ * - Items have a 'fieldName' string and a 'value' ("Workflows", "DefaultDaysToRespond", ...)
+ * - Request/subject types also have 'fieldName' but no 'value'
+ */
+function isSettingsArray(obj) {
+    if (!Array.isArray(obj) || obj.length === 0) {
+        return false;
+    }
+
+    const settingCount = obj.filter(item =>
+        item && typeof item === 'object' && !Array.isArray(item) &&
+        typeof item.fieldName === 'string' && 'value' in item
+    ).length;
+
+    return settingCount / obj.length >= 0.8;
+}
+
+/**
+ * Checks if a workflow rule fires on request creation
+ * Rules without 'ruleEventType' count when their array sits under a REQUEST_CREATION key
+ */
+function isRequestCreationRule(rule, arrayPath) {
+    return rule.ruleEventType
+        ? rule.ruleEventType === 'REQUEST_CREATION'
+        : /REQUEST_CREATION$/.test(arrayPath);
+}
+
 /**
  * ============================================================================
  * PUBLIC API FUNCTIONS
@@ -404,10 +433,14 @@ function findTranslations(jsonData) {
         };
     }
 
-    // Return the largest translations object (likely the main one)
-    const largestTranslations = translationObjects.reduce((max, current) =>
-        Object.keys(current.data).length > Object.keys(max.data).length ? current : max
-    );
+    // Return the largest translations object (likely the main one): most languages,
+    // then most texts, so a UI field's own translations never win a tie
+    const textCount = data => Object.values(data)
+        .reduce((sum, texts) => sum + Object.keys(texts || {}).length, 0);
+    const largestTranslations = translationObjects.reduce((max, current) => {
+        const languageDiff = Object.keys(current.data).length - Object.keys(max.data).length;
+        return languageDiff > 0 || (languageDiff === 0 && textCount(current.data) > textCount(max.data)) ? current : max;
+    });
 
     return {
         translations: largestTranslations.data,
@@ -479,6 +512,110 @@ function findWebFormMetadata(jsonData) {
     };
 }
 
+/**
+ * Finds the settings list (default workflow, default days to respond, ...)
+ * @param {Object} jsonData - The webform JSON data
+ * @returns {Object} - Settings array with its path
+ */
+function findSettings(jsonData) {
+    const settingsArrays = recursiveFind(jsonData, (obj) => isSettingsArray(obj), 'root', 5);
+
+    if (settingsArrays.length === 0) {
+        return {
+            settings: [],
+            path: null,
+            count: 0
+        };
+    }
+
+    const largestArray = settingsArrays.reduce((max, current) =>
+        current.data.length > max.data.length ? current : max
+    );
+
+    return {
+        settings: largestArray.data,
+        path: largestArray.path,
+        count: largestArray.data.length
+    };
+}
+
+/**
+ * Assembles the webform data the loader works with ({ fields, rules.REQUEST_CREATION,
+ * uiFields, settings, webFormDto, formTranslations }) from an export of any shape.
+ * Each part is located by shape; a part no shape matches falls back to its usual
+ * place (inside "webformData" or at root level). The parts are the objects of the
+ * export itself, not copies.
+ * @param {Object} jsonData - The webform JSON data
+ * @returns {Object} - { webformData, sourceMap: [{ part, label, paths, count, method }] }
+ *                     with method 'shape', 'fixed path' or 'missing'
+ */
+function locateWebformData(jsonData) {
+    const base = jsonData && jsonData.webformData ? jsonData.webformData : (jsonData || {});
+    const basePath = base === jsonData ? 'root' : 'root.webformData';
+    const sourceMap = [];
+
+    const locate = (part, label, found, fallbackPath, fallbackValue, count) => {
+        if (found) {
+            sourceMap.push({ part, label, paths: found.paths, count: count(found.value), method: 'shape' });
+            return found.value;
+        }
+        if (fallbackValue !== undefined && fallbackValue !== null) {
+            sourceMap.push({ part, label, paths: [`${basePath}.${fallbackPath}`], count: count(fallbackValue), method: 'fixed path' });
+            return fallbackValue;
+        }
+        sourceMap.push({ part, label, paths: [], count: 0, method: 'missing' });
+        return undefined;
+    };
+    const length = value => (Array.isArray(value) ? value.length : 0);
+
+    const fieldsResult = findFields(jsonData);
+    const fields = locate('fields', 'Fields',
+        fieldsResult.path !== 'scattered' && fieldsResult.count > 0 ? { value: fieldsResult.fields, paths: [fieldsResult.path] } : null,
+        'fields', base.fields, length) || [];
+
+    // Only REQUEST_CREATION rules assign workflows
+    const ruleArrays = recursiveFind(jsonData, (obj) => isWorkflowRuleArray(obj), 'root', 5)
+        .map(item => ({ path: item.path, rules: item.data.filter(rule => isWorkflowRule(rule) && isRequestCreationRule(rule, item.path)) }))
+        .filter(item => item.rules.length > 0);
+    const requestCreationRules = locate('workflowRules', 'Workflow rules (REQUEST_CREATION)',
+        ruleArrays.length > 0 ? { value: ruleArrays.flatMap(item => item.rules), paths: ruleArrays.map(item => item.path) } : null,
+        'rules.REQUEST_CREATION', base.rules?.REQUEST_CREATION, length) || [];
+
+    const uiFieldsResult = findUIFields(jsonData);
+    const uiFields = locate('uiFields', 'UI fields (submit button, attachment)',
+        uiFieldsResult.path !== 'scattered' && uiFieldsResult.count > 0 ? { value: uiFieldsResult.uiFields, paths: [uiFieldsResult.path] } : null,
+        'uiFields', base.uiFields, length) || [];
+
+    const settingsResult = findSettings(jsonData);
+    const settings = locate('settings', 'Settings (default workflow)',
+        settingsResult.path ? { value: settingsResult.settings, paths: [settingsResult.path] } : null,
+        'settings', base.settings, length) || [];
+
+    const metadataResult = findWebFormMetadata(jsonData);
+    const webFormDto = locate('webFormDto', 'Metadata, request and subject types',
+        metadataResult.path ? { value: metadataResult.metadata, paths: [metadataResult.path] } : null,
+        'webFormDto', base.webFormDto, value => (value.requestTypes || []).length + (value.subjectTypes || []).length);
+
+    const translationsResult = findTranslations(jsonData);
+    const formTranslations = locate('formTranslations', 'Translations',
+        translationsResult.path ? { value: translationsResult.translations, paths: [translationsResult.path] } : null,
+        'formTranslations', base.formTranslations, value => Object.keys(value).length);
+
+    const rules = base.rules && typeof base.rules === 'object' && !Array.isArray(base.rules) ? base.rules : {};
+
+    return {
+        webformData: {
+            fields,
+            rules: { ...rules, REQUEST_CREATION: requestCreationRules },
+            uiFields,
+            settings,
+            webFormDto,
+            formTranslations
+        },
+        sourceMap
+    };
+}
+
 /**
  * Master function that extracts all components from webform JSON
  * @param {Object} jsonData - The webform JSON data
@@ -493,7 +630,8 @@ function parseWebForm(jsonData) {
         uiFields: findUIFields(jsonData),
         translations: findTranslations(jsonData),
         workflowRules: findWorkflowRules(jsonData),
-        fieldVisibilityRules: findFieldVisibilityRules(jsonData)
+        fieldVisibilityRules: findFieldVisibilityRules(jsonData),
+        settings: findSettings(jsonData)
     };
 
     console.log('✅ Parsing complete!');
@@ -561,6 +699,8 @@ if (typeof module !== 'undefined' && module.exports) {
         findTranslations,
         findWorkflowRules,
         findFieldVisibilityRules,
-        findWebFormMetadata
+        findWebFormMetadata,
+        findSettings,
+        locateWebformData
     };
 }
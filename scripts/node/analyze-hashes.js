@@ -0,0 +1,126 @@
+/**
+ * Webform hash analysis report
+ *
+ * Scans a OneTrust webform export for SHA-512 hashes, reverses every hash it
+ * can with all hash dictionaries the simulator uses (countries, states and
+ * provinces, state_hash_mapping.csv, the form's own options and any --dictionary
+ * word list) and writes the result as JSON and CSV: each hash with its JSON
+ * path, owning workflow and field, recovered plaintext, dictionary and the
+ * variation that was hashed, then the unresolved hashes, most frequent first.
+ *
+ * Usage:
+ *   node analyze-hashes.js <webform.json> [--dictionary words.csv ...] [--hash-variations rules.json] [--out report] [--json]
+ *
+ * Examples:
+ *   node analyze-hashes.js webform.json
+ *   node analyze-hashes.js webform.json --dictionary client-regions.csv --out reports/acme-hashes
+ *
+ * --out sets the report path without extension (default: <webform>-hashes in
+ * the current directory); <out>.json and <out>.csv are written. --json prints
+ * the JSON report instead of the summary. --dictionary and --hash-variations
+ * are described in hash-options.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadWebform } = require('../../webform-loader.js');
+const { HASH_OPTIONS_USAGE, isHashOption, parseHashOption } = require('./hash-options.js');
+const { analyzeWebformHashes, hashAnalysisToCsv } = require('../../webform-hash-analysis.js');
+
+const STATE_HASH_CSV = path.resolve(__dirname, '../../state_hash_mapping.csv');
+
+function printUsage() {
+    console.error(`Usage: node analyze-hashes.js <webform.json> ${HASH_OPTIONS_USAGE} [--out report] [--json]`);
+}
+
+function parseArgs(argv) {
+    const args = { webformPath: null, hashDictionaries: [], hashVariationRules: {}, out: null, json: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (isHashOption(arg)) {
+            i = parseHashOption(argv, i, args);
+        } else if (arg === '--out') {
+            args.out = argv[++i];
+            if (!args.out) {
+                throw new Error('--out requires a report path');
+            }
+        } else if (arg === '--json') {
+            args.json = true;
+        } else if (!args.webformPath) {
+            args.webformPath = arg;
+        } else {
+            throw new Error(`Unexpected argument "${arg}"`);
+        }
+    }
+
+    return args;
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        printUsage();
+        process.exit(1);
+    }
+
+    if (!args.webformPath) {
+        printUsage();
+        process.exit(1);
+    }
+
+    const jsonData = JSON.parse(fs.readFileSync(path.resolve(args.webformPath), 'utf8'));
+    const stateHashCsv = fs.existsSync(STATE_HASH_CSV) ? fs.readFileSync(STATE_HASH_CSV, 'utf8') : null;
+    const form = await loadWebform(jsonData, { stateHashCsv, hashDictionaries: args.hashDictionaries, hashVariationRules: args.hashVariationRules });
+
+    const analysis = analyzeWebformHashes(jsonData, form.hashDictionaries);
+    const report = {
+        templateName: form.webformData.webFormDto?.templateName || null,
+        source: path.basename(args.webformPath),
+        generatedAt: new Date().toISOString(),
+        ...analysis
+    };
+
+    const outBase = path.resolve(args.out || `${path.basename(args.webformPath, path.extname(args.webformPath))}-hashes`);
+    fs.mkdirSync(path.dirname(outBase), { recursive: true });
+    fs.writeFileSync(`${outBase}.json`, JSON.stringify(report, null, 2));
+    fs.writeFileSync(`${outBase}.csv`, hashAnalysisToCsv(analysis));
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+    }
+
+    const { summary } = analysis;
+    console.log(`📄 Webform: ${report.templateName || report.source}\n`);
+    console.log(`🔍 ${summary.occurrences} hash occurrence(s), ${summary.uniqueHashes} distinct`);
+    console.log(`📚 Dictionaries: ${summary.dictionaries.join(', ')}`);
+    console.log(`🔓 Resolved: ${summary.resolved}`);
+    console.log(`🔒 Unresolved: ${summary.unresolved} (${summary.uniqueUnresolved} distinct)`);
+
+    if (analysis.resolved.length > 0) {
+        console.log('\nResolved hashes:');
+        analysis.resolved.forEach(item => {
+            const owner = [item.workflow, item.field].filter(Boolean).join(' / ') || item.path;
+            console.log(`  🔓 ${owner}: ${item.plaintext} - "${item.hashedVariant}" (${item.variationRule}, ${item.dictionary})`);
+        });
+    }
+
+    if (analysis.unresolved.length > 0) {
+        console.log('\nUnresolved hashes (most frequent first):');
+        analysis.unresolved.forEach(item => {
+            const owners = [...item.workflows, ...item.fields].join(', ') || item.paths[0];
+            console.log(`  🔒 ${item.hash.substring(0, 16)}... x${item.count} (${owners})`);
+        });
+    }
+
+    console.log(`\n✅ Report written to ${outBase}.json and ${outBase}.csv`);
+}
+
+main().catch(error => {
+    console.error('❌ Hash analysis failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,105 @@
+/**
+ * Webform dependency graph export
+ *
+ * Writes the dependency graph the analyzer shows under "Dependency Graph" -
+ * fields, request/subject types, UI actions and workflow rules, linked by
+ * visibility rules, option filters and workflow criteria - as SVG, Graphviz DOT
+ * or JSON, for client deliverables.
+ *
+ * Usage:
+ *   node dependency-graph.js <webform.json> [--format svg|dot|json] [--out file] [--dictionary words.csv ...] [--hash-variations rules.json]
+ *
+ * Examples:
+ *   node dependency-graph.js webform.json --format svg --out dependencies.svg
+ *   node dependency-graph.js webform.json --format dot | dot -Tpdf -o dependencies.pdf
+ *
+ * --dictionary and --hash-variations reverse hashed criteria with extra word
+ * lists (see hash-options.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadWebform } = require('../../webform-loader.js');
+const { HASH_OPTIONS_USAGE, isHashOption, parseHashOption } = require('./hash-options.js');
+const {
+    buildDependencyGraph,
+    renderDependencyGraphSvg,
+    dependencyGraphToDot
+} = require('../../webform-dependency-graph.js');
+
+const STATE_HASH_CSV = path.resolve(__dirname, '../../state_hash_mapping.csv');
+const FORMATS = ['svg', 'dot', 'json'];
+
+function printUsage() {
+    console.error(`Usage: node dependency-graph.js <webform.json> [--format svg|dot|json] [--out file] ${HASH_OPTIONS_USAGE}`);
+}
+
+function parseArgs(argv) {
+    const args = { webformPath: null, format: 'dot', outPath: null, hashDictionaries: [], hashVariationRules: {} };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--format') {
+            args.format = argv[++i];
+            if (!FORMATS.includes(args.format)) {
+                throw new Error(`--format must be one of ${FORMATS.join(', ')}`);
+            }
+        } else if (arg === '--out') {
+            args.outPath = argv[++i];
+            if (!args.outPath) {
+                throw new Error('--out requires a file path');
+            }
+        } else if (isHashOption(arg)) {
+            i = parseHashOption(argv, i, args);
+        } else if (!args.webformPath) {
+            args.webformPath = arg;
+        } else {
+            throw new Error(`Unexpected argument "${arg}"`);
+        }
+    }
+
+    return args;
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        printUsage();
+        process.exit(1);
+    }
+
+    if (!args.webformPath) {
+        printUsage();
+        process.exit(1);
+    }
+
+    const jsonData = JSON.parse(fs.readFileSync(path.resolve(args.webformPath), 'utf8'));
+    const stateHashCsv = fs.existsSync(STATE_HASH_CSV) ? fs.readFileSync(STATE_HASH_CSV, 'utf8') : null;
+    const form = await loadWebform(jsonData, { stateHashCsv, hashDictionaries: args.hashDictionaries, hashVariationRules: args.hashVariationRules });
+    const templateName = form.webformData.webFormDto?.templateName || path.basename(args.webformPath, '.json');
+
+    const label = key => form.formTranslations[key] || key;
+    const graph = buildDependencyGraph(form, {
+        webFormDto: form.webformData.webFormDto,
+        labels: { fieldLabel: label, optionLabel: label }
+    });
+
+    const output = args.format === 'svg' ? renderDependencyGraphSvg(graph)
+        : args.format === 'json' ? JSON.stringify(graph, null, 2)
+        : dependencyGraphToDot(graph, templateName);
+
+    if (args.outPath) {
+        fs.writeFileSync(path.resolve(args.outPath), output);
+        console.error(`💾 ${graph.nodes.length} nodes and ${graph.edges.length} edges written to ${args.outPath}`);
+    } else {
+        console.log(output);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Dependency graph export failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,98 @@
+/**
+ * Webform diff
+ *
+ * Compares two versions of the same OneTrust webform and reports the semantic
+ * differences: fields, options, visibility rules, workflow criteria and order,
+ * request/subject types, translations and submit/attachment rules.
+ *
+ * With --behavior it also replays every user journey of both versions against
+ * both versions and lists the journeys whose assigned workflow, visible fields,
+ * submit state or attachment state change.
+ *
+ * Usage:
+ *   node diff-webforms.js <old-webform.json> <new-webform.json> [--behavior] [--dictionary words.csv ...] [--hash-variations rules.json] [--json]
+ *
+ * Both versions are loaded with the same --dictionary and --hash-variations
+ * word lists (see hash-options.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadWebform } = require('../../webform-loader.js');
+const { HASH_OPTIONS_USAGE, isHashOption, parseHashOption } = require('./hash-options.js');
+const { diffWebforms, formatWebformDiff, diffWebformBehavior, formatBehaviorDiff } = require('../../webform-diff.js');
+
+const STATE_HASH_CSV = path.resolve(__dirname, '../../state_hash_mapping.csv');
+
+function printUsage() {
+    console.error(`Usage: node diff-webforms.js <old-webform.json> <new-webform.json> [--behavior] ${HASH_OPTIONS_USAGE} [--json]`);
+}
+
+function parseArgs(argv) {
+    const args = { files: [], behavior: false, json: false, hashDictionaries: [], hashVariationRules: {} };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--json') {
+            args.json = true;
+        } else if (arg === '--behavior') {
+            args.behavior = true;
+        } else if (isHashOption(arg)) {
+            i = parseHashOption(argv, i, args);
+        } else {
+            args.files.push(arg);
+        }
+    }
+
+    return args;
+}
+
+async function loadFile(filePath, loadOptions) {
+    const jsonData = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+    return loadWebform(jsonData, loadOptions);
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        printUsage();
+        process.exit(1);
+    }
+    const { files, json, behavior } = args;
+
+    if (files.length !== 2) {
+        printUsage();
+        process.exit(1);
+    }
+
+    const stateHashCsv = fs.existsSync(STATE_HASH_CSV) ? fs.readFileSync(STATE_HASH_CSV, 'utf8') : null;
+    const loadOptions = { stateHashCsv, hashDictionaries: args.hashDictionaries, hashVariationRules: args.hashVariationRules };
+    const before = await loadFile(files[0], loadOptions);
+    const after = await loadFile(files[1], loadOptions);
+    const diff = diffWebforms(before, after);
+    const behaviorDiff = behavior ? diffWebformBehavior(before, after) : null;
+
+    if (json) {
+        console.log(JSON.stringify(behaviorDiff ? { ...diff, behavior: behaviorDiff } : diff, null, 2));
+        return;
+    }
+
+    console.log(`📄 Old: ${files[0]}`);
+    console.log(`📄 New: ${files[1]}`);
+    formatWebformDiff(diff).forEach(line => console.log(line));
+
+    if (behaviorDiff) {
+        console.log('\n' + '='.repeat(80));
+        console.log('Behavior changes');
+        console.log('='.repeat(80));
+        formatBehaviorDiff(behaviorDiff).forEach(line => console.log(line));
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Diff failed:', error.message);
+    process.exit(1);
+});
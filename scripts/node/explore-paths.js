@@ -0,0 +1,155 @@
+/**
+ * Webform path explorer
+ *
+ * Enumerates every reachable journey through a OneTrust webform (every visible
+ * option-bearing field answered with every available option) and reports the
+ * workflow each journey is assigned, plus its submit and attachment state.
+ * Options that no rule can tell apart are explored once.
+ *
+ * Usage:
+ *   node explore-paths.js <webform.json> [--max-paths N] [--no-collapse] [--no-blank-optional] [--no-multi-select-combinations] [--dictionary words.csv ...] [--hash-variations rules.json] [--json]
+ *
+ * --no-blank-optional skips leaving optional fields blank and
+ * --no-multi-select-combinations selects one multi-select option at a time.
+ * --dictionary and --hash-variations reverse hashed criteria with extra word
+ * lists (see hash-options.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadWebform } = require('../../webform-loader.js');
+const { HASH_OPTIONS_USAGE, isHashOption, parseHashOption } = require('./hash-options.js');
+const { exploreFormPaths, analyzeSubmitBlockedPaths, formatPathStepValue } = require('../../webform-path-explorer.js');
+
+const STATE_HASH_CSV = path.resolve(__dirname, '../../state_hash_mapping.csv');
+
+function printUsage() {
+    console.error(`Usage: node explore-paths.js <webform.json> [--max-paths N] [--no-collapse] [--no-blank-optional] [--no-multi-select-combinations] ${HASH_OPTIONS_USAGE} [--json]`);
+}
+
+function parseArgs(argv) {
+    const args = {
+        webformPath: null,
+        maxPaths: 5000,
+        collapse: true,
+        blankOptionalFields: true,
+        multiSelectCombinations: true,
+        json: false,
+        hashDictionaries: [],
+        hashVariationRules: {}
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--max-paths') {
+            args.maxPaths = parseInt(argv[++i], 10);
+            if (!args.maxPaths || args.maxPaths < 1) {
+                throw new Error('--max-paths requires a positive number');
+            }
+        } else if (arg === '--no-collapse') {
+            args.collapse = false;
+        } else if (arg === '--no-blank-optional') {
+            args.blankOptionalFields = false;
+        } else if (arg === '--no-multi-select-combinations') {
+            args.multiSelectCombinations = false;
+        } else if (arg === '--json') {
+            args.json = true;
+        } else if (isHashOption(arg)) {
+            i = parseHashOption(argv, i, args);
+        } else if (!args.webformPath) {
+            args.webformPath = arg;
+        } else {
+            throw new Error(`Unexpected argument "${arg}"`);
+        }
+    }
+
+    return args;
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        printUsage();
+        process.exit(1);
+    }
+
+    if (!args.webformPath) {
+        printUsage();
+        process.exit(1);
+    }
+
+    const jsonData = JSON.parse(fs.readFileSync(path.resolve(args.webformPath), 'utf8'));
+    const stateHashCsv = fs.existsSync(STATE_HASH_CSV) ? fs.readFileSync(STATE_HASH_CSV, 'utf8') : null;
+    const form = await loadWebform(jsonData, { stateHashCsv, hashDictionaries: args.hashDictionaries, hashVariationRules: args.hashVariationRules });
+
+    const exploration = exploreFormPaths(form, {
+        maxPaths: args.maxPaths,
+        collapseEquivalentOptions: args.collapse,
+        blankOptionalFields: args.blankOptionalFields,
+        multiSelectCombinations: args.multiSelectCombinations
+    });
+    const { summary } = exploration;
+
+    if (args.json) {
+        console.log(JSON.stringify(exploration, null, 2));
+        return;
+    }
+
+    const describeSteps = steps => steps.length === 0
+        ? '(no choices)'
+        : steps.map(step => {
+            const others = step.equivalentValues.length > 0 ? ` (+${step.equivalentValues.length} equivalent)` : '';
+            return `${step.field}=${formatPathStepValue(step)}${others}`;
+        }).join(' → ');
+
+    console.log(`📄 Webform: ${form.webformData.webFormDto?.templateName || path.basename(args.webformPath)}\n`);
+    console.log(`Journeys explored: ${summary.totalPaths} (covering ${summary.totalCombinations} option combinations, ${summary.statesEvaluated} states evaluated)`);
+    if (exploration.truncated) {
+        console.log(`⚠️ Stopped after ${args.maxPaths} journeys - raise --max-paths to explore the rest`);
+    }
+    if (exploration.partialMultiSelect) {
+        console.log(`⚠️ Options of ${exploration.coverage.pairsOnlyFields.join(', ')} were combined in pairs only - larger selections were not explored`);
+    }
+    console.log(`  Assigned by a workflow rule: ${summary.assignedByRule}`);
+    console.log(`  Fell back to the default workflow: ${summary.defaultWorkflow}`);
+    console.log(`  Ended without any workflow: ${summary.noWorkflow}`);
+    console.log(`  Submit blocked: ${summary.submitBlocked}`);
+    console.log(`  Attachment shown: ${summary.attachmentShown}`);
+
+    console.log('\nJourneys per assigned workflow:');
+    Object.entries(summary.byWorkflow)
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([name, count]) => console.log(`  ${count.toString().padStart(5)}  ${name}`));
+
+    const blockedAnalysis = analyzeSubmitBlockedPaths(exploration);
+    if (blockedAnalysis.totalBlocked > 0) {
+        console.log('\nSubmit blocked by:');
+        blockedAnalysis.groups.forEach(group => {
+            const flagged = group.workflowMatchedJourneys.length > 0
+                ? ` - ⚠️ ${group.workflowMatchedJourneys.length} would still match a workflow rule`
+                : '';
+            console.log(`  ${group.journeys.length.toString().padStart(5)}  ${group.ruleName}: "${group.errorMessage}"${flagged}`);
+        });
+    }
+
+    console.log('\nJourneys:');
+    exploration.paths.forEach((journey, index) => {
+        const workflow = journey.assignment.ruleName
+            ? `${journey.assignment.ruleName} (#${journey.assignment.ruleSequence})`
+            : journey.assignment.workflowId ? `default workflow ${journey.assignment.workflowId}` : '❌ NO WORKFLOW';
+        const flags = [
+            journey.submitBlocked ? `submit blocked: ${journey.submit.message}` : null,
+            journey.attachmentShown ? 'attachment' : null
+        ].filter(Boolean).join(', ');
+        console.log(`  ${index + 1}. ${describeSteps(journey.steps)}`);
+        console.log(`     ➡️ ${workflow}${flags ? ` [${flags}]` : ''}`);
+    });
+}
+
+main().catch(error => {
+    console.error('❌ Exploration failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,103 @@
+/**
+ * Workflow routing export
+ *
+ * Writes the REQUEST_CREATION workflow rules as a decision flowchart - one
+ * decision per rule in ruleSequence order, falling through to the default
+ * workflow, with notes on when each referenced field is shown. Mermaid output
+ * pastes into Confluence or GitHub; BPMN 2.0 XML opens in bpmn.io, Camunda
+ * Modeler or Visio. Complements the "Workflow Walkthrough" Excel sheet.
+ *
+ * Usage:
+ *   node export-routing.js <webform.json> [--format mermaid|bpmn] [--out file] [--dictionary words.csv ...] [--hash-variations rules.json]
+ *
+ * Examples:
+ *   node export-routing.js webform.json --format mermaid --out routing.md
+ *   node export-routing.js webform.json --format bpmn --out routing.bpmn
+ *
+ * --dictionary and --hash-variations reverse hashed criteria with extra word
+ * lists (see hash-options.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadWebform } = require('../../webform-loader.js');
+const { HASH_OPTIONS_USAGE, isHashOption, parseHashOption } = require('./hash-options.js');
+const {
+    buildRoutingFlow,
+    routingFlowToMarkdown,
+    routingFlowToBpmn
+} = require('../../webform-routing-export.js');
+
+const STATE_HASH_CSV = path.resolve(__dirname, '../../state_hash_mapping.csv');
+const FORMATS = ['mermaid', 'bpmn'];
+
+function printUsage() {
+    console.error(`Usage: node export-routing.js <webform.json> [--format mermaid|bpmn] [--out file] ${HASH_OPTIONS_USAGE}`);
+}
+
+function parseArgs(argv) {
+    const args = { webformPath: null, format: 'mermaid', outPath: null, hashDictionaries: [], hashVariationRules: {} };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--format') {
+            args.format = argv[++i];
+            if (!FORMATS.includes(args.format)) {
+                throw new Error(`--format must be one of ${FORMATS.join(', ')}`);
+            }
+        } else if (arg === '--out') {
+            args.outPath = argv[++i];
+            if (!args.outPath) {
+                throw new Error('--out requires a file path');
+            }
+        } else if (isHashOption(arg)) {
+            i = parseHashOption(argv, i, args);
+        } else if (!args.webformPath) {
+            args.webformPath = arg;
+        } else {
+            throw new Error(`Unexpected argument "${arg}"`);
+        }
+    }
+
+    return args;
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        printUsage();
+        process.exit(1);
+    }
+
+    if (!args.webformPath) {
+        printUsage();
+        process.exit(1);
+    }
+
+    const jsonData = JSON.parse(fs.readFileSync(path.resolve(args.webformPath), 'utf8'));
+    const stateHashCsv = fs.existsSync(STATE_HASH_CSV) ? fs.readFileSync(STATE_HASH_CSV, 'utf8') : null;
+    const form = await loadWebform(jsonData, { stateHashCsv, hashDictionaries: args.hashDictionaries, hashVariationRules: args.hashVariationRules });
+    const templateName = form.webformData.webFormDto?.templateName || path.basename(args.webformPath, '.json');
+
+    const label = key => form.formTranslations[key] || key;
+    const flow = buildRoutingFlow(form, { labels: { fieldLabel: label, optionLabel: label } });
+
+    const output = args.format === 'bpmn'
+        ? routingFlowToBpmn(flow, templateName)
+        : routingFlowToMarkdown(flow, templateName);
+
+    if (args.outPath) {
+        fs.writeFileSync(path.resolve(args.outPath), output);
+        console.error(`💾 ${flow.decisions.length} routing decision(s) written to ${args.outPath}`);
+    } else {
+        console.log(output);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Routing export failed:', error.message);
+    process.exit(1);
+});
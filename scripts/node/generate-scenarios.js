@@ -0,0 +1,137 @@
+/**
+ * Test case generation
+ *
+ * Builds a small scenario suite for a webform export: enough journeys that every
+ * REQUEST_CREATION workflow triggers at least once, every visibility rule
+ * evaluates both true and false and every submit/attachment rule fires. Goals no
+ * reachable selections can meet are listed as not covered. The suite can be
+ * replayed with run-scenarios.js or run by hand in the OneTrust portal.
+ *
+ * Usage:
+ *   node generate-scenarios.js <webform.json> [--out suite.json] [--name "Suite name"] [--max-paths N] [--dictionary words.csv ...] [--hash-variations rules.json] [--json]
+ *
+ * Example:
+ *   node generate-scenarios.js webform.json --out acme-test-cases.json
+ *
+ * --dictionary and --hash-variations reverse hashed criteria with extra word
+ * lists (see hash-options.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadWebform } = require('../../webform-loader.js');
+const { HASH_OPTIONS_USAGE, isHashOption, parseHashOption } = require('./hash-options.js');
+const { formatSelection } = require('../../webform-rule-engine.js');
+const { generateScenarioSuite, formatScenarioValue } = require('../../webform-scenarios.js');
+
+const STATE_HASH_CSV = path.resolve(__dirname, '../../state_hash_mapping.csv');
+
+function printUsage() {
+    console.error(`Usage: node generate-scenarios.js <webform.json> [--out suite.json] [--name "Suite name"] [--max-paths N] ${HASH_OPTIONS_USAGE} [--json]`);
+}
+
+function parseArgs(argv) {
+    const args = { webformPath: null, outPath: null, name: null, maxPaths: undefined, json: false, hashDictionaries: [], hashVariationRules: {} };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out') {
+            args.outPath = argv[++i];
+            if (!args.outPath) {
+                throw new Error('--out requires a file path');
+            }
+        } else if (arg === '--name') {
+            args.name = argv[++i];
+            if (!args.name) {
+                throw new Error('--name requires a value');
+            }
+        } else if (arg === '--max-paths') {
+            args.maxPaths = parseInt(argv[++i], 10);
+            if (!(args.maxPaths > 0)) {
+                throw new Error('--max-paths requires a positive number');
+            }
+        } else if (arg === '--json') {
+            args.json = true;
+        } else if (isHashOption(arg)) {
+            i = parseHashOption(argv, i, args);
+        } else if (!args.webformPath) {
+            args.webformPath = arg;
+        } else {
+            throw new Error(`Unexpected argument "${arg}"`);
+        }
+    }
+
+    return args;
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        printUsage();
+        process.exit(1);
+    }
+
+    if (!args.webformPath) {
+        printUsage();
+        process.exit(1);
+    }
+
+    const jsonData = JSON.parse(fs.readFileSync(path.resolve(args.webformPath), 'utf8'));
+    const stateHashCsv = fs.existsSync(STATE_HASH_CSV) ? fs.readFileSync(STATE_HASH_CSV, 'utf8') : null;
+    const form = await loadWebform(jsonData, { stateHashCsv, hashDictionaries: args.hashDictionaries, hashVariationRules: args.hashVariationRules });
+    const templateName = form.webformData.webFormDto?.templateName || null;
+
+    const fieldLabel = key => form.formTranslations[key] || key;
+    const optionLabel = key => form.formTranslations[key] || key;
+    const generated = generateScenarioSuite(form, {
+        name: args.name || `${templateName || path.basename(args.webformPath, '.json')} (generated)`,
+        templateName,
+        maxPaths: args.maxPaths,
+        labels: { fieldLabel, optionLabel }
+    });
+
+    if (args.outPath) {
+        fs.writeFileSync(path.resolve(args.outPath), JSON.stringify(generated.suite, null, 2));
+    }
+
+    if (args.json) {
+        console.log(JSON.stringify(args.outPath ? { ...generated, suite: undefined } : generated, null, 2));
+        return;
+    }
+
+    console.log(`📄 Webform: ${templateName || path.basename(args.webformPath)}`);
+    const coveredCount = generated.goals.filter(goal => goal.covered).length;
+    console.log(`🧪 ${generated.suite.scenarios.length} test case(s) cover ${coveredCount}/${generated.goals.length} goals (from ${generated.journeysConsidered} journeys)`);
+    if (generated.truncated) {
+        console.log('⚠️ Journey limit reached - raise --max-paths for full coverage');
+    }
+    if (generated.partialMultiSelect) {
+        console.log('⚠️ Some multi-select options were combined in pairs only - uncovered goals may still be reachable');
+    }
+
+    generated.suite.scenarios.forEach(scenario => {
+        console.log(`\n${scenario.name}`);
+        form.fields
+            .filter(field => scenario.selections[field.key] !== undefined)
+            .forEach(field => console.log(`  ${fieldLabel(field.key)} = ${formatSelection(scenario.selections[field.key], optionLabel)}`));
+        console.log(`  ➡️ ${formatScenarioValue('assignedWorkflow', scenario.expected.assignedWorkflow)}, submit ${formatScenarioValue('submit', scenario.expected.submit)}, attachment ${formatScenarioValue('attachment', scenario.expected.attachment)}`);
+        scenario.covers.forEach(label => console.log(`  ✓ ${label}`));
+    });
+
+    if (generated.uncovered.length > 0) {
+        console.log('\n⚠️ Not covered (no reachable selections achieve these):');
+        generated.uncovered.forEach(label => console.log(`  - ${label}`));
+    }
+
+    if (args.outPath) {
+        console.log(`\n💾 Suite written to ${args.outPath}`);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Test case generation failed:', error.message);
+    process.exit(1);
+});
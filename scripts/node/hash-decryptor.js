@@ -5,17 +5,35 @@
  * used in OneTrust webforms. It builds lookup tables for countries, states, and
  * other fields by hashing all possible values and creating reverse mappings.
  * 
+ * Which variations of each value are hashed comes from the shared variation
+ * engine (webform-hash-variations.js), the same one the simulator uses; every
+ * result records the variationRule that produced its hash.
+ *
  * Usage:
- *   const decryptor = new HashDecryptor();
+ *   const decryptor = new HashDecryptor({ variationRules: { prefixes: ['acme_'] } });
  *   await decryptor.buildLookups();
  *   const result = decryptor.decrypt('hash_string_here');
  */
 
+// Variation rules come from webform-hash-variations.js (<script> tag in the browser)
+const decryptorVariationApi = typeof require === 'function'
+    ? require('../../webform-hash-variations.js')
+    : globalThis;
+// The US state list comes from webform-hash-lookup.js (<script> tag in the browser)
+const decryptorLookupApi = typeof require === 'function'
+    ? require('../../webform-hash-lookup.js')
+    : globalThis;
+
 class HashDecryptor {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {Object} options.variationRules - Variation rules (see normalizeHashVariationRules)
+     */
+    constructor(options = {}) {
         this.countryLookup = {};  // Maps SHA-512 hashes to country data
         this.stateLookup = {};    // Maps SHA-512 hashes to state data
         this.customLookups = {};  // Maps field names to their hash lookups
+        this.variationRules = decryptorVariationApi.normalizeHashVariationRules(options.variationRules);
         this.isBuilt = false;
     }
 
@@ -169,53 +187,60 @@ class HashDecryptor {
     }
 
     /**
-     * Get comprehensive list of US states
-     * @returns {Array<{key: string, value: string}>}
+     * Get comprehensive list of US states, with the postal abbreviations their
+     * ISO 3166-2 codes ("US-CA") are built from
+     * @returns {Array<{key: string, value: string, abbrev: string}>}
      */
     getUSStates() {
-        const states = [
-            'Alabama', 'Alaska', 'Arizona', 'Arkansas', 'California', 'Colorado',
-            'Connecticut', 'Delaware', 'Florida', 'Georgia', 'Hawaii', 'Idaho',
-            'Illinois', 'Indiana', 'Iowa', 'Kansas', 'Kentucky', 'Louisiana',
-            'Maine', 'Maryland', 'Massachusetts', 'Michigan', 'Minnesota',
-            'Mississippi', 'Missouri', 'Montana', 'Nebraska', 'Nevada',
-            'New Hampshire', 'New Jersey', 'New Mexico', 'New York',
-            'North Carolina', 'North Dakota', 'Ohio', 'Oklahoma', 'Oregon',
-            'Pennsylvania', 'Rhode Island', 'South Carolina', 'South Dakota',
-            'Tennessee', 'Texas', 'Utah', 'Vermont', 'Virginia', 'Washington',
-            'West Virginia', 'Wisconsin', 'Wyoming', 'District of Columbia'
-        ];
-
-        return states.map(state => ({
-            key: state.replace(/\s+/g, ''),
-            value: state
-        }));
+        return decryptorLookupApi.getUSStatesOptions();
     }
 
     /**
      * Generate variations of a value for hashing
      * @param {string} key - The key (e.g., "US")
      * @param {string} value - The value (e.g., "United States")
-     * @returns {Array<string>} - Array of variations to hash
+     * @param {Object} entryOptions - { countryCodes, country, abbrev } (see generateHashVariants)
+     * @returns {Array<{text: string, rule: string}>} - Texts to hash with the rule that produced each
      */
-    generateVariations(key, value) {
-        const variations = [
-            key,
-            key.toLowerCase(),
-            key.toUpperCase(),
-            value,
-            value.toLowerCase(),
-            value.toUpperCase()
-        ];
+    generateVariations(key, value, entryOptions = {}) {
+        return decryptorVariationApi.generateHashVariants(
+            { key, value, abbrev: entryOptions.abbrev },
+            { rules: this.variationRules, countryCodes: entryOptions.countryCodes, country: entryOptions.country }
+        );
+    }
 
-        // For states, also try without spaces
-        if (value && value.includes(' ')) {
-            const noSpaces = value.replace(/\s+/g, '');
-            variations.push(noSpaces, noSpaces.toLowerCase(), noSpaces.toUpperCase());
+    /**
+     * Hash every variation of a list of entries into a lookup table
+     * @param {Array<{key: string, value: string, abbrev: string}>} entries - Values to hash
+     * @param {string} fieldType - Stored on every result
+     * @param {Object} entryOptions - { countryCodes, country } (see generateHashVariants)
+     * @returns {Promise<{lookup: Object, hashCount: number}>}
+     */
+    async hashEntries(entries, fieldType, entryOptions = {}) {
+        const lookup = {};
+        let hashCount = 0;
+
+        for (const entry of entries) {
+            const key = entry.key || entry.value;
+            const value = entry.value || entry.key;
+            const variations = this.generateVariations(key, value, { ...entryOptions, abbrev: entry.abbrev });
+
+            for (const variant of variations) {
+                const hash = await this.sha512(variant.text);
+                if (!lookup[hash]) {
+                    lookup[hash] = {
+                        originalKey: key,
+                        originalValue: value,
+                        hashedVariant: variant.text,
+                        variationRule: variant.rule,
+                        fieldType
+                    };
+                }
+                hashCount++;
+            }
         }
 
-        // Remove duplicates and empty values
-        return [...new Set(variations.filter(v => v && v.trim()))];
+        return { lookup, hashCount };
     }
 
     /**
@@ -225,23 +250,8 @@ class HashDecryptor {
      */
     async buildCountryLookup(customCountries = null) {
         const countries = customCountries || this.getWorldCountries();
-        this.countryLookup = {};
-        let hashCount = 0;
-
-        for (const country of countries) {
-            const variations = this.generateVariations(country.key, country.value);
-
-            for (const variant of variations) {
-                const hash = await this.sha512(variant);
-                this.countryLookup[hash] = {
-                    originalKey: country.key,
-                    originalValue: country.value,
-                    hashedVariant: variant,
-                    fieldType: 'country'
-                };
-                hashCount++;
-            }
-        }
+        const { lookup, hashCount } = await this.hashEntries(countries, 'country', { countryCodes: true });
+        this.countryLookup = lookup;
 
         console.log(`✅ Built country lookup: ${Object.keys(this.countryLookup).length} unique hashes from ${hashCount} variations`);
     }
@@ -253,23 +263,8 @@ class HashDecryptor {
      */
     async buildStateLookup(customStates = null) {
         const states = customStates || this.getUSStates();
-        this.stateLookup = {};
-        let hashCount = 0;
-
-        for (const state of states) {
-            const variations = this.generateVariations(state.key, state.value);
-
-            for (const variant of variations) {
-                const hash = await this.sha512(variant);
-                this.stateLookup[hash] = {
-                    originalKey: state.key,
-                    originalValue: state.value,
-                    hashedVariant: variant,
-                    fieldType: 'state'
-                };
-                hashCount++;
-            }
-        }
+        const { lookup, hashCount } = await this.hashEntries(states, 'state', { country: 'US' });
+        this.stateLookup = lookup;
 
         console.log(`✅ Built state lookup: ${Object.keys(this.stateLookup).length} unique hashes from ${hashCount} variations`);
     }
@@ -285,25 +280,8 @@ class HashDecryptor {
             throw new Error(`Invalid options for field "${fieldName}"`);
         }
 
-        this.customLookups[fieldName] = {};
-        let hashCount = 0;
-
-        for (const option of options) {
-            const key = option.key || option.value;
-            const value = option.value || option.key;
-            const variations = this.generateVariations(key, value);
-
-            for (const variant of variations) {
-                const hash = await this.sha512(variant);
-                this.customLookups[fieldName][hash] = {
-                    originalKey: key,
-                    originalValue: value,
-                    hashedVariant: variant,
-                    fieldType: fieldName
-                };
-                hashCount++;
-            }
-        }
+        const { lookup, hashCount } = await this.hashEntries(options, fieldName);
+        this.customLookups[fieldName] = lookup;
 
         console.log(`✅ Built custom lookup for "${fieldName}": ${Object.keys(this.customLookups[fieldName]).length} unique hashes from ${hashCount} variations`);
     }
@@ -416,7 +394,7 @@ class HashDecryptor {
         const result = this.decrypt(hash, fieldType);
         if (result) {
             console.log(`   ✅ SUCCESS: Decrypted to "${result.originalKey}" (${result.originalValue})`);
-            console.log(`   Original variant: "${result.hashedVariant}"`);
+            console.log(`   Original variant: "${result.hashedVariant}" (${result.variationRule})`);
         } else {
             console.log(`   ❌ FAILED: Hash not found in lookup`);
         }
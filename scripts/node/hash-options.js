@@ -0,0 +1,55 @@
+/**
+ * Hash dictionary options shared by the CLIs that load a webform
+ *
+ * --dictionary adds a word list (CSV or JSON, see parseHashDictionary) that
+ * hashed workflow criteria are reversed with; it can be given several times.
+ * --hash-variations sets which variations of each word are hashed, e.g.
+ * { "prefixes": ["acme_"], "nameWithCode": false } (see normalizeHashVariationRules).
+ *
+ * The parsed values go to loadWebform as options.hashDictionaries and
+ * options.hashVariationRules.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseHashDictionary } = require('../../webform-hash-lookup.js');
+
+const HASH_OPTIONS_USAGE = '[--dictionary words.csv ...] [--hash-variations rules.json]';
+
+/**
+ * Checks whether a command-line argument is one of the hash options
+ * @param {string} arg
+ * @returns {boolean}
+ */
+function isHashOption(arg) {
+    return arg === '--dictionary' || arg === '--hash-variations';
+}
+
+/**
+ * Reads the hash option at argv[index] and its file argument into args
+ * @param {Array<string>} argv - Command-line arguments
+ * @param {number} index - Position of the option
+ * @param {Object} args - Receives hashDictionaries (array, appended to) and hashVariationRules
+ * @returns {number} - Position of the last argument consumed
+ */
+function parseHashOption(argv, index, args) {
+    const file = argv[index + 1];
+    if (argv[index] === '--dictionary') {
+        if (!file) {
+            throw new Error('--dictionary requires a CSV or JSON file path');
+        }
+        args.hashDictionaries.push(parseHashDictionary(fs.readFileSync(path.resolve(file), 'utf8'), { name: path.basename(file) }));
+    } else {
+        if (!file) {
+            throw new Error('--hash-variations requires a JSON file path');
+        }
+        args.hashVariationRules = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    }
+    return index + 1;
+}
+
+module.exports = {
+    HASH_OPTIONS_USAGE,
+    isHashOption,
+    parseHashOption
+};
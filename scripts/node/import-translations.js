@@ -0,0 +1,144 @@
+/**
+ * Translation import
+ *
+ * Reads an edited translation spreadsheet - the "Translations" sheet of the
+ * Excel export, or the same layout saved as CSV: a Key column and one column
+ * per language - and patches formTranslations of the webform with it. Reports
+ * which texts were added, changed or rejected (unknown keys, languages the form
+ * is not set up for, repeated keys, placeholder mismatches). Without --out the
+ * webform is only checked, nothing is written.
+ *
+ * Reading .xlsx needs the xlsx package (an optional dependency, installed by
+ * npm install); CSV needs nothing.
+ *
+ * Usage:
+ *   node import-translations.js <webform.json> <translations.xlsx|csv> [--out updated.json] [--sheet name] [--json]
+ *
+ * Examples:
+ *   node import-translations.js webform.json translations.csv
+ *   node import-translations.js webform.json acme-export.xlsx --out webform-translated.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    parseTranslationCsv,
+    parseTranslationTable,
+    importTranslationTable
+} = require('../../webform-translations.js');
+
+function printUsage() {
+    console.error('Usage: node import-translations.js <webform.json> <translations.xlsx|csv> [--out updated.json] [--sheet name] [--json]');
+}
+
+function parseArgs(argv) {
+    const args = { webformPath: null, tablePath: null, outPath: null, sheet: 'Translations', json: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out') {
+            args.outPath = argv[++i];
+            if (!args.outPath) {
+                throw new Error('--out requires a file path');
+            }
+        } else if (arg === '--sheet') {
+            args.sheet = argv[++i];
+            if (!args.sheet) {
+                throw new Error('--sheet requires a sheet name');
+            }
+        } else if (arg === '--json') {
+            args.json = true;
+        } else if (!args.webformPath) {
+            args.webformPath = arg;
+        } else if (!args.tablePath) {
+            args.tablePath = arg;
+        } else {
+            throw new Error(`Unexpected argument "${arg}"`);
+        }
+    }
+
+    return args;
+}
+
+// Rows of the translation sheet (or the first sheet when it is missing) of a workbook, or of a CSV file
+function readTranslationRows(tablePath, sheetName) {
+    if (!/\.xlsx?$/i.test(tablePath)) {
+        return parseTranslationCsv(fs.readFileSync(tablePath, 'utf8'));
+    }
+
+    let XLSX;
+    try {
+        XLSX = require('xlsx');
+    } catch (error) {
+        throw new Error('Reading .xlsx files needs the xlsx package (npm install, or npm install xlsx) - or save the sheet as CSV');
+    }
+    const workbook = XLSX.readFile(tablePath);
+    const sheet = workbook.Sheets[sheetName] || workbook.Sheets[workbook.SheetNames[0]];
+    return XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        printUsage();
+        process.exit(1);
+    }
+
+    if (!args.webformPath || !args.tablePath) {
+        printUsage();
+        process.exit(1);
+    }
+
+    const jsonData = JSON.parse(fs.readFileSync(path.resolve(args.webformPath), 'utf8'));
+    const table = parseTranslationTable(readTranslationRows(path.resolve(args.tablePath), args.sheet));
+    const result = importTranslationTable(jsonData, table);
+
+    if (args.outPath) {
+        fs.writeFileSync(path.resolve(args.outPath), JSON.stringify(result.webformJson, null, 2));
+    }
+
+    if (args.json) {
+        console.log(JSON.stringify({
+            languages: table.languages,
+            added: result.added,
+            changed: result.changed,
+            rejected: result.rejected,
+            unchanged: result.unchanged
+        }, null, 2));
+        return;
+    }
+
+    console.log(`📄 ${path.basename(args.tablePath)}: ${table.entries.length} row(s), languages ${table.languages.join(', ')}`);
+    console.log(`➕ ${result.added.length} added, ✏️ ${result.changed.length} changed, ⛔ ${result.rejected.length} rejected, ${result.unchanged} unchanged`);
+
+    if (result.added.length > 0) {
+        console.log('\n➕ Added:');
+        result.added.forEach(item => console.log(`  [${item.language}] ${item.key}: "${item.text}"`));
+    }
+    if (result.changed.length > 0) {
+        console.log('\n✏️ Changed:');
+        result.changed.forEach(item => console.log(`  [${item.language}] ${item.key}: "${item.from}" → "${item.to}"`));
+    }
+    if (result.rejected.length > 0) {
+        console.log('\n⛔ Rejected:');
+        result.rejected.forEach(item => {
+            const where = [item.rowNumber ? `row ${item.rowNumber}` : null, item.language ? `[${item.language}]` : null, item.key]
+                .filter(Boolean).join(' ');
+            console.log(`  ${where}: ${item.reason}`);
+        });
+    }
+
+    if (args.outPath) {
+        console.log(`\n💾 Updated webform written to ${args.outPath}`);
+    } else {
+        console.log('\nℹ️ Nothing written - pass --out to save the updated webform');
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Translation import failed:', error.message);
+    process.exit(1);
+});
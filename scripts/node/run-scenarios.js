@@ -0,0 +1,107 @@
+/**
+ * Scenario suite runner
+ *
+ * Replays a scenario suite (saved from the simulator in analyzer.html or written
+ * by hand) against a webform export and reports, per scenario, where the actual
+ * outcome differs from the expected one. Exits with code 1 when any scenario
+ * fails, so it can gate a CI job or a webform upload.
+ *
+ * Usage:
+ *   node run-scenarios.js <webform.json> <suite.json> [--dictionary words.csv ...] [--hash-variations rules.json] [--json]
+ *
+ * Example:
+ *   node run-scenarios.js new-webform.json acme-scenarios.json
+ *
+ * --dictionary and --hash-variations reverse hashed criteria with extra word
+ * lists (see hash-options.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadWebform } = require('../../webform-loader.js');
+const { HASH_OPTIONS_USAGE, isHashOption, parseHashOption } = require('./hash-options.js');
+const { parseScenarioSuite, runScenarioSuite, formatScenarioValue } = require('../../webform-scenarios.js');
+
+const STATE_HASH_CSV = path.resolve(__dirname, '../../state_hash_mapping.csv');
+
+function printUsage() {
+    console.error(`Usage: node run-scenarios.js <webform.json> <suite.json> ${HASH_OPTIONS_USAGE} [--json]`);
+}
+
+function parseArgs(argv) {
+    const args = { webformPath: null, suitePath: null, hashDictionaries: [], hashVariationRules: {}, json: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--json') {
+            args.json = true;
+        } else if (isHashOption(arg)) {
+            i = parseHashOption(argv, i, args);
+        } else if (!args.webformPath) {
+            args.webformPath = arg;
+        } else if (!args.suitePath) {
+            args.suitePath = arg;
+        } else {
+            throw new Error(`Unexpected argument "${arg}"`);
+        }
+    }
+
+    return args;
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        printUsage();
+        process.exit(1);
+    }
+
+    if (!args.webformPath || !args.suitePath) {
+        printUsage();
+        process.exit(1);
+    }
+
+    const jsonData = JSON.parse(fs.readFileSync(path.resolve(args.webformPath), 'utf8'));
+    const stateHashCsv = fs.existsSync(STATE_HASH_CSV) ? fs.readFileSync(STATE_HASH_CSV, 'utf8') : null;
+    const form = await loadWebform(jsonData, { stateHashCsv, hashDictionaries: args.hashDictionaries, hashVariationRules: args.hashVariationRules });
+
+    const suiteJson = JSON.parse(fs.readFileSync(path.resolve(args.suitePath), 'utf8'));
+    const suite = parseScenarioSuite(suiteJson, path.basename(args.suitePath, '.json'));
+    const run = runScenarioSuite(form, suite);
+
+    if (args.json) {
+        console.log(JSON.stringify({
+            templateName: form.webformData.webFormDto?.templateName || null,
+            ...run
+        }, null, 2));
+    } else {
+        console.log(`📄 Webform: ${form.webformData.webFormDto?.templateName || path.basename(args.webformPath)}`);
+        console.log(`🧪 Suite: ${suite.name} (${run.total} scenarios)\n`);
+
+        run.results.forEach(result => {
+            console.log(`${result.passed ? '✅' : '❌'} ${result.name}`);
+            result.mismatches.forEach(mismatch => {
+                console.log(`    ${mismatch.aspect}:`);
+                console.log(`      expected: ${formatScenarioValue(mismatch.aspect, mismatch.expected)}`);
+                console.log(`      actual:   ${formatScenarioValue(mismatch.aspect, mismatch.actual)}`);
+                if (mismatch.detail) {
+                    console.log(`      (${mismatch.detail})`);
+                }
+            });
+        });
+
+        console.log(`\n${run.failed === 0 ? '✅' : '❌'} ${run.passed}/${run.total} scenarios passed`);
+    }
+
+    if (run.failed > 0) {
+        process.exit(1);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Scenario run failed:', error.message);
+    process.exit(1);
+});
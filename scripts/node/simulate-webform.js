@@ -0,0 +1,219 @@
+/**
+ * Headless webform simulation
+ *
+ * Loads a OneTrust webform export, applies a set of selections and prints what
+ * the simulator in analyzer.html would show: visible fields, submit button
+ * state, attachment field state, the REQUEST_CREATION workflows that fire and
+ * the one workflow OneTrust assigns (first match by ruleSequence, else the default).
+ *
+ * Usage:
+ *   node simulate-webform.js <webform.json> [--set field=value ...] [--selections selections.json] [--dictionary words.csv ...] [--hash-variations rules.json] [--json]
+ *
+ * Examples:
+ *   node simulate-webform.js webform.json --set subjectTypes=Customer --set requestTypes=Access --set country=US
+ *   node simulate-webform.js webform.json --selections my-selections.json --json
+ *
+ * Multi-select fields take a comma-separated list (--set requestTypes=Access,Deletion)
+ * or a JSON array in the selections file. --dictionary adds a word list (CSV or
+ * JSON) that hashed workflow criteria are reversed with; --hash-variations sets
+ * which variations of each word are hashed (see hash-options.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadWebform } = require('../../webform-loader.js');
+const { HASH_OPTIONS_USAGE, isHashOption, parseHashOption } = require('./hash-options.js');
+const {
+    simulateWebform,
+    getWorkflowActionParameter,
+    sortByRuleSequence,
+    isMultiSelectField,
+    getSelectionValues
+} = require('../../webform-rule-engine.js');
+const { getFormLanguages, translateFormKey } = require('../../webform-translations.js');
+
+const STATE_HASH_CSV = path.resolve(__dirname, '../../state_hash_mapping.csv');
+
+function printUsage() {
+    console.error(`Usage: node simulate-webform.js <webform.json> [--set field=value ...] [--selections selections.json] ${HASH_OPTIONS_USAGE} [--json]`);
+}
+
+function parseArgs(argv) {
+    const args = { webformPath: null, selections: {}, hashDictionaries: [], hashVariationRules: {}, json: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--set') {
+            const pair = argv[++i] || '';
+            const separator = pair.indexOf('=');
+            if (separator <= 0) {
+                throw new Error(`Invalid --set value "${pair}" (expected field=value)`);
+            }
+            args.selections[pair.slice(0, separator)] = pair.slice(separator + 1);
+        } else if (arg === '--selections') {
+            const file = argv[++i];
+            if (!file) {
+                throw new Error('--selections requires a JSON file path');
+            }
+            Object.assign(args.selections, JSON.parse(fs.readFileSync(path.resolve(file), 'utf8')));
+        } else if (isHashOption(arg)) {
+            i = parseHashOption(argv, i, args);
+        } else if (arg === '--json') {
+            args.json = true;
+        } else if (!args.webformPath) {
+            args.webformPath = arg;
+        } else {
+            throw new Error(`Unexpected argument "${arg}"`);
+        }
+    }
+
+    return args;
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        printUsage();
+        process.exit(1);
+    }
+
+    if (!args.webformPath) {
+        printUsage();
+        process.exit(1);
+    }
+
+    const jsonData = JSON.parse(fs.readFileSync(path.resolve(args.webformPath), 'utf8'));
+    const stateHashCsv = fs.existsSync(STATE_HASH_CSV) ? fs.readFileSync(STATE_HASH_CSV, 'utf8') : null;
+    const form = await loadWebform(jsonData, { stateHashCsv, hashDictionaries: args.hashDictionaries, hashVariationRules: args.hashVariationRules });
+
+    // Multi-select fields hold a list of option keys
+    form.fields.filter(isMultiSelectField).forEach(field => {
+        const value = args.selections[field.key];
+        if (typeof value === 'string') {
+            args.selections[field.key] = value.split(',').map(v => v.trim()).filter(Boolean);
+        }
+    });
+
+    // Labels and submit errorMessages are translation keys, shown in the form's default language
+    const formLanguages = getFormLanguages(form.webformData);
+    const translate = key => translateFormKey(formLanguages, formLanguages.defaultLanguage, key).text
+        || form.formTranslations[key]
+        || key;
+    const fieldLabel = translate;
+    const optionLabel = translate;
+    const result = simulateWebform(form, args.selections, { labels: { fieldLabel, optionLabel } });
+    const submit = result.submit && result.submit.disabled
+        ? { ...result.submit, messageText: translate(result.submit.message) }
+        : result.submit;
+
+    const knownKeys = new Set(form.fields.map(f => f.key));
+    const warnings = [];
+    Object.keys(args.selections).forEach(key => {
+        if (!knownKeys.has(key)) {
+            warnings.push(`"${key}" is not a field of this webform`);
+        } else if (result.clearedFields.includes(key)) {
+            warnings.push(`"${key}" is hidden for these selections - its value was ignored`);
+        } else if (result.availableOptions[key]) {
+            getSelectionValues(result.selections[key])
+                .filter(value => !result.availableOptions[key].includes(value))
+                .forEach(value => warnings.push(`"${value}" is not an available option of "${key}"`));
+        }
+    });
+    const formatValue = value => getSelectionValues(value).join(', ');
+
+    const firedWorkflows = sortByRuleSequence(form.workflowRules)
+        .filter(workflow => result.triggeredWorkflows.includes(workflow.ruleName))
+        .map(workflow => ({
+            ruleName: workflow.ruleName,
+            ruleSequence: workflow.ruleSequence,
+            workflowId: getWorkflowActionParameter(workflow, 'WORKFLOWID') || null,
+            deadline: getWorkflowActionParameter(workflow, 'DEADLINE') || null,
+            status: result.workflows.find(w => w.ruleName === workflow.ruleName).status
+        }));
+    const assignment = {
+        ruleName: result.assignment.assigned ? result.assignment.assigned.ruleName : null,
+        ruleSequence: result.assignment.assigned ? result.assignment.assigned.ruleSequence : null,
+        workflowId: result.assignment.workflowId,
+        usedDefault: result.assignment.usedDefault
+    };
+
+    if (args.json) {
+        console.log(JSON.stringify({
+            templateName: form.webformData.webFormDto?.templateName || null,
+            selections: result.selections,
+            warnings,
+            visibleFields: result.visibleFields,
+            availableOptions: result.availableOptions,
+            submit,
+            attachment: result.attachment,
+            assignment,
+            firedWorkflows,
+            workflows: result.workflows
+        }, null, 2));
+        return;
+    }
+
+    console.log(`📄 Webform: ${form.webformData.webFormDto?.templateName || path.basename(args.webformPath)}\n`);
+
+    console.log('Selections:');
+    const selectionKeys = Object.keys(result.selections);
+    if (selectionKeys.length === 0) {
+        console.log('  (none)');
+    }
+    selectionKeys.forEach(key => console.log(`  ${key} = ${formatValue(result.selections[key])}`));
+    warnings.forEach(warning => console.log(`  ⚠️ ${warning}`));
+
+    console.log(`\nVisible fields (${result.visibleFields.length}):`);
+    result.visibleFields.forEach(key => {
+        const value = result.selections[key] !== undefined ? ` = ${formatValue(result.selections[key])}` : '';
+        const options = result.availableOptions[key] ? ` [options: ${result.availableOptions[key].join(', ')}]` : '';
+        console.log(`  - ${key} (${fieldLabel(key)})${value}${options}`);
+    });
+
+    console.log('\nSubmit button:');
+    if (!submit) {
+        console.log('  No submit button rules configured');
+    } else if (submit.disabled) {
+        console.log(`  ❌ DISABLED - ${submit.messageText} (rule: ${submit.ruleName})`);
+    } else {
+        console.log('  ✅ ENABLED');
+    }
+
+    console.log('\nAttachment field:');
+    if (!result.attachment) {
+        console.log('  No attachment rules configured');
+    } else if (result.attachment.shown) {
+        console.log(`  📎 VISIBLE (rule: ${result.attachment.ruleName})`);
+    } else {
+        console.log('  HIDDEN');
+    }
+
+    console.log('\nREQUEST_CREATION workflows that fire:');
+    if (firedWorkflows.length === 0) {
+        console.log('  None of the workflow rules match these selections');
+    }
+    firedWorkflows.forEach(workflow => {
+        const status = workflow.status === 'assigned'
+            ? 'ASSIGNED'
+            : `shadowed by rule #${result.assignment.assigned.ruleSequence}`;
+        const deadline = workflow.deadline ? `, deadline ${workflow.deadline} days` : '';
+        console.log(`  ${workflow.status === 'assigned' ? '✅' : '⏭️'} #${workflow.ruleSequence} ${workflow.ruleName} - ${status} (workflow ${workflow.workflowId || 'N/A'}${deadline})`);
+    });
+
+    console.log('\nAssigned workflow:');
+    if (assignment.usedDefault) {
+        console.log(assignment.workflowId
+            ? `  ➡️ Default workflow ${assignment.workflowId} (no rule matched)`
+            : '  ⚠️ No rule matched and the form has no default workflow');
+    } else {
+        console.log(`  ➡️ ${assignment.ruleName} (rule #${assignment.ruleSequence}, workflow ${assignment.workflowId || 'N/A'})`);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Simulation failed:', error.message);
+    process.exit(1);
+});
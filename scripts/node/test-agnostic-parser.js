@@ -0,0 +1,91 @@
+/**
+ * Test script for the shape-based webform location (onetrust-webform-parser-agnostic.js)
+ *
+ * Locates the parts of the test webform of test-fixture.js in its wrapped
+ * layout, scattered over an unfamiliar layout and with parts missing, and
+ * checks the source map and that the loader simulates the located form.
+ * Exits 1 when a check fails.
+ *
+ * Usage:
+ *   node test-agnostic-parser.js
+ */
+
+const assert = require('assert');
+const { buildTestWebform, runTests } = require('./test-fixture.js');
+const { loadWebform } = require('../../webform-loader.js');
+const { locateWebformData } = require('../../onetrust-webform-parser-agnostic.js');
+
+async function main() {
+    const data = buildTestWebform().webformData;
+    const closedRule = { ...data.rules.REQUEST_CREATION[0], ruleName: 'On close', ruleEventType: 'REQUEST_CLOSED' };
+    // Every part sits under a key the wrapped layout does not use
+    const scattered = {
+        meta: { form: data.webFormDto },
+        body: { questions: data.fields, ui: data.uiFields },
+        automation: { rules: { REQUEST_CREATION: data.rules.REQUEST_CREATION, REQUEST_CLOSED: [closedRule] } },
+        config: { settings: data.settings },
+        i18n: { texts: data.formTranslations }
+    };
+    const pathsOf = result => Object.fromEntries(result.sourceMap.map(entry => [entry.part, entry.paths]));
+    const methodsOf = result => result.sourceMap.map(entry => entry.method);
+
+    await runTests('TESTING AGNOSTIC PARSER', [
+        ['locates every part of a wrapped export in place', () => {
+            const json = buildTestWebform();
+            const located = locateWebformData(json);
+            assert.deepStrictEqual(located.sourceMap.map(entry => [entry.part, entry.paths, entry.count, entry.method]), [
+                ['fields', ['root.webformData.fields'], 8, 'shape'],
+                ['workflowRules', ['root.webformData.rules.REQUEST_CREATION'], 8, 'shape'],
+                ['uiFields', ['root.webformData.uiFields'], 2, 'shape'],
+                ['settings', ['root.webformData.settings'], 1, 'shape'],
+                ['webFormDto', ['root.webformData.webFormDto'], 6, 'shape'],
+                ['formTranslations', ['root.webformData.formTranslations'], 1, 'shape']
+            ]);
+            assert.strictEqual(located.webformData.fields, json.webformData.fields);
+        }],
+        ['finds parts by shape wherever the export keeps them', () => {
+            assert.deepStrictEqual(pathsOf(locateWebformData(scattered)), {
+                fields: ['root.body.questions'],
+                workflowRules: ['root.automation.rules.REQUEST_CREATION'],
+                uiFields: ['root.body.ui'],
+                settings: ['root.config.settings'],
+                webFormDto: ['root.meta.form'],
+                formTranslations: ['root.i18n.texts']
+            });
+        }],
+        ['keeps only the rules that fire on request creation', () => {
+            const rules = locateWebformData(scattered).webformData.rules.REQUEST_CREATION;
+            assert.deepStrictEqual(rules.map(rule => rule.ruleName), data.rules.REQUEST_CREATION.map(rule => rule.ruleName));
+            // Without ruleEventType, the array key decides
+            const unmarked = ({ ruleEventType, ...rule }) => rule;
+            const json = { webformData: { fields: data.fields, rules: { APPROVAL: [unmarked(closedRule)], REQUEST_CREATION: data.rules.REQUEST_CREATION.map(unmarked) } } };
+            const located = locateWebformData(json);
+            assert.strictEqual(located.webformData.rules.REQUEST_CREATION.length, 8);
+            assert.deepStrictEqual(Object.keys(located.webformData.rules), ['APPROVAL', 'REQUEST_CREATION']);
+        }],
+        ['collects request creation rules split over several arrays', () => {
+            const json = buildTestWebform();
+            const rules = json.webformData.rules.REQUEST_CREATION;
+            json.webformData.rules = { REQUEST_CREATION: rules.slice(0, 5), extra: { REQUEST_CREATION: rules.slice(5) } };
+            const located = locateWebformData(json);
+            assert.strictEqual(located.webformData.rules.REQUEST_CREATION.length, 8);
+            assert.deepStrictEqual(pathsOf(located).workflowRules, ['root.webformData.rules.REQUEST_CREATION', 'root.webformData.rules.extra.REQUEST_CREATION']);
+        }],
+        ['falls back to the usual place and reports missing parts', () => {
+            const located = locateWebformData({ webformData: { fields: [], rules: {} } });
+            assert.deepStrictEqual(methodsOf(located), ['fixed path', 'missing', 'missing', 'missing', 'missing', 'missing']);
+            assert.deepStrictEqual(located.webformData.rules.REQUEST_CREATION, []);
+            assert.deepStrictEqual(methodsOf(locateWebformData(null)), ['missing', 'missing', 'missing', 'missing', 'missing', 'missing']);
+        }],
+        ['simulates a scattered export like the wrapped one', async () => {
+            const form = await loadWebform(scattered, { hashCache: null });
+            assert.deepStrictEqual([form.fields.length, form.workflowRules.length, form.defaultWorkflowId], [8, 8, 'wf-default']);
+            assert.deepStrictEqual(form.sourceMap, locateWebformData(scattered).sourceMap);
+        }]
+    ]);
+}
+
+main().catch(error => {
+    console.error('❌ Tests failed:', error.message);
+    process.exit(1);
+});
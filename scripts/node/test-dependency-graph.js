@@ -0,0 +1,115 @@
+/**
+ * Test script for the dependency graph (webform-dependency-graph.js)
+ *
+ * Builds the graph of the test webform of test-fixture.js, plus an option
+ * filter and a criterion on a field the form lacks, and checks its edges, the
+ * upstream/downstream walk, the layout and the SVG/DOT output. Exits 1 when a
+ * check fails.
+ *
+ * Usage:
+ *   node test-dependency-graph.js
+ */
+
+const assert = require('assert');
+const { buildTestWebform, runTests } = require('./test-fixture.js');
+const { loadWebform } = require('../../webform-loader.js');
+const {
+    buildDependencyGraph,
+    getConnectedNodes,
+    layoutDependencyGraph,
+    renderDependencyGraphSvg,
+    dependencyGraphToDot
+} = require('../../webform-dependency-graph.js');
+
+async function main() {
+    const json = buildTestWebform();
+    const data = json.webformData;
+    // Texas is only offered to employees, and one workflow tests a field the form does not have
+    data.fields.find(field => field.fieldKey === 'state').visibilityRules.rules.push({
+        ruleName: 'Employees in Texas',
+        logicalOperatorForConditions: 'AND',
+        actions: [{ action: 'SHOW_QUESTION_WITH_CONFIGURED_OPTIONS', selectedOptions: ['Texas'] }],
+        ruleConditions: [{ selectedField: 'subjectTypes', ruleSubConditions: [{ comparisonOperator: 'EQUALS', valueToCompareWith: 'Employee' }] }]
+    });
+    data.rules.REQUEST_CREATION.push({
+        ...data.rules.REQUEST_CREATION[0],
+        ruleName: 'Loyalty',
+        ruleSequence: 9,
+        criteriaInformation: { conditionGroups: [{ logicalOperator: 'AND', conditions: [{ field: 'loyaltyTier', operator: 'EQUAL_TO', value: 'Gold' }] }] }
+    });
+    const form = await loadWebform(json, { hashCache: null });
+    const graph = buildDependencyGraph(form, { webFormDto: data.webFormDto });
+    const edgesTo = id => graph.edges.filter(edge => edge.to === id).map(edge => [edge.from, edge.kind, edge.label]);
+
+    await runTests('TESTING DEPENDENCY GRAPH', [
+        ['has a node per field, request/subject type, UI action and workflow', () => {
+            const count = type => graph.nodes.filter(node => node.type === type).length;
+            assert.deepStrictEqual([count('field'), count('requestType'), count('subjectType'), count('uiAction'), count('workflow')], [9, 4, 2, 2, 9]);
+        }],
+        ['links visibility rules and option filters to the fields they compare', () => {
+            assert.deepStrictEqual(edgesTo('field:state'), [
+                ['field:country', 'visibility', 'US only'],
+                ['subjectType:Employee', 'options', 'Employees in Texas']
+            ]);
+            assert.deepStrictEqual(edgesTo('field:employer'), [['field:department', 'visibility', 'Legal staff']]);
+        }],
+        ['starts conditions on request and subject types at the compared type', () => {
+            assert.deepStrictEqual(edgesTo('ui:attachment'), [['requestType:Access', 'visibility', 'Access needs ID']]);
+            assert.deepStrictEqual(edgesTo('workflow:EU or Employee').map(([from, kind]) => [from, kind]), [
+                ['field:country', 'criterion'],
+                ['subjectType:Employee', 'criterion'],
+                ['requestType:Deletion', 'criterion']
+            ]);
+            assert.deepStrictEqual(edgesTo('requestType:Access'), [['field:requestTypes', 'option', '']]);
+        }],
+        ['falls back to the field for values that are no type', () => {
+            assert.deepStrictEqual(edgesTo('workflow:Dangling'), [['field:requestTypes', 'criterion', '']]);
+        }],
+        ['adds a marked node for a criterion on a field the form lacks', () => {
+            const node = graph.nodes.find(n => n.id === 'field:loyaltyTier');
+            assert.deepStrictEqual(node, { id: 'field:loyaltyTier', type: 'field', key: 'loyaltyTier', label: 'loyaltyTier (not on form)' });
+            assert.deepStrictEqual(edgesTo('workflow:Loyalty'), [['field:loyaltyTier', 'criterion', '']]);
+        }],
+        ['collects the upstream and downstream dependencies of a node', () => {
+            const access = getConnectedNodes(graph, 'requestType:Access');
+            assert.deepStrictEqual(access.upstream, ['field:requestTypes']);
+            assert.deepStrictEqual(access.downstream.sort(), ['ui:attachment', 'workflow:Access+Deletion', 'workflow:US Access']);
+            access.edges.forEach(index => {
+                const edge = graph.edges[index];
+                assert.ok(edge.from === 'requestType:Access' || edge.to === 'requestType:Access', `${edge.from} -> ${edge.to}`);
+            });
+            const country = getConnectedNodes(graph, 'field:country');
+            assert.ok(country.downstream.includes('ui:submit'));
+            assert.deepStrictEqual(country.upstream, []);
+        }],
+        ['walks circular dependencies without looping', () => {
+            const employer = getConnectedNodes(graph, 'field:employer');
+            assert.deepStrictEqual([employer.upstream, employer.downstream], [['field:department'], ['field:department']]);
+        }],
+        ['lays workflows and UI actions out in the last column', () => {
+            const layout = layoutDependencyGraph(graph);
+            const x = id => layout.positions[id].x;
+            const lastX = Math.max(...Object.values(layout.positions).map(position => position.x));
+            graph.nodes.filter(node => node.type === 'workflow' || node.type === 'uiAction')
+                .forEach(node => assert.strictEqual(x(node.id), lastX, node.id));
+            assert.ok(x('field:requestTypes') < x('requestType:Access'));
+            assert.ok(x('field:country') < x('field:state'));
+        }],
+        ['renders every node and edge to SVG and DOT', () => {
+            const svg = renderDependencyGraphSvg(graph);
+            assert.ok(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"'));
+            assert.strictEqual((svg.match(/data-node-id=/g) || []).length, graph.nodes.length);
+            assert.strictEqual((svg.match(/data-edge-index=/g) || []).length, graph.edges.length);
+            assert.ok(svg.includes('data-node-id="workflow:Access+Deletion"'));
+            const dot = dependencyGraphToDot(graph, 'Test "Form"');
+            assert.ok(dot.startsWith('digraph webform {\n    label="Test \\"Form\\"";'));
+            assert.ok(dot.includes('    "field:country" -> "field:state" [color="#7f8c8d", tooltip="visibility depends on", label="US only", fontsize=9];'));
+            assert.strictEqual(dot.split('\n').filter(line => line.includes(' -> ')).length, graph.edges.length);
+        }]
+    ]);
+}
+
+main().catch(error => {
+    console.error('❌ Tests failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,223 @@
+/**
+ * Shared fixture and runner for the rule engine / analysis test scripts
+ *
+ * buildTestWebform returns a small wrapped webform export (raw operators, GUID
+ * request/subject types, multiselectFields. criteria) that loadTestWebform runs
+ * through loadWebform like any upload. Its rules are chosen so each check has
+ * one known answer:
+ *
+ *   #1 US Access        requestTypes = Access AND country = US
+ *   #2 EU or Employee   (country = DE) OR (subjectTypes = Employee AND requestTypes = Deletion)
+ *   #3 Access+Deletion  requestTypes includes all of Access, Deletion
+ *   #4 Customers        subjectTypes = Customer
+ *   #5 Customer OptOut  subjectTypes = Customer AND requestTypes = OptOut (shadowed by #4)
+ *   #6 Portability      requestTypes = Portability (inactive request type)
+ *   #7 Dangling         requestTypes = a GUID no request type has
+ *   #8 Not Japan        country != JP (country is optional)
+ *
+ * "details" has a contradictory visibility rule; "employer" and "department"
+ * show each other (circular dependency). Submit is disabled for Brazil and the
+ * attachment shows for Access requests.
+ */
+
+const { loadWebform } = require('../../webform-loader.js');
+
+function option(key) {
+    return { key, value: key };
+}
+
+function field(fieldKey, inputType, options, extra = {}) {
+    return {
+        fieldKey,
+        inputType,
+        isRequired: false,
+        status: 10,
+        isSelected: true,
+        options: options.map(option),
+        hasVisibilityRule: Boolean(extra.visibilityRules),
+        ...extra
+    };
+}
+
+function visibilityCondition(selectedField, comparisonOperator, valueToCompareWith) {
+    return {
+        selectedField,
+        logicalOperatorForSubConditions: 'OR',
+        ruleSubConditions: [{ comparisonOperator, valueToCompareWith }]
+    };
+}
+
+function visibilityRule(ruleName, action, conditions) {
+    return { ruleName, logicalOperatorForConditions: 'AND', actions: [action], ruleConditions: conditions };
+}
+
+function workflowRule(ruleName, ruleSequence, criteriaInformation) {
+    return {
+        ruleName,
+        ruleSequence,
+        ruleEventType: 'REQUEST_CREATION',
+        ruleActionType: 'ASSIGN_WORKFLOW',
+        ruleActionParameters: JSON.stringify([
+            { field: 'WORKFLOWID', value: `wf-${ruleSequence}` },
+            { field: 'DEADLINE', value: 30 }
+        ]),
+        criteriaInformation
+    };
+}
+
+function criteriaGroup(...conditions) {
+    return {
+        logicalOperator: 'AND',
+        conditions: conditions.map(([fieldName, operator, value]) => ({ field: fieldName, operator, value }))
+    };
+}
+
+/**
+ * Builds the raw test webform export
+ * @returns {Object} - { webformData }
+ */
+function buildTestWebform() {
+    const fields = [
+        field('subjectTypes', 'Button', ['Customer', 'Employee'], { isRequired: true }),
+        field('requestTypes', 'Multiselect', ['Access', 'Deletion', 'OptOut'], { isRequired: true }),
+        field('country', 'Select', ['US', 'DE', 'BR', 'JP']),
+        field('state', 'Select', ['California', 'Texas'], {
+            visibilityRules: { rules: [
+                visibilityRule('US only', { action: 'SHOW_QUESTION' }, [visibilityCondition('country', 'EQUALS', 'US')])
+            ] }
+        }),
+        field('email', 'Email', [], { isRequired: true }),
+        field('details', 'Text Area', [], {
+            visibilityRules: { rules: [
+                visibilityRule('Deletion details', { action: 'SHOW_QUESTION' }, [
+                    visibilityCondition('requestTypes', 'EQUALS', 'Deletion'),
+                    visibilityCondition('requestTypes', 'NOT_EQUALS', 'Deletion')
+                ])
+            ] }
+        }),
+        field('employer', 'Select', ['Acme', 'Other'], {
+            visibilityRules: { rules: [
+                visibilityRule('Legal staff', { action: 'SHOW_QUESTION' }, [visibilityCondition('department', 'EQUALS', 'Legal')])
+            ] }
+        }),
+        field('department', 'Select', ['Legal', 'Sales'], {
+            visibilityRules: { rules: [
+                visibilityRule('Acme staff', { action: 'SHOW_QUESTION' }, [visibilityCondition('employer', 'EQUALS', 'Acme')])
+            ] }
+        })
+    ];
+
+    // Listed out of ruleSequence order: the sequence, not the array position, decides
+    const workflowRules = [
+        workflowRule('Customers', 4, { conditionGroups: [criteriaGroup(['subjectTypes', 'EQUAL_TO', 'g-cust'])] }),
+        workflowRule('US Access', 1, { conditionGroups: [criteriaGroup(
+            ['multiselectFields.requestTypes', 'EQUAL_TO', 'g-access'],
+            ['country', 'EQUAL_TO', 'US']
+        )] }),
+        workflowRule('EU or Employee', 2, { logicalOperator: 'OR', conditionGroups: [
+            criteriaGroup(['country', 'EQUAL_TO', 'DE']),
+            criteriaGroup(['subjectTypes', 'EQUAL_TO', 'g-emp'], ['multiselectFields.requestTypes', 'EQUAL_TO', 'g-del'])
+        ] }),
+        workflowRule('Access+Deletion', 3, { conditionGroups: [criteriaGroup(
+            ['multiselectFields.requestTypes', 'ALL_OF', ['g-access', 'g-del']]
+        )] }),
+        workflowRule('Customer OptOut', 5, { conditionGroups: [criteriaGroup(
+            ['subjectTypes', 'EQUAL_TO', 'g-cust'],
+            ['multiselectFields.requestTypes', 'EQUAL_TO', 'g-opt']
+        )] }),
+        workflowRule('Portability', 6, { conditionGroups: [criteriaGroup(['multiselectFields.requestTypes', 'EQUAL_TO', 'g-port'])] }),
+        workflowRule('Dangling', 7, { conditionGroups: [criteriaGroup(['multiselectFields.requestTypes', 'EQUAL_TO', 'g-missing'])] }),
+        workflowRule('Not Japan', 8, { conditionGroups: [criteriaGroup(['country', 'NOT_EQUAL_TO', 'JP'])] })
+    ];
+
+    const type = (id, fieldName, order, active = true) => ({
+        id,
+        fieldName,
+        order,
+        status: active ? 10 : 20,
+        isSelected: active
+    });
+
+    return {
+        webformData: {
+            fields,
+            rules: { REQUEST_CREATION: workflowRules },
+            uiFields: [
+                {
+                    fieldKey: 'DSAR.Webform.VisibilityRule.SubmitButton',
+                    hasVisibilityRule: true,
+                    visibilityRules: { rules: [
+                        visibilityRule('Block Brazil', { action: 'DISABLE_SUBMIT_BUTTON', errorMessage: 'blockmsg' },
+                            [visibilityCondition('country', 'EQUALS', 'BR')])
+                    ] }
+                },
+                {
+                    fieldKey: 'DSAR.Webform.VisibilityRule.Attachment',
+                    hasVisibilityRule: true,
+                    visibilityRules: { rules: [
+                        visibilityRule('Access needs ID', { action: 'SHOW_ATTACHMENT' },
+                            [visibilityCondition('requestTypes', 'EQUALS', 'Access')])
+                    ] }
+                }
+            ],
+            settings: [{ fieldName: 'Workflows', value: { workflowRefId: 'wf-default' } }],
+            webFormDto: {
+                templateName: 'Test Form',
+                defaultLanguage: 'en-us',
+                requestTypes: [
+                    type('g-access', 'Access', 0),
+                    type('g-del', 'Deletion', 1),
+                    type('g-opt', 'OptOut', 2),
+                    type('g-port', 'Portability', 3, false)
+                ],
+                subjectTypes: [type('g-cust', 'Customer', 0), type('g-emp', 'Employee', 1)]
+            },
+            formTranslations: {
+                'en-us': { country: 'Country', blockmsg: 'Requests from Brazil are not accepted' }
+            }
+        }
+    };
+}
+
+/**
+ * Loads the test webform without touching the on-disk hash cache
+ * @returns {Promise<Object>} - Result of loadWebform
+ */
+function loadTestWebform() {
+    return loadWebform(buildTestWebform(), { hashCache: null });
+}
+
+/**
+ * Runs named test functions in order and prints one line per test
+ * @param {string} title - Banner title
+ * @param {Array<[string, Function]>} tests - [name, fn] pairs; fn may be async
+ * @returns {Promise<void>} - Sets process.exitCode to 1 when a test fails
+ */
+async function runTests(title, tests) {
+    console.log('='.repeat(80));
+    console.log(title);
+    console.log('='.repeat(80));
+
+    let failed = 0;
+    for (const [name, fn] of tests) {
+        try {
+            await fn();
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failed++;
+            console.log(`❌ ${name}`);
+            console.log(`   ${error.message.split('\n').join('\n   ')}`);
+        }
+    }
+
+    console.log(`\n${tests.length - failed}/${tests.length} passed`);
+    if (failed > 0) {
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    buildTestWebform,
+    loadTestWebform,
+    runTests
+};
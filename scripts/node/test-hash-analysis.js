@@ -0,0 +1,82 @@
+/**
+ * Test script for the hash analysis (webform-hash-analysis.js)
+ *
+ * Scans a small export with a reversible country hash and an unknown hash used
+ * twice, reverses them with the dictionaries of the test webform of
+ * test-fixture.js and checks the report and its CSV. Exits 1 when a check fails.
+ *
+ * Usage:
+ *   node test-hash-analysis.js
+ */
+
+const assert = require('assert');
+const { loadTestWebform, runTests } = require('./test-fixture.js');
+const { sha512 } = require('../../webform-hash-lookup.js');
+const {
+    findHashOccurrences,
+    analyzeWebformHashes,
+    hashAnalysisToCsv
+} = require('../../webform-hash-analysis.js');
+
+async function main() {
+    const form = await loadTestWebform();
+    const usHash = await sha512('US');
+    const unknownHash = await sha512('not in any dictionary');
+    const condition = (field, value) => ({ field, operator: 'EQUAL_TO', value });
+    const json = {
+        rules: {
+            REQUEST_CREATION: [
+                { ruleName: 'US rule', criteriaInformation: { conditionGroups: [{ conditions: [condition('countryHash', usHash)] }] } },
+                { ruleName: 'Secret rule', criteriaInformation: { conditionGroups: [{ conditions: [condition('multiselectFields.segment', unknownHash)] }] } }
+            ]
+        },
+        settings: [{ fieldName: 'legacyHash', value: unknownHash.toUpperCase() }]
+    };
+    const analysis = analyzeWebformHashes(json, form.hashDictionaries);
+
+    await runTests('TESTING HASH ANALYSIS', [
+        ['finds every hash with its path, workflow and field', () => {
+            assert.deepStrictEqual(findHashOccurrences(json).map(o => [o.path, o.workflow, o.field]), [
+                ['root.rules.REQUEST_CREATION[0].criteriaInformation.conditionGroups[0].conditions[0].value', 'US rule', 'countryHash'],
+                ['root.rules.REQUEST_CREATION[1].criteriaInformation.conditionGroups[0].conditions[0].value', 'Secret rule', 'segment'],
+                ['root.settings[0].value', null, 'legacyHash']
+            ]);
+        }],
+        ['lower-cases the hashes it finds', () => {
+            assert.strictEqual(findHashOccurrences(json)[2].hash, unknownHash);
+        }],
+        ['reverses the hashes a dictionary knows', () => {
+            assert.strictEqual(analysis.resolved.length, 1);
+            const [resolved] = analysis.resolved;
+            assert.strictEqual(resolved.key, 'US');
+            assert.strictEqual(resolved.workflow, 'US rule');
+            assert.ok(resolved.dictionary, 'no dictionary recorded');
+            assert.ok(resolved.variationRule, 'no variation rule recorded');
+        }],
+        ['groups the unresolved hashes with their count, paths, workflows and fields', () => {
+            assert.deepStrictEqual(analysis.unresolved.map(item => [item.hash, item.count, item.workflows, item.fields]),
+                [[unknownHash, 2, ['Secret rule'], ['segment', 'legacyHash']]]);
+            assert.deepStrictEqual(analysis.summary, {
+                ...analysis.summary,
+                occurrences: 3,
+                uniqueHashes: 2,
+                resolved: 1,
+                unresolved: 2,
+                uniqueUnresolved: 1
+            });
+        }],
+        ['writes one CSV row per resolved occurrence and unresolved hash', () => {
+            const lines = hashAnalysisToCsv(analysis).trim().split(/\r?\n/);
+            assert.strictEqual(lines.length, 3);
+            assert.ok(lines[0].startsWith('Status,JSON Path,Workflow,Field,Hash'));
+            assert.ok(lines[1].startsWith('resolved,'));
+            assert.ok(lines[2].startsWith('unresolved,'));
+            assert.ok(lines[2].endsWith(',2'));
+        }]
+    ]);
+}
+
+main().catch(error => {
+    console.error('❌ Tests failed:', error.message);
+    process.exit(1);
+});
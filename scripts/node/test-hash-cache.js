@@ -0,0 +1,113 @@
+/**
+ * Test script for the hash lookup table cache (webform-hash-cache.js)
+ *
+ * Loads the test webform of test-fixture.js repeatedly through a cache file in a
+ * temporary directory and checks which tables are rebuilt, plus the
+ * fingerprints and the handling of broken cache files. Exits 1 when a check
+ * fails.
+ *
+ * Usage:
+ *   node test-hash-cache.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildTestWebform, runTests } = require('./test-fixture.js');
+const { loadWebform } = require('../../webform-loader.js');
+const { buildHashDictionaryLookup } = require('../../webform-hash-lookup.js');
+const { normalizeHashVariationRules } = require('../../webform-hash-variations.js');
+const {
+    getHashDictionaryFingerprint,
+    createFileHashCache,
+    getDefaultHashCache,
+    createHashLookupWorker
+} = require('../../webform-hash-cache.js');
+
+async function main() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hash-cache-'));
+    const cachePath = path.join(dir, 'nested', 'hash-lookups.json');
+    const rules = normalizeHashVariationRules();
+    const tiers = { id: 'custom:tiers', name: 'Tiers', countryCodes: false, country: null, entries: [{ key: 'Gold', value: 'Gold' }] };
+
+    // Records the tables hashed instead of read from the cache
+    let built = [];
+    const load = options => loadWebform(buildTestWebform(), {
+        hashCache: createFileHashCache(cachePath),
+        hashLookupBuilder: (dictionary, variationRules) => {
+            built.push(dictionary.id);
+            return buildHashDictionaryLookup(dictionary, variationRules);
+        },
+        ...options
+    });
+
+    try {
+        await runTests('TESTING HASH CACHE', [
+            ['fingerprints a dictionary by its words and variation rules', () => {
+                const fingerprint = getHashDictionaryFingerprint(tiers, rules);
+                assert.strictEqual(getHashDictionaryFingerprint({ ...tiers, entries: [{ key: 'Gold', value: 'Gold' }] }, rules), fingerprint);
+                assert.notStrictEqual(getHashDictionaryFingerprint({ ...tiers, entries: [{ key: 'Gold', value: 'Golden' }] }, rules), fingerprint);
+                assert.notStrictEqual(getHashDictionaryFingerprint(tiers, normalizeHashVariationRules({ prefixes: ['acme_'] })), fingerprint);
+                assert.notStrictEqual(getHashDictionaryFingerprint({ ...tiers, name: 'Tiers 2' }, rules), fingerprint);
+            }],
+            ['hashes every table on the first load and stores it', async () => {
+                built = [];
+                const form = await load();
+                assert.deepStrictEqual(built, form.hashDictionaries.map(dictionary => dictionary.id));
+                const stored = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+                assert.strictEqual(stored.version, 1);
+                assert.deepStrictEqual(Object.keys(stored.lookups), built);
+            }],
+            ['reads every table from the cache on the next load', async () => {
+                built = [];
+                const form = await load();
+                assert.deepStrictEqual(built, []);
+                assert.strictEqual(form.workflowRules.length, 8);
+                assert.ok(Object.keys(form.countryHashLookup).length > 0);
+            }],
+            ['rebuilds only the tables whose dictionary or rules changed', async () => {
+                built = [];
+                await load({ hashDictionaries: [{ ...tiers, fields: [] }] });
+                assert.deepStrictEqual(built, ['custom:tiers']);
+                built = [];
+                const form = await load({ hashVariationRules: { prefixes: ['acme_'] } });
+                assert.deepStrictEqual(built, form.hashDictionaries.map(dictionary => dictionary.id));
+            }],
+            ['misses a table stored under another fingerprint', async () => {
+                const cache = createFileHashCache(cachePath);
+                await cache.set('custom:tiers', 'old', { abc: {} });
+                assert.strictEqual(await cache.get('custom:tiers', 'new'), null);
+                assert.deepStrictEqual(await createFileHashCache(cachePath).get('custom:tiers', 'old'), { abc: {} });
+            }],
+            ['treats a missing, corrupt or outdated cache file as empty', async () => {
+                assert.strictEqual(await createFileHashCache(path.join(dir, 'missing.json')).get('countries', 'x'), null);
+                const corruptPath = path.join(dir, 'corrupt.json');
+                fs.writeFileSync(corruptPath, '{ not json');
+                assert.strictEqual(await createFileHashCache(corruptPath).get('countries', 'x'), null);
+                const outdatedPath = path.join(dir, 'outdated.json');
+                fs.writeFileSync(outdatedPath, JSON.stringify({ version: 0, lookups: { countries: { fingerprint: 'x', lookup: {} } } }));
+                assert.strictEqual(await createFileHashCache(outdatedPath).get('countries', 'x'), null);
+            }],
+            ['uses the file named by WEBFORM_HASH_CACHE in Node', async () => {
+                const envPath = path.join(dir, 'env.json');
+                process.env.WEBFORM_HASH_CACHE = envPath;
+                const cache = getDefaultHashCache();
+                assert.strictEqual(getDefaultHashCache(), cache);
+                await cache.set('custom:tiers', 'x', {});
+                assert.ok(fs.existsSync(envPath));
+            }],
+            ['hashes on the page where there are no Web Workers', () => {
+                assert.strictEqual(createHashLookupWorker('webform-hash-worker.js'), null);
+            }]
+        ]);
+    } finally {
+        delete process.env.WEBFORM_HASH_CACHE;
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Tests failed:', error.message);
+    process.exit(1);
+});
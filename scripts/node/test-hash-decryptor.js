@@ -1,11 +1,33 @@
 /**
  * Test script for HashDecryptor library
- * Tests decryption of actual hashes from webform-template-6904500676217895167.json
+ * Tests decryption of actual hashes from webform-template-6904500676217895167.json.
+ * Reads the hash list written by extract-hashes.js or a report written by
+ * analyze-hashes.js:
+ *   node test-hash-decryptor.js [extracted-hashes.json | webform-hashes.json]
  */
 
 const HashDecryptor = require('./hash-decryptor.js');
 const fs = require('fs');
 
+/**
+ * Reads the hashes of an extract-hashes.js list or an analyze-hashes.js report
+ * @param {Object|Array} json - Parsed input file
+ * @returns {Array<{path: string, hash: string}>}
+ * @throws {Error} - When the JSON is neither shape
+ */
+function readHashList(json) {
+    if (Array.isArray(json) && json.every(item => item && typeof item.hash === 'string')) {
+        return json.map(item => ({ path: item.path, hash: item.hash }));
+    }
+    if (json && Array.isArray(json.resolved) && Array.isArray(json.unresolved)) {
+        return [
+            ...json.resolved.map(item => ({ path: item.path, hash: item.hash })),
+            ...json.unresolved.map(item => ({ path: item.paths[0], hash: item.hash }))
+        ];
+    }
+    throw new Error('expected the [{ path, field, hash }] list of extract-hashes.js or an analyze-hashes.js report');
+}
+
 async function testDecryption() {
     console.log('='.repeat(80));
     console.log('TESTING HASH DECRYPTOR LIBRARY');
@@ -18,14 +40,14 @@ async function testDecryption() {
     console.log('\n📦 Building lookup tables...');
     await decryptor.buildLookups();
 
-    // Load extracted hashes
+    // Load extracted hashes (a file in the wrong shape fails instead of falling back)
+    const inputPath = process.argv[2] || 'extracted-hashes.json';
     let hashes = [];
-    try {
-        const hashData = JSON.parse(fs.readFileSync('extracted-hashes.json', 'utf8'));
-        hashes = hashData;
-        console.log(`\n📋 Loaded ${hashes.length} hashes from extracted-hashes.json`);
-    } catch (err) {
-        console.log('\n⚠️ Could not load extracted-hashes.json, using hardcoded hashes');
+    if (fs.existsSync(inputPath)) {
+        hashes = readHashList(JSON.parse(fs.readFileSync(inputPath, 'utf8')));
+        console.log(`\n📋 Loaded ${hashes.length} hashes from ${inputPath}`);
+    } else {
+        console.log(`\n⚠️ Could not find ${inputPath}, using hardcoded hashes`);
         // Use hardcoded hashes from the webform
         hashes = [
             {
@@ -0,0 +1,130 @@
+/**
+ * Test script for the hash dictionaries (webform-hash-lookup.js)
+ *
+ * Parses word lists in their JSON and CSV layouts, loads the test webform of
+ * test-fixture.js with a custom dictionary and a workflow that compares hashed
+ * fields, and checks which dictionary reverses each hash. Exits 1 when a check
+ * fails.
+ *
+ * Usage:
+ *   node test-hash-lookup.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildTestWebform, runTests } = require('./test-fixture.js');
+const { loadWebform } = require('../../webform-loader.js');
+const { isHashOption, parseHashOption } = require('./hash-options.js');
+const {
+    sha512,
+    parseHashDictionary,
+    buildHashDictionaryLookup,
+    isHashDictionaryRelevant,
+    reverseHashWithDictionaries
+} = require('../../webform-hash-lookup.js');
+
+async function main() {
+    const tiers = parseHashDictionary(JSON.stringify({
+        name: 'Loyalty tiers',
+        fields: ['Tier'],
+        entries: ['Gold', { key: 'SLV', value: 'Silver', aliases: ['Argent'] }]
+    }));
+    const precomputedHash = 'A'.repeat(128);
+    const csvTiers = parseHashDictionary(`Key,Value,Hash\nGLD,Gold,${precomputedHash}\nPLT,Platinum,\n`, { name: 'tiers.csv' });
+
+    const json = buildTestWebform();
+    const argentHash = await sha512('argent');
+    json.webformData.rules.REQUEST_CREATION.push({
+        ...json.webformData.rules.REQUEST_CREATION[0],
+        ruleName: 'Silver in Germany',
+        ruleSequence: 9,
+        criteriaInformation: { conditionGroups: [{ logicalOperator: 'AND', conditions: [
+            { field: 'loyaltyTierHash', operator: 'EQUAL_TO', value: argentHash },
+            { field: 'countryHash', operator: 'EQUAL_TO', value: await sha512('de') }
+        ] }] }
+    });
+    const form = await loadWebform(json, { hashCache: null, hashDictionaries: [tiers] });
+    const dictionary = id => form.hashDictionaries.find(d => d.id === id);
+
+    await runTests('TESTING HASH DICTIONARIES', [
+        ['reads a named JSON dictionary limited to field hints', () => {
+            assert.deepStrictEqual(tiers, {
+                id: 'custom:Loyalty tiers',
+                name: 'Loyalty tiers',
+                fields: ['tier'],
+                targetField: null,
+                entries: [{ key: 'Gold', value: 'Gold' }, { key: 'SLV', value: 'Silver', aliases: ['Argent'], hash: undefined }]
+            });
+        }],
+        ['reads CSV word lists with and without key, value and hash columns', () => {
+            assert.deepStrictEqual(csvTiers.entries, [
+                { key: 'GLD', value: 'Gold', hash: precomputedHash.toLowerCase() },
+                { key: 'PLT', value: 'Platinum', hash: undefined }
+            ]);
+            assert.deepStrictEqual(parseHashDictionary('red\nblue\n').entries, [
+                { key: 'red', value: 'red', hash: undefined },
+                { key: 'blue', value: 'blue', hash: undefined }
+            ]);
+        }],
+        ['rejects dictionaries without entries', () => {
+            assert.throws(() => parseHashDictionary('{"words": []}'), /must be an array of words or \{ name, fields, entries \}/);
+            assert.throws(() => parseHashDictionary('  ', { name: 'empty.csv' }), /"empty.csv" has no entries/);
+        }],
+        ['hashes every variation of an entry and keeps precomputed hashes', async () => {
+            const lookup = await buildHashDictionaryLookup(csvTiers);
+            assert.deepStrictEqual(lookup[precomputedHash.toLowerCase()], {
+                originalKey: 'GLD', originalValue: 'Gold', originalAbbrev: null, dictionary: 'tiers.csv', hashedVariant: 'Gold', variationRule: 'precomputed hash'
+            });
+            assert.strictEqual(lookup[await sha512('PLATINUM')].variationRule, 'value + uppercase');
+        }],
+        ['builds the built-in, option and custom dictionaries of a webform', () => {
+            assert.deepStrictEqual(form.hashDictionaries.map(d => d.id), [
+                'countries', 'eu-member-states', 'us-states', 'ca-provinces', 'au-states',
+                'options:subjectTypes', 'options:requestTypes', 'options:employer', 'options:department', 'custom:Loyalty tiers'
+            ]);
+            assert.deepStrictEqual(dictionary('options:employer').fieldKeys, ['employer']);
+        }],
+        ['applies a dictionary to the fields its hints or keys name', () => {
+            assert.strictEqual(isHashDictionaryRelevant(dictionary('custom:Loyalty tiers'), 'loyaltyTierHash'), true);
+            assert.strictEqual(isHashDictionaryRelevant(dictionary('custom:Loyalty tiers'), 'countryHash'), false);
+            assert.strictEqual(isHashDictionaryRelevant(dictionary('options:employer'), 'multiselectFields.employerHash'), true);
+            assert.strictEqual(isHashDictionaryRelevant(dictionary('options:employer'), 'employerName'), false);
+        }],
+        ['reverses a hash with the relevant dictionaries first, then with the others', () => {
+            const relevant = reverseHashWithDictionaries(argentHash, 'loyaltyTierHash', form.hashDictionaries);
+            assert.deepStrictEqual([relevant.originalKey, relevant.dictionary, relevant.variationRule, relevant.relevant], ['SLV', 'Loyalty tiers', 'alias + lowercase', true]);
+            assert.strictEqual(reverseHashWithDictionaries(argentHash, 'countryHash', form.hashDictionaries).relevant, false);
+            assert.strictEqual(reverseHashWithDictionaries('0'.repeat(128), 'countryHash', form.hashDictionaries), null);
+        }],
+        ['records the dictionary behind each reversed criterion', () => {
+            const rule = form.workflowRules.find(r => r.ruleName === 'Silver in Germany');
+            assert.deepStrictEqual(rule.ruleCriteria.map(c => [c.field, c.values, c.decrypted, c.hashSources]), [
+                ['loyaltyTier', ['SLV'], true, ['Loyalty tiers']],
+                ['country', ['DE'], true, ['World countries']]
+            ]);
+        }],
+        ['reads --dictionary and --hash-variations for the CLIs', () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hash-options-'));
+            try {
+                fs.writeFileSync(path.join(dir, 'tiers.csv'), 'Gold\nSilver\n');
+                fs.writeFileSync(path.join(dir, 'rules.json'), '{ "prefixes": ["acme_"] }');
+                const argv = ['--dictionary', path.join(dir, 'tiers.csv'), '--hash-variations', path.join(dir, 'rules.json')];
+                const args = { hashDictionaries: [] };
+                assert.deepStrictEqual([isHashOption(argv[0]), isHashOption('--json')], [true, false]);
+                assert.strictEqual(parseHashOption(argv, 0, args), 1);
+                assert.strictEqual(parseHashOption(argv, 2, args), 3);
+                assert.deepStrictEqual([args.hashDictionaries[0].name, args.hashVariationRules], ['tiers.csv', { prefixes: ['acme_'] }]);
+                assert.throws(() => parseHashOption(['--dictionary'], 0, args), /--dictionary requires a CSV or JSON file path/);
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        }]
+    ]);
+}
+
+main().catch(error => {
+    console.error('❌ Tests failed:', error.message);
+    process.exit(1);
+});
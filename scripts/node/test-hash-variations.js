@@ -0,0 +1,100 @@
+/**
+ * Test script for the hash variation engine (webform-hash-variations.js)
+ *
+ * Generates the texts hashed for countries, states and salted words under
+ * different rule sets and checks the rule recorded for each. Exits 1 when a
+ * check fails.
+ *
+ * Usage:
+ *   node test-hash-variations.js
+ */
+
+const assert = require('assert');
+const { runTests } = require('./test-fixture.js');
+const {
+    DEFAULT_HASH_VARIATION_RULES,
+    getIsoCountryCodes,
+    normalizeHashVariationRules,
+    generateHashVariants
+} = require('../../webform-hash-variations.js');
+
+async function main() {
+    const germany = generateHashVariants({ key: 'DE', value: 'Germany' }, { countryCodes: true });
+    const ruleOf = (variants, text) => {
+        const variant = variants.find(v => v.text === text);
+        assert.ok(variant, `"${text}" is not generated`);
+        return variant.rule;
+    };
+    const onlyBases = { caseVariants: false, trimWhitespace: false, stripDiacritics: false };
+
+    await runTests('TESTING HASH VARIATIONS', [
+        ['looks up the ISO 3166-1 codes of a country', () => {
+            assert.deepStrictEqual(getIsoCountryCodes('us'), { alpha2: 'US', alpha3: 'USA', numeric: '840' });
+            assert.strictEqual(getIsoCountryCodes('XX'), null);
+        }],
+        ['fills in the default rules and cleans the salt lists', () => {
+            assert.deepStrictEqual(normalizeHashVariationRules(), DEFAULT_HASH_VARIATION_RULES);
+            assert.deepStrictEqual(normalizeHashVariationRules({ isoCodes: 0, prefixes: ['acme_', 'acme_', 3, ''], suffixes: '#1' }), {
+                ...DEFAULT_HASH_VARIATION_RULES,
+                isoCodes: false,
+                prefixes: ['acme_'],
+                suffixes: ['#1']
+            });
+        }],
+        ['hashes the ISO codes and "Name (CODE)" of a country', () => {
+            assert.deepStrictEqual(germany.slice(0, 6), [
+                { text: 'DE', rule: 'key' },
+                { text: 'Germany', rule: 'value' },
+                { text: 'DEU', rule: 'ISO alpha-3 code' },
+                { text: '276', rule: 'ISO numeric code' },
+                { text: 'Germany (DE)', rule: 'name with code' },
+                { text: 'Germany (DEU)', rule: 'name with code' }
+            ]);
+            assert.strictEqual(ruleOf(germany, 'de'), 'key + lowercase');
+            assert.strictEqual(ruleOf(germany, 'Germany(DEU)'), 'name with code + no spaces');
+        }],
+        ['keeps the simplest rule for a text several rules produce', () => {
+            assert.strictEqual(germany.filter(v => v.text === 'DE').length, 1);
+            assert.strictEqual(new Set(germany.map(v => v.text)).size, germany.length);
+        }],
+        ['hashes the ISO 3166-2 code of a state', () => {
+            const california = generateHashVariants({ key: 'California', value: 'California', abbrev: 'CA' }, { country: 'US', rules: onlyBases });
+            assert.deepStrictEqual(california, [
+                { text: 'California', rule: 'key' },
+                { text: 'CA', rule: 'abbreviation' },
+                { text: 'US-CA', rule: 'ISO 3166-2 code' },
+                { text: 'California (CA)', rule: 'name with code' }
+            ]);
+        }],
+        ['trims whitespace and strips diacritics', () => {
+            const quebec = generateHashVariants({ key: 'QC', value: '  Québec ' }, { rules: { caseVariants: false, isoCodes: false, nameWithCode: false } });
+            assert.deepStrictEqual(quebec.map(v => [v.text, v.rule]), [
+                ['QC', 'key'],
+                ['  Québec ', 'value'],
+                ['Québec', 'value + trimmed'],
+                ['  Quebec ', 'value + no diacritics'],
+                ['Quebec', 'value + trimmed + no diacritics']
+            ]);
+        }],
+        ['title-cases the words after an apostrophe', () => {
+            const variants = generateHashVariants({ key: "côte d'ivoire" }, { rules: { trimWhitespace: false, stripDiacritics: false } });
+            assert.strictEqual(ruleOf(variants, "Côte D'Ivoire"), 'key + title case');
+        }],
+        ['wraps every variant in the known salts', () => {
+            const variants = generateHashVariants({ key: 'Gold' }, { rules: { ...onlyBases, caseVariants: true, prefixes: ['acme_'], suffixes: ['#1'] } });
+            assert.strictEqual(ruleOf(variants, 'acme_gold'), 'key + lowercase + prefix "acme_"');
+            assert.strictEqual(ruleOf(variants, 'GOLD#1'), 'key + uppercase + suffix "#1"');
+            // Gold, gold and GOLD, each bare, prefixed and suffixed
+            assert.strictEqual(variants.length, 3 * 3);
+        }],
+        ['leaves out the rules that are turned off', () => {
+            const variants = generateHashVariants({ key: 'DE', value: 'Germany' }, { countryCodes: true, rules: { ...onlyBases, isoCodes: false, nameWithCode: false } });
+            assert.deepStrictEqual(variants.map(v => v.text), ['DE', 'Germany']);
+        }]
+    ]);
+}
+
+main().catch(error => {
+    console.error('❌ Tests failed:', error.message);
+    process.exit(1);
+});
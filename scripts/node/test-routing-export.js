@@ -0,0 +1,105 @@
+/**
+ * Test script for the workflow routing export (webform-routing-export.js)
+ *
+ * Builds the routing flow of the test webform of test-fixture.js, plus a rule
+ * on fields behind visibility rules, and checks its Mermaid, Markdown and BPMN
+ * output. Exits 1 when a check fails.
+ *
+ * Usage:
+ *   node test-routing-export.js
+ */
+
+const assert = require('assert');
+const { buildTestWebform, runTests } = require('./test-fixture.js');
+const { loadWebform } = require('../../webform-loader.js');
+const {
+    buildRoutingFlow,
+    routingFlowToMermaid,
+    routingFlowToMarkdown,
+    routingFlowToBpmn
+} = require('../../webform-routing-export.js');
+
+async function main() {
+    const json = buildTestWebform();
+    // Only reachable for US requests from Acme, whose employer field sits in a visibility cycle
+    json.webformData.rules.REQUEST_CREATION.push({
+        ...json.webformData.rules.REQUEST_CREATION[0],
+        ruleName: 'Texas <employees>',
+        ruleSequence: 9,
+        criteriaInformation: { conditionGroups: [{ logicalOperator: 'AND', conditions: [
+            { field: 'state', operator: 'EQUAL_TO', value: 'Texas' },
+            { field: 'employer', operator: 'EQUAL_TO', value: 'Acme' }
+        ] }] }
+    });
+    const form = await loadWebform(json, { hashCache: null });
+    const flow = buildRoutingFlow(form);
+
+    await runTests('TESTING ROUTING EXPORT', [
+        ['lists the decisions in evaluation order with the default workflow last', () => {
+            assert.deepStrictEqual(flow.decisions.map(decision => decision.ruleName), [
+                'US Access', 'EU or Employee', 'Access+Deletion', 'Customers', 'Customer OptOut', 'Portability', 'Dangling', 'Not Japan', 'Texas <employees>'
+            ]);
+            assert.strictEqual(flow.defaultWorkflowId, 'wf-default');
+            assert.deepStrictEqual(flow.decisions[0], {
+                ruleName: 'US Access',
+                ruleSequence: 1,
+                workflowId: 'wf-1',
+                criteria: 'requestTypes = Access AND country = US',
+                prerequisites: []
+            });
+        }],
+        ['describes nested groups and negations in the criteria', () => {
+            const criteria = name => flow.decisions.find(decision => decision.ruleName === name).criteria;
+            assert.strictEqual(criteria('EU or Employee'), 'country = DE OR (subjectTypes = Employee AND requestTypes = Deletion)');
+            assert.strictEqual(criteria('Not Japan'), 'country ≠ JP');
+        }],
+        ['lists the visibility chain of every field a rule tests, once per field', () => {
+            assert.deepStrictEqual(flow.decisions[8].prerequisites, [
+                'state is shown when country = US',
+                'employer is shown when department = Legal',
+                'department is shown when employer = Acme'
+            ]);
+        }],
+        ['renders a Mermaid flowchart that falls through to the default workflow', () => {
+            const mermaid = routingFlowToMermaid(flow);
+            const lines = mermaid.split('\n');
+            assert.deepStrictEqual(lines.slice(0, 3), [
+                'flowchart TD',
+                '    start(["Request submitted"])',
+                '    rule1{"#1 US Access<br/>requestTypes = Access AND country = US"}'
+            ]);
+            assert.ok(lines.includes('    rule1 -->|No| rule2'));
+            assert.ok(lines.includes('    rule9 -->|No| fallback["Assign default workflow<br/>wf-default"]'));
+            assert.ok(lines.includes('    shown1 -.-> rule9'));
+            // Angle brackets would end the label early
+            assert.ok(lines.includes('    rule9{"#9 Texas #lt;employees#gt;<br/>state = Texas AND employer = Acme"}'));
+        }],
+        ['wraps the flowchart in a Markdown document', () => {
+            const markdown = routingFlowToMarkdown(flow, 'Test Form');
+            assert.ok(markdown.startsWith('# Test Form - workflow routing'));
+            assert.ok(markdown.includes('```mermaid\nflowchart TD\n'));
+        }],
+        ['exports a BPMN process with a gateway per rule and the default flow', () => {
+            const bpmn = routingFlowToBpmn(flow, 'Test & Form');
+            assert.ok(bpmn.startsWith('<?xml version="1.0" encoding="UTF-8"?>'));
+            assert.ok(bpmn.includes('<bpmn:process id="WebformRouting" name="Test &amp; Form" isExecutable="false">'));
+            assert.strictEqual((bpmn.match(/<bpmn:exclusiveGateway /g) || []).length, 9);
+            assert.ok(bpmn.includes('<bpmn:exclusiveGateway id="Gateway_1" name="#1 US Access?" default="Flow_1_no" />'));
+            assert.ok(bpmn.includes('<bpmn:conditionExpression xsi:type="bpmn:tFormalExpression">requestTypes = Access AND country = US</bpmn:conditionExpression>'));
+            assert.ok(bpmn.includes('<bpmn:task id="Task_9" name="Assign workflow Texas &lt;employees&gt; (wf-4)" />'));
+            assert.ok(bpmn.includes('id="Task_default"'));
+            assert.ok(bpmn.includes('<bpmn:textAnnotation'));
+        }],
+        ['lays out a shape for every node of the BPMN process', () => {
+            const bpmn = routingFlowToBpmn(flow, 'Test Form');
+            const ids = [...bpmn.matchAll(/<bpmn:(?:startEvent|exclusiveGateway|task|endEvent|textAnnotation) id="([^"]+)"/g)].map(match => match[1]);
+            const shapes = [...bpmn.matchAll(/<bpmndi:BPMNShape [^>]*bpmnElement="([^"]+)"/g)].map(match => match[1]);
+            assert.deepStrictEqual(shapes.slice().sort(), ids.slice().sort());
+        }]
+    ]);
+}
+
+main().catch(error => {
+    console.error('❌ Tests failed:', error.message);
+    process.exit(1);
+});
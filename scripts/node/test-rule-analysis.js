@@ -0,0 +1,207 @@
+/**
+ * Test script for the path explorer and the rule analyses
+ *
+ * Explores the test webform of test-fixture.js (webform-path-explorer.js), also
+ * with a multi-select field whose rules mention too many options to combine,
+ * groups its submit-blocked journeys and checks the findings of
+ * webform-rule-analysis.js: unreachable and undecidable
+ * workflows, dangling references and visibility rule defects. Exits 1 when a
+ * check fails.
+ *
+ * Usage:
+ *   node test-rule-analysis.js
+ */
+
+const assert = require('assert');
+const { buildTestWebform, loadTestWebform, runTests } = require('./test-fixture.js');
+const { loadWebform } = require('../../webform-loader.js');
+const { exploreFormPaths, analyzeSubmitBlockedPaths } = require('../../webform-path-explorer.js');
+const {
+    detectUnreachableWorkflows,
+    detectDanglingReferences,
+    detectVisibilityRuleDefects
+} = require('../../webform-rule-analysis.js');
+
+async function main() {
+    const form = await loadTestWebform();
+    const webFormDto = form.webformData.webFormDto;
+    const exploration = exploreFormPaths(form);
+    const unreachable = detectUnreachableWorkflows(form, { webFormDto, exploration });
+    const findingOf = ruleName => unreachable.findings.find(finding => finding.ruleName === ruleName);
+
+    // An optional "topics" multi-select whose rules mention six options - more than the explorer combines
+    const topicsJson = buildTestWebform();
+    const topicsData = topicsJson.webformData;
+    const topics = ['t1', 't2', 't3', 't4', 't5', 't6'];
+    topicsData.fields.splice(2, 0, { ...topicsData.fields[1], fieldKey: 'topics', isRequired: false, options: topics.map(key => ({ key, value: key })) });
+    const topicRule = (ruleName, ruleSequence, operator, value) => ({
+        ...topicsData.rules.REQUEST_CREATION[0],
+        ruleName,
+        ruleSequence,
+        criteriaInformation: { conditionGroups: [{ logicalOperator: 'AND', conditions: [{ field: 'multiselectFields.topics', operator, value }] }] }
+    });
+    topicsData.rules.REQUEST_CREATION.push(topicRule('All topics', 9, 'ALL_OF', topics), topicRule('Topic one', 10, 'EQUAL_TO', 't1'));
+    const topicsForm = await loadWebform(topicsJson, { hashCache: null });
+    const topicsExploration = exploreFormPaths(topicsForm);
+
+    // A second submit rule, with its own errorMessage, for Japan
+    const blockingJson = buildTestWebform();
+    const submitRules = blockingJson.webformData.uiFields[0].visibilityRules.rules;
+    submitRules.push({
+        ...submitRules[0],
+        ruleName: 'Block Japan',
+        actions: [{ action: 'DISABLE_SUBMIT_BUTTON', errorMessage: 'jpmsg' }],
+        ruleConditions: [{ ...submitRules[0].ruleConditions[0], ruleSubConditions: [{ comparisonOperator: 'EQUALS', valueToCompareWith: 'JP' }] }]
+    });
+    const blocked = analyzeSubmitBlockedPaths(exploreFormPaths(await loadWebform(blockingJson, { hashCache: null })));
+
+    await runTests('TESTING PATH EXPLORER AND RULE ANALYSIS', [
+        ['explores every journey without truncating', () => {
+            assert.strictEqual(exploration.truncated, false);
+            assert.strictEqual(exploration.partialMultiSelect, false);
+            assert.deepStrictEqual(exploration.coverage, { blankOptionalFields: true, multiSelectCombinations: true, pairsOnlyFields: [] });
+            assert.ok(exploration.paths.length > 0);
+        }],
+        ['skips blank answers and option combinations when told to', () => {
+            const narrow = exploreFormPaths(form, { blankOptionalFields: false, multiSelectCombinations: false });
+            assert.deepStrictEqual(narrow.coverage, { blankOptionalFields: false, multiSelectCombinations: false, pairsOnlyFields: [] });
+            assert.ok(!narrow.paths.some(path => path.steps.some(step => step.unanswered)));
+            assert.ok(narrow.paths.every(path => path.selections.requestTypes.length === 1));
+        }],
+        ['flags multi-select fields whose options were combined in pairs only', () => {
+            assert.strictEqual(topicsExploration.partialMultiSelect, true);
+            assert.deepStrictEqual(topicsExploration.coverage.pairsOnlyFields, ['topics']);
+            const sizes = topicsExploration.paths.map(path => (path.selections.topics || []).length);
+            assert.strictEqual(Math.max(...sizes), 2);
+        }],
+        ['leaves optional fields blank as a journey of their own', () => {
+            const blank = exploration.paths.filter(path =>
+                path.steps.some(step => step.field === 'country' && step.unanswered));
+            assert.ok(blank.length > 0);
+            blank.forEach(path => assert.strictEqual(path.selections.country, undefined));
+            // Employee + OptOut without a country matches nothing, not even "Not Japan"
+            const defaulted = blank.find(path =>
+                path.selections.subjectTypes === 'Employee' && path.selections.requestTypes.join() === 'OptOut');
+            assert.ok(defaulted, 'no blank-country journey for Employee / OptOut');
+            assert.strictEqual(defaulted.assignment.usedDefault, true);
+            assert.strictEqual(defaulted.assignment.workflowId, 'wf-default');
+        }],
+        ['never leaves a required field blank', () => {
+            exploration.paths.forEach(path => {
+                assert.ok(!path.steps.some(step => step.unanswered && ['subjectTypes', 'requestTypes'].includes(step.field)));
+            });
+        }],
+        ['explores the multi-select combinations the rules mention', () => {
+            assert.ok(exploration.paths.some(path =>
+                path.selections.requestTypes.length === 2 && path.assignment.ruleName === 'Access+Deletion'));
+        }],
+        ['reports a rule on an inactive request type as unreachable', () => {
+            assert.strictEqual(findingOf('Portability').kind, 'INACTIVE_TYPE');
+        }],
+        ['reports a rule on a value no option has as unreachable', () => {
+            assert.strictEqual(findingOf('Dangling').kind, 'VALUE_NOT_IN_OPTIONS');
+        }],
+        ['reports a rule that earlier rules always match first as shadowed', () => {
+            const finding = findingOf('Customer OptOut');
+            assert.strictEqual(finding.kind, 'SHADOWED');
+            assert.ok(finding.reasons.some(reason => reason.includes('Rule #4 "Customers"')));
+        }],
+        ['keeps reachable rules out of the findings', () => {
+            assert.deepStrictEqual(unreachable.findings.map(finding => finding.ruleName), ['Customer OptOut', 'Portability', 'Dangling']);
+            assert.deepStrictEqual(unreachable.unknown, []);
+        }],
+        ['lists rules the journeys cannot settle as unknown', () => {
+            const partial = exploreFormPaths(form, { blankOptionalFields: false, multiSelectCombinations: false });
+            const result = detectUnreachableWorkflows(form, { webFormDto, exploration: partial });
+            const notJapan = result.unknown.find(entry => entry.ruleName === 'Not Japan');
+            assert.ok(notJapan, '"Not Japan" is not listed as unknown');
+            assert.ok(notJapan.reasons.some(reason => reason.includes('(optional field)')));
+            assert.ok(!result.findings.some(finding => finding.ruleName === 'Not Japan'));
+            // Impossible conditions are still proven without the journeys
+            assert.strictEqual(result.findings.find(finding => finding.ruleName === 'Portability').kind, 'INACTIVE_TYPE');
+        }],
+        ['lists rules on fields combined in pairs only as unknown', () => {
+            const result = detectUnreachableWorkflows(topicsForm, { webFormDto: topicsData.webFormDto, exploration: topicsExploration });
+            assert.strictEqual(result.partialMultiSelect, true);
+            assert.deepStrictEqual(result.unknown.map(entry => entry.ruleName), ['All topics', 'Topic one']);
+            assert.ok(result.unknown[1].reasons[0].includes('(multi-select field, options combined in pairs only)'));
+        }],
+        ['lists every rule not impossible on its own as unknown at the journey limit', () => {
+            const result = detectUnreachableWorkflows(form, { webFormDto, maxPaths: 3 });
+            assert.strictEqual(result.truncated, true);
+            assert.deepStrictEqual(result.findings.map(finding => finding.ruleName), ['Portability', 'Dangling']);
+            assert.deepStrictEqual(result.unknown.map(entry => entry.ruleName),
+                ['US Access', 'EU or Employee', 'Access+Deletion', 'Customers', 'Customer OptOut', 'Not Japan']);
+            assert.strictEqual(result.unknown[0].reasons[0], 'Journey exploration stopped after 3 journeys');
+        }],
+        ['groups submit-blocked journeys by rule and errorMessage', () => {
+            assert.deepStrictEqual(blocked.groups.map(group => [group.ruleName, group.errorMessage, group.journeys.length]),
+                [['Block Brazil', 'blockmsg', 14], ['Block Japan', 'jpmsg', 14]]);
+            assert.strictEqual(blocked.totalBlocked, 28);
+            blocked.groups[1].journeys.forEach(journey => assert.strictEqual(journey.selections.country, 'JP'));
+        }],
+        ['flags blocked journeys that a workflow rule would still be assigned', () => {
+            // Every Brazilian journey matches "Not Japan"; Japanese employees without Deletion match nothing
+            assert.strictEqual(blocked.groups[0].workflowMatchedJourneys.length, 14);
+            const unflagged = blocked.groups[1].journeys.filter(journey => !blocked.groups[1].workflowMatchedJourneys.includes(journey));
+            assert.deepStrictEqual(unflagged.map(journey => journey.selections.requestTypes.join('+')), ['Access', 'OptOut', 'Access+OptOut']);
+            unflagged.forEach(journey => assert.strictEqual(journey.selections.subjectTypes, 'Employee'));
+            assert.strictEqual(blocked.blockedWithWorkflow.length, 25);
+        }],
+        ['reports no group when no journey is blocked', () => {
+            const open = analyzeSubmitBlockedPaths({ ...exploration, paths: exploration.paths.filter(path => !path.submitBlocked) });
+            assert.deepStrictEqual([open.groups, open.totalBlocked, open.blockedWithWorkflow], [[], 0, []]);
+        }],
+        ['carries the exploration gaps into the submit-blocked analysis', () => {
+            const complete = analyzeSubmitBlockedPaths(exploration);
+            assert.deepStrictEqual([complete.truncated, complete.partialMultiSelect], [false, false]);
+            const limited = analyzeSubmitBlockedPaths(exploreFormPaths(form, { maxPaths: 3 }));
+            assert.strictEqual(limited.truncated, true);
+            assert.strictEqual(analyzeSubmitBlockedPaths(topicsExploration).partialMultiSelect, true);
+        }],
+        ['reports workflow values that reference nothing as dangling', () => {
+            const dangling = detectDanglingReferences(form, { webFormDto });
+            assert.deepStrictEqual(dangling.map(item => [item.ruleName, item.field, item.value, item.kind]),
+                [['Dangling', 'requestTypes', 'g-missing', 'UNKNOWN_OPTION']]);
+        }],
+        ['reports a GUID that maps to no request or subject type as dangling', async () => {
+            // Real exports use GUID type ids: a mapped one resolves to its type, a deleted one stays a GUID
+            const json = buildTestWebform();
+            const data = json.webformData;
+            const deletionId = '3f2a9c1e-8b7d-4e6f-a5c4-1d2e3f4a5b6c';
+            const deletedId = '9e8d7c6b-5a4f-4e3d-b2c1-0a9b8c7d6e5f';
+            data.webFormDto.requestTypes.find(type => type.id === 'g-del').id = deletionId;
+            const ids = { 'g-del': deletionId, 'g-missing': deletedId };
+            const replaceId = value => ids[value] || value;
+            data.rules.REQUEST_CREATION.forEach(rule => {
+                rule.criteriaInformation.conditionGroups.forEach(group => group.conditions.forEach(condition => {
+                    condition.value = Array.isArray(condition.value) ? condition.value.map(replaceId) : replaceId(condition.value);
+                }));
+            });
+            const guidForm = await loadWebform(json, { hashCache: null });
+            const dangling = detectDanglingReferences(guidForm, { webFormDto: data.webFormDto });
+            assert.deepStrictEqual(dangling.map(item => [item.ruleName, item.field, item.value, item.kind]),
+                [['Dangling', 'requestTypes', deletedId, 'UNKNOWN_GUID']]);
+            assert.ok(dangling[0].message.includes('matches no request type or subject type'));
+        }],
+        ['reports contradictory visibility rules', () => {
+            const defect = detectVisibilityRuleDefects(form).find(item => item.kind === 'CONTRADICTORY');
+            assert.ok(defect, 'no contradictory rule reported');
+            assert.strictEqual(defect.owner, 'details');
+            assert.strictEqual(defect.ruleName, 'Deletion details');
+        }],
+        ['reports circular visibility dependencies', () => {
+            const cycles = detectVisibilityRuleDefects(form).filter(item => item.kind === 'CIRCULAR_DEPENDENCY');
+            assert.strictEqual(cycles.length, 1);
+            assert.strictEqual(cycles[0].description, 'employer → department → employer');
+        }],
+        ['reports no defect for a rule that can be true and false', () => {
+            assert.ok(!detectVisibilityRuleDefects(form).some(item => item.owner === 'state'));
+        }]
+    ]);
+}
+
+main().catch(error => {
+    console.error('❌ Tests failed:', error.message);
+    process.exit(1);
+});
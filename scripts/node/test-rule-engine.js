@@ -0,0 +1,94 @@
+/**
+ * Test script for the rule engine (webform-rule-engine.js)
+ *
+ * Simulates the test webform of test-fixture.js: workflow assignment by
+ * ruleSequence, AND/OR across criteria groups, multi-select criteria, visibility
+ * and the submit/attachment rules. Exits 1 when a check fails.
+ *
+ * Usage:
+ *   node test-rule-engine.js
+ */
+
+const assert = require('assert');
+const { loadTestWebform, runTests } = require('./test-fixture.js');
+const { simulateWebform, evaluateCriteriaCondition } = require('../../webform-rule-engine.js');
+
+async function main() {
+    const form = await loadTestWebform();
+    const simulate = selections => simulateWebform(form, selections);
+    const statusOf = (result, ruleName) => result.workflows.find(w => w.ruleName === ruleName).status;
+
+    await runTests('TESTING WEBFORM RULE ENGINE', [
+        ['assigns the matching rule with the lowest ruleSequence', () => {
+            const result = simulate({ subjectTypes: 'Customer', requestTypes: ['Access'], country: 'US' });
+            assert.deepStrictEqual(result.triggeredWorkflows.slice().sort(), ['Customers', 'Not Japan', 'US Access']);
+            assert.strictEqual(result.assignment.assigned.ruleName, 'US Access');
+            assert.strictEqual(result.assignment.workflowId, 'wf-1');
+            assert.strictEqual(result.assignment.usedDefault, false);
+        }],
+        ['marks later matching rules as shadowed by the assigned one', () => {
+            const result = simulate({ subjectTypes: 'Customer', requestTypes: ['Access'], country: 'US' });
+            assert.deepStrictEqual(result.assignment.shadowed.map(w => [w.ruleName, w.shadowedBy.ruleSequence]),
+                [['Customers', 1], ['Not Japan', 1]]);
+            assert.strictEqual(statusOf(result, 'Customers'), 'shadowed');
+            assert.strictEqual(statusOf(result, 'EU or Employee'), 'not-matched');
+        }],
+        ['falls back to the default workflow when no rule matches', () => {
+            const result = simulate({ subjectTypes: 'Employee', requestTypes: ['OptOut'], country: 'JP' });
+            assert.deepStrictEqual(result.triggeredWorkflows, []);
+            assert.strictEqual(result.assignment.assigned, null);
+            assert.strictEqual(result.assignment.workflowId, 'wf-default');
+            assert.strictEqual(result.assignment.usedDefault, true);
+        }],
+        ['requires every condition of a group (AND)', () => {
+            assert.strictEqual(statusOf(simulate({ subjectTypes: 'Customer', requestTypes: ['Access'], country: 'DE' }), 'US Access'), 'not-matched');
+            assert.strictEqual(statusOf(simulate({ subjectTypes: 'Employee', requestTypes: ['Access'], country: 'JP' }), 'EU or Employee'), 'not-matched');
+        }],
+        ['matches when any group matches (OR)', () => {
+            const byCountry = simulate({ subjectTypes: 'Customer', requestTypes: ['OptOut'], country: 'DE' });
+            assert.strictEqual(byCountry.assignment.assigned.ruleName, 'EU or Employee');
+            const byRequest = simulate({ subjectTypes: 'Employee', requestTypes: ['Deletion'], country: 'JP' });
+            assert.strictEqual(byRequest.assignment.assigned.ruleName, 'EU or Employee');
+        }],
+        ['matches a multi-select EQUALS when the selection contains the value', () => {
+            const result = simulate({ subjectTypes: 'Employee', requestTypes: ['OptOut', 'Access'], country: 'US' });
+            assert.strictEqual(result.assignment.assigned.ruleName, 'US Access');
+        }],
+        ['matches a multi-select CONTAINS_ALL only when every value is selected', () => {
+            const both = simulate({ subjectTypes: 'Employee', requestTypes: ['Access', 'Deletion', 'OptOut'], country: 'JP' });
+            assert.strictEqual(statusOf(both, 'Access+Deletion'), 'shadowed');
+            const one = simulate({ subjectTypes: 'Employee', requestTypes: ['Access', 'OptOut'], country: 'JP' });
+            assert.strictEqual(statusOf(one, 'Access+Deletion'), 'not-matched');
+        }],
+        ['matches a multi-select NOT_EQUALS only when no selected key is listed', () => {
+            const condition = { field: 'requestTypes', operator: 'NOT_EQUALS', values: ['Deletion'] };
+            assert.strictEqual(evaluateCriteriaCondition(condition, { requestTypes: ['Access'] }), true);
+            assert.strictEqual(evaluateCriteriaCondition(condition, { requestTypes: ['Access', 'Deletion'] }), false);
+        }],
+        ['lets an unanswered field satisfy only IS_EMPTY', () => {
+            assert.strictEqual(evaluateCriteriaCondition({ field: 'country', operator: 'NOT_EQUALS', values: ['JP'] }, {}), false);
+            assert.strictEqual(evaluateCriteriaCondition({ field: 'country', operator: 'IS_EMPTY', values: [] }, {}), true);
+        }],
+        ['hides fields whose visibility rule fails and ignores their answers', () => {
+            const result = simulate({ subjectTypes: 'Customer', requestTypes: ['Access'], country: 'DE', state: 'Texas' });
+            assert.ok(!result.visibleFields.includes('state'));
+            assert.deepStrictEqual(result.clearedFields, ['state']);
+            assert.ok(simulate({ country: 'US' }).visibleFields.includes('state'));
+        }],
+        ['evaluates the submit and attachment rules', () => {
+            const result = simulate({ subjectTypes: 'Customer', requestTypes: ['Access'], country: 'BR' });
+            assert.strictEqual(result.submit.disabled, true);
+            assert.strictEqual(result.submit.message, 'blockmsg');
+            assert.strictEqual(result.submit.ruleName, 'Block Brazil');
+            assert.strictEqual(result.attachment.shown, true);
+            const other = simulate({ subjectTypes: 'Customer', requestTypes: ['Deletion'], country: 'US' });
+            assert.strictEqual(other.submit.disabled, false);
+            assert.strictEqual(other.attachment.shown, false);
+        }]
+    ]);
+}
+
+main().catch(error => {
+    console.error('❌ Tests failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,130 @@
+/**
+ * Test script for scenario suites (webform-scenarios.js)
+ *
+ * Records and replays scenarios against the test webform of test-fixture.js and
+ * generates its covering suite. Exits 1 when a check fails.
+ *
+ * Usage:
+ *   node test-scenarios.js
+ */
+
+const assert = require('assert');
+const { buildTestWebform, loadTestWebform, runTests } = require('./test-fixture.js');
+const { loadWebform } = require('../../webform-loader.js');
+const { exploreFormPaths } = require('../../webform-path-explorer.js');
+const {
+    createScenario,
+    parseScenarioSuite,
+    runScenario,
+    runScenarioSuite,
+    generateScenarioSuite
+} = require('../../webform-scenarios.js');
+
+async function main() {
+    const form = await loadTestWebform();
+    // The next version of the form drops the JP country option
+    const nextJson = buildTestWebform();
+    const countryField = nextJson.webformData.fields.find(field => field.fieldKey === 'country');
+    countryField.options = countryField.options.filter(option => option.key !== 'JP');
+    const nextForm = await loadWebform(nextJson, { hashCache: null });
+
+    const recorded = createScenario(form, 'Employee opt-out from Japan', { subjectTypes: 'Employee', requestTypes: ['OptOut'], country: 'JP' });
+    const failedAspects = result => result.mismatches.map(mismatch => mismatch.aspect);
+    const generated = generateScenarioSuite(form);
+    const goalCovered = label => {
+        const goal = generated.goals.find(g => g.label === label);
+        assert.ok(goal, `no goal "${label}"`);
+        return goal.covered;
+    };
+
+    await runTests('TESTING SCENARIO SUITES', [
+        ['records the outcome of the selections', () => {
+            assert.deepStrictEqual(recorded.expected.assignedWorkflow, { ruleName: null, workflowId: 'wf-default' });
+            assert.deepStrictEqual(recorded.expected.submit, { disabled: false });
+            assert.deepStrictEqual(recorded.expected.attachment, { shown: false });
+        }],
+        ['passes a replay on the form it was recorded on', () => {
+            const result = runScenario(form, recorded);
+            assert.strictEqual(result.passed, true, JSON.stringify(result.mismatches));
+        }],
+        ['reports each changed aspect of the outcome', () => {
+            const result = runScenario(form, { ...recorded, selections: { ...recorded.selections, country: 'BR' } });
+            assert.deepStrictEqual(failedAspects(result), ['assignedWorkflow', 'submit']);
+            assert.strictEqual(result.actual.assignedWorkflow.ruleName, 'Not Japan');
+        }],
+        ['checks only the aspects the scenario expects', () => {
+            const scenario = { name: 'Workflow only', selections: { subjectTypes: 'Customer', requestTypes: ['Access'], country: 'BR' }, expected: { assignedWorkflow: { ruleName: 'Customers' } } };
+            assert.strictEqual(runScenario(form, scenario).passed, true);
+        }],
+        ['fails a selection the form no longer offers', () => {
+            const result = runScenario(nextForm, recorded);
+            assert.strictEqual(result.passed, false);
+            const { field, status, options } = result.mismatches[0].actual;
+            assert.deepStrictEqual([field, status, options.slice().sort()], ['country', 'unavailable', ['BR', 'DE', 'US']]);
+            assert.strictEqual(result.mismatches[0].detail, '"JP" is not an available option of "country"');
+        }],
+        ['fails a selection of a hidden or removed field', () => {
+            const scenario = { ...recorded, selections: { ...recorded.selections, state: 'Texas', nickname: 'Bob' } };
+            const statuses = runScenario(form, scenario).mismatches
+                .filter(mismatch => mismatch.aspect === 'selection')
+                .map(mismatch => [mismatch.actual.field, mismatch.actual.status]);
+            assert.deepStrictEqual(statuses, [['state', 'hidden'], ['nickname', 'missing']]);
+        }],
+        ['fails a scenario that expects nothing', () => {
+            const suite = parseScenarioSuite([{ name: 'No expectations', selections: { subjectTypes: 'Customer' } }]);
+            const replay = runScenarioSuite(form, suite);
+            assert.strictEqual(replay.failed, 1);
+            assert.deepStrictEqual(failedAspects(replay.results[0]), ['expected']);
+        }],
+        ['rejects scenario files without names or selections', () => {
+            assert.throws(() => parseScenarioSuite([{ selections: {} }]), /Scenario #1 has no name/);
+            assert.throws(() => parseScenarioSuite({ scenarios: [{ name: 'x' }] }), /"x" has no selections/);
+        }],
+        ['covers a workflow only when a journey assigns it', () => {
+            ['US Access', 'EU or Employee', 'Access+Deletion', 'Customers', 'Not Japan'].forEach(ruleName => {
+                assert.strictEqual(goalCovered(`Workflow "${ruleName}" is assigned`), true, ruleName);
+            });
+        }],
+        ['lists workflows no journey assigns as uncovered', () => {
+            // "Customer OptOut" matches in many journeys but always behind "Customers"
+            assert.deepStrictEqual(generated.uncovered.filter(label => label.startsWith('Workflow')), [
+                'Workflow "Customer OptOut" is assigned',
+                'Workflow "Portability" is assigned',
+                'Workflow "Dangling" is assigned'
+            ]);
+        }],
+        ['expects the workflow a test case is named after', () => {
+            generated.suite.scenarios.forEach(scenario => {
+                const match = /^TC\d+ - Workflow "(.+)" is assigned$/.exec(scenario.name);
+                if (match) {
+                    assert.strictEqual(scenario.expected.assignedWorkflow.ruleName, match[1], scenario.name);
+                }
+            });
+        }],
+        ['generates from an exploration passed in instead of exploring again', () => {
+            const exploration = exploreFormPaths(form);
+            const onlyDefault = { ...exploration, paths: exploration.paths.filter(path => path.assignment.usedDefault) };
+            const result = generateScenarioSuite(form, { exploration: onlyDefault });
+            assert.strictEqual(result.journeysConsidered, onlyDefault.paths.length);
+            assert.ok(result.suite.scenarios.every(scenario => scenario.expected.assignedWorkflow.ruleName === null));
+        }],
+        ['flags goals left uncovered by an incomplete exploration', () => {
+            assert.deepStrictEqual([generated.truncated, generated.partialMultiSelect], [false, false]);
+            const limited = generateScenarioSuite(form, { maxPaths: 3 });
+            assert.strictEqual(limited.truncated, true);
+            assert.ok(limited.uncovered.length > generated.uncovered.length);
+        }],
+        ['covers the submit and attachment rules and both visibility outcomes', () => {
+            assert.strictEqual(goalCovered('Submit rule "Block Brazil" fires'), true);
+            assert.strictEqual(goalCovered('Attachment rule "Access needs ID" fires'), true);
+            assert.strictEqual(goalCovered('Visibility rule "US only" on state is true'), true);
+            assert.strictEqual(goalCovered('Visibility rule "US only" on state is false'), true);
+            assert.strictEqual(goalCovered('Visibility rule "Deletion details" on details is true'), false);
+        }]
+    ]);
+}
+
+main().catch(error => {
+    console.error('❌ Tests failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,97 @@
+/**
+ * Test script for the headless simulation CLI (simulate-webform.js)
+ *
+ * Runs the CLI on the test webform of test-fixture.js, written to a temporary
+ * directory in its wrapped and root-level layouts, and checks the --json
+ * output. Exits 1 when a check fails.
+ *
+ * Usage:
+ *   node test-simulate-webform.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { buildTestWebform, runTests } = require('./test-fixture.js');
+
+const CLI = path.join(__dirname, 'simulate-webform.js');
+
+async function main() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'simulate-webform-'));
+    const wrappedPath = path.join(dir, 'wrapped.json');
+    const rootLevelPath = path.join(dir, 'root-level.json');
+    const selectionsPath = path.join(dir, 'selections.json');
+    fs.writeFileSync(wrappedPath, JSON.stringify(buildTestWebform()));
+    fs.writeFileSync(rootLevelPath, JSON.stringify(buildTestWebform().webformData));
+    fs.writeFileSync(selectionsPath, JSON.stringify({ subjectTypes: 'Employee', requestTypes: ['Deletion', 'OptOut'], country: 'JP' }));
+
+    const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+    const simulate = (...args) => {
+        const result = run(...args, '--json');
+        assert.strictEqual(result.status, 0, result.stderr);
+        return JSON.parse(result.stdout);
+    };
+    const usAccess = ['--set', 'subjectTypes=Customer', '--set', 'requestTypes=Access,Deletion', '--set', 'country=US'];
+
+    try {
+        await runTests('TESTING HEADLESS SIMULATION CLI', [
+            ['assigns the first matching workflow and lists the ones that fire', () => {
+                const output = simulate(wrappedPath, ...usAccess);
+                assert.deepStrictEqual(output.selections.requestTypes, ['Access', 'Deletion']);
+                assert.deepStrictEqual(output.assignment, { ruleName: 'US Access', ruleSequence: 1, workflowId: 'wf-1', usedDefault: false });
+                assert.deepStrictEqual(output.firedWorkflows.map(w => [w.ruleName, w.status]),
+                    [['US Access', 'assigned'], ['Access+Deletion', 'shadowed'], ['Customers', 'shadowed'], ['Not Japan', 'shadowed']]);
+                assert.strictEqual(output.firedWorkflows[0].deadline, 30);
+            }],
+            ['gives the same result for a root-level export', () => {
+                const wrapped = simulate(wrappedPath, ...usAccess);
+                const rootLevel = simulate(rootLevelPath, ...usAccess);
+                assert.deepStrictEqual({ ...rootLevel, templateName: null }, { ...wrapped, templateName: null });
+            }],
+            ['shows the translated errorMessage of a disabled submit button', () => {
+                const output = simulate(wrappedPath, '--set', 'subjectTypes=Customer', '--set', 'requestTypes=Access', '--set', 'country=BR');
+                assert.strictEqual(output.submit.disabled, true);
+                assert.strictEqual(output.submit.message, 'blockmsg');
+                assert.strictEqual(output.submit.messageText, 'Requests from Brazil are not accepted');
+                assert.strictEqual(output.attachment.shown, true);
+            }],
+            ['reads selections from a JSON file and lets --set override them', () => {
+                const output = simulate(wrappedPath, '--selections', selectionsPath);
+                assert.deepStrictEqual(output.assignment, { ruleName: 'EU or Employee', ruleSequence: 2, workflowId: 'wf-2', usedDefault: false });
+                const overridden = simulate(wrappedPath, '--selections', selectionsPath, '--set', 'requestTypes=OptOut');
+                assert.deepStrictEqual([overridden.assignment.workflowId, overridden.assignment.usedDefault], ['wf-default', true]);
+            }],
+            ['warns about unknown fields, hidden fields and unavailable options', () => {
+                const output = simulate(wrappedPath, '--set', 'country=DE', '--set', 'state=Texas', '--set', 'nickname=Bob', '--set', 'employer=Nowhere');
+                assert.deepStrictEqual(output.warnings, [
+                    '"state" is hidden for these selections - its value was ignored',
+                    '"nickname" is not a field of this webform',
+                    '"employer" is hidden for these selections - its value was ignored'
+                ]);
+                assert.ok(!output.visibleFields.includes('state'));
+                assert.deepStrictEqual(simulate(wrappedPath, '--set', 'country=FR').warnings, ['"FR" is not an available option of "country"']);
+            }],
+            ['prints the readable report without --json', () => {
+                const result = run(wrappedPath, ...usAccess);
+                assert.strictEqual(result.status, 0, result.stderr);
+                assert.ok(result.stdout.includes('📄 Webform: Test Form'));
+                assert.ok(result.stdout.includes('✅ #1 US Access - ASSIGNED (workflow wf-1, deadline 30 days)'));
+                assert.ok(result.stdout.includes('➡️ US Access (rule #1, workflow wf-1)'));
+            }],
+            ['rejects a --set without a field name', () => {
+                const result = run(wrappedPath, '--set', '=US');
+                assert.strictEqual(result.status, 1);
+                assert.ok(result.stderr.includes('Invalid --set value "=US" (expected field=value)'));
+            }]
+        ]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Tests failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,209 @@
+/**
+ * Test script for the webform diff (webform-diff.js)
+ *
+ * Compares the test webform of test-fixture.js with a next version that
+ * changes one thing of every kind the diff reports, by concept and by the
+ * journeys whose outcome changes. Exits 1 when a check fails.
+ *
+ * Usage:
+ *   node test-webform-diff.js
+ */
+
+const assert = require('assert');
+const { buildTestWebform, loadTestWebform, runTests } = require('./test-fixture.js');
+const { loadWebform } = require('../../webform-loader.js');
+const {
+    diffWebforms,
+    formatWebformDiff,
+    diffWebformBehavior,
+    formatBehaviorDiff
+} = require('../../webform-diff.js');
+
+/**
+ * Builds the next version of the test webform
+ * @returns {Object} - { webformData }
+ */
+function buildNextWebform() {
+    const json = buildTestWebform();
+    const data = json.webformData;
+    const field = key => data.fields.find(f => f.fieldKey === key);
+    const rule = name => data.rules.REQUEST_CREATION.find(r => r.ruleName === name);
+
+    data.fields = data.fields.filter(f => f.fieldKey !== 'department');
+    data.fields.push({ ...field('email'), fieldKey: 'phone', inputType: 'Phone' });
+    field('country').isRequired = true;
+    field('country').options = [
+        { key: 'US', value: 'US' },
+        { key: 'DE', value: 'Germany' },
+        { key: 'BR', value: 'BR' },
+        { key: 'FR', value: 'FR' }
+    ];
+    field('state').visibilityRules.rules[0].ruleConditions[0].ruleSubConditions[0].valueToCompareWith = 'BR';
+
+    rule('Customers').ruleSequence = 5;
+    rule('Customer OptOut').ruleSequence = 4;
+    rule('US Access').ruleActionParameters = JSON.stringify([{ field: 'WORKFLOWID', value: 'wf-us' }, { field: 'DEADLINE', value: 45 }]);
+    data.rules.REQUEST_CREATION.push({
+        ...rule('Not Japan'),
+        ruleName: 'France',
+        criteriaInformation: { conditionGroups: [{ logicalOperator: 'AND', conditions: [{ field: 'country', operator: 'EQUAL_TO', value: 'FR' }] }] }
+    });
+    data.rules.REQUEST_CREATION = data.rules.REQUEST_CREATION.filter(r => r.ruleName !== 'Not Japan');
+
+    const portability = data.webFormDto.requestTypes.find(type => type.id === 'g-port');
+    portability.status = 10;
+    portability.isSelected = true;
+    data.formTranslations['en-us'].country = 'Country of residence';
+    data.formTranslations['de-de'] = { country: 'Land' };
+    data.uiFields[0].visibilityRules.rules[0].actions[0].errorMessage = 'blockmsg2';
+    data.settings[0].value.workflowRefId = 'wf-default-2';
+    return json;
+}
+
+async function main() {
+    const before = await loadTestWebform();
+    const after = await loadWebform(buildNextWebform(), { hashCache: null });
+    const diff = diffWebforms(before, after);
+    const behavior = diffWebformBehavior(before, after);
+    const changesOf = selections => {
+        const difference = behavior.differences.find(d => JSON.stringify(d.selections) === JSON.stringify(selections));
+        assert.ok(difference, `no changed journey for ${JSON.stringify(selections)}`);
+        return difference.changes;
+    };
+    // Only the order of "Customers" and "Customer OptOut" differs
+    const reordered = await loadTestWebform();
+    reordered.workflowRules.find(rule => rule.ruleName === 'Customers').ruleSequence = 5;
+    reordered.workflowRules.find(rule => rule.ruleName === 'Customer OptOut').ruleSequence = 4;
+    const reorderBehavior = diffWebformBehavior(before, reordered);
+
+    await runTests('TESTING WEBFORM DIFF', [
+        ['reports added, removed and changed fields', () => {
+            assert.deepStrictEqual(diff.fields.added.map(f => [f.key, f.type]), [['phone', 'Phone']]);
+            assert.deepStrictEqual(diff.fields.removed.map(f => f.key), ['department']);
+            assert.deepStrictEqual(diff.fields.changed, [{
+                key: 'country',
+                label: 'Country of residence',
+                changes: [
+                    { property: 'label', before: 'Country', after: 'Country of residence' },
+                    { property: 'required', before: false, after: true }
+                ]
+            }]);
+        }],
+        ['reports added, removed and re-labelled options', () => {
+            assert.deepStrictEqual(diff.options, [{
+                fieldKey: 'country',
+                added: ['FR'],
+                removed: ['JP'],
+                relabelled: [{ key: 'DE', before: 'DE', after: 'Germany' }],
+                reordered: false
+            }]);
+        }],
+        ['reports changed visibility rules with both versions described', () => {
+            assert.deepStrictEqual(diff.visibility, [{
+                fieldKey: 'state',
+                change: 'changed',
+                ruleName: 'US only',
+                before: 'country = US → SHOW_QUESTION',
+                after: 'country = BR → SHOW_QUESTION'
+            }]);
+        }],
+        ['reports workflow rules added, removed and changed', () => {
+            assert.deepStrictEqual(diff.workflows.added.map(w => [w.ruleName, w.criteria]), [['France', 'country = FR']]);
+            assert.deepStrictEqual(diff.workflows.removed.map(w => [w.ruleName, w.criteria]), [['Not Japan', 'country ≠ JP']]);
+            const usAccess = diff.workflows.changed.find(w => w.ruleName === 'US Access');
+            assert.deepStrictEqual(usAccess.changes, [
+                { property: 'workflowId', before: 'wf-1', after: 'wf-us' },
+                { property: 'deadline', before: 30, after: 45 }
+            ]);
+        }],
+        ['reports a change of evaluation order', () => {
+            assert.strictEqual(diff.workflows.orderChanged, true);
+            assert.deepStrictEqual(diff.workflows.beforeOrder.slice(3, 5), ['Customers', 'Customer OptOut']);
+            assert.deepStrictEqual(diff.workflows.afterOrder.slice(3, 5), ['Customer OptOut', 'Customers']);
+        }],
+        ['reports request types toggled, translations, submit rules and the default workflow', () => {
+            assert.deepStrictEqual(diff.requestTypes, [{ fieldName: 'Portability', change: 'enabled' }]);
+            assert.deepStrictEqual(diff.subjectTypes, []);
+            assert.deepStrictEqual(diff.translations, {
+                'en-us': { added: [], removed: [], changed: [{ key: 'country', before: 'Country', after: 'Country of residence' }] },
+                'de-de': { added: ['country'], removed: [], changed: [] }
+            });
+            assert.deepStrictEqual(diff.submitRules.map(r => [r.change, r.ruleName]), [['changed', 'Block Brazil']]);
+            assert.deepStrictEqual(diff.attachmentRules, []);
+            assert.deepStrictEqual(diff.defaultWorkflow, { before: 'wf-default', after: 'wf-default-2' });
+        }],
+        ['matches repeated rule names occurrence by occurrence', async () => {
+            const json = buildTestWebform();
+            const rules = json.webformData.rules.REQUEST_CREATION;
+            rules.push({ ...rules[0], ruleSequence: 9 });
+            const result = diffWebforms(before, await loadWebform(json, { hashCache: null }));
+            assert.deepStrictEqual(result.workflows.added.map(w => w.ruleName), ['Customers (2)']);
+            assert.deepStrictEqual(result.duplicates, [{ kind: 'workflow rule', owner: null, key: 'Customers', before: 1, after: 2 }]);
+            assert.strictEqual(result.summary.duplicateCountsChanged, 1);
+        }],
+        ['formats the report by concept', () => {
+            const lines = formatWebformDiff(diff);
+            ['Fields:', 'Options:', 'Visibility rules:', 'Workflow rules:', 'Default workflow:', 'Request types:', 'Submit button rules:', 'Translations:']
+                .forEach(title => assert.ok(lines.includes(title), `no "${title}" section`));
+            assert.ok(lines.includes('  ~ country: required "false" → "true"'));
+            assert.ok(lines.includes('  + #8 France: country = FR'));
+        }],
+        ['lists the journeys whose workflow a new rule order changes', () => {
+            assert.strictEqual(reorderBehavior.journeysCompared, 84);
+            assert.deepStrictEqual(reorderBehavior.summary, {
+                changedJourneys: 13,
+                workflowChanged: 13,
+                visibilityChanged: 0,
+                optionsChanged: 0,
+                submitChanged: 0,
+                attachmentChanged: 0
+            });
+            reorderBehavior.differences.forEach(difference => {
+                assert.deepStrictEqual(difference.changes, [{ aspect: 'workflow', before: 'Customers (wf-4)', after: 'Customer OptOut (wf-5)' }]);
+                assert.strictEqual(difference.selections.subjectTypes, 'Customer');
+                assert.ok(difference.selections.requestTypes.includes('OptOut'));
+            });
+        }],
+        ['replays the journeys of both versions', () => {
+            // Japan is only offered before, France only after
+            assert.deepStrictEqual(changesOf({ subjectTypes: 'Employee', requestTypes: ['OptOut'], country: 'JP' }), [
+                { aspect: 'workflow', before: 'default workflow (wf-default)', after: 'default workflow (wf-default-2)' },
+                { aspect: 'options', noLongerOffered: ['country=JP'], nowOffered: [] }
+            ]);
+            assert.deepStrictEqual(changesOf({ subjectTypes: 'Employee', requestTypes: ['OptOut'], country: 'FR' }), [
+                { aspect: 'workflow', before: 'Not Japan (wf-8)', after: 'France (wf-8)' },
+                { aspect: 'options', noLongerOffered: [], nowOffered: ['country=FR'] }
+            ]);
+        }],
+        ['reports changed visibility and submit state per journey', () => {
+            const brazil = changesOf({ subjectTypes: 'Employee', requestTypes: ['OptOut'], country: 'BR' });
+            assert.deepStrictEqual(brazil.slice(1), [
+                { aspect: 'visibility', shown: ['state'], hidden: [] },
+                { aspect: 'submit', before: 'blocked: blockmsg', after: 'blocked: blockmsg2' }
+            ]);
+            const us = changesOf({ subjectTypes: 'Employee', requestTypes: ['OptOut'], country: 'US' });
+            assert.deepStrictEqual(us[1], { aspect: 'visibility', shown: [], hidden: ['state'] });
+        }],
+        ['formats the journeys with a different outcome', () => {
+            const lines = formatBehaviorDiff(reorderBehavior);
+            assert.strictEqual(lines[0], 'Journeys compared: 84, with a different outcome: 13');
+            assert.ok(lines.includes('   ~ workflow: Customers (wf-4) → Customer OptOut (wf-5)'));
+        }],
+        ['warns when the journey limit cut the comparison short', () => {
+            const limited = diffWebformBehavior(before, after, { maxPaths: 3 });
+            assert.deepStrictEqual([limited.truncated, behavior.truncated], [true, false]);
+            assert.ok(formatBehaviorDiff(limited).includes('⚠️ Journey exploration was truncated - some combinations were not compared'));
+        }],
+        ['finds no differences between identical versions', async () => {
+            const same = diffWebforms(before, await loadTestWebform());
+            assert.strictEqual(same.hasDifferences, false);
+            assert.deepStrictEqual(formatWebformDiff(same), ['✅ No semantic differences']);
+            assert.deepStrictEqual(diffWebformBehavior(before, await loadTestWebform()).differences, []);
+        }]
+    ]);
+}
+
+main().catch(error => {
+    console.error('❌ Tests failed:', error.message);
+    process.exit(1);
+});
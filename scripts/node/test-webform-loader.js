@@ -0,0 +1,78 @@
+/**
+ * Test script for the webform loader (webform-loader.js)
+ *
+ * Loads the test webform of test-fixture.js and checks the criteria trees the
+ * rule engine evaluates: condition groups and their operators, operator names,
+ * GUID and multiselectFields. mapping, and the country inferred from a rule name
+ * when its hashed criteria cannot be reversed. Exits 1 when a check fails.
+ *
+ * Usage:
+ *   node test-webform-loader.js
+ */
+
+const assert = require('assert');
+const { buildTestWebform, runTests } = require('./test-fixture.js');
+const { loadWebform, normalizeCriteriaOperator } = require('../../webform-loader.js');
+const { sha512 } = require('../../webform-hash-lookup.js');
+const { simulateWebform } = require('../../webform-rule-engine.js');
+
+async function main() {
+    const json = buildTestWebform();
+    // A hashed criterion no dictionary reverses, in a field no dictionary is meant for
+    json.webformData.rules.REQUEST_CREATION.push({
+        ruleName: 'CCPA Requests',
+        ruleSequence: 9,
+        ruleActionParameters: JSON.stringify([{ field: 'WORKFLOWID', value: 'wf-9' }]),
+        criteriaInformation: { conditionGroups: [{ conditions: [{ field: 'jurisdictionHash', operator: 'EQUAL_TO', value: await sha512('California Consumer Privacy Act') }] }] }
+    });
+    const form = await loadWebform(json, { hashCache: null });
+    const workflow = ruleName => form.workflowRules.find(w => w.ruleName === ruleName);
+    const conditionsOf = ruleName => workflow(ruleName).criteriaTree.groups.map(group =>
+        group.conditions.map(condition => [condition.field, condition.operator, condition.values]));
+
+    await runTests('TESTING WEBFORM LOADER', [
+        ['keeps the condition groups and their operators', () => {
+            const tree = workflow('EU or Employee').criteriaTree;
+            assert.strictEqual(tree.operator, 'OR');
+            assert.deepStrictEqual(tree.groups.map(group => group.operator), ['AND', 'AND']);
+            assert.deepStrictEqual(conditionsOf('EU or Employee'), [
+                [['country', 'EQUALS', ['DE']]],
+                [['subjectTypes', 'EQUALS', ['Employee']], ['requestTypes', 'EQUALS', ['Deletion']]]
+            ]);
+        }],
+        ['defaults a missing logical operator to AND', () => {
+            assert.strictEqual(workflow('US Access').criteriaTree.operator, 'AND');
+        }],
+        ['maps GUIDs to type names and array values to a value list', () => {
+            assert.deepStrictEqual(conditionsOf('Access+Deletion'), [[['requestTypes', 'CONTAINS_ALL', ['Access', 'Deletion']]]]);
+        }],
+        ['marks fields addressed as multiselectFields. as multi-select', () => {
+            assert.strictEqual(form.fields.find(field => field.key === 'requestTypes').isMultiSelect, true);
+            assert.ok(!form.fields.find(field => field.key === 'country').isMultiSelect);
+        }],
+        ['normalizes the raw operator names', () => {
+            assert.deepStrictEqual(['EQUAL_TO', 'not_equal_to', 'ALL_OF', 'NONE_OF', 'IS_NULL', 'BETWEEN'].map(normalizeCriteriaOperator),
+                ['EQUALS', 'NOT_EQUALS', 'CONTAINS_ALL', 'NOT_EQUALS', 'IS_EMPTY', 'BETWEEN']);
+        }],
+        ['reads the default workflow from the settings', () => {
+            assert.strictEqual(form.defaultWorkflowId, 'wf-default');
+        }],
+        ['shows and evaluates the country inferred from the rule name alike', () => {
+            const rule = workflow('CCPA Requests');
+            assert.deepStrictEqual(rule.ruleCriteria.map(c => [c.field, c.values, c.inferred]), [['country', ['US'], true]]);
+            const [condition] = rule.criteriaTree.groups[0].conditions;
+            assert.deepStrictEqual([condition.field, condition.values, condition.inferred], ['country', ['US'], true]);
+
+            const statusFor = country => simulateWebform(form, { subjectTypes: 'Employee', requestTypes: ['OptOut'], country })
+                .workflows.find(w => w.ruleName === 'CCPA Requests').status;
+            // "Not Japan" (#8) matches US too and comes first
+            assert.strictEqual(statusFor('US'), 'shadowed');
+            assert.strictEqual(statusFor('JP'), 'not-matched');
+        }]
+    ]);
+}
+
+main().catch(error => {
+    console.error('❌ Tests failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,80 @@
+/**
+ * Test script for the webform schema validation (webform-schema.js)
+ *
+ * Validates the test webform of test-fixture.js in its supported layouts and
+ * with broken parts, and checks that the operators the schema accepts are the
+ * ones the rule engine evaluates. Exits 1 when a check fails.
+ *
+ * Usage:
+ *   node test-webform-schema.js
+ */
+
+const assert = require('assert');
+const { buildTestWebform, runTests } = require('./test-fixture.js');
+const { validateWebformJson } = require('../../webform-schema.js');
+const { evaluateVisibilityRule } = require('../../webform-rule-engine.js');
+
+async function main() {
+    const broken = buildTestWebform();
+    const brokenFields = broken.webformData.fields;
+    brokenFields[2].options = 'US';
+    brokenFields[4].visibilityRules = { rules: [{ logicalOperatorForConditions: 'XOR' }] };
+    broken.webformData.rules.REQUEST_CREATION[1].ruleActionParameters = 'not json';
+    brokenFields.push({ ...brokenFields[0] });
+    const brokenResult = validateWebformJson(broken);
+    const errorPaths = brokenResult.errors.map(error => error.path);
+
+    await runTests('TESTING WEBFORM SCHEMA VALIDATION', [
+        ['accepts a complete export', () => {
+            assert.deepStrictEqual(validateWebformJson(buildTestWebform()), { valid: true, format: 'wrapped', errors: [], warnings: [] });
+        }],
+        ['accepts root-level and nested layouts', () => {
+            assert.strictEqual(validateWebformJson(buildTestWebform().webformData).format, 'root-level');
+            const nested = validateWebformJson({ payload: { template: buildTestWebform().webformData } });
+            assert.deepStrictEqual([nested.valid, nested.format], [true, 'nested']);
+        }],
+        ['reports type errors with the JSON path', () => {
+            assert.strictEqual(brokenResult.valid, false);
+            assert.deepStrictEqual(brokenResult.errors[0], { path: 'root.webformData.fields[2].options', message: 'Expected array or null, found string' });
+        }],
+        ['rejects unknown logical operators', () => {
+            assert.ok(errorPaths.includes('root.webformData.fields[4].visibilityRules.rules[0].logicalOperatorForConditions'));
+        }],
+        ['rejects ruleActionParameters that are not a JSON array', () => {
+            assert.ok(errorPaths.includes('root.webformData.rules.REQUEST_CREATION[1].ruleActionParameters'));
+        }],
+        ['warns about duplicate field keys', () => {
+            assert.deepStrictEqual(brokenResult.warnings.map(warning => warning.path), ['root.webformData.fields[8].fieldKey']);
+        }],
+        ['reports paths where a nested part was found', () => {
+            const nested = { payload: { template: buildTestWebform().webformData } };
+            nested.payload.template.fields[0].isRequired = 'yes';
+            assert.deepStrictEqual(validateWebformJson(nested).errors.map(error => error.path), ['root.payload.template.fields[0].isRequired']);
+        }],
+        ['rejects data that is not an object', () => {
+            assert.deepStrictEqual(validateWebformJson('x').errors, [{ path: 'root', message: 'Expected a webform object, found string' }]);
+        }],
+        ['evaluates the lower-case operators it accepts like upper-case ones', () => {
+            const json = buildTestWebform();
+            const rule = {
+                logicalOperatorForConditions: 'and',
+                ruleConditions: [
+                    { selectedField: 'country', logicalOperatorForSubConditions: 'or', ruleSubConditions: [{ comparisonOperator: 'EQUALS', valueToCompareWith: 'US' }] },
+                    { selectedField: 'subjectTypes', ruleSubConditions: [{ comparisonOperator: 'EQUALS', valueToCompareWith: 'Customer' }] }
+                ],
+                actions: [{ action: 'SHOW_QUESTION' }]
+            };
+            json.webformData.fields[4].visibilityRules = { rules: [rule] };
+            assert.strictEqual(validateWebformJson(json).valid, true);
+            assert.strictEqual(evaluateVisibilityRule(rule, { country: 'US', subjectTypes: 'Employee' }), false);
+            assert.strictEqual(evaluateVisibilityRule(rule, { country: 'US', subjectTypes: 'Customer' }), true);
+            rule.ruleConditions[0].ruleSubConditions[0].comparisonOperator = 'not_equals';
+            assert.strictEqual(evaluateVisibilityRule(rule, { country: 'DE', subjectTypes: 'Customer' }), true);
+        }]
+    ]);
+}
+
+main().catch(error => {
+    console.error('❌ Tests failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,163 @@
+/**
+ * Test script for the webform translations (webform-translations.js)
+ *
+ * Discovers the languages of the test webform of test-fixture.js, with a German
+ * dictionary and a listed French language added, and resolves keys with the
+ * default-language fallback, then audits a German dictionary with an
+ * untranslated text, a lost placeholder and a label left as its field key,
+ * and a French language without texts. Last, imports an edited CSV table
+ * back into the webform. Exits 1 when a check fails.
+ *
+ * Usage:
+ *   node test-webform-translations.js
+ */
+
+const assert = require('assert');
+const { buildTestWebform, runTests } = require('./test-fixture.js');
+const {
+    getFormLanguages,
+    translateFormKey,
+    getTranslationPlaceholders,
+    auditFormTranslations,
+    parseTranslationCsv,
+    parseTranslationTable,
+    importTranslationTable
+} = require('../../webform-translations.js');
+
+async function main() {
+    const json = buildTestWebform();
+    const data = json.webformData;
+    // languageList mixes the { code } entries of current exports with a plain code
+    data.webFormDto.languageList = [{ code: 'en-us' }, { code: 'de-de' }, 'fr-fr'];
+    data.formTranslations['de-de'] = { country: 'Land' };
+    const formLanguages = getFormLanguages(json);
+
+    const auditedJson = buildTestWebform();
+    const audited = auditedJson.webformData;
+    audited.webFormDto.languageList = [{ code: 'en-us' }, { code: 'de-de' }, { code: 'fr-fr' }];
+    audited.formTranslations['en-us'].hello = 'Hello {name}, ref %s';
+    audited.formTranslations['de-de'] = { country: 'Country', blockmsg: 'Anfragen aus Brasilien', hello: 'Hallo {name}', email: 'email' };
+    const audit = auditFormTranslations(getFormLanguages(auditedJson), { fieldKeys: audited.fields.map(field => field.fieldKey) });
+    const findingsOf = language => audit.findings
+        .filter(finding => finding.language === language)
+        .map(finding => [finding.key, finding.kind]);
+
+    // Excel saves semicolon-separated CSV with a BOM in many European locales
+    const importCsv = '\uFEFFKey;en-us;de-de;Issues\r\n'
+        + 'country;Country;Land (neu);1 issue\r\n'
+        + 'state;;"Bundes""staat""";\n'
+        + 'hello;;Hallo;\n'
+        + 'nickname;;Spitzname;\n'
+        + 'country;;Doppelt;\n'
+        + ';;Leer;\n'
+        + 'email;E-mail;;\n';
+    const importedJson = buildTestWebform();
+    importedJson.webformData.webFormDto.languageList = [{ code: 'en-us' }, { code: 'de-de' }];
+    importedJson.webformData.formTranslations['en-us'].hello = 'Hello {name}';
+    importedJson.webformData.formTranslations['de-de'] = { country: 'Land' };
+    const table = parseTranslationTable(parseTranslationCsv(importCsv));
+    const imported = importTranslationTable(importedJson, table);
+
+    await runTests('TESTING WEBFORM TRANSLATIONS', [
+        ['lists the languages of the dictionaries and of the languageList', () => {
+            assert.deepStrictEqual(formLanguages.languages, ['en-us', 'de-de', 'fr-fr']);
+            assert.strictEqual(formLanguages.defaultLanguage, 'en-us');
+            assert.strictEqual(formLanguages.path, 'root.webformData.formTranslations');
+            assert.deepStrictEqual(formLanguages.translations['de-de'], { country: 'Land' });
+        }],
+        ['finds translations by shape when the export has no metadata', () => {
+            const nested = { payload: { template: { fields: data.fields, texts: { 'ja-jp': { country: '国' }, 'pt-br': { country: 'País' } } } } };
+            const found = getFormLanguages(nested);
+            assert.deepStrictEqual([found.languages, found.defaultLanguage, found.path], [['ja-jp', 'pt-br'], 'ja-jp', 'root.payload.template.texts']);
+        }],
+        ['falls back to en-us for a webform without translations', () => {
+            assert.deepStrictEqual(getFormLanguages({}), { languages: ['en-us'], defaultLanguage: 'en-us', translations: {}, path: null });
+        }],
+        ['resolves a key in the requested language', () => {
+            assert.deepStrictEqual(translateFormKey(formLanguages, 'de-de', 'country'), { text: 'Land', missing: false });
+            assert.deepStrictEqual(translateFormKey(formLanguages, 'en-us', 'blockmsg'), { text: 'Requests from Brazil are not accepted', missing: false });
+        }],
+        ['flags a key shown in the default language instead', () => {
+            assert.deepStrictEqual(translateFormKey(formLanguages, 'de-de', 'blockmsg'), { text: 'Requests from Brazil are not accepted', missing: true });
+            assert.deepStrictEqual(translateFormKey(formLanguages, 'fr-fr', 'country'), { text: 'Country', missing: true });
+        }],
+        ['returns no text for a key no language has', () => {
+            assert.deepStrictEqual(translateFormKey(formLanguages, 'fr-fr', 'nickname'), { text: null, missing: false });
+            assert.deepStrictEqual(translateFormKey(null, 'fr-fr', 'country'), { text: null, missing: false });
+        }],
+        ['lists the placeholders of a text in every supported style', () => {
+            assert.deepStrictEqual(getTranslationPlaceholders('Hi {{ user.name }}, ${id} {0} %s %1$d'), ['${id}', '%1$d', '%s', '{0}', '{{ user.name }}']);
+            assert.deepStrictEqual(getTranslationPlaceholders(null), []);
+        }],
+        ['summarizes the coverage of every language against the default one', () => {
+            assert.deepStrictEqual(audit.summary.map(({ language, total, translated, percent, missing, untranslated, placeholderMismatches }) =>
+                [language, total, translated, percent, missing, untranslated, placeholderMismatches]), [
+                ['en-us', 3, 3, 100, 0, 0, 0],
+                ['de-de', 3, 2, 66.7, 0, 1, 1],
+                ['fr-fr', 3, 0, 0, 3, 0, 0]
+            ]);
+            assert.deepStrictEqual(audit.keys.slice(0, 4), ['country', 'blockmsg', 'hello', 'subjectTypes']);
+        }],
+        ['reports untranslated texts and lost placeholders', () => {
+            assert.deepStrictEqual(findingsOf('de-de'), [['country', 'UNTRANSLATED'], ['hello', 'PLACEHOLDER_MISMATCH'], ['email', 'RAW_KEY_LABEL']]);
+            assert.strictEqual(audit.findings.find(finding => finding.kind === 'PLACEHOLDER_MISMATCH').message, 'en-us has %s, {name}, de-de has {name}');
+        }],
+        ['reports every default text a language lacks', () => {
+            assert.deepStrictEqual(findingsOf('fr-fr'), [['country', 'MISSING'], ['blockmsg', 'MISSING'], ['hello', 'MISSING']]);
+            assert.strictEqual(audit.findings.find(finding => finding.language === 'fr-fr').message, 'No fr-fr text; "Country" (en-us) is shown instead');
+        }],
+        ['reports default-language field labels that fall back to the field key', () => {
+            assert.deepStrictEqual(findingsOf('en-us'), ['subjectTypes', 'requestTypes', 'state', 'email', 'details', 'employer', 'department']
+                .map(key => [key, 'RAW_KEY_LABEL']));
+        }],
+        ['splits CSV with quotes, doubled quotes and line breaks in cells', () => {
+            assert.deepStrictEqual(parseTranslationCsv('Key,en-us\n"a,b","line\nbreak"\n\n'), [['Key', 'en-us'], ['a,b', 'line\nbreak']]);
+            assert.deepStrictEqual(parseTranslationCsv(importCsv)[2], ['state', '', 'Bundes"staat"', '']);
+        }],
+        ['reads the language columns next to the Key column', () => {
+            assert.deepStrictEqual(table.languages, ['en-us', 'de-de']);
+            assert.deepStrictEqual(table.entries[0], { rowNumber: 2, key: 'country', values: { 'en-us': 'Country', 'de-de': 'Land (neu)' } });
+            const titled = parseTranslationTable([['Translations'], ['Key', 'FR'], ['country', 'Pays']]);
+            assert.deepStrictEqual(titled, { languages: ['fr'], entries: [{ rowNumber: 3, key: 'country', values: { fr: 'Pays' } }] });
+        }],
+        ['rejects tables without a Key column or language columns', () => {
+            assert.throws(() => parseTranslationTable([['Field', 'en-us']]), /No "Key" column found/);
+            assert.throws(() => parseTranslationTable([['Key', 'Notes']]), /No language columns found/);
+        }],
+        ['adds and changes texts in a copy of the webform', () => {
+            assert.deepStrictEqual(imported.added, [
+                { language: 'de-de', key: 'state', text: 'Bundes"staat"' },
+                { language: 'en-us', key: 'email', text: 'E-mail' }
+            ]);
+            assert.deepStrictEqual(imported.changed, [{ language: 'de-de', key: 'country', from: 'Land', to: 'Land (neu)' }]);
+            assert.strictEqual(imported.unchanged, 1);
+            assert.strictEqual(imported.webformJson.webformData.formTranslations, imported.formTranslations);
+            assert.deepStrictEqual(importedJson.webformData.formTranslations['de-de'], { country: 'Land' });
+        }],
+        ['rejects lost placeholders, unknown and repeated keys and rows without a key', () => {
+            assert.deepStrictEqual(imported.rejected.map(({ key, rowNumber, reason }) => [key, rowNumber, reason]), [
+                ['hello', 4, 'Placeholders differ from en-us ("Hello {name}")'],
+                ['nickname', 5, 'Key is not used by this webform'],
+                ['country', 6, 'Key already imported from row 2'],
+                ['', 7, 'Row has text but no key']
+            ]);
+        }],
+        ['rejects languages the form is not set up for', () => {
+            const result = importTranslationTable(importedJson, parseTranslationTable([['Key', 'en-us', 'fr-fr'], ['country', 'Country', 'Pays']]));
+            assert.deepStrictEqual(result.rejected, [{ language: 'fr-fr', key: null, rowNumber: null, reason: 'Language "fr-fr" is not set up on this form' }]);
+            assert.strictEqual(result.formTranslations['fr-fr'], undefined);
+        }],
+        ['creates formTranslations on a root-level export that has none', () => {
+            const rootLevel = buildTestWebform().webformData;
+            delete rootLevel.formTranslations;
+            const result = importTranslationTable(rootLevel, parseTranslationTable([['Key', 'en-us'], ['country', 'Country']]));
+            assert.deepStrictEqual(result.webformJson.formTranslations, { 'en-us': { country: 'Country' } });
+            assert.strictEqual(rootLevel.formTranslations, undefined);
+        }]
+    ]);
+}
+
+main().catch(error => {
+    console.error('❌ Tests failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,102 @@
+/**
+ * Webform schema validation
+ *
+ * Checks exported OneTrust webforms (wrapped in "webformData", root-level or
+ * nested - each part is located by shape, as the loader does) against the
+ * schema in webform-schema.js and prints every problem with its JSON path.
+ * Exits non-zero when a file is not valid JSON or has schema errors, so it can
+ * guard exported configs in CI.
+ *
+ * Usage:
+ *   node validate-webform.js <webform.json ...> [--strict] [--json]
+ *
+ * Examples:
+ *   node validate-webform.js webform.json
+ *   node validate-webform.js exports/*.json --strict
+ *
+ * --strict fails on warnings (missing recommended properties, duplicate field
+ * keys or rule names) as well; --json prints the results as JSON.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateWebformJson } = require('../../webform-schema.js');
+
+function printUsage() {
+    console.error('Usage: node validate-webform.js <webform.json ...> [--strict] [--json]');
+}
+
+function parseArgs(argv) {
+    const args = { webformPaths: [], strict: false, json: false };
+
+    argv.forEach(arg => {
+        if (arg === '--strict') {
+            args.strict = true;
+        } else if (arg === '--json') {
+            args.json = true;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option "${arg}"`);
+        } else {
+            args.webformPaths.push(arg);
+        }
+    });
+
+    return args;
+}
+
+/**
+ * Validates one file; unreadable files and JSON syntax errors are reported as errors at "root"
+ * @param {string} webformPath
+ * @returns {Object} - validateWebformJson result plus the file name
+ */
+function validateFile(webformPath) {
+    let jsonData;
+    try {
+        jsonData = JSON.parse(fs.readFileSync(path.resolve(webformPath), 'utf8'));
+    } catch (error) {
+        return { file: webformPath, valid: false, format: null, errors: [{ path: 'root', message: error.message }], warnings: [] };
+    }
+    return { file: webformPath, ...validateWebformJson(jsonData) };
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        printUsage();
+        process.exit(1);
+    }
+
+    if (args.webformPaths.length === 0) {
+        printUsage();
+        process.exit(1);
+    }
+
+    const results = args.webformPaths.map(validateFile);
+    const failed = results.filter(result => !result.valid || (args.strict && result.warnings.length > 0));
+
+    if (args.json) {
+        console.log(JSON.stringify(results, null, 2));
+    } else {
+        results.forEach(result => {
+            const status = !result.valid ? '❌' : result.warnings.length > 0 ? '⚠️' : '✅';
+            console.log(`${status} ${result.file}${result.format ? ` (${result.format})` : ''}: ${result.errors.length} error(s), ${result.warnings.length} warning(s)`);
+            result.errors.forEach(issue => console.log(`   ❌ ${issue.path}: ${issue.message}`));
+            result.warnings.forEach(issue => console.log(`   ⚠️ ${issue.path}: ${issue.message}`));
+        });
+        if (results.length > 1) {
+            console.log(`\n${results.length - failed.length}/${results.length} file(s) passed`);
+        }
+    }
+
+    if (failed.length > 0) {
+        process.exit(1);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Validation failed:', error.message);
+    process.exit(1);
+});
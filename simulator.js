@@ -1,5 +1,7 @@
 // Global state
-let webformData = null;
+let webformJson = null; // The export as uploaded (translation imports patch and download it)
+let webformData = null; // Its parts as located by locateWebformData, in the shape the loader expects
+let webformSourceMap = []; // JSON path each part of webformData was read from (Source Map panel)
 let translations = null;
 let allFields = [];
 let workflowRules = [];
@@ -13,291 +15,23 @@ let submitButtonRules = null;
 let attachmentRules = null;
 let countryHashLookup = {}; // Maps SHA-512 hashes back to country codes
 let stateHashLookup = {}; // Maps SHA-512 hashes back to state codes
-
-// SHA-512 implementation for hash matching
-async function sha512(str) {
-    const buffer = new TextEncoder().encode(str);
-    const hashBuffer = await crypto.subtle.digest('SHA-512', buffer);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-}
-
-// Build lookup table for country hashes
-async function buildCountryHashLookup() {
-
-    countryHashLookup = {}; // Reset lookup table
-
-    // Find the country field - try multiple strategies
-    let countryField = allFields.find(f => f.key === 'country');
-    
-    if (!countryField) {
-        // Try case-insensitive match
-        countryField = allFields.find(f => f.key.toLowerCase() === 'country');
-    }
-    
-    if (!countryField) {
-        // Try partial match
-        countryField = allFields.find(f => f.key.toLowerCase().includes('country'));
-    }
-
-    if (!countryField) {
-        console.warn('⚠️ No country field found in allFields');
-
-        if (allFields.length > 0) {
-
-            // Also check for any field with 'country' in the key
-            const fieldsWithCountry = allFields.filter(f => f.key && f.key.toLowerCase().includes('country'));
-            if (fieldsWithCountry.length > 0) {
-
-            }
-        } else {
-            console.warn('   allFields is empty! Fields may not have been parsed yet.');
-        }
-        
-        // FALLBACK: Try to find country field directly in webformData.fields
-        if (webformData && webformData.fields) {
-
-            const rawCountryField = webformData.fields.find(f => 
-                f.fieldKey === 'country' || 
-                (f.fieldKey && f.fieldKey.toLowerCase().includes('country'))
-            );
-            if (rawCountryField && rawCountryField.options && rawCountryField.options.length > 0) {
-
-                // Use this field directly
-                countryField = {
-                    key: rawCountryField.fieldKey,
-                    label: getFieldLabel(rawCountryField.fieldKey),
-                    options: rawCountryField.options || []
-                };
-            } else {
-                console.warn('   ❌ Country field not found in webformData.fields either');
-                return;
-            }
-        } else {
-            console.warn('   ❌ webformData.fields is not available for fallback');
-            return;
-        }
-    }
-
-    if (!countryField.options || countryField.options.length === 0) {
-
-
-
-
-
-        
-        // Use comprehensive country list as fallback
-        countryField.options = getWorldCountriesOptions();
-
-    }
-
-
-
-    // Hash country values - OneTrust hashes the exact country code or name
-    let hashCount = 0;
-    const processedOptions = [];
-
-    for (const option of countryField.options) {
-        const key = option.key; // Usually 2-letter ISO code like "US", "BR"
-        const value = option.value; // Full country name like "United States", "Brazil"
-        processedOptions.push(`${key} (${value})`);
-
-        // Hash both the key (country code) and value (country name)
-        // OneTrust uses the country code for some and country name for others
-        const variants = [key, value];
-
-        for (const variant of variants) {
-            if (variant) {
-                const hash = await sha512(variant);
-                countryHashLookup[hash] = {
-                    originalKey: key,
-                    originalValue: value,
-                    hashedVariant: variant
-                };
-                hashCount++;
-            }
-        }
-    }
-    
-
-
-
-    
-    // Show a few example hashes for debugging
-    const exampleKeys = Object.keys(countryHashLookup).slice(0, 3);
-    if (exampleKeys.length > 0) {
-
-        exampleKeys.forEach(hash => {
-            const entry = countryHashLookup[hash];
-
-        });
-    }
-}
-
-// Load state hash mappings from CSV file
-async function loadStateHashMappingsFromCSV() {
-
-    try {
-        const response = await fetch('state_hash_mapping.csv');
-        if (!response.ok) {
-
-            return false;
-        }
-        const csvText = await response.text();
-        const lines = csvText.split('\n').filter(line => line.trim() && !line.startsWith('State Name'));
-        
-        let loadedCount = 0;
-        for (const line of lines) {
-            const [stateName, stateHash] = line.split(',').map(s => s.trim());
-            if (stateName && stateHash && stateHash.length === 128) {
-                stateHashLookup[stateHash] = {
-                    originalKey: stateName.replace(/\s+/g, ''),
-                    originalValue: stateName,
-                    originalAbbrev: null, // Will be filled in if we find it
-                    hashedVariant: stateName
-                };
-                loadedCount++;
-            }
-        }
-        
-
-        return loadedCount > 0;
-    } catch (error) {
-
-        return false;
-    }
-}
-
-// Build lookup table for state hashes
-async function buildStateHashLookup() {
-
-    stateHashLookup = {}; // Reset lookup table
-
-    // First, try to load from CSV file
-    const csvLoaded = await loadStateHashMappingsFromCSV();
-
-    // Find the state field - try multiple strategies
-    let stateField = allFields.find(f => f.key === 'state');
-    
-    if (!stateField) {
-        // Try case-insensitive match
-        stateField = allFields.find(f => f.key.toLowerCase() === 'state');
-    }
-    
-    if (!stateField) {
-        // Try partial match
-        stateField = allFields.find(f => f.key.toLowerCase().includes('state'));
-    }
-
-    if (!stateField) {
-
-
-        if (allFields.length > 0) {
-
-            // Also check for any field with 'state' in the key
-            const fieldsWithState = allFields.filter(f => f.key && f.key.toLowerCase().includes('state'));
-            if (fieldsWithState.length > 0) {
-
-            }
-        } else {
-            console.warn('   allFields is empty! Fields may not have been parsed yet.');
-        }
-        
-        // FALLBACK: Try to find state field directly in webformData.fields
-        if (webformData && webformData.fields) {
-
-            const rawStateField = webformData.fields.find(f => 
-                f.fieldKey === 'state' || 
-                (f.fieldKey && f.fieldKey.toLowerCase().includes('state'))
-            );
-            if (rawStateField && rawStateField.options && rawStateField.options.length > 0) {
-
-                // Use this field directly
-                stateField = {
-                    key: rawStateField.fieldKey,
-                    label: getFieldLabel(rawStateField.fieldKey),
-                    options: rawStateField.options || []
-                };
-            } else {
-
-            }
-        } else {
-
-        }
-    }
-
-    // If no state field found or it has no options, use US states as fallback
-    if (!stateField || !stateField.options || stateField.options.length === 0) {
-
-        stateField = {
-            key: 'state',
-            label: 'State',
-            options: getUSStatesOptions()
-        };
-
-    } else {
-
-    }
-
-    // If CSV was loaded, enhance entries with abbreviations from state field
-    // Otherwise, generate hashes from state field
-    let hashCount = 0;
-    const processedOptions = [];
-
-    if (csvLoaded) {
-        // CSV already loaded - just add abbreviations if we can match them
-
-        for (const option of stateField.options) {
-            const value = option.value;
-            const abbrev = option.abbrev;
-            
-            // Find matching entry in lookup by state name
-            const matchingHash = Object.keys(stateHashLookup).find(hash => {
-                const entry = stateHashLookup[hash];
-                return entry.originalValue === value || entry.originalValue === option.key;
-            });
-            
-            if (matchingHash && abbrev) {
-                stateHashLookup[matchingHash].originalAbbrev = abbrev;
-            }
-        }
-        hashCount = Object.keys(stateHashLookup).length;
-    } else {
-        // Generate hashes from state field
-        for (const option of stateField.options) {
-            const key = option.key;
-            const value = option.value; // e.g., "California", "New York"
-            const abbrev = option.abbrev; // State abbreviation (e.g., "CA")
-            processedOptions.push(`${value}${abbrev ? ` [${abbrev}]` : ''}`);
-
-            // OneTrust hashes the exact state name (e.g., "California")
-            if (value) {
-                const hash = await sha512(value);
-                stateHashLookup[hash] = {
-                    originalKey: key,
-                    originalValue: value,
-                    originalAbbrev: abbrev || null,
-                    hashedVariant: value
-                };
-                hashCount++;
-            }
-        }
-    }
-    
-
-
-
-    
-    // Show a few example hashes for debugging
-    const exampleKeys = Object.keys(stateHashLookup).slice(0, 3);
-    if (exampleKeys.length > 0) {
-
-        exampleKeys.forEach(hash => {
-            const entry = stateHashLookup[hash];
-
-        });
-    }
-}
+let hashDictionaries = []; // Every dictionary hashed criteria are reversed with (see webform-hash-lookup.js)
+let hashLookupBuilder = null; // Hashes dictionary lookup tables in webform-hash-worker.js when Workers are available
+let comparisonDiff = null; // Semantic diff against a second webform loaded via "Compare with..."
+let comparisonFileName = null;
+let activeScenarioSuiteName = null; // Suite the "Scenarios" dialog records into and replays
+let scenarioRunResult = null;
+let scenarioCoverageGaps = null; // Goals the last "Generate Test Cases" run could not reach ({ uncovered, explorationGaps })
+let dependencyGraph = null; // Graph shown in the "Dependency Graph" dialog
+let formLanguages = null; // Languages found in the loaded webform (see webform-translations.js)
+let activeLocale = null; // Language the simulated form is rendered in
+let translationImportResult = null; // Last "Import Translations..." result, offered as an updated webform download
+let pendingWebformJson = null; // Export held back until the user confirms its schema validation problems
+
+const SCENARIO_STORAGE_KEY = 'webformScenarioSuites';
+const HASH_DICTIONARY_STORAGE_KEY = 'webformHashDictionaries';
+const HASH_VARIATION_STORAGE_KEY = 'webformHashVariationRules';
+const HASH_WORKER_URL = 'webform-hash-worker.js?v=1';
 
 // Smart field detection helpers
 function isLikelyCountryField(field) {
@@ -329,207 +63,11 @@ function isLikelyUSStatesField(field) {
     return hasStateInName && hasDependencyOnUS;
 }
 
-function getWorldCountriesOptions() {
-    // Comprehensive ISO 3166-1 alpha-2 country codes (all 249 countries)
-    // This is used as a fallback when country field has no options in JSON
-    const countries = [
-        { key: 'AD', value: 'Andorra' }, { key: 'AE', value: 'United Arab Emirates' },
-        { key: 'AF', value: 'Afghanistan' }, { key: 'AG', value: 'Antigua and Barbuda' },
-        { key: 'AI', value: 'Anguilla' }, { key: 'AL', value: 'Albania' },
-        { key: 'AM', value: 'Armenia' }, { key: 'AO', value: 'Angola' },
-        { key: 'AQ', value: 'Antarctica' }, { key: 'AR', value: 'Argentina' },
-        { key: 'AS', value: 'American Samoa' }, { key: 'AT', value: 'Austria' },
-        { key: 'AU', value: 'Australia' }, { key: 'AW', value: 'Aruba' },
-        { key: 'AX', value: 'Åland Islands' }, { key: 'AZ', value: 'Azerbaijan' },
-        { key: 'BA', value: 'Bosnia and Herzegovina' }, { key: 'BB', value: 'Barbados' },
-        { key: 'BD', value: 'Bangladesh' }, { key: 'BE', value: 'Belgium' },
-        { key: 'BF', value: 'Burkina Faso' }, { key: 'BG', value: 'Bulgaria' },
-        { key: 'BH', value: 'Bahrain' }, { key: 'BI', value: 'Burundi' },
-        { key: 'BJ', value: 'Benin' }, { key: 'BL', value: 'Saint Barthélemy' },
-        { key: 'BM', value: 'Bermuda' }, { key: 'BN', value: 'Brunei' },
-        { key: 'BO', value: 'Bolivia' }, { key: 'BQ', value: 'Caribbean Netherlands' },
-        { key: 'BR', value: 'Brazil' }, { key: 'BS', value: 'Bahamas' },
-        { key: 'BT', value: 'Bhutan' }, { key: 'BV', value: 'Bouvet Island' },
-        { key: 'BW', value: 'Botswana' }, { key: 'BY', value: 'Belarus' },
-        { key: 'BZ', value: 'Belize' }, { key: 'CA', value: 'Canada' },
-        { key: 'CC', value: 'Cocos Islands' }, { key: 'CD', value: 'Congo (DRC)' },
-        { key: 'CF', value: 'Central African Republic' }, { key: 'CG', value: 'Congo' },
-        { key: 'CH', value: 'Switzerland' }, { key: 'CI', value: 'Côte d\'Ivoire' },
-        { key: 'CK', value: 'Cook Islands' }, { key: 'CL', value: 'Chile' },
-        { key: 'CM', value: 'Cameroon' }, { key: 'CN', value: 'China' },
-        { key: 'CO', value: 'Colombia' }, { key: 'CR', value: 'Costa Rica' },
-        { key: 'CU', value: 'Cuba' }, { key: 'CV', value: 'Cape Verde' },
-        { key: 'CW', value: 'Curaçao' }, { key: 'CX', value: 'Christmas Island' },
-        { key: 'CY', value: 'Cyprus' }, { key: 'CZ', value: 'Czech Republic' },
-        { key: 'DE', value: 'Germany' }, { key: 'DJ', value: 'Djibouti' },
-        { key: 'DK', value: 'Denmark' }, { key: 'DM', value: 'Dominica' },
-        { key: 'DO', value: 'Dominican Republic' }, { key: 'DZ', value: 'Algeria' },
-        { key: 'EC', value: 'Ecuador' }, { key: 'EE', value: 'Estonia' },
-        { key: 'EG', value: 'Egypt' }, { key: 'EH', value: 'Western Sahara' },
-        { key: 'ER', value: 'Eritrea' }, { key: 'ES', value: 'Spain' },
-        { key: 'ET', value: 'Ethiopia' }, { key: 'FI', value: 'Finland' },
-        { key: 'FJ', value: 'Fiji' }, { key: 'FK', value: 'Falkland Islands' },
-        { key: 'FM', value: 'Micronesia' }, { key: 'FO', value: 'Faroe Islands' },
-        { key: 'FR', value: 'France' }, { key: 'GA', value: 'Gabon' },
-        { key: 'GB', value: 'United Kingdom' }, { key: 'GD', value: 'Grenada' },
-        { key: 'GE', value: 'Georgia' }, { key: 'GF', value: 'French Guiana' },
-        { key: 'GG', value: 'Guernsey' }, { key: 'GH', value: 'Ghana' },
-        { key: 'GI', value: 'Gibraltar' }, { key: 'GL', value: 'Greenland' },
-        { key: 'GM', value: 'Gambia' }, { key: 'GN', value: 'Guinea' },
-        { key: 'GP', value: 'Guadeloupe' }, { key: 'GQ', value: 'Equatorial Guinea' },
-        { key: 'GR', value: 'Greece' }, { key: 'GS', value: 'South Georgia' },
-        { key: 'GT', value: 'Guatemala' }, { key: 'GU', value: 'Guam' },
-        { key: 'GW', value: 'Guinea-Bissau' }, { key: 'GY', value: 'Guyana' },
-        { key: 'HK', value: 'Hong Kong' }, { key: 'HM', value: 'Heard Island' },
-        { key: 'HN', value: 'Honduras' }, { key: 'HR', value: 'Croatia' },
-        { key: 'HT', value: 'Haiti' }, { key: 'HU', value: 'Hungary' },
-        { key: 'ID', value: 'Indonesia' }, { key: 'IE', value: 'Ireland' },
-        { key: 'IL', value: 'Israel' }, { key: 'IM', value: 'Isle of Man' },
-        { key: 'IN', value: 'India' }, { key: 'IO', value: 'British Indian Ocean Territory' },
-        { key: 'IQ', value: 'Iraq' }, { key: 'IR', value: 'Iran' },
-        { key: 'IS', value: 'Iceland' }, { key: 'IT', value: 'Italy' },
-        { key: 'JE', value: 'Jersey' }, { key: 'JM', value: 'Jamaica' },
-        { key: 'JO', value: 'Jordan' }, { key: 'JP', value: 'Japan' },
-        { key: 'KE', value: 'Kenya' }, { key: 'KG', value: 'Kyrgyzstan' },
-        { key: 'KH', value: 'Cambodia' }, { key: 'KI', value: 'Kiribati' },
-        { key: 'KM', value: 'Comoros' }, { key: 'KN', value: 'Saint Kitts and Nevis' },
-        { key: 'KP', value: 'North Korea' }, { key: 'KR', value: 'South Korea' },
-        { key: 'KW', value: 'Kuwait' }, { key: 'KY', value: 'Cayman Islands' },
-        { key: 'KZ', value: 'Kazakhstan' }, { key: 'LA', value: 'Laos' },
-        { key: 'LB', value: 'Lebanon' }, { key: 'LC', value: 'Saint Lucia' },
-        { key: 'LI', value: 'Liechtenstein' }, { key: 'LK', value: 'Sri Lanka' },
-        { key: 'LR', value: 'Liberia' }, { key: 'LS', value: 'Lesotho' },
-        { key: 'LT', value: 'Lithuania' }, { key: 'LU', value: 'Luxembourg' },
-        { key: 'LV', value: 'Latvia' }, { key: 'LY', value: 'Libya' },
-        { key: 'MA', value: 'Morocco' }, { key: 'MC', value: 'Monaco' },
-        { key: 'MD', value: 'Moldova' }, { key: 'ME', value: 'Montenegro' },
-        { key: 'MF', value: 'Saint Martin' }, { key: 'MG', value: 'Madagascar' },
-        { key: 'MH', value: 'Marshall Islands' }, { key: 'MK', value: 'North Macedonia' },
-        { key: 'ML', value: 'Mali' }, { key: 'MM', value: 'Myanmar' },
-        { key: 'MN', value: 'Mongolia' }, { key: 'MO', value: 'Macao' },
-        { key: 'MP', value: 'Northern Mariana Islands' }, { key: 'MQ', value: 'Martinique' },
-        { key: 'MR', value: 'Mauritania' }, { key: 'MS', value: 'Montserrat' },
-        { key: 'MT', value: 'Malta' }, { key: 'MU', value: 'Mauritius' },
-        { key: 'MV', value: 'Maldives' }, { key: 'MW', value: 'Malawi' },
-        { key: 'MX', value: 'Mexico' }, { key: 'MY', value: 'Malaysia' },
-        { key: 'MZ', value: 'Mozambique' }, { key: 'NA', value: 'Namibia' },
-        { key: 'NC', value: 'New Caledonia' }, { key: 'NE', value: 'Niger' },
-        { key: 'NF', value: 'Norfolk Island' }, { key: 'NG', value: 'Nigeria' },
-        { key: 'NI', value: 'Nicaragua' }, { key: 'NL', value: 'Netherlands' },
-        { key: 'NO', value: 'Norway' }, { key: 'NP', value: 'Nepal' },
-        { key: 'NR', value: 'Nauru' }, { key: 'NU', value: 'Niue' },
-        { key: 'NZ', value: 'New Zealand' }, { key: 'OM', value: 'Oman' },
-        { key: 'PA', value: 'Panama' }, { key: 'PE', value: 'Peru' },
-        { key: 'PF', value: 'French Polynesia' }, { key: 'PG', value: 'Papua New Guinea' },
-        { key: 'PH', value: 'Philippines' }, { key: 'PK', value: 'Pakistan' },
-        { key: 'PL', value: 'Poland' }, { key: 'PM', value: 'Saint Pierre and Miquelon' },
-        { key: 'PN', value: 'Pitcairn' }, { key: 'PR', value: 'Puerto Rico' },
-        { key: 'PS', value: 'Palestine' }, { key: 'PT', value: 'Portugal' },
-        { key: 'PW', value: 'Palau' }, { key: 'PY', value: 'Paraguay' },
-        { key: 'QA', value: 'Qatar' }, { key: 'RE', value: 'Réunion' },
-        { key: 'RO', value: 'Romania' }, { key: 'RS', value: 'Serbia' },
-        { key: 'RU', value: 'Russia' }, { key: 'RW', value: 'Rwanda' },
-        { key: 'SA', value: 'Saudi Arabia' }, { key: 'SB', value: 'Solomon Islands' },
-        { key: 'SC', value: 'Seychelles' }, { key: 'SD', value: 'Sudan' },
-        { key: 'SE', value: 'Sweden' }, { key: 'SG', value: 'Singapore' },
-        { key: 'SH', value: 'Saint Helena' }, { key: 'SI', value: 'Slovenia' },
-        { key: 'SJ', value: 'Svalbard and Jan Mayen' }, { key: 'SK', value: 'Slovakia' },
-        { key: 'SL', value: 'Sierra Leone' }, { key: 'SM', value: 'San Marino' },
-        { key: 'SN', value: 'Senegal' }, { key: 'SO', value: 'Somalia' },
-        { key: 'SR', value: 'Suriname' }, { key: 'SS', value: 'South Sudan' },
-        { key: 'ST', value: 'São Tomé and Príncipe' }, { key: 'SV', value: 'El Salvador' },
-        { key: 'SX', value: 'Sint Maarten' }, { key: 'SY', value: 'Syria' },
-        { key: 'SZ', value: 'Eswatini' }, { key: 'TC', value: 'Turks and Caicos Islands' },
-        { key: 'TD', value: 'Chad' }, { key: 'TF', value: 'French Southern Territories' },
-        { key: 'TG', value: 'Togo' }, { key: 'TH', value: 'Thailand' },
-        { key: 'TJ', value: 'Tajikistan' }, { key: 'TK', value: 'Tokelau' },
-        { key: 'TL', value: 'Timor-Leste' }, { key: 'TM', value: 'Turkmenistan' },
-        { key: 'TN', value: 'Tunisia' }, { key: 'TO', value: 'Tonga' },
-        { key: 'TR', value: 'Turkey' }, { key: 'TT', value: 'Trinidad and Tobago' },
-        { key: 'TV', value: 'Tuvalu' }, { key: 'TW', value: 'Taiwan' },
-        { key: 'TZ', value: 'Tanzania' }, { key: 'UA', value: 'Ukraine' },
-        { key: 'UG', value: 'Uganda' }, { key: 'UM', value: 'U.S. Outlying Islands' },
-        { key: 'US', value: 'United States' }, { key: 'UY', value: 'Uruguay' },
-        { key: 'UZ', value: 'Uzbekistan' }, { key: 'VA', value: 'Vatican City' },
-        { key: 'VC', value: 'Saint Vincent and the Grenadines' }, { key: 'VE', value: 'Venezuela' },
-        { key: 'VG', value: 'British Virgin Islands' }, { key: 'VI', value: 'U.S. Virgin Islands' },
-        { key: 'VN', value: 'Vietnam' }, { key: 'VU', value: 'Vanuatu' },
-        { key: 'WF', value: 'Wallis and Futuna' }, { key: 'WS', value: 'Samoa' },
-        { key: 'YE', value: 'Yemen' }, { key: 'YT', value: 'Mayotte' },
-        { key: 'ZA', value: 'South Africa' }, { key: 'ZM', value: 'Zambia' },
-        { key: 'ZW', value: 'Zimbabwe' }
-    ];
-
-    return countries;
-}
-
-function getUSStatesOptions() {
-    // US states with their standard abbreviations
-    const statesWithAbbrevs = [
-        { abbrev: 'AL', name: 'Alabama' },
-        { abbrev: 'AK', name: 'Alaska' },
-        { abbrev: 'AZ', name: 'Arizona' },
-        { abbrev: 'AR', name: 'Arkansas' },
-        { abbrev: 'CA', name: 'California' },
-        { abbrev: 'CO', name: 'Colorado' },
-        { abbrev: 'CT', name: 'Connecticut' },
-        { abbrev: 'DE', name: 'Delaware' },
-        { abbrev: 'FL', name: 'Florida' },
-        { abbrev: 'GA', name: 'Georgia' },
-        { abbrev: 'HI', name: 'Hawaii' },
-        { abbrev: 'ID', name: 'Idaho' },
-        { abbrev: 'IL', name: 'Illinois' },
-        { abbrev: 'IN', name: 'Indiana' },
-        { abbrev: 'IA', name: 'Iowa' },
-        { abbrev: 'KS', name: 'Kansas' },
-        { abbrev: 'KY', name: 'Kentucky' },
-        { abbrev: 'LA', name: 'Louisiana' },
-        { abbrev: 'ME', name: 'Maine' },
-        { abbrev: 'MD', name: 'Maryland' },
-        { abbrev: 'MA', name: 'Massachusetts' },
-        { abbrev: 'MI', name: 'Michigan' },
-        { abbrev: 'MN', name: 'Minnesota' },
-        { abbrev: 'MS', name: 'Mississippi' },
-        { abbrev: 'MO', name: 'Missouri' },
-        { abbrev: 'MT', name: 'Montana' },
-        { abbrev: 'NE', name: 'Nebraska' },
-        { abbrev: 'NV', name: 'Nevada' },
-        { abbrev: 'NH', name: 'New Hampshire' },
-        { abbrev: 'NJ', name: 'New Jersey' },
-        { abbrev: 'NM', name: 'New Mexico' },
-        { abbrev: 'NY', name: 'New York' },
-        { abbrev: 'NC', name: 'North Carolina' },
-        { abbrev: 'ND', name: 'North Dakota' },
-        { abbrev: 'OH', name: 'Ohio' },
-        { abbrev: 'OK', name: 'Oklahoma' },
-        { abbrev: 'OR', name: 'Oregon' },
-        { abbrev: 'PA', name: 'Pennsylvania' },
-        { abbrev: 'RI', name: 'Rhode Island' },
-        { abbrev: 'SC', name: 'South Carolina' },
-        { abbrev: 'SD', name: 'South Dakota' },
-        { abbrev: 'TN', name: 'Tennessee' },
-        { abbrev: 'TX', name: 'Texas' },
-        { abbrev: 'UT', name: 'Utah' },
-        { abbrev: 'VT', name: 'Vermont' },
-        { abbrev: 'VA', name: 'Virginia' },
-        { abbrev: 'WA', name: 'Washington' },
-        { abbrev: 'WV', name: 'West Virginia' },
-        { abbrev: 'WI', name: 'Wisconsin' },
-        { abbrev: 'WY', name: 'Wyoming' },
-        { abbrev: 'DC', name: 'District of Columbia' }
-    ];
-
-    return statesWithAbbrevs.map(state => ({
-        key: state.name.replace(/\s+/g, ''),
-        value: state.name,
-        abbrev: state.abbrev
-    }));
-}
-
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
     setupEventListeners();
     loadTranslations();
+    precomputeHashDictionaries();
 });
 
 function setupEventListeners() {
@@ -540,6 +78,50 @@ function setupEventListeners() {
     }
 
     fileInput.addEventListener('change', handleFileSelect);
+
+    const compareFileInput = document.getElementById('compareFileInput');
+    if (compareFileInput) {
+        compareFileInput.addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            if (file) {
+                loadComparisonFile(file);
+            }
+            event.target.value = '';
+        });
+    }
+
+    const translationFileInput = document.getElementById('translationFileInput');
+    if (translationFileInput) {
+        translationFileInput.addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            if (file) {
+                importTranslationFile(file);
+            }
+            event.target.value = '';
+        });
+    }
+
+    const hashDictionaryFileInput = document.getElementById('hashDictionaryFileInput');
+    if (hashDictionaryFileInput) {
+        hashDictionaryFileInput.addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            if (file) {
+                importHashDictionaryFile(file);
+            }
+            event.target.value = '';
+        });
+    }
+
+    const scenarioFileInput = document.getElementById('scenarioFileInput');
+    if (scenarioFileInput) {
+        scenarioFileInput.addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            if (file) {
+                importScenarioSuite(file);
+            }
+            event.target.value = '';
+        });
+    }
     
     // Also support drag and drop
     const uploadArea = document.querySelector('.upload-area');
@@ -599,23 +181,15 @@ function processFile(file) {
 
             const jsonData = JSON.parse(e.target.result);
 
-
-            // Normalize webform data - handle both old and new formats
-            // Old format: data wrapped in "webformData"
-            // New format: data at root level
-            if (jsonData.webformData) {
-                webformData = jsonData.webformData;
-
-            } else {
-                // New format - data is already at root level
-                webformData = jsonData;
-
+            // Structural problems are shown before the simulator reads anything
+            const validation = validateWebformJson(jsonData);
+            if (validation.errors.length > 0 || validation.warnings.length > 0) {
+                pendingWebformJson = jsonData;
+                showWebformValidation(validation, file.name);
+                return;
             }
 
-
-            await parseWebform();
-
-            startSimulator();
+            await openWebform(jsonData);
 
         } catch (error) {
             console.error('Error parsing JSON:', error);
@@ -640,624 +214,174 @@ function processFile(file) {
     reader.readAsText(file);
 }
 
+async function openWebform(jsonData) {
+    webformJson = jsonData;
+
+    await parseWebform();
+
+    startSimulator();
+}
+
 async function parseWebform() {
-    allFields = [];
-    workflowRules = [];
-    defaultWorkflowId = null;
-    workflowSettings = {};
-    uiFields = [];
-    submitButtonRules = null;
-    attachmentRules = null;
-
-    // Load translations from webform JSON if available
-    if (webformData.formTranslations && webformData.formTranslations['en-us']) {
-        const formTrans = webformData.formTranslations['en-us'];
-
-        // Initialize translations if not already loaded
-        if (!translations) {
-            translations = { fields: {}, options: {}, requestTypes: {}, subjectTypes: {} };
+    // The agnostic parser finds each part of the export by its shape, wherever it lives
+    const parsed = await loadWebform(webformJson, {
+        stateHashCsv: await loadStateHashCsv(),
+        hashDictionaries: getSavedHashDictionaries(),
+        hashVariationRules: getSavedHashVariationRules(),
+        hashLookupBuilder: getHashLookupBuilder(),
+        // Field and option labels need the form's own translations merged first
+        labels: located => {
+            mergeFormTranslations(located.formTranslations);
+            return { fieldLabel: getFieldLabel, optionLabel: getOptionLabel };
         }
+    });
 
-        // Merge form translations into our translations object
-        Object.assign(translations.fields, formTrans);
-        Object.assign(translations.options, formTrans);
-        Object.assign(translations.requestTypes, formTrans);
-        Object.assign(translations.subjectTypes, formTrans);
-    }
+    webformData = parsed.webformData;
+    webformSourceMap = parsed.sourceMap;
+    allFields = parsed.fields;
+    workflowRules = parsed.workflowRules;
+    defaultWorkflowId = parsed.defaultWorkflowId;
+    workflowSettings = parsed.workflowSettings;
+    uiFields = parsed.uiFields;
+    submitButtonRules = parsed.submitButtonRules;
+    attachmentRules = parsed.attachmentRules;
+    countryHashLookup = parsed.countryHashLookup;
+    stateHashLookup = parsed.stateHashLookup;
+    hashDictionaries = parsed.hashDictionaries;
+
+    formLanguages = getFormLanguages(webformData);
+    activeLocale = formLanguages.defaultLanguage;
+}
 
-    // Parse uiFields for submit button and attachment
-    if (webformData.uiFields) {
-        webformData.uiFields.forEach(field => {
-            if (field.fieldKey === 'DSAR.Webform.VisibilityRule.SubmitButton') {
-                submitButtonRules = field;
-            } else if (field.fieldKey === 'DSAR.Webform.VisibilityRule.Attachment') {
-                attachmentRules = field;
-            }
-        });
-    }
+// Load translations from webform JSON if available
+function mergeFormTranslations(formTranslations) {
+    if (!formTranslations || !formTranslations['en-us']) return;
+    const formTrans = formTranslations['en-us'];
 
-    // Create GUID to key mappings for requestTypes and subjectTypes
-    const guidToKeyMap = {};
+    // Initialize translations if not already loaded
+    if (!translations) {
+        translations = { fields: {}, options: {}, requestTypes: {}, subjectTypes: {} };
+    }
 
-    if (webformData.webFormDto) {
-        // Map requestTypes GUIDs to keys
-        if (webformData.webFormDto.requestTypes) {
-            webformData.webFormDto.requestTypes.forEach(rt => {
-                guidToKeyMap[rt.id] = rt.fieldName;
-            });
-        }
+    // Merge form translations into our translations object
+    Object.assign(translations.fields, formTrans);
+    Object.assign(translations.options, formTrans);
+    Object.assign(translations.requestTypes, formTrans);
+    Object.assign(translations.subjectTypes, formTrans);
+}
 
-        // Map subjectTypes GUIDs to keys
-        if (webformData.webFormDto.subjectTypes) {
-            webformData.webFormDto.subjectTypes.forEach(st => {
-                guidToKeyMap[st.id] = st.fieldName;
-            });
-        }
+// Load the precomputed state hashes; returns null when the CSV is not served
+async function loadStateHashCsv() {
+    try {
+        const response = await fetch('state_hash_mapping.csv');
+        return response.ok ? await response.text() : null;
+    } catch (error) {
+        return null;
     }
+}
 
-    // Parse workflow settings
-    if (webformData.settings) {
-        const settings = webformData.settings;
-        const workflowsSetting = settings.find(s => s.fieldName === 'Workflows');
-        if (workflowsSetting && workflowsSetting.value) {
-            defaultWorkflowId = workflowsSetting.value.workflowRefId;
-        }
-
-        const defaultDays = settings.find(s => s.fieldName === 'DefaultDaysToRespond');
-        if (defaultDays) {
-            workflowSettings.defaultDaysToRespond = defaultDays.value;
-        }
+async function startSimulator() {
+    document.getElementById('uploadSection').classList.add('hidden');
+    document.getElementById('mainSection').classList.remove('hidden');
 
-        const defaultReminder = settings.find(s => s.fieldName === 'DefaultReminder');
-        if (defaultReminder) {
-            workflowSettings.defaultReminder = defaultReminder.value;
-        }
-    }
+    currentSelections = {};
+    visibleFields = new Set();
 
-    // Parse fields
-    if (webformData.fields) {
+    // A comparison only applies to the webform it was made against
+    comparisonDiff = null;
+    comparisonFileName = null;
+    renderComparisonPanel();
 
-        webformData.fields.forEach(field => {
-            let options = field.options || [];
-            
-            // Sort country field options alphabetically when first loaded
-            const fieldKey = field.fieldKey || '';
-            const fieldLabel = getFieldLabel(fieldKey) || '';
-            const isCountryField = fieldKey.toLowerCase().includes('country') || 
-                                   fieldLabel.toLowerCase().includes('country') ||
-                                   fieldLabel.toLowerCase().includes('residence');
-            
-            if (isCountryField && options.length > 0) {
-                options = [...options].sort((a, b) => {
-                    const labelA = (a.value || getOptionLabel(a.key) || a.key || '').trim().toLowerCase();
-                    const labelB = (b.value || getOptionLabel(b.key) || b.key || '').trim().toLowerCase();
-                    return labelA.localeCompare(labelB, undefined, { sensitivity: 'base' });
-                });
+    // Scenario results belong to the previously loaded webform
+    scenarioRunResult = null;
+    scenarioCoverageGaps = null;
 
-            }
-            
-            allFields.push({
-                key: field.fieldKey,
-                label: getFieldLabel(field.fieldKey),
-                type: field.inputType,
-                description: field.description,
-                isRequired: field.isRequired,
-                hasVisibilityRule: field.hasVisibilityRule,
-                visibilityRules: field.visibilityRules,
-                options: options,
-                isMasked: field.isMasked,
-                status: field.status,
-                isSelected: field.isSelected
-            });
-        });
+    // Hash lookup is already built in parseWebform() before workflow parsing
+    // No need to rebuild it here
 
-        
-        // Debug: Check if country field was added
-        const countryFieldCheck = allFields.find(f => f.key === 'country');
-        if (countryFieldCheck) {
+    renderSourceMapPanel();
+    renderLocaleSelector();
+    renderForm();
+}
 
-        } else {
+function renderLocaleSelector() {
+    const select = document.getElementById('localeSelect');
+    if (!select) return;
 
+    select.innerHTML = formLanguages.languages.map(language => `
+        <option value="${language}" ${language === activeLocale ? 'selected' : ''}>${language}${language === formLanguages.defaultLanguage ? ' (default)' : ''}</option>
+    `).join('');
+    select.disabled = formLanguages.languages.length < 2;
+}
 
-        }
-    } else {
+function selectLocale(language) {
+    activeLocale = language;
+    renderForm();
+}
 
+// Text for a translation key in the active locale; keys the locale lacks fall back
+// to the default language and are flagged as missing
+function getLocalizedText(key, defaultText) {
+    if (!key || !formLanguages || activeLocale === formLanguages.defaultLanguage) {
+        return { text: defaultText, missing: false };
     }
 
-    // Build hash lookup AFTER parsing fields (needed for brute force decryption)
-    // This must happen after allFields is populated so we can find the country/state fields
-
-    await buildCountryHashLookup();
-    await buildStateHashLookup();
-
-    // Parse workflow rules - convert criteriaInformation to ruleCriteria format
-    if (webformData.rules) {
-        if (webformData.rules.REQUEST_CREATION) {
-            workflowRules = webformData.rules.REQUEST_CREATION.map(rule => {
-                // Parse action parameters
-                let ruleActionParameters = [];
-                try {
-                    ruleActionParameters = JSON.parse(rule.ruleActionParameters || '[]');
-                } catch (e) {
-                    console.error('Failed to parse ruleActionParameters', e);
-                }
+    const translated = translateFormKey(formLanguages, activeLocale, key);
+    return translated.text ? translated : { text: defaultText, missing: false };
+}
 
-                // Convert criteriaInformation.conditionGroups to ruleCriteria format
-                const ruleCriteria = [];
-                const criteriaInfo = rule.criteriaInformation || {};
-                const conditionGroups = criteriaInfo.conditionGroups || [];
+function renderLocalizedText(key, defaultText) {
+    const localized = getLocalizedText(key, defaultText);
+    if (!localized.missing) return localized.text;
+    return `<span class="locale-fallback" title="No ${activeLocale} translation for &quot;${key}&quot;">${localized.text}</span>`;
+}
 
-                // BRUTE FORCE: If workflow has hashed criteria, reverse the hashes
-                const ruleName = rule.ruleName || '';
-                
-                // Check for hashed criteria - look for fields with "Hash" in the name
-                // Also check if values look like SHA-512 hashes (128 hex characters)
-                const hasHashedCriteria = conditionGroups.some(group =>
-                    group.conditions?.some(c => {
-                        const fieldHasHash = c.field && c.field.includes('Hash');
-                        const valueIsHash = c.value && typeof c.value === 'string' && c.value.length === 128 && /^[0-9a-f]+$/i.test(c.value);
-                        return fieldHasHash || valueIsHash;
-                    })
-                );
-
-                if (hasHashedCriteria) {
-
-
-
-
-                    // Extract and reverse hashed values
-                    const decryptedCountries = new Set();
-                    const decryptedStates = new Set();
-                    let hasDecryptedAny = false;
-                    let totalHashesChecked = 0;
-
-                    conditionGroups.forEach((group, groupIdx) => {
-                        const conditions = group.conditions || [];
-
-                        
-                        conditions.forEach((condition, condIdx) => {
-                            // Check if this is a hashed field (by name or by value format)
-                            const fieldHasHash = condition.field && condition.field.includes('Hash');
-                            const valueIsHash = condition.value && typeof condition.value === 'string' && condition.value.length === 128 && /^[0-9a-f]+$/i.test(condition.value);
-                            
-                            if (fieldHasHash || valueIsHash) {
-                                const isCountryHash = condition.field && condition.field.toLowerCase().includes('country');
-                                const isStateHash = condition.field && condition.field.toLowerCase().includes('state');
-                                
-
-                                
-                                // Handle both single value and array of values
-                                const hashValues = Array.isArray(condition.value) ? condition.value : [condition.value];
-                                
-                                hashValues.forEach((hashValue, hashIdx) => {
-                                    totalHashesChecked++;
-                                    if (hashValue && typeof hashValue === 'string') {
-
-                                        
-                                        let decrypted = null;
-                                        let decryptedValue = null;
-                                        
-                                        // Try country hash lookup first
-                                        if (isCountryHash && countryHashLookup[hashValue]) {
-                                            decrypted = countryHashLookup[hashValue];
-                                            decryptedValue = decrypted.originalKey || decrypted.originalValue;
-                                            decryptedCountries.add(decryptedValue);
-                                            hasDecryptedAny = true;
-
-                                        }
-                                        // Try state hash lookup
-                                        else if (isStateHash && stateHashLookup[hashValue]) {
-                                            decrypted = stateHashLookup[hashValue];
-                                            decryptedValue = decrypted.originalKey || decrypted.originalValue;
-                                            decryptedStates.add(decryptedValue);
-                                            hasDecryptedAny = true;
-
-                                        }
-                                        // Try both lookups if field type is unknown
-                                        else if (!isCountryHash && !isStateHash) {
-                                            if (countryHashLookup[hashValue]) {
-                                                decrypted = countryHashLookup[hashValue];
-                                                decryptedValue = decrypted.originalKey || decrypted.originalValue;
-                                                decryptedCountries.add(decryptedValue);
-                                                hasDecryptedAny = true;
-
-                                            } else if (stateHashLookup[hashValue]) {
-                                                decrypted = stateHashLookup[hashValue];
-                                                decryptedValue = decrypted.originalKey || decrypted.originalValue;
-                                                decryptedStates.add(decryptedValue);
-                                                hasDecryptedAny = true;
-
-                                            } else {
-
-                                            }
-                                        } else {
-                                            // Hash not found in the expected lookup
-                                            const lookupSize = isCountryHash ? Object.keys(countryHashLookup).length : Object.keys(stateHashLookup).length;
-
-                                        }
-                                    }
-                                });
-                            }
-                        });
-                    });
+// TextBlocks are not rendered, so only input fields can show a raw key as label
+function auditSimulatorTranslations() {
+    return auditFormTranslations(formLanguages, {
+        fieldKeys: allFields.filter(field => field.type !== 'TextBlock').map(field => field.key)
+    });
+}
 
-                    const totalDecrypted = decryptedCountries.size + decryptedStates.size;
+function renderLocalizedOption(key, defaultText, selectedAttribute) {
+    const localized = getLocalizedText(key, defaultText);
+    const fallbackAttributes = localized.missing
+        ? ` class="locale-fallback" title="No ${activeLocale} translation for &quot;${key}&quot;"`
+        : '';
+    return `<option value="${key}" ${selectedAttribute}${fallbackAttributes}>${localized.missing ? '⚠ ' : ''}${localized.text}</option>`;
+}
 
+function resetForm() {
+    currentSelections = {};
+    visibleFields = new Set();
+    renderForm();
+}
 
-                    // Track which hashes we found but couldn't decrypt
-                    const undecryptedStateHashes = new Set();
-                    const undecryptedCountryHashes = new Set();
-                    
-                    // Re-check for undecrypted hashes
-                    conditionGroups.forEach((group) => {
-                        const conditions = group.conditions || [];
-                        conditions.forEach((condition) => {
-                            const fieldHasHash = condition.field && condition.field.includes('Hash');
-                            const valueIsHash = condition.value && typeof condition.value === 'string' && condition.value.length === 128 && /^[0-9a-f]+$/i.test(condition.value);
-                            
-                            if (fieldHasHash || valueIsHash) {
-                                const isCountryHash = condition.field && condition.field.toLowerCase().includes('country');
-                                const isStateHash = condition.field && condition.field.toLowerCase().includes('state');
-                                const hashValues = Array.isArray(condition.value) ? condition.value : [condition.value];
-                                
-                                hashValues.forEach((hashValue) => {
-                                    if (hashValue && typeof hashValue === 'string') {
-                                        if (isStateHash && !stateHashLookup[hashValue]) {
-                                            undecryptedStateHashes.add(hashValue);
-                                        } else if (isCountryHash && !countryHashLookup[hashValue]) {
-                                            undecryptedCountryHashes.add(hashValue);
-                                        } else if (!isCountryHash && !isStateHash) {
-                                            // Unknown type - check both
-                                            if (!countryHashLookup[hashValue] && !stateHashLookup[hashValue]) {
-                                                // Can't determine type, but it's a hash
-                                                if (condition.field && condition.field.toLowerCase().includes('state')) {
-                                                    undecryptedStateHashes.add(hashValue);
-                                                }
-                                            }
-                                        }
-                                    }
-                                });
-                            }
-                        });
-                    });
+function toggleInactiveFields() {
+    const checkbox = document.getElementById('showInactiveFields');
+    showInactiveFields = checkbox.checked;
+    renderForm();
+}
 
-                    if (hasDecryptedAny && totalDecrypted > 0) {
-                        // Successfully decrypted! Use the actual values, but mark as originally hashed
-                        if (decryptedCountries.size > 0) {
-                            ruleCriteria.push({
-                                field: 'country',
-                                values: Array.from(decryptedCountries),
-                                isHashed: true, // Mark as originally hashed
-                                inferred: false,
-                                decrypted: true
-                            });
+function renderForm() {
+    calculateVisibleFields();
+    renderFormFields();
+    evaluateWorkflows();
+}
 
-                        }
-                        if (decryptedStates.size > 0) {
-                            ruleCriteria.push({
-                                field: 'state',
-                                values: Array.from(decryptedStates),
-                                isHashed: true, // Mark as originally hashed
-                                inferred: false,
-                                decrypted: true
-                            });
-
-                        }
-                    }
-                    
-                    // Also add undecrypted hashes if any - keep full hashes so getOptionLabel() can decrypt them
-                    if (undecryptedStateHashes.size > 0) {
-                        ruleCriteria.push({
-                            field: 'state',
-                            values: Array.from(undecryptedStateHashes),
-                            isHashed: true,
-                            inferred: false,
-                            decrypted: false
-                        });
-
-                    }
-                    if (undecryptedCountryHashes.size > 0) {
-                        ruleCriteria.push({
-                            field: 'country',
-                            values: Array.from(undecryptedCountryHashes),
-                            isHashed: true,
-                            inferred: false,
-                            decrypted: false
-                        });
-
-                    }
-                    
-                    if (!hasDecryptedAny && totalDecrypted === 0 && undecryptedStateHashes.size === 0 && undecryptedCountryHashes.size === 0) {
-                        // Fallback: Try to infer from workflow name if brute force failed
-
-                        if (ruleName.toUpperCase().includes('CCPA')) {
-                            ruleCriteria.push({
-                                field: 'country',
-                                values: ['US'],
-                                isHashed: false,
-                                inferred: true,
-                                decrypted: false
-                            });
-
-                        } else if (ruleName.toUpperCase().includes('LGPD')) {
-                            ruleCriteria.push({
-                                field: 'country',
-                                values: ['BR'],
-                                isHashed: false,
-                                inferred: true,
-                                decrypted: false
-                            });
-
-                        } else if (ruleName.toUpperCase().includes('GDPR')) {
-                            ruleCriteria.push({
-                                field: 'country',
-                                values: ['AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE', 'IT', 'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE'],
-                                isHashed: false,
-                                inferred: true,
-                                decrypted: false
-                            });
-
-                        } else {
-                            // Unknown encrypted workflow - mark as such
-                            ruleCriteria.push({
-                                field: 'encrypted_criteria',
-                                values: ['[Could not decrypt - hash not in lookup table]'],
-                                isHashed: true,
-                                inferred: false,
-                                decrypted: false
-                            });
-
-                        }
-                    }
-                    // Skip normal parsing for hashed workflows - we already handled them
-                } else {
-                    // Normal workflow parsing (no hashes detected in field names)
-                    // But we still need to check if values themselves are hashes
-                    conditionGroups.forEach(group => {
-                    const conditions = group.conditions || [];
-                    conditions.forEach(condition => {
-
-                        // Clean field name (remove "multiselectFields." prefix)
-                        const field = condition.field.replace('multiselectFields.', '');
-
-                        // Map GUID to friendly key if available
-                        let value = condition.value;
-                        if (guidToKeyMap[value]) {
-                            value = guidToKeyMap[value];
-                        }
-
-                        // Check if value is a hash (128-character hex string)
-                        const valueIsHash = value && typeof value === 'string' && value.length === 128 && /^[0-9a-f]+$/i.test(value);
-                        const isStateField = field && (field.toLowerCase().includes('state') || field === 'state');
-                        const isCountryField = field && (field.toLowerCase().includes('country') || field === 'country');
-                        
-                        // If it's a state/country field with a hash value, try to decrypt it
-                        if (valueIsHash && (isStateField || isCountryField)) {
-                            let decrypted = null;
-                            if (isStateField && stateHashLookup[value]) {
-                                decrypted = stateHashLookup[value];
-                                value = decrypted.originalKey || decrypted.originalValue;
-
-                            } else if (isCountryField && countryHashLookup[value]) {
-                                decrypted = countryHashLookup[value];
-                                value = decrypted.originalKey || decrypted.originalValue;
-
-                            }
-                            
-                            // If we decrypted it, mark as originally hashed
-                            if (decrypted) {
-                                const existingCriteria = ruleCriteria.find(c => c.field === (isStateField ? 'state' : 'country'));
-                                if (existingCriteria) {
-                                    if (!existingCriteria.values.includes(value)) {
-                                        existingCriteria.values.push(value);
-                                    }
-                                    existingCriteria.isHashed = true;
-                                    existingCriteria.decrypted = true;
-                                } else {
-                                    ruleCriteria.push({
-                                        field: isStateField ? 'state' : 'country',
-                                        values: [value],
-                                        isHashed: true,
-                                        decrypted: true,
-                                        inferred: false
-                                    });
-                                }
-                                return; // Skip normal processing for this condition
-                            } else if (valueIsHash) {
-                                // Hash found but couldn't decrypt - keep full hash so getOptionLabel() can decrypt it
-                                const existingCriteria = ruleCriteria.find(c => c.field === (isStateField ? 'state' : 'country'));
-                                if (existingCriteria) {
-                                    if (!existingCriteria.values.includes(value)) {
-                                        existingCriteria.values.push(value);
-                                    }
-                                    existingCriteria.isHashed = true;
-                                    existingCriteria.decrypted = false;
-                                } else {
-                                    ruleCriteria.push({
-                                        field: isStateField ? 'state' : 'country',
-                                        values: [value],
-                                        isHashed: true,
-                                        decrypted: false
-                                    });
-                                }
-                                return; // Skip normal processing for this condition
-                            }
-                        }
-
-                        // Check if we already have this field in ruleCriteria
-                        let existingCriteria = ruleCriteria.find(c => c.field === field);
-
-                        if (!existingCriteria) {
-                            existingCriteria = {
-                                field: field,
-                                values: [],
-                                isHashed: false
-                            };
-                            ruleCriteria.push(existingCriteria);
-                        }
-
-                        // Add value if not already present
-                        if (value && !existingCriteria.values.includes(value)) {
-                            existingCriteria.values.push(value);
-                        }
-                    });
-                });
-                } // End of else block for normal parsing
-
-                return {
-                    ...rule,
-                    type: 'REQUEST_CREATION',
-                    ruleActionParameters: ruleActionParameters,
-                    ruleCriteria: ruleCriteria
-                };
-            });
-        }
-    }
-
-
-
-
-
-    // Log workflow criteria for debugging
-    workflowRules.forEach(wf => {
-
-
-        wf.ruleCriteria.forEach(c => {
-
-        });
-    });
-}
-
-async function startSimulator() {
-    document.getElementById('uploadSection').classList.add('hidden');
-    document.getElementById('mainSection').classList.remove('hidden');
-
-    currentSelections = {};
-    visibleFields = new Set();
-
-    // Hash lookup is already built in parseWebform() before workflow parsing
-    // No need to rebuild it here
-
-    renderForm();
-}
-
-function resetForm() {
-    currentSelections = {};
-    visibleFields = new Set();
-    renderForm();
-}
-
-function toggleInactiveFields() {
-    const checkbox = document.getElementById('showInactiveFields');
-    showInactiveFields = checkbox.checked;
-    renderForm();
-}
-
-function renderForm() {
-    calculateVisibleFields();
-    renderFormFields();
-    evaluateWorkflows();
-}
-
-function calculateVisibleFields() {
-    const previousVisibleFields = new Set(visibleFields);
-    visibleFields.clear();
-
-    allFields.forEach(field => {
-        // CRITICAL: Only show fields where isSelected = true AND status != 20 (enabled in OneTrust)
-        // Use explicit check: only show if isSelected is explicitly true AND status is not 20
-        const isEnabled = field.isSelected === true && field.status !== 20;
-
-        if (!isEnabled) {
-
-            // If showInactiveFields is true, add inactive fields to visibleFields but mark them as inactive
-            if (showInactiveFields) {
-                visibleFields.add(field.key);
-            }
-            return;
-        }
-
-        // Always show enabled fields without visibility rules
-        if (!field.hasVisibilityRule) {
-            visibleFields.add(field.key);
-
-            return;
-        }
-
-        // Evaluate visibility rules for enabled fields
-        const rules = field.visibilityRules?.rules || [];
-        if (rules.length === 0) {
-
-            return;
-        }
-
-        for (let rule of rules) {
-            const ruleResult = evaluateRule(rule);
-
-            if (ruleResult) {
-                visibleFields.add(field.key);
-                break;
-            }
-        }
-    });
-
-    // Check if fields disappeared - if so, clear their selections
-    previousVisibleFields.forEach(fieldKey => {
-        if (!visibleFields.has(fieldKey) && currentSelections[fieldKey]) {
-
-            delete currentSelections[fieldKey];
-        }
-    });
-
-
-}
+function calculateVisibleFields() {
+    // Hidden fields lose their selections, which can in turn hide further fields
+    const resolved = resolveVisibleSelections(allFields, currentSelections, { showInactiveFields });
+    visibleFields = resolved.visibleFields;
+    currentSelections = resolved.selections;
+}
 
 function evaluateRule(rule) {
-    const conditions = rule.ruleConditions || [];
-    const operator = rule.logicalOperatorForConditions || 'AND';
-
-    const results = conditions.map(condition => evaluateCondition(condition));
-
-    if (operator === 'AND') {
-        return results.every(r => r);
-    } else {
-        return results.some(r => r);
-    }
+    return evaluateVisibilityRule(rule, currentSelections);
 }
 
 function evaluateCondition(condition) {
-    const fieldKey = condition.selectedField;
-    const subConditions = condition.ruleSubConditions || [];
-    const operator = condition.logicalOperatorForSubConditions || 'OR';
-
-    const userSelection = currentSelections[fieldKey];
-
-    // If field not selected yet, check if all subconditions are NOT_EQUALS
-    // In that case, the condition is considered false (field must be selected first)
-    const allNotEquals = subConditions.every(sub => sub.comparisonOperator === 'NOT_EQUALS');
-    if (!userSelection && allNotEquals) {
-        return false;
-    }
-
-    // If field not selected and has EQUALS conditions, it's false
-    if (!userSelection) {
-        return false;
-    }
-
-    const results = subConditions.map(sub => {
-        if (sub.comparisonOperator === 'EQUALS') {
-            return userSelection === sub.valueToCompareWith;
-        } else if (sub.comparisonOperator === 'NOT_EQUALS') {
-            return userSelection !== sub.valueToCompareWith;
-        }
-        return false;
-    });
-
-    if (operator === 'OR') {
-        return results.some(r => r);
-    } else {
-        return results.every(r => r);
-    }
+    return evaluateRuleCondition(condition, currentSelections);
 }
 
 
@@ -1284,28 +408,29 @@ function renderField(field) {
     const isActive = field.isSelected === true && field.status !== 20;
     const inactiveBadge = !isActive ? '<span style="display: inline-block; background: #95a5a6; color: white; padding: 0.2rem 0.6rem; border-radius: 4px; font-size: 0.75rem; margin-left: 0.5rem;">Inactive</span>' : '';
 
+    // Differences against the comparison webform ("Compare with...")
+    const fieldDiff = getFieldDiffInfo(field.key);
+    const diffClass = fieldDiff ? ` diff-field-${fieldDiff.state}` : '';
+    const diffBadge = fieldDiff
+        ? `<span title="${fieldDiff.details.join('&#10;').replace(/"/g, '&quot;')}" style="display: inline-block; background: ${fieldDiff.state === 'added' ? '#27ae60' : '#e67e22'}; color: white; padding: 0.2rem 0.6rem; border-radius: 4px; font-size: 0.75rem; margin-left: 0.5rem;">${fieldDiff.state === 'added' ? 'NEW' : 'CHANGED'}</span>`
+        : '';
+
     const required = field.isRequired ? '<span class="required">*</span>' : '';
-    const description = field.description ? `<div class="form-description">${getFieldLabel(field.description)}</div>` : '';
+    const description = field.description ? `<div class="form-description">${renderLocalizedText(field.description, getFieldLabel(field.description))}</div>` : '';
+
+    // Label in the locale picked in the toolbar (plain text for placeholders and prompts)
+    const fieldLabel = renderLocalizedText(field.key, field.label);
+    const fieldLabelText = getLocalizedText(field.key, field.label).text;
 
     // Multi-choice fields (buttons)
     if (field.options && field.options.length > 0) {
         // Filter options based on visibility rules
-        let availableOptions = field.options;
-        if (field.visibilityRules && field.visibilityRules.rules) {
-            for (let rule of field.visibilityRules.rules) {
-                if (evaluateRule(rule)) {
-                    const action = rule.actions?.[0];
-                    if (action && action.action === 'SHOW_QUESTION_WITH_CONFIGURED_OPTIONS' && action.selectedOptions) {
-                        availableOptions = field.options.filter(opt =>
-                            action.selectedOptions.includes(opt.key)
-                        );
-                        break;
-                    }
-                }
-            }
-        }
+        let availableOptions = getAvailableOptions(field, currentSelections);
 
-        const currentSelection = currentSelections[field.key];
+        // Multi-select fields store an array of option keys
+        const isMultiSelect = isMultiSelectField(field);
+        const selectedValues = getSelectionValues(currentSelections[field.key]);
+        const multiSelectHint = isMultiSelect ? '<div class="form-description">Select all that apply</div>' : '';
 
         // Use dropdown for many options
         if (availableOptions.length > 10) {
@@ -1319,14 +444,29 @@ function renderField(field) {
                 });
             }
             
+            if (isMultiSelect) {
+                return `
+                    <div class="form-field${diffClass}">
+                        <label class="form-label">${fieldLabel}${required}${inactiveBadge}${diffBadge}</label>
+                        ${description}
+                        ${multiSelectHint}
+                        <select class="form-select" multiple size="8" onchange="selectMultipleOptions('${field.key}', Array.from(this.selectedOptions).map(o => o.value))" ${!isActive ? 'disabled style="opacity: 0.6;"' : ''}>
+                            ${availableOptions.map(opt => `
+                                ${renderLocalizedOption(opt.key, getOptionLabel(opt.key) || opt.value, selectedValues.includes(opt.key) ? 'selected' : '')}
+                            `).join('')}
+                        </select>
+                    </div>
+                `;
+            }
+
             return `
-                <div class="form-field">
-                    <label class="form-label">${field.label}${required}${inactiveBadge}</label>
+                <div class="form-field${diffClass}">
+                    <label class="form-label">${fieldLabel}${required}${inactiveBadge}${diffBadge}</label>
                     ${description}
                     <select class="form-select" onchange="selectOption('${field.key}', this.value)" ${!isActive ? 'disabled style="opacity: 0.6;"' : ''}>
-                        <option value="">-- Choose ${field.label} --</option>
+                        <option value="">-- Choose ${fieldLabelText} --</option>
                         ${availableOptions.map(opt => `
-                            <option value="${opt.key}" ${opt.key === currentSelection ? 'selected' : ''}>${getOptionLabel(opt.key) || opt.value}</option>
+                            ${renderLocalizedOption(opt.key, getOptionLabel(opt.key) || opt.value, selectedValues.includes(opt.key) ? 'selected' : '')}
                         `).join('')}
                     </select>
                 </div>
@@ -1335,13 +475,14 @@ function renderField(field) {
 
         // Button group for fewer options
         return `
-            <div class="form-field">
-                <label class="form-label">${field.label}${required}${inactiveBadge}</label>
+            <div class="form-field${diffClass}">
+                <label class="form-label">${fieldLabel}${required}${inactiveBadge}${diffBadge}</label>
                 ${description}
+                ${multiSelectHint}
                 <div class="button-group">
                     ${availableOptions.map(opt => `
-                        <button class="form-button ${opt.key === currentSelection ? 'selected' : ''}" onclick="selectOption('${field.key}', '${opt.key}')" ${!isActive ? 'disabled style="opacity: 0.6; cursor: not-allowed;"' : ''}>
-                            ${getOptionLabel(opt.key) || opt.value}
+                        <button class="form-button ${selectedValues.includes(opt.key) ? 'selected' : ''} ${fieldDiff && fieldDiff.addedOptions.includes(opt.key) ? 'diff-option-added' : ''}" onclick="selectOption('${field.key}', '${opt.key}')" ${!isActive ? 'disabled style="opacity: 0.6; cursor: not-allowed;"' : ''}>
+                            ${renderLocalizedText(opt.key, getOptionLabel(opt.key) || opt.value)}
                         </button>
                     `).join('')}
                 </div>
@@ -1352,11 +493,11 @@ function renderField(field) {
     // Text input fields
     if (field.type === 'Text Field' || field.type === 'Email' || field.type === 'Phone') {
         const inputType = field.type === 'Email' ? 'email' : field.type === 'Phone' ? 'tel' : 'text';
-        const placeholder = `${field.label} of data subject this request concerns`;
+        const placeholder = `${fieldLabelText} of data subject this request concerns`;
         const savedValue = currentSelections[field.key] || '';
         return `
-            <div class="form-field">
-                <label class="form-label">${field.label}${required}${inactiveBadge}</label>
+            <div class="form-field${diffClass}">
+                <label class="form-label">${fieldLabel}${required}${inactiveBadge}${diffBadge}</label>
                 ${description}
                 <input type="${inputType}"
                        class="form-input"
@@ -1372,8 +513,8 @@ function renderField(field) {
     if (field.type === 'Text Area') {
         const savedValue = currentSelections[field.key] || '';
         return `
-            <div class="form-field">
-                <label class="form-label">${field.label}${required}${inactiveBadge}</label>
+            <div class="form-field${diffClass}">
+                <label class="form-label">${fieldLabel}${required}${inactiveBadge}${diffBadge}</label>
                 ${description}
                 <textarea class="form-textarea"
                           oninput="updateTextInput('${field.key}', this.value)"
@@ -1399,8 +540,8 @@ function renderField(field) {
         // If still no options, show message
         if (options.length === 0) {
             return `
-                <div class="form-field">
-                    <label class="form-label">${field.label}${required}${inactiveBadge}</label>
+                <div class="form-field${diffClass}">
+                    <label class="form-label">${fieldLabel}${required}${inactiveBadge}${diffBadge}</label>
                     ${description}
                     <div style="padding: 0.75rem; background: #f8f9fa; border: 2px solid #e0e6ed; border-radius: 6px; color: #6c757d; font-style: italic;">
                         Options dynamically loaded (not available in simulator)
@@ -1426,12 +567,12 @@ function renderField(field) {
         const optionsHtml = options.map(opt => {
             const optLabel = opt.value || getOptionLabel(opt.key);
             const selected = currentSelections[field.key] === opt.key ? 'selected' : '';
-            return `<option value="${opt.key}" ${selected}>${optLabel}</option>`;
+            return renderLocalizedOption(opt.key, optLabel, selected);
         }).join('');
 
         return `
-            <div class="form-field">
-                <label class="form-label">${field.label}${required}${inactiveBadge}</label>
+            <div class="form-field${diffClass}">
+                <label class="form-label">${fieldLabel}${required}${inactiveBadge}${diffBadge}</label>
                 ${description}
                 <select class="form-select" onchange="selectOption('${field.key}', this.value)" ${!isActive ? 'disabled style="opacity: 0.6;"' : ''}>
                     <option value="">-- Choose --</option>
@@ -1444,8 +585,8 @@ function renderField(field) {
     // DateTime
     if (field.type === 'DateTime') {
         return `
-            <div class="form-field">
-                <label class="form-label">${field.label}${required}${inactiveBadge}</label>
+            <div class="form-field${diffClass}">
+                <label class="form-label">${fieldLabel}${required}${inactiveBadge}${diffBadge}</label>
                 ${description}
                 <input type="date" class="form-input" ${!isActive ? 'disabled style="opacity: 0.6;"' : ''}>
             </div>
@@ -1463,6 +604,17 @@ function selectOption(fieldKey, optionKey) {
         return;
     }
 
+    // Multi-select fields toggle the option in their list of selected keys
+    const field = allFields.find(f => f.key === fieldKey);
+    if (field && isMultiSelectField(field)) {
+        const selectedValues = getSelectionValues(currentSelections[fieldKey]);
+        const updated = selectedValues.includes(optionKey)
+            ? selectedValues.filter(v => v !== optionKey)
+            : [...selectedValues, optionKey];
+        selectMultipleOptions(fieldKey, updated);
+        return;
+    }
+
     // Toggle: if clicking the same option, deselect it
     if (currentSelections[fieldKey] === optionKey) {
         delete currentSelections[fieldKey];
@@ -1473,6 +625,18 @@ function selectOption(fieldKey, optionKey) {
     renderForm();
 }
 
+function selectMultipleOptions(fieldKey, optionKeys) {
+    // An empty multi-select counts as unanswered
+    const selectedValues = getSelectionValues(optionKeys);
+    if (selectedValues.length === 0) {
+        delete currentSelections[fieldKey];
+    } else {
+        currentSelections[fieldKey] = selectedValues;
+    }
+
+    renderForm();
+}
+
 function updateTextInput(fieldKey, value) {
     // Store text input values but don't re-render on every keystroke
     currentSelections[fieldKey] = value;
@@ -1504,164 +668,1100 @@ function evaluateWorkflows() {
 
     // Evaluate all workflows and score them
     const scoredWorkflows = [];
+    const results = workflowRules.map(workflow => ({
+        workflow,
+        ruleName: workflow.ruleName,
+        ruleSequence: workflow.ruleSequence,
+        workflowId: getWorkflowActionParameter(workflow, 'WORKFLOWID') || null,
+        ...evaluateWorkflowRule(workflow)
+    }));
 
-    workflowRules.forEach(workflow => {
-        const result = evaluateWorkflowRule(workflow);
+    // OneTrust assigns exactly one workflow: the first matching rule by ruleSequence
+    const assignment = resolveWorkflowAssignment(results, defaultWorkflowId);
+
+    results.forEach(result => {
+        const workflow = result.workflow;
 
         // Show workflows with matches OR workflows with encrypted criteria (always show those)
         // A workflow has encrypted criteria if it has hashed criteria OR decrypted criteria (which means it originally had hashed criteria)
         const hasEncryptedCriteria = workflow.ruleCriteria?.some(c => c.isHashed || c.decrypted === true);
 
-        if (result.matchedCount > 0 || hasEncryptedCriteria) {
-            scoredWorkflows.push({
-                workflow,
-                reasons: result.reasons,
-                unmatchedReasons: result.unmatchedReasons,
-                matchedCount: result.matchedCount,
-                totalCriteria: result.totalCriteria,
-                isComplete: result.triggered,
-                matchPercentage: result.totalCriteria > 0 ? (result.matchedCount / result.totalCriteria) * 100 : 0,
-                hasEncryptedCriteria: hasEncryptedCriteria
-            });
+        if (result.matchedCount > 0 || result.triggered || hasEncryptedCriteria) {
+            scoredWorkflows.push({
+                workflow,
+                reasons: result.reasons,
+                unmatchedReasons: result.unmatchedReasons,
+                matchedCount: result.matchedCount,
+                totalCriteria: result.totalCriteria,
+                isComplete: result.triggered,
+                isAssigned: result === assignment.assigned,
+                shadowedBy: result.triggered && result !== assignment.assigned ? assignment.assigned : null,
+                tree: result.tree,
+                matchPercentage: result.totalCriteria > 0 ? (result.matchedCount / result.totalCriteria) * 100 : 0,
+                hasEncryptedCriteria: hasEncryptedCriteria
+            });
+        }
+    });
+
+    // Assigned workflow first, then shadowed rules in evaluation order, then partial matches by percentage
+    const evaluationOrder = sortByRuleSequence(workflowRules);
+    scoredWorkflows.sort((a, b) =>
+        (b.isAssigned - a.isAssigned) ||
+        (b.isComplete - a.isComplete) ||
+        (a.isComplete ? evaluationOrder.indexOf(a.workflow) - evaluationOrder.indexOf(b.workflow) : 0) ||
+        (b.matchPercentage - a.matchPercentage));
+
+    if (scoredWorkflows.length === 0 && !(assignment.usedDefault && defaultWorkflowId)) {
+        workflowList.innerHTML = `
+            <div class="workflow-empty">
+                Make selections to see matching workflows
+            </div>
+        `;
+    } else {
+        renderWorkflows(workflowList, scoredWorkflows, assignment);
+    }
+
+    // Evaluate form actions
+    evaluateFormActions(formActionsDiv);
+}
+
+function evaluateFormActions(formActionsDiv) {
+    if (!formActionsDiv) return;
+
+    const actions = [];
+
+    // Check submit button state
+    if (submitButtonRules) {
+        const submitResult = evaluateUIField(submitButtonRules);
+        if (submitResult.disabled) {
+            actions.push({
+                type: 'Submit Button',
+                status: 'DISABLED',
+                reason: renderLocalizedText(submitResult.message, getFieldLabel(submitResult.message)),
+                color: '#e74c3c'
+            });
+        } else {
+            actions.push({
+                type: 'Submit Button',
+                status: 'ENABLED',
+                reason: 'Form can be submitted',
+                color: '#27ae60'
+            });
+        }
+    }
+
+    // Check attachment field state
+    if (attachmentRules) {
+        const attachmentResult = evaluateUIField(attachmentRules);
+        if (attachmentResult.shown) {
+            actions.push({
+                type: 'Attachment Field',
+                status: 'VISIBLE',
+                reason: attachmentResult.message,
+                color: '#3498db'
+            });
+        } else {
+            actions.push({
+                type: 'Attachment Field',
+                status: 'HIDDEN',
+                reason: 'No conditions met to show attachments',
+                color: '#95a5a6'
+            });
+        }
+    }
+
+    if (actions.length === 0) {
+        formActionsDiv.innerHTML = `
+            <div class="workflow-empty">
+                Make selections to see form actions
+            </div>
+        `;
+        return;
+    }
+
+    formActionsDiv.innerHTML = actions.map(action => `
+        <div style="background: white; border: 2px solid ${action.color}; border-radius: 8px; padding: 1rem; margin-bottom: 1rem;">
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.5rem;">
+                <div style="font-weight: 600; color: #2c3e50;">${action.type}</div>
+                <span style="background: ${action.color}; color: white; padding: 0.25rem 0.6rem; border-radius: 4px; font-size: 0.75rem; font-weight: 600;">${action.status}</span>
+            </div>
+            <div style="font-size: 0.9rem; color: #7f8c8d;">${action.reason}</div>
+        </div>
+    `).join('');
+}
+
+// Loads a second webform and diffs it against the simulated one (the loaded form is the "new" side)
+function loadComparisonFile(file) {
+    const reader = new FileReader();
+
+    reader.onload = async (e) => {
+        try {
+            const baseline = await loadWebform(JSON.parse(e.target.result), {
+                stateHashCsv: await loadStateHashCsv(),
+                hashDictionaries: getSavedHashDictionaries(),
+                hashVariationRules: getSavedHashVariationRules(),
+                hashLookupBuilder: getHashLookupBuilder()
+            });
+            const current = { ...getSimulatorForm(), webformData };
+            // Structural differences plus the journeys whose outcome changes
+            comparisonDiff = { ...diffWebforms(baseline, current), behavior: diffWebformBehavior(baseline, current) };
+            comparisonFileName = file.name;
+            renderComparisonPanel();
+            renderForm();
+        } catch (error) {
+            console.error('Error loading comparison webform:', error);
+            alert('Error loading comparison webform: ' + error.message);
+        }
+    };
+
+    reader.readAsText(file);
+}
+
+function clearComparison() {
+    comparisonDiff = null;
+    comparisonFileName = null;
+    renderComparisonPanel();
+    renderForm();
+}
+
+function renderComparisonPanel() {
+    const panel = document.getElementById('comparisonPanel');
+    if (!panel) return;
+
+    if (!comparisonDiff) {
+        panel.classList.add('hidden');
+        panel.innerHTML = '';
+        return;
+    }
+
+    const lines = formatWebformDiff(comparisonDiff).map(line => {
+        const trimmed = line.trim();
+        const cssClass = trimmed.startsWith('+') ? 'diff-added'
+            : trimmed.startsWith('-') ? 'diff-removed'
+            : trimmed.startsWith('~') || trimmed.startsWith('!') ? 'diff-changed'
+            : '';
+        return `<span class="${cssClass}">${line.replace(/</g, '&lt;')}</span>`;
+    });
+    const behaviorLines = formatBehaviorDiff(comparisonDiff.behavior).map(line => line.replace(/</g, '&lt;'));
+
+    panel.classList.remove('hidden');
+    panel.innerHTML = `
+        <div style="display: flex; justify-content: space-between; align-items: center;">
+            <div style="font-weight: 600; color: #8e44ad;">Compared with ${comparisonFileName} - highlighted fields and workflows differ from that version</div>
+            <button class="btn" onclick="clearComparison()">Clear Comparison</button>
+        </div>
+        <pre>${lines.join('\n')}</pre>
+        <div style="font-weight: 600; color: #8e44ad; margin-top: 1rem;">Behavior changes (${comparisonDiff.behavior.summary.changedJourneys} journey(s) with a different outcome)</div>
+        <pre>${behaviorLines.join('\n')}</pre>
+    `;
+}
+
+// ============================================================================
+// SOURCE MAP - where in the export each part of the webform was found
+// ============================================================================
+
+function toggleSourceMapPanel() {
+    const panel = document.getElementById('sourceMapPanel');
+    if (panel) {
+        panel.classList.toggle('hidden');
+    }
+}
+
+function renderSourceMapPanel() {
+    const panel = document.getElementById('sourceMapPanel');
+    if (!panel) return;
+
+    const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+    const methodLabels = {
+        shape: 'found by shape',
+        'fixed path': '⚠️ usual path (no shape match)',
+        missing: '❌ not found'
+    };
+
+    let html = `
+        <div style="display: flex; justify-content: space-between; align-items: center;">
+            <div style="font-weight: 600; color: #2980b9;">Source map - where each part of this webform was read from</div>
+            <button class="btn" onclick="toggleSourceMapPanel()">Hide</button>
+        </div>`;
+    html += '<table style="width: 100%; border-collapse: collapse; margin-top: 0.5rem;">';
+    html += '<tr style="background: #ecf0f1;"><th style="padding: 0.5rem; text-align: left;">Part</th><th style="padding: 0.5rem; text-align: left;">JSON Path</th><th style="padding: 0.5rem; text-align: left;">Items</th><th style="padding: 0.5rem; text-align: left;">Located</th></tr>';
+    webformSourceMap.forEach(entry => {
+        html += '<tr style="border-bottom: 1px solid #ddd;">';
+        html += `<td style="padding: 0.5rem; font-weight: 600;">${escape(entry.label)}</td>`;
+        html += `<td style="padding: 0.5rem; font-family: monospace;">${entry.paths.length > 0 ? entry.paths.map(escape).join('<br>') : '-'}</td>`;
+        html += `<td style="padding: 0.5rem;">${entry.count}</td>`;
+        html += `<td style="padding: 0.5rem;">${methodLabels[entry.method]}</td>`;
+        html += '</tr>';
+    });
+    html += '</table>';
+
+    panel.innerHTML = html;
+}
+
+// Field-level differences for highlighting on the simulated form
+function getFieldDiffInfo(fieldKey) {
+    if (!comparisonDiff) return null;
+
+    if (comparisonDiff.fields.added.some(f => f.key === fieldKey)) {
+        return { state: 'added', details: ['New field'], addedOptions: [] };
+    }
+
+    const details = [];
+    const changedField = comparisonDiff.fields.changed.find(f => f.key === fieldKey);
+    if (changedField) {
+        changedField.changes.forEach(c => details.push(`${c.property}: ${c.before} → ${c.after}`));
+    }
+
+    const optionChange = comparisonDiff.options.find(o => o.fieldKey === fieldKey);
+    if (optionChange) {
+        if (optionChange.added.length) details.push(`Options added: ${optionChange.added.join(', ')}`);
+        if (optionChange.removed.length) details.push(`Options removed: ${optionChange.removed.join(', ')}`);
+        if (optionChange.relabelled.length) details.push(`Options relabelled: ${optionChange.relabelled.map(r => r.key).join(', ')}`);
+        if (optionChange.reordered) details.push('Options reordered');
+    }
+
+    comparisonDiff.visibility
+        .filter(v => v.fieldKey === fieldKey)
+        .forEach(v => details.push(`Visibility rule ${v.change}: ${v.ruleName}`));
+
+    if (details.length === 0) return null;
+    return { state: 'changed', details, addedOptions: optionChange ? optionChange.added : [] };
+}
+
+function getWorkflowDiffBadge(ruleName) {
+    if (!comparisonDiff) return '';
+
+    const badge = (label, color, title) => `<span title="${title}" style="background: ${color}; color: white; padding: 0.25rem 0.6rem; border-radius: 4px; font-size: 0.75rem; font-weight: 600;">${label}</span>`;
+    if (comparisonDiff.workflows.added.some(w => w.ruleName === ruleName)) {
+        return badge('NEW', '#27ae60', 'Rule not present in the comparison webform');
+    }
+    const changed = comparisonDiff.workflows.changed.find(w => w.ruleName === ruleName);
+    if (changed) {
+        return badge('CHANGED', '#e67e22', changed.changes.map(c => `${c.property}: ${c.before} → ${c.after}`).join('&#10;').replace(/"/g, '&quot;'));
+    }
+    return '';
+}
+
+function downloadTextFile(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// The loaded webform in the shape the rule engine and analyzers expect
+function getSimulatorForm() {
+    return {
+        fields: allFields,
+        workflowRules,
+        submitButtonRules,
+        attachmentRules,
+        defaultWorkflowId
+    };
+}
+
+// ============================================================================
+// SCENARIOS - saved selections + outcomes replayed as regression tests
+// ============================================================================
+
+// Suites are kept in localStorage (one per client) so they survive a reload
+function getSavedScenarioSuites() {
+    try {
+        return JSON.parse(localStorage.getItem(SCENARIO_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.error('Error reading saved scenario suites:', error);
+        return {};
+    }
+}
+
+function storeScenarioSuite(suite) {
+    const suites = getSavedScenarioSuites();
+    suites[suite.name] = suite;
+    localStorage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(suites));
+}
+
+function getActiveScenarioSuite() {
+    const suites = getSavedScenarioSuites();
+    if (!activeScenarioSuiteName || !suites[activeScenarioSuiteName]) {
+        const templateName = webformData?.webFormDto?.templateName || null;
+        activeScenarioSuiteName = Object.keys(suites).find(name => suites[name].templateName === templateName)
+            || Object.keys(suites)[0]
+            || templateName
+            || 'Scenarios';
+    }
+    return suites[activeScenarioSuiteName] || createScenarioSuite(activeScenarioSuiteName, webformData?.webFormDto?.templateName || null);
+}
+
+function selectScenarioSuite(name) {
+    activeScenarioSuiteName = name;
+    scenarioRunResult = null;
+    scenarioCoverageGaps = null;
+    showScenarioManager();
+}
+
+function createNewScenarioSuite() {
+    const name = prompt('Suite name (e.g. the client):');
+    if (!name) return;
+    const suites = getSavedScenarioSuites();
+    if (!suites[name]) {
+        storeScenarioSuite(createScenarioSuite(name, webformData?.webFormDto?.templateName || null));
+    }
+    selectScenarioSuite(name);
+}
+
+function saveCurrentScenario() {
+    const name = prompt('Scenario name:');
+    if (!name) return;
+    const suite = getActiveScenarioSuite();
+    addScenarioToSuite(suite, createScenario(getSimulatorForm(), name, currentSelections));
+    storeScenarioSuite(suite);
+    scenarioRunResult = null;
+    showScenarioManager();
+}
+
+// Puts a scenario's selections on the simulated form
+function loadScenarioSelections(index) {
+    const scenario = getActiveScenarioSuite().scenarios[index];
+    currentSelections = JSON.parse(JSON.stringify(scenario.selections));
+    closeScenarioManager();
+    renderForm();
+}
+
+function deleteScenario(index) {
+    const suite = getActiveScenarioSuite();
+    suite.scenarios.splice(index, 1);
+    storeScenarioSuite(suite);
+    scenarioRunResult = null;
+    showScenarioManager();
+}
+
+function runActiveScenarioSuite() {
+    scenarioRunResult = runScenarioSuite(getSimulatorForm(), getActiveScenarioSuite());
+    showScenarioManager();
+}
+
+function downloadScenarioSuite() {
+    const suite = getActiveScenarioSuite();
+    downloadTextFile(JSON.stringify(suite, null, 2), `${suite.name.replace(/[^a-z0-9_-]+/gi, '_')}_scenarios.json`, 'application/json');
+}
+
+function importScenarioSuite(file) {
+    const reader = new FileReader();
+
+    reader.onload = (e) => {
+        try {
+            const suite = parseScenarioSuite(JSON.parse(e.target.result), file.name.replace(/\.json$/i, ''));
+            storeScenarioSuite(suite);
+            selectScenarioSuite(suite.name);
+        } catch (error) {
+            console.error('Error importing scenario suite:', error);
+            alert('Error importing scenario suite: ' + error.message);
+        }
+    };
+
+    reader.readAsText(file);
+}
+
+// Builds the smallest suite covering every workflow, visibility outcome and submit/attachment rule
+function generateTestCaseSuite() {
+    const templateName = webformData?.webFormDto?.templateName || null;
+    const labels = { fieldLabel: getFieldLabel, optionLabel: getOptionLabel };
+    const exploration = exploreFormPaths(getSimulatorForm(), { labels });
+    const generated = generateScenarioSuite(getSimulatorForm(), {
+        name: `${templateName || 'Webform'} (generated)`,
+        templateName,
+        exploration,
+        labels
+    });
+    storeScenarioSuite(generated.suite);
+    scenarioCoverageGaps = { uncovered: generated.uncovered, explorationGaps: describeExplorationGaps(exploration) };
+    activeScenarioSuiteName = generated.suite.name;
+    scenarioRunResult = null;
+    showScenarioManager();
+}
+
+// Steps in form order, with labels, for running a scenario by hand
+function formatScenarioSteps(selections) {
+    return allFields
+        .filter(field => selections[field.key] !== undefined)
+        .map(field => `${getFieldLabel(field.key)} = ${formatSelection(selections[field.key], getOptionLabel)}`)
+        .join('\n');
+}
+
+// ============================================================================
+// DEPENDENCY GRAPH - fields, types, UI actions and workflows with their dependencies
+// ============================================================================
+
+function showDependencyGraph() {
+    dependencyGraph = buildDependencyGraph(getSimulatorForm(), {
+        webFormDto: webformData.webFormDto,
+        labels: { fieldLabel: getFieldLabel, optionLabel: getOptionLabel }
+    });
+
+    const legendItem = (color, label, dash = '') => `<span style="display: inline-flex; align-items: center; gap: 0.35rem; margin-right: 1rem;">${dash === null
+        ? `<span style="display: inline-block; width: 14px; height: 14px; border-radius: 4px; background: ${color};"></span>`
+        : `<svg width="28" height="8"><line x1="0" y1="4" x2="28" y2="4" stroke="${color}" stroke-width="2" ${dash ? `stroke-dasharray="${dash}"` : ''}/></svg>`}${label}</span>`;
+
+    let html = '<div style="max-width: 95vw; margin: 0 auto; padding: 2rem; background: white; border-radius: 12px; box-shadow: 0 4px 20px rgba(0,0,0,0.1);">';
+    html += '<h1 style="color: #2c3e50; margin-bottom: 1rem;">Dependency Graph</h1>';
+    html += '<div style="margin-bottom: 0.75rem;">';
+    Object.values(DEPENDENCY_NODE_STYLES).forEach(style => {
+        html += legendItem(style.fill, style.title, null);
+    });
+    html += '</div><div style="margin-bottom: 1rem;">';
+    Object.values(DEPENDENCY_EDGE_STYLES).forEach(style => {
+        html += legendItem(style.stroke, style.title, style.dash);
+    });
+    html += '</div>';
+    html += '<div style="display: flex; gap: 0.5rem; align-items: center; margin-bottom: 1rem;">';
+    html += '<button class="btn" onclick="downloadDependencyGraph(\'svg\')">Export SVG</button>';
+    html += '<button class="btn" onclick="downloadDependencyGraph(\'dot\')">Export DOT</button>';
+    html += '<span id="dependencyGraphInfo" style="color: #7f8c8d; margin-left: 1rem;">Click a node to highlight what it depends on and what depends on it</span>';
+    html += '</div>';
+    html += `<div id="dependencyGraphCanvas" style="overflow: auto; max-height: 70vh; border: 1px solid #ecf0f1; border-radius: 8px;">${renderDependencyGraphSvg(dependencyGraph)}</div>`;
+    html += '<div style="text-align: center; margin-top: 2rem;">';
+    html += '<button onclick="this.parentElement.parentElement.parentElement.remove()" class="btn" style="padding: 0.75rem 2rem;">Close</button>';
+    html += '</div>';
+    html += '</div>';
+
+    const modal = document.createElement('div');
+    modal.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); z-index: 10000; overflow-y: auto; padding: 2rem;';
+    modal.innerHTML = html;
+    document.body.appendChild(modal);
+
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            modal.remove();
+            return;
+        }
+        const canvas = document.getElementById('dependencyGraphCanvas');
+        if (!canvas || !canvas.contains(e.target)) return;
+        const nodeElement = e.target.closest('[data-node-id]');
+        highlightDependencyNode(nodeElement ? nodeElement.getAttribute('data-node-id') : null);
+    });
+}
+
+// Dims everything that is neither upstream nor downstream of the clicked node (null clears)
+function highlightDependencyNode(nodeId) {
+    const canvas = document.getElementById('dependencyGraphCanvas');
+    const info = document.getElementById('dependencyGraphInfo');
+    if (!canvas || !dependencyGraph) return;
+
+    const connected = nodeId ? getConnectedNodes(dependencyGraph, nodeId) : null;
+    const highlightedNodes = connected ? new Set([nodeId, ...connected.upstream, ...connected.downstream]) : null;
+    const highlightedEdges = connected ? new Set(connected.edges) : null;
+
+    canvas.querySelectorAll('[data-node-id]').forEach(element => {
+        const id = element.getAttribute('data-node-id');
+        element.style.opacity = !highlightedNodes || highlightedNodes.has(id) ? '1' : '0.15';
+        const rect = element.querySelector('rect');
+        if (id === nodeId) {
+            rect.setAttribute('stroke', '#2c3e50');
+            rect.setAttribute('stroke-width', '3');
+        } else {
+            rect.removeAttribute('stroke');
+            rect.removeAttribute('stroke-width');
+        }
+    });
+    canvas.querySelectorAll('[data-edge-index]').forEach(element => {
+        const index = Number(element.getAttribute('data-edge-index'));
+        element.style.opacity = !highlightedEdges || highlightedEdges.has(index) ? '1' : '0.08';
+    });
+
+    if (info) {
+        const node = dependencyGraph.nodes.find(n => n.id === nodeId);
+        info.textContent = node
+            ? `${DEPENDENCY_NODE_STYLES[node.type].title} "${node.label}": depends on ${connected.upstream.length}, affects ${connected.downstream.length} (click the background to clear)`
+            : 'Click a node to highlight what it depends on and what depends on it';
+    }
+}
+
+function downloadDependencyGraph(format) {
+    if (!dependencyGraph) return;
+    const templateName = webformData.webFormDto?.templateName || 'webform';
+    const cleanTemplateName = templateName.replace(/[^a-zA-Z0-9]/g, '-');
+    if (format === 'dot') {
+        downloadTextFile(dependencyGraphToDot(dependencyGraph, templateName), `${cleanTemplateName}-dependencies.dot`, 'text/vnd.graphviz');
+    } else {
+        downloadTextFile(renderDependencyGraphSvg(dependencyGraph), `${cleanTemplateName}-dependencies.svg`, 'image/svg+xml');
+    }
+}
+
+// ============================================================================
+// TRANSLATION IMPORT - edited "Translations" sheet (XLSX or CSV) back into the webform
+// ============================================================================
+
+function importTranslationFile(file) {
+    const reader = new FileReader();
+    const isWorkbook = /\.xlsx?$/i.test(file.name);
+
+    reader.onload = async (e) => {
+        try {
+            const rows = isWorkbook ? readTranslationWorkbookRows(e.target.result) : parseTranslationCsv(e.target.result);
+            const result = importTranslationTable(webformJson, parseTranslationTable(rows));
+            translationImportResult = result;
+
+            // Keep simulating with the imported texts, in the same language if it still exists
+            const locale = activeLocale;
+            webformJson = result.webformJson;
+            await parseWebform();
+            if (formLanguages.languages.includes(locale)) {
+                activeLocale = locale;
+            }
+            renderLocaleSelector();
+            renderForm();
+
+            showTranslationImportReport(result, file.name);
+        } catch (error) {
+            console.error('Error importing translations:', error);
+            alert('Error importing translations: ' + error.message);
+        }
+    };
+
+    if (isWorkbook) {
+        reader.readAsArrayBuffer(file);
+    } else {
+        reader.readAsText(file);
+    }
+}
+
+// Rows of the "Translations" sheet, or of the first sheet when it was renamed
+function readTranslationWorkbookRows(buffer) {
+    const workbook = XLSX.read(new Uint8Array(buffer), { type: 'array' });
+    const sheet = workbook.Sheets['Translations'] || workbook.Sheets[workbook.SheetNames[0]];
+    return XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
+}
+
+function showTranslationImportReport(result, fileName) {
+    let html = '<div style="max-width: 1200px; margin: 0 auto; padding: 2rem; background: white; border-radius: 12px; box-shadow: 0 4px 20px rgba(0,0,0,0.1);">';
+    html += '<h1 style="color: #2c3e50; margin-bottom: 1rem;">Translation Import</h1>';
+    html += `<p style="margin-bottom: 1rem;"><strong>${fileName}</strong>: ${result.added.length} added, ${result.changed.length} changed, ${result.rejected.length} rejected, ${result.unchanged} unchanged. The simulator now uses the imported texts.</p>`;
+    html += '<div style="display: flex; gap: 0.5rem; margin-bottom: 1.5rem;">';
+    html += '<button class="btn" onclick="downloadTranslatedWebform()">Download updated webform JSON</button>';
+    html += '</div>';
+
+    const sections = [
+        { title: 'Added', color: '#27ae60', items: result.added, columns: ['Language', 'Key', 'Text'], cells: item => [item.language, item.key, item.text] },
+        { title: 'Changed', color: '#e67e22', items: result.changed, columns: ['Language', 'Key', 'Before', 'After'], cells: item => [item.language, item.key, item.from, item.to] },
+        { title: 'Rejected', color: '#e74c3c', items: result.rejected, columns: ['Row', 'Language', 'Key', 'Reason'], cells: item => [item.rowNumber || '-', item.language || '-', item.key || '-', item.reason] }
+    ];
+    sections.forEach(section => {
+        html += `<div style="margin-bottom: 2rem; padding: 1.5rem; background: #f8f9fa; border: 2px solid ${section.color}; border-radius: 8px;">`;
+        html += `<h2 style="color: ${section.color}; margin-bottom: 1rem;">${section.title} (${section.items.length})</h2>`;
+        if (section.items.length > 0) {
+            html += '<table style="width: 100%; border-collapse: collapse;">';
+            html += `<tr style="background: #ecf0f1;">${section.columns.map(column => `<th style="padding: 0.5rem; text-align: left;">${column}</th>`).join('')}</tr>`;
+            section.items.forEach(item => {
+                html += `<tr style="border-bottom: 1px solid #ddd;">${section.cells(item).map(cell => `<td style="padding: 0.5rem; word-break: break-all;">${String(cell).replace(/</g, '&lt;')}</td>`).join('')}</tr>`;
+            });
+            html += '</table>';
+        } else {
+            html += '<p style="color: #7f8c8d;">None</p>';
+        }
+        html += '</div>';
+    });
+
+    html += '<div style="text-align: center; margin-top: 2rem;">';
+    html += '<button onclick="this.parentElement.parentElement.parentElement.remove()" class="btn" style="padding: 0.75rem 2rem;">Close</button>';
+    html += '</div>';
+    html += '</div>';
+
+    const modal = document.createElement('div');
+    modal.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); z-index: 10000; overflow-y: auto; padding: 2rem;';
+    modal.innerHTML = html;
+    document.body.appendChild(modal);
+
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            modal.remove();
+        }
+    });
+}
+
+function downloadTranslatedWebform() {
+    if (!translationImportResult) return;
+    const templateName = webformData.webFormDto?.templateName || 'webform';
+    const cleanTemplateName = templateName.replace(/[^a-zA-Z0-9]/g, '-');
+    downloadTextFile(JSON.stringify(translationImportResult.webformJson, null, 2), `${cleanTemplateName}-translated.json`, 'application/json');
+}
+
+// ============================================================================
+// HASH DICTIONARIES - word lists hashed criteria are reversed with
+// ============================================================================
+
+// Custom dictionaries are kept in localStorage so they apply to every webform loaded afterwards
+function getSavedHashDictionaries() {
+    try {
+        return JSON.parse(localStorage.getItem(HASH_DICTIONARY_STORAGE_KEY)) || [];
+    } catch (error) {
+        console.error('Error reading saved hash dictionaries:', error);
+        return [];
+    }
+}
+
+function storeHashDictionaries(dictionaries) {
+    localStorage.setItem(HASH_DICTIONARY_STORAGE_KEY, JSON.stringify(dictionaries));
+}
+
+function getHashLookupBuilder() {
+    if (!hashLookupBuilder) {
+        hashLookupBuilder = createHashLookupWorker(HASH_WORKER_URL) || buildHashDictionaryLookup;
+    }
+    return hashLookupBuilder;
+}
+
+// Hashes the built-in dictionaries in the worker at startup, so the first upload reads them from the cache
+async function precomputeHashDictionaries() {
+    try {
+        await buildHashDictionaries([], {
+            stateHashCsv: await loadStateHashCsv(),
+            variationRules: getSavedHashVariationRules(),
+            cache: getDefaultHashCache(),
+            buildLookup: getHashLookupBuilder()
+        });
+    } catch (error) {
+        console.warn('⚠️ Could not precompute hash dictionaries:', error.message);
+    }
+}
+
+function getSavedHashVariationRules() {
+    try {
+        return normalizeHashVariationRules(JSON.parse(localStorage.getItem(HASH_VARIATION_STORAGE_KEY)) || {});
+    } catch (error) {
+        console.error('Error reading saved hash variation rules:', error);
+        return normalizeHashVariationRules({});
+    }
+}
+
+// Reads the variation rule form of the "Hash Dictionaries" dialog; salts are one per line
+async function applyHashVariationRules() {
+    const checked = id => document.getElementById(id).checked;
+    const salts = id => document.getElementById(id).value.split('\n').map(salt => salt.trim()).filter(Boolean);
+    localStorage.setItem(HASH_VARIATION_STORAGE_KEY, JSON.stringify(normalizeHashVariationRules({
+        caseVariants: checked('hashRuleCase'),
+        trimWhitespace: checked('hashRuleTrim'),
+        stripDiacritics: checked('hashRuleDiacritics'),
+        isoCodes: checked('hashRuleIso'),
+        nameWithCode: checked('hashRuleNameWithCode'),
+        prefixes: salts('hashRulePrefixes'),
+        suffixes: salts('hashRuleSuffixes')
+    })));
+    await reloadHashDictionaries();
+}
+
+function importHashDictionaryFile(file) {
+    const reader = new FileReader();
+
+    reader.onload = async (e) => {
+        try {
+            const dictionary = parseHashDictionary(e.target.result, { name: file.name });
+            if (dictionary.entries.length === 0) {
+                throw new Error('The file contains no words');
+            }
+            storeHashDictionaries([...getSavedHashDictionaries().filter(d => d.id !== dictionary.id), dictionary]);
+            await reloadHashDictionaries();
+        } catch (error) {
+            console.error('Error importing hash dictionary:', error);
+            alert('Error importing hash dictionary: ' + error.message);
+        }
+    };
+
+    reader.readAsText(file);
+}
+
+async function removeHashDictionary(index) {
+    const id = hashDictionaries[index].id;
+    storeHashDictionaries(getSavedHashDictionaries().filter(d => d.id !== id));
+    await reloadHashDictionaries();
+}
+
+// Re-reverses the workflow criteria with the current dictionaries, keeping selections and language
+async function reloadHashDictionaries() {
+    const locale = activeLocale;
+    await parseWebform();
+    if (formLanguages.languages.includes(locale)) {
+        activeLocale = locale;
+    }
+    renderLocaleSelector();
+    renderForm();
+    showHashDictionaryManager();
+}
+
+function closeHashDictionaryManager() {
+    const modal = document.getElementById('hashDictionaryModal');
+    if (modal) {
+        modal.remove();
+    }
+}
+
+function showHashDictionaryManager() {
+    const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+
+    // How many hashed workflow conditions each dictionary reversed
+    const reversedCount = {};
+    workflowRules.forEach(rule => (rule.criteriaTree?.groups || []).forEach(group => group.conditions.forEach(condition => {
+        (condition.hashSources || []).forEach(name => {
+            reversedCount[name] = (reversedCount[name] || 0) + 1;
+        });
+    })));
+    const unresolved = workflowRules.reduce((count, rule) => count + (rule.criteriaTree?.groups || [])
+        .reduce((sum, group) => sum + group.conditions.filter(c => c.isHashed && !c.decrypted).length, 0), 0);
+    const reversals = [];
+    workflowRules.forEach(rule => (rule.criteriaTree?.groups || []).forEach(group => group.conditions.forEach(condition => {
+        (condition.hashReversals || []).forEach(reversal => reversals.push({ ruleName: rule.ruleName, field: condition.field, ...reversal }));
+    })));
+    const rules = getSavedHashVariationRules();
+
+    let html = '<div style="max-width: 1200px; margin: 0 auto; padding: 2rem; background: white; border-radius: 12px; box-shadow: 0 4px 20px rgba(0,0,0,0.1);">';
+    html += '<h1 style="color: #2c3e50; margin-bottom: 1rem;">Hash Dictionaries</h1>';
+    html += '<p style="margin-bottom: 1rem;">Hashed workflow criteria are reversed with the dictionaries meant for their field first, then with all others. Add a word list (CSV with one word per line or key,value rows, or a JSON array) for values none of the built-in lists know.</p>';
+    html += '<div style="display: flex; gap: 0.5rem; margin-bottom: 1.5rem;">';
+    html += '<button class="btn" onclick="document.getElementById(\'hashDictionaryFileInput\').click()">Add Word List (CSV/JSON)</button>';
+    html += '</div>';
+
+    if (unresolved > 0) {
+        html += `<p style="color: #e67e22; font-weight: bold; margin-bottom: 1rem;">⚠️ ${unresolved} hashed condition(s) could not be reversed with any dictionary.</p>`;
+    } else {
+        html += '<p style="color: #27ae60; font-weight: bold; margin-bottom: 1rem;">✅ Every hashed condition was reversed.</p>';
+    }
+
+    // Variation rules: which texts are hashed for every word of every dictionary
+    const ruleCheckbox = (id, checked, label) =>
+        `<label style="margin-right: 1rem;"><input type="checkbox" id="${id}" ${checked ? 'checked' : ''}> ${label}</label>`;
+    html += '<div style="margin-bottom: 1.5rem; padding: 1rem; background: #f8f9fa; border: 1px solid #ecf0f1; border-radius: 8px;">';
+    html += '<h2 style="color: #2c3e50; margin-bottom: 0.75rem; font-size: 1.1rem;">Variation Rules</h2>';
+    html += '<div style="margin-bottom: 0.75rem;">';
+    html += ruleCheckbox('hashRuleCase', rules.caseVariants, 'lower/UPPER/Title case');
+    html += ruleCheckbox('hashRuleTrim', rules.trimWhitespace, 'trimmed / no spaces');
+    html += ruleCheckbox('hashRuleDiacritics', rules.stripDiacritics, 'without diacritics');
+    html += ruleCheckbox('hashRuleIso', rules.isoCodes, 'ISO alpha-2/alpha-3/numeric and 3166-2 codes');
+    html += ruleCheckbox('hashRuleNameWithCode', rules.nameWithCode, '"Name (CODE)"');
+    html += '</div>';
+    html += '<div style="display: flex; gap: 1rem; align-items: flex-start;">';
+    html += `<label>Prefix salts (one per line)<br><textarea id="hashRulePrefixes" rows="2" style="width: 16rem;">${escape(rules.prefixes.join('\n'))}</textarea></label>`;
+    html += `<label>Suffix salts (one per line)<br><textarea id="hashRuleSuffixes" rows="2" style="width: 16rem;">${escape(rules.suffixes.join('\n'))}</textarea></label>`;
+    html += '<button class="btn" onclick="applyHashVariationRules()" style="align-self: flex-end;">Apply</button>';
+    html += '</div>';
+    html += '</div>';
+
+    const customIds = new Set(getSavedHashDictionaries().map(d => d.id));
+    html += '<table style="width: 100%; border-collapse: collapse;">';
+    html += '<tr style="background: #ecf0f1;"><th style="padding: 0.5rem; text-align: left;">Dictionary</th><th style="padding: 0.5rem; text-align: left;">Tried first for</th><th style="padding: 0.5rem; text-align: left;">Hashes</th><th style="padding: 0.5rem; text-align: left;">Conditions Reversed</th><th style="padding: 0.5rem; text-align: left;"></th></tr>';
+    hashDictionaries.forEach((dictionary, index) => {
+        const appliesTo = dictionary.fieldKeys.length > 0 ? dictionary.fieldKeys.join(', ')
+            : dictionary.fields.length > 0 ? `fields containing ${dictionary.fields.join(', ')}`
+            : 'any hashed field';
+        html += '<tr style="border-bottom: 1px solid #ddd;">';
+        html += `<td style="padding: 0.5rem; font-weight: 600;">${escape(dictionary.name)}</td>`;
+        html += `<td style="padding: 0.5rem;">${escape(appliesTo)}</td>`;
+        html += `<td style="padding: 0.5rem;">${Object.keys(dictionary.lookup).length}</td>`;
+        html += `<td style="padding: 0.5rem;">${reversedCount[dictionary.name] || 0}</td>`;
+        html += `<td style="padding: 0.5rem;">${customIds.has(dictionary.id) ? `<button class="btn" onclick="removeHashDictionary(${index})">Remove</button>` : ''}</td>`;
+        html += '</tr>';
+    });
+    html += '</table>';
+
+    // How each hash was produced, to tell clients exactly how their values were hashed
+    if (reversals.length > 0) {
+        html += '<h2 style="color: #2c3e50; margin: 1.5rem 0 1rem;">Reversed Hashes</h2>';
+        html += '<table style="width: 100%; border-collapse: collapse;">';
+        html += '<tr style="background: #ecf0f1;"><th style="padding: 0.5rem; text-align: left;">Workflow Rule</th><th style="padding: 0.5rem; text-align: left;">Field</th><th style="padding: 0.5rem; text-align: left;">Value</th><th style="padding: 0.5rem; text-align: left;">Hashed Text</th><th style="padding: 0.5rem; text-align: left;">Variation Rule</th><th style="padding: 0.5rem; text-align: left;">Dictionary</th></tr>';
+        reversals.forEach(reversal => {
+            html += '<tr style="border-bottom: 1px solid #ddd;">';
+            html += `<td style="padding: 0.5rem;">${escape(reversal.ruleName)}</td>`;
+            html += `<td style="padding: 0.5rem;">${escape(getFieldLabel(reversal.field))}</td>`;
+            html += `<td style="padding: 0.5rem;">${escape(getOptionLabel(reversal.value))}</td>`;
+            html += `<td style="padding: 0.5rem; font-family: monospace;">${escape(reversal.hashedVariant)}</td>`;
+            html += `<td style="padding: 0.5rem;">${escape(reversal.variationRule)}</td>`;
+            html += `<td style="padding: 0.5rem;">${escape(reversal.dictionary)}</td>`;
+            html += '</tr>';
+        });
+        html += '</table>';
+    }
+
+    html += '<div style="text-align: center; margin-top: 2rem;">';
+    html += '<button onclick="closeHashDictionaryManager()" class="btn" style="padding: 0.75rem 2rem;">Close</button>';
+    html += '</div>';
+    html += '</div>';
+
+    closeHashDictionaryManager();
+    const modal = document.createElement('div');
+    modal.id = 'hashDictionaryModal';
+    modal.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); z-index: 10000; overflow-y: auto; padding: 2rem;';
+    modal.innerHTML = html;
+    document.body.appendChild(modal);
+
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            modal.remove();
+        }
+    });
+}
+
+// ============================================================================
+// WEBFORM VALIDATION - schema problems of an uploaded export (webform-schema.js)
+// ============================================================================
+
+function closeWebformValidation() {
+    const modal = document.getElementById('webformValidationModal');
+    if (modal) {
+        modal.remove();
+    }
+}
+
+function cancelPendingWebform() {
+    pendingWebformJson = null;
+    closeWebformValidation();
+}
+
+async function startPendingWebform() {
+    const jsonData = pendingWebformJson;
+    pendingWebformJson = null;
+    closeWebformValidation();
+    if (!jsonData) return;
+
+    try {
+        await openWebform(jsonData);
+    } catch (error) {
+        console.error('Error loading webform:', error);
+        alert('Error loading webform: ' + error.message + '\n\nCheck the browser console for details.');
+    }
+}
+
+function showWebformValidation(validation, fileName) {
+    const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+    const formatLabel = validation.format === 'wrapped' ? 'wrapped in "webformData"'
+        : validation.format === 'root-level' ? 'root-level'
+        : validation.format === 'nested' ? 'nested, parts located by shape' : 'unknown';
+
+    let html = '<div style="max-width: 1200px; margin: 0 auto; padding: 2rem; background: white; border-radius: 12px; box-shadow: 0 4px 20px rgba(0,0,0,0.1);">';
+    html += '<h1 style="color: #2c3e50; margin-bottom: 1rem;">Webform Validation</h1>';
+    html += `<p style="margin-bottom: 1rem;"><strong>${escape(fileName)}</strong> (format: ${formatLabel}) does not fully match the structure the simulator expects.</p>`;
+    if (validation.errors.length > 0) {
+        html += `<p style="color: #e74c3c; font-weight: bold; margin-bottom: 1rem;">❌ ${validation.errors.length} error(s): loading may fail, or the parts of the form they affect are simulated incorrectly.</p>`;
+    }
+    if (validation.warnings.length > 0) {
+        html += `<p style="color: #e67e22; font-weight: bold; margin-bottom: 1rem;">⚠️ ${validation.warnings.length} warning(s)</p>`;
+    }
+
+    html += '<table style="width: 100%; border-collapse: collapse;">';
+    html += '<tr style="background: #ecf0f1;"><th style="padding: 0.5rem; text-align: left;"></th><th style="padding: 0.5rem; text-align: left;">JSON Path</th><th style="padding: 0.5rem; text-align: left;">Problem</th></tr>';
+    [...validation.errors.map(issue => ({ ...issue, icon: '❌' })), ...validation.warnings.map(issue => ({ ...issue, icon: '⚠️' }))].forEach(issue => {
+        html += '<tr style="border-bottom: 1px solid #ddd;">';
+        html += `<td style="padding: 0.5rem;">${issue.icon}</td>`;
+        html += `<td style="padding: 0.5rem; font-family: monospace;">${escape(issue.path)}</td>`;
+        html += `<td style="padding: 0.5rem;">${escape(issue.message)}</td>`;
+        html += '</tr>';
+    });
+    html += '</table>';
+
+    html += '<div style="text-align: center; margin-top: 2rem; display: flex; gap: 1rem; justify-content: center;">';
+    html += `<button onclick="startPendingWebform()" class="btn" style="padding: 0.75rem 2rem;">${validation.errors.length > 0 ? 'Start Simulator Anyway' : 'Start Simulator'}</button>`;
+    html += '<button onclick="cancelPendingWebform()" class="btn" style="padding: 0.75rem 2rem;">Cancel</button>';
+    html += '</div>';
+    html += '</div>';
+
+    closeWebformValidation();
+    const modal = document.createElement('div');
+    modal.id = 'webformValidationModal';
+    modal.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); z-index: 10000; overflow-y: auto; padding: 2rem;';
+    modal.innerHTML = html;
+    document.body.appendChild(modal);
+
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            cancelPendingWebform();
         }
     });
+}
 
-    // Sort by match percentage (best matches first)
-    scoredWorkflows.sort((a, b) => b.matchPercentage - a.matchPercentage);
-
-    if (scoredWorkflows.length === 0) {
-        workflowList.innerHTML = `
-            <div class="workflow-empty">
-                Make selections to see matching workflows
-            </div>
-        `;
-    } else {
-        renderWorkflows(workflowList, scoredWorkflows);
-    }
+// ============================================================================
+// ROUTING FLOWCHART - workflow rules as a Mermaid / BPMN decision flow
+// ============================================================================
 
-    // Evaluate form actions
-    evaluateFormActions(formActionsDiv);
+function getRoutingFlow() {
+    return buildRoutingFlow(getSimulatorForm(), {
+        labels: { fieldLabel: getFieldLabel, optionLabel: getOptionLabel }
+    });
 }
 
-function evaluateFormActions(formActionsDiv) {
-    if (!formActionsDiv) return;
+function showRoutingFlowchart() {
+    const flow = getRoutingFlow();
+
+    let html = '<div style="max-width: 1200px; margin: 0 auto; padding: 2rem; background: white; border-radius: 12px; box-shadow: 0 4px 20px rgba(0,0,0,0.1);">';
+    html += '<h1 style="color: #2c3e50; margin-bottom: 1rem;">Workflow Routing Flowchart</h1>';
+    html += `<p style="margin-bottom: 1rem;">${flow.decisions.length} rule(s) in evaluation order, then ${flow.defaultWorkflowId ? `the default workflow (${flow.defaultWorkflowId})` : 'no default workflow'}. Paste the Mermaid source into Confluence, GitHub or mermaid.live, or open the BPMN file in bpmn.io, Camunda Modeler or Visio.</p>`;
+    html += '<div style="display: flex; gap: 0.5rem; margin-bottom: 1rem;">';
+    html += '<button class="btn" onclick="downloadRoutingFlowchart(\'mermaid\')">Download Mermaid (.md)</button>';
+    html += '<button class="btn" onclick="downloadRoutingFlowchart(\'bpmn\')">Download BPMN 2.0 (.bpmn)</button>';
+    html += '</div>';
+    html += `<pre style="background: #f8f9fa; border: 1px solid #ecf0f1; border-radius: 8px; padding: 1rem; max-height: 60vh; overflow: auto; font-size: 0.8rem;">${routingFlowToMermaid(flow).replace(/&/g, '&amp;').replace(/</g, '&lt;')}</pre>`;
+    html += '<div style="text-align: center; margin-top: 2rem;">';
+    html += '<button onclick="this.parentElement.parentElement.parentElement.remove()" class="btn" style="padding: 0.75rem 2rem;">Close</button>';
+    html += '</div>';
+    html += '</div>';
 
-    const actions = [];
+    const modal = document.createElement('div');
+    modal.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); z-index: 10000; overflow-y: auto; padding: 2rem;';
+    modal.innerHTML = html;
+    document.body.appendChild(modal);
 
-    // Check submit button state
-    if (submitButtonRules) {
-        const submitResult = evaluateUIField(submitButtonRules);
-        if (submitResult.disabled) {
-            actions.push({
-                type: 'Submit Button',
-                status: 'DISABLED',
-                reason: submitResult.message,
-                color: '#e74c3c'
-            });
-        } else {
-            actions.push({
-                type: 'Submit Button',
-                status: 'ENABLED',
-                reason: 'Form can be submitted',
-                color: '#27ae60'
-            });
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            modal.remove();
         }
-    }
+    });
+}
 
-    // Check attachment field state
-    if (attachmentRules) {
-        const attachmentResult = evaluateUIField(attachmentRules);
-        if (attachmentResult.shown) {
-            actions.push({
-                type: 'Attachment Field',
-                status: 'VISIBLE',
-                reason: attachmentResult.message,
-                color: '#3498db'
-            });
-        } else {
-            actions.push({
-                type: 'Attachment Field',
-                status: 'HIDDEN',
-                reason: 'No conditions met to show attachments',
-                color: '#95a5a6'
-            });
-        }
+function downloadRoutingFlowchart(format) {
+    const templateName = webformData.webFormDto?.templateName || 'webform';
+    const cleanTemplateName = templateName.replace(/[^a-zA-Z0-9]/g, '-');
+    const flow = getRoutingFlow();
+    if (format === 'bpmn') {
+        downloadTextFile(routingFlowToBpmn(flow, templateName), `${cleanTemplateName}-routing.bpmn`, 'application/xml');
+    } else {
+        downloadTextFile(routingFlowToMarkdown(flow, templateName), `${cleanTemplateName}-routing.md`, 'text/markdown');
     }
+}
 
-    if (actions.length === 0) {
-        formActionsDiv.innerHTML = `
-            <div class="workflow-empty">
-                Make selections to see form actions
-            </div>
-        `;
-        return;
+function closeScenarioManager() {
+    const modal = document.getElementById('scenarioModal');
+    if (modal) {
+        modal.remove();
     }
-
-    formActionsDiv.innerHTML = actions.map(action => `
-        <div style="background: white; border: 2px solid ${action.color}; border-radius: 8px; padding: 1rem; margin-bottom: 1rem;">
-            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.5rem;">
-                <div style="font-weight: 600; color: #2c3e50;">${action.type}</div>
-                <span style="background: ${action.color}; color: white; padding: 0.25rem 0.6rem; border-radius: 4px; font-size: 0.75rem; font-weight: 600;">${action.status}</span>
-            </div>
-            <div style="font-size: 0.9rem; color: #7f8c8d;">${action.reason}</div>
-        </div>
-    `).join('');
 }
 
-function evaluateUIField(uiField) {
-    if (!uiField || !uiField.visibilityRules) {
-        return { shown: false, disabled: false };
+function showScenarioManager() {
+    const suites = getSavedScenarioSuites();
+    const suite = getActiveScenarioSuite();
+    const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+    const suiteNames = Array.from(new Set([...Object.keys(suites), suite.name]));
+
+    let html = '<div style="max-width: 1200px; margin: 0 auto; padding: 2rem; background: white; border-radius: 12px; box-shadow: 0 4px 20px rgba(0,0,0,0.1);">';
+    html += '<h1 style="color: #2c3e50; margin-bottom: 1rem;">Scenarios</h1>';
+
+    html += '<div style="display: flex; gap: 0.5rem; align-items: center; flex-wrap: wrap; margin-bottom: 1.5rem;">';
+    html += '<label style="font-weight: 600;">Suite:</label>';
+    html += '<select onchange="selectScenarioSuite(this.value)" style="padding: 0.5rem;">';
+    suiteNames.forEach(name => {
+        html += `<option value="${escape(name)}" ${name === suite.name ? 'selected' : ''}>${escape(name)}</option>`;
+    });
+    html += '</select>';
+    html += '<button class="btn" onclick="createNewScenarioSuite()">New Suite</button>';
+    html += '<button class="btn" onclick="saveCurrentScenario()">Save Current Selections</button>';
+    html += '<button class="btn" onclick="generateTestCaseSuite()">Generate Test Cases</button>';
+    html += '<button class="btn" onclick="runActiveScenarioSuite()">Run Suite</button>';
+    html += '<button class="btn" onclick="downloadScenarioSuite()">Download JSON</button>';
+    html += '<button class="btn" onclick="document.getElementById(\'scenarioFileInput\').click()">Import JSON</button>';
+    html += '</div>';
+
+    if (scenarioRunResult) {
+        const passed = scenarioRunResult.failed === 0;
+        html += `<div style="margin-bottom: 1.5rem; padding: 1rem; background: ${passed ? '#e8f8f0' : '#fdedec'}; border: 2px solid ${passed ? '#27ae60' : '#e74c3c'}; border-radius: 8px; font-weight: bold; color: ${passed ? '#27ae60' : '#e74c3c'};">`;
+        html += `${passed ? '✅' : '❌'} ${scenarioRunResult.passed}/${scenarioRunResult.total} scenarios passed against this webform`;
+        html += '</div>';
     }
 
-    const rules = uiField.visibilityRules.rules || [];
+    if (scenarioCoverageGaps && scenarioCoverageGaps.uncovered.length > 0) {
+        const { uncovered, explorationGaps } = scenarioCoverageGaps;
+        html += '<div style="margin-bottom: 1.5rem; padding: 1rem; background: #fff9e6; border: 2px solid #f39c12; border-radius: 8px;">';
+        html += explorationGaps.length > 0
+            ? `<p style="color: #e67e22; font-weight: bold;">⚠️ ${uncovered.length} goal(s) were not reached by the explored journeys - the exploration was incomplete, so they may still be reachable:</p>`
+            : `<p style="color: #e67e22; font-weight: bold;">⚠️ ${uncovered.length} goal(s) cannot be reached with any selections:</p>`;
+        html += '<ul style="margin: 0.5rem 0 0 1.5rem;">';
+        uncovered.forEach(label => {
+            html += `<li>${escape(label)}</li>`;
+        });
+        html += '</ul>';
+        explorationGaps.forEach(gap => {
+            html += `<p style="color: #7f8c8d; margin-top: 0.5rem;">${escape(gap)}</p>`;
+        });
+        html += '</div>';
+    }
 
-    for (let rule of rules) {
-        const ruleConditions = rule.ruleConditions || [];
-        const operator = rule.logicalOperatorForConditions || 'AND';
-
-        const conditionResults = ruleConditions.map(condition => {
-            const fieldKey = condition.selectedField;
-            const subConditions = condition.ruleSubConditions || [];
-            const subOperator = condition.logicalOperatorForSubConditions || 'OR';
-
-            const userSelection = currentSelections[fieldKey];
-            if (!userSelection) return false;
-
-            const subResults = subConditions.map(sub => {
-                if (sub.comparisonOperator === 'EQUALS') {
-                    return userSelection === sub.valueToCompareWith;
-                } else if (sub.comparisonOperator === 'NOT_EQUALS') {
-                    return userSelection !== sub.valueToCompareWith;
-                }
-                return false;
-            });
+    if (suite.scenarios.length === 0) {
+        html += '<p style="color: #7f8c8d;">No scenarios in this suite yet. Make selections on the form and use "Save Current Selections".</p>';
+    } else {
+        html += '<table style="width: 100%; border-collapse: collapse;">';
+        html += '<tr style="background: #ecf0f1;"><th style="padding: 0.5rem; text-align: left;">Scenario</th><th style="padding: 0.5rem; text-align: left;">Selections</th><th style="padding: 0.5rem; text-align: left;">Expected Workflow</th><th style="padding: 0.5rem; text-align: left;">Result</th><th style="padding: 0.5rem; text-align: left;"></th></tr>';
+        suite.scenarios.forEach((scenario, index) => {
+            const result = scenarioRunResult ? scenarioRunResult.results[index] : null;
+            const selectionsText = Object.keys(scenario.selections)
+                .map(key => `${getFieldLabel(key)}: ${formatSelection(scenario.selections[key], getOptionLabel)}`)
+                .join('<br>');
+            const expectedWorkflow = scenario.expected.assignedWorkflow
+                ? formatScenarioValue('assignedWorkflow', scenario.expected.assignedWorkflow)
+                : '(not checked)';
+
+            let resultCell = '<span style="color: #7f8c8d;">Not run</span>';
+            if (result && result.passed) {
+                resultCell = '<span style="color: #27ae60; font-weight: bold;">✅ Pass</span>';
+            } else if (result) {
+                resultCell = '<span style="color: #e74c3c; font-weight: bold;">❌ Fail</span>';
+                resultCell += '<table style="width: 100%; border-collapse: collapse; margin-top: 0.5rem; font-size: 0.85rem;">';
+                resultCell += '<tr><th style="text-align: left;">Aspect</th><th style="text-align: left;">Expected</th><th style="text-align: left;">Actual</th></tr>';
+                result.mismatches.forEach(mismatch => {
+                    resultCell += `<tr style="border-top: 1px solid #ddd;"><td style="padding: 0.25rem;">${mismatch.aspect}</td>`;
+                    resultCell += `<td style="padding: 0.25rem;">${escape(formatScenarioValue(mismatch.aspect, mismatch.expected))}</td>`;
+                    resultCell += `<td style="padding: 0.25rem;">${escape(formatScenarioValue(mismatch.aspect, mismatch.actual))}${mismatch.detail ? `<br><em>${escape(mismatch.detail)}</em>` : ''}</td></tr>`;
+                });
+                resultCell += '</table>';
+            }
 
-            return subOperator === 'OR' ? subResults.some(r => r) : subResults.every(r => r);
+            html += '<tr style="border-bottom: 1px solid #ddd; vertical-align: top;">';
+            html += `<td style="padding: 0.5rem; font-weight: 600;">${escape(scenario.name)}</td>`;
+            html += `<td style="padding: 0.5rem; font-size: 0.85rem;">${selectionsText || '(none)'}</td>`;
+            html += `<td style="padding: 0.5rem;">${escape(expectedWorkflow)}</td>`;
+            html += `<td style="padding: 0.5rem;">${resultCell}</td>`;
+            html += `<td style="padding: 0.5rem; white-space: nowrap;"><button class="btn" onclick="loadScenarioSelections(${index})">Load</button> <button class="btn" onclick="deleteScenario(${index})">Delete</button></td>`;
+            html += '</tr>';
         });
+        html += '</table>';
+    }
 
-        const ruleMatched = operator === 'AND'
-            ? conditionResults.every(r => r)
-            : conditionResults.some(r => r);
+    html += '<div style="text-align: center; margin-top: 2rem;">';
+    html += '<button onclick="closeScenarioManager()" class="btn" style="padding: 0.75rem 2rem;">Close</button>';
+    html += '</div>';
+    html += '</div>';
 
-        if (ruleMatched) {
-            const action = rule.actions?.[0];
-            if (action) {
-                if (action.action === 'DISABLE_SUBMIT_BUTTON') {
-                    return { disabled: true, message: action.errorMessage || 'Submit is disabled', shown: false };
-                } else if (action.action === 'SHOW_ATTACHMENT') {
-                    return { shown: true, message: `Triggered by: ${rule.ruleName}`, disabled: false };
-                }
-            }
+    closeScenarioManager();
+    const modal = document.createElement('div');
+    modal.id = 'scenarioModal';
+    modal.style.cssText = 'position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.5); z-index: 10000; overflow-y: auto; padding: 2rem;';
+    modal.innerHTML = html;
+    document.body.appendChild(modal);
+
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            modal.remove();
         }
-    }
+    });
+}
 
-    return { shown: false, disabled: false };
+function evaluateUIField(uiField) {
+    return evaluateUIFieldRules(uiField, currentSelections);
 }
 
-function renderWorkflows(workflowList, scoredWorkflows) {
+function renderWorkflows(workflowList, scoredWorkflows, assignment = null) {
     if (!workflowList) return;
 
-    workflowList.innerHTML = scoredWorkflows.map(({ workflow, reasons, unmatchedReasons, matchedCount, totalCriteria, isComplete, matchPercentage, hasEncryptedCriteria }) => {
+    // No rule matched: the request falls back to the form's default workflow
+    const defaultCard = assignment && assignment.usedDefault && defaultWorkflowId ? `
+        <div class="workflow-card" style="background: #e8f5e9; border: 2px solid #27ae60;">
+            <div style="display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 0.5rem; flex-wrap: wrap; gap: 0.5rem;">
+                <div class="workflow-name" style="flex: 1; min-width: 200px;">Default workflow</div>
+                <span style="background: #27ae60; color: white; padding: 0.25rem 0.6rem; border-radius: 4px; font-size: 0.75rem; font-weight: 600;">ASSIGNED</span>
+            </div>
+            <div class="workflow-reason">No workflow rule matches these selections, so the default workflow from the form settings is used.</div>
+            <div class="workflow-detail" style="font-size: 0.7rem; color: #95a5a6;">
+                Workflow ID: ${defaultWorkflowId.substring(0, 8)}...
+            </div>
+        </div>
+    ` : '';
+
+    workflowList.innerHTML = defaultCard + scoredWorkflows.map(({ workflow, reasons, unmatchedReasons, matchedCount, totalCriteria, isComplete, isAssigned, shadowedBy, tree, matchPercentage, hasEncryptedCriteria }) => {
         const params = Array.isArray(workflow.ruleActionParameters)
             ? workflow.ruleActionParameters
             : [];
@@ -1672,7 +1772,17 @@ function renderWorkflows(workflowList, scoredWorkflows) {
         let cardStyle, statusBadge;
 
         // Normal workflow status handling (no special decryption badges)
-        if (isComplete) {
+        if (isAssigned) {
+            cardStyle = 'background: #e8f5e9; border: 2px solid #27ae60;';
+            statusBadge = '<span style="background: #27ae60; color: white; padding: 0.25rem 0.6rem; border-radius: 4px; font-size: 0.75rem; font-weight: 600;">ASSIGNED</span>';
+        } else if (shadowedBy) {
+            // Matches, but an earlier rule in ruleSequence order wins
+            const shadowingRule = shadowedBy.ruleSequence !== undefined && shadowedBy.ruleSequence !== null
+                ? `#${shadowedBy.ruleSequence}`
+                : `"${shadowedBy.ruleName}"`;
+            cardStyle = 'background: #f4f6f7; border: 2px dashed #27ae60;';
+            statusBadge = `<span style="background: #7f8c8d; color: white; padding: 0.25rem 0.6rem; border-radius: 4px; font-size: 0.75rem; font-weight: 600;" title="${shadowedBy.ruleName}">SHADOWED BY RULE ${shadowingRule}</span>`;
+        } else if (isComplete) {
             cardStyle = 'background: #e8f5e9; border: 2px solid #27ae60;';
             statusBadge = '<span style="background: #27ae60; color: white; padding: 0.25rem 0.6rem; border-radius: 4px; font-size: 0.75rem; font-weight: 600;">WILL TRIGGER</span>';
         } else if (matchedCount > 0) {
@@ -1683,17 +1793,29 @@ function renderWorkflows(workflowList, scoredWorkflows) {
             statusBadge = `<span style="background: #95a5a6; color: white; padding: 0.25rem 0.6rem; border-radius: 4px; font-size: 0.75rem; font-weight: 600;">NOT MATCHED (0/${totalCriteria})</span>`;
         }
 
-        // Don't show DEFAULT badge - there is no default workflow, all are rule-based
-        const defaultBadge = '';
+        const workflowDiffBadge = getWorkflowDiffBadge(workflow.ruleName);
+
+        // Rules that route to the same workflow as the form's default setting
+        const defaultBadge = isDefaultWorkflow
+            ? '<span style="background: #3498db; color: white; padding: 0.25rem 0.6rem; border-radius: 4px; font-size: 0.75rem; font-weight: 600;">DEFAULT WORKFLOW</span>'
+            : '';
+
+        // Workflows parsed with their condition groups show the evaluated AND/OR tree instead of flat lists
+        const criteriaTreeSection = tree ? `
+            <div class="workflow-reason">
+                <strong style="color: #2c3e50;">Criteria:</strong>
+                ${renderCriteriaTree(tree)}
+            </div>
+        ` : '';
 
-        const matchedSection = reasons.length > 0 ? `
+        const matchedSection = !tree && reasons.length > 0 ? `
             <div class="workflow-reason">
                 <strong style="color: #27ae60;">Matched Criteria:</strong><br>
                 ${reasons.join('<br>')}
             </div>
         ` : '';
 
-        const unmatchedSection = unmatchedReasons.length > 0 ? `
+        const unmatchedSection = !tree && unmatchedReasons.length > 0 ? `
             <div class="workflow-reason" style="margin-top: 0.5rem;">
                 <strong style="color: #95a5a6;">Unmatched Criteria:</strong><br>
                 ${unmatchedReasons.join('<br>')}
@@ -1707,8 +1829,10 @@ function renderWorkflows(workflowList, scoredWorkflows) {
                     <div style="display: flex; gap: 0.25rem; flex-wrap: wrap;">
                         ${statusBadge}
                         ${defaultBadge}
+                        ${workflowDiffBadge}
                     </div>
                 </div>
+                ${criteriaTreeSection}
                 ${matchedSection}
                 ${unmatchedSection}
                 <div class="workflow-detail">
@@ -1723,49 +1847,51 @@ function renderWorkflows(workflowList, scoredWorkflows) {
     }).join('');
 }
 
-function evaluateWorkflowRule(workflow) {
-    const criteria = workflow.ruleCriteria || [];
-    const reasons = [];
-    const unmatchedReasons = [];
-    let matchedCount = 0;
-    let triggered = true;
-
-    for (let criterion of criteria) {
-        const field = criterion.field;
-        const values = criterion.values || [];
-        const userSelection = currentSelections[field];
-
-        const fieldLabel = getFieldLabel(field);
-
-        if (!userSelection) {
-            triggered = false;
-            // Show what's needed (with OR since any value matches)
-            const expectedValues = values.map(v => getOptionLabel(v)).join(' OR ');
-            unmatchedReasons.push(`${fieldLabel} = ${expectedValues}`);
-            continue;
-        }
+// Renders an evaluated criteria tree: groups joined by the workflow operator, conditions by the group operator
+function renderCriteriaTree(tree) {
+    const operatorLabel = operator => operator === 'OR' ? 'ANY of (OR)' : 'ALL of (AND)';
+    const stateIcon = matched => matched
+        ? '<span style="color: #27ae60; font-weight: 600;">✓</span>'
+        : '<span style="color: #e74c3c; font-weight: 600;">✗</span>';
+
+    const renderCondition = condition => {
+        const current = hasSelection(condition.selection) && !condition.matched
+            ? ` <span style="color: #95a5a6;">(currently: ${formatSelection(condition.selection, getOptionLabel)})</span>`
+            : '';
+        const encrypted = condition.inferred
+            ? ' <span style="color: #8e44ad; font-size: 0.8rem;" title="The hashed value could not be reversed; the country comes from the jurisdiction in the rule name">(inferred from the rule name)</span>'
+            : condition.isHashed && !condition.decrypted ? ' 🔒' : '';
+        const source = condition.isHashed && condition.hashReversals?.length > 0
+            ? ` <span style="color: #e67e22; font-size: 0.8rem;" title="${condition.hashReversals.map(r => `Hash of "${r.hashedVariant}"`).join(', ').replace(/"/g, '&quot;')}">🔓 ${condition.hashReversals.map(r => `${r.dictionary} (${r.variationRule})`).join(', ')}</span>`
+            : '';
+        return `<div class="criteria-condition">${stateIcon(condition.matched)} ${condition.description}${encrypted}${source}${current}</div>`;
+    };
 
-        // OR logic: if user selected ANY of the values, it's a match
-        const matches = values.includes(userSelection);
-        if (matches) {
-            matchedCount++;
-            const valueLabel = getOptionLabel(userSelection);
-            reasons.push(`${fieldLabel} = ${valueLabel}`);
-        } else {
-            triggered = false;
-            const valueLabel = getOptionLabel(userSelection);
-            const expectedValues = values.map(v => getOptionLabel(v)).join(' OR ');
-            unmatchedReasons.push(`${fieldLabel} = ${expectedValues} (currently: ${valueLabel})`);
-        }
+    const renderGroup = (group, index) => `
+        <div class="criteria-group ${group.matched ? 'matched' : 'failed'}">
+            <div class="criteria-operator">${stateIcon(group.matched)} Group ${index + 1}: ${operatorLabel(group.operator)}</div>
+            ${group.conditions.map(renderCondition).join('')}
+        </div>
+    `;
+
+    // A single group needs no outer operator line
+    if (tree.groups.length === 1) {
+        return `<div class="criteria-tree">${renderGroup(tree.groups[0], 0)}</div>`;
     }
 
-    return {
-        triggered,
-        reasons,
-        unmatchedReasons,
-        matchedCount,
-        totalCriteria: criteria.length
-    };
+    return `
+        <div class="criteria-tree">
+            <div class="criteria-operator">${stateIcon(tree.matched)} ${operatorLabel(tree.operator)}</div>
+            ${tree.groups.map(renderGroup).join('')}
+        </div>
+    `;
+}
+
+function evaluateWorkflowRule(workflow) {
+    return evaluateWorkflowCriteria(workflow, currentSelections, {
+        fieldLabel: getFieldLabel,
+        optionLabel: getOptionLabel
+    });
 }
 
 // Smart Workflow Analysis: Analyzes workflow rules to identify decision dimensions
@@ -2233,14 +2359,7 @@ function isCombinationVisible(dimensionFields, dimensionValues) {
             
             hasEvaluableRules = true;
             
-            // Temporarily set currentSelections for evaluateRule
-            const originalSelections = Object.assign({}, currentSelections);
-            Object.assign(currentSelections, mockSelections);
-
-            const ruleResult = evaluateRule(rule);
-
-            // Restore original selections
-            Object.assign(currentSelections, originalSelections);
+            const ruleResult = evaluateVisibilityRule(rule, { ...currentSelections, ...mockSelections });
 
             if (ruleResult) {
                 isVisible = true;
@@ -2316,14 +2435,7 @@ function isRequestTypeVisibleForWho(requestTypeValue, whoFieldKey, whoValue) {
         
         hasEvaluableRules = true;
         
-        // Temporarily set currentSelections for evaluateRule
-        const originalSelections = Object.assign({}, currentSelections);
-        Object.assign(currentSelections, mockSelections);
-        
-        const ruleResult = evaluateRule(rule);
-        
-        // Restore original selections
-        Object.assign(currentSelections, originalSelections);
+        const ruleResult = evaluateVisibilityRule(rule, { ...currentSelections, ...mockSelections });
         
         if (ruleResult) {
             fieldVisible = true;
@@ -2704,7 +2816,7 @@ function buildWorkflowCoverageHTML(analysis) {
             // Show HASHED badge if the field was originally hashed (either decrypted or still hashed)
             const wasHashed = c.isHashed === true || c.decrypted === true;
             const hashBadge = wasHashed 
-                ? `<span style="background: #e67e22; color: white; padding: 2px 6px; border-radius: 3px; font-size: 0.7rem; margin-left: 6px;" title="${c.decrypted ? 'This field was originally hashed (SHA-512) and has been decrypted' : 'This field contains hashed values (SHA-512) that could not be decrypted'}">🔐 HASHED</span>`
+                ? `<span style="background: #e67e22; color: white; padding: 2px 6px; border-radius: 3px; font-size: 0.7rem; margin-left: 6px;" title="${c.decrypted ? `This field was originally hashed (SHA-512) and has been decrypted${c.hashSources?.length ? ` with ${c.hashSources.join(', ')}` : ''}` : 'This field contains hashed values (SHA-512) that could not be decrypted'}">🔐 HASHED</span>`
                 : '';
             return `<div style="margin-left: 1.5rem; margin-top: 0.5rem; color: #555;">
                 <strong>${fieldLabel}:</strong> ${valueLabels} ${hashBadge}
@@ -3232,18 +3344,17 @@ function generateCoverageMatrix() {
         const row = { subject: subject.fieldName };
         for (const request of requestTypes) {
             // Simulate selection
-            const savedSelections = { ...currentSelections };
-            currentSelections[subjectTypeField.key] = subject.fieldName;
-            currentSelections[requestTypeField.key] = request.fieldName;
+            const testSelections = {
+                ...currentSelections,
+                [subjectTypeField.key]: subject.fieldName,
+                [requestTypeField.key]: request.fieldName
+            };
 
             // Check which workflows trigger
             const triggeredWorkflows = workflowRules.filter(wf =>
-                evaluateWorkflowRule(wf).triggered
+                evaluateWorkflowCriteria(wf, testSelections).triggered
             );
 
-            // Restore selections
-            currentSelections = savedSelections;
-
             row[request.fieldName] = {
                 triggered: triggeredWorkflows.length > 0,
                 workflowCount: triggeredWorkflows.length,
@@ -3386,19 +3497,9 @@ function detectWorkflowGaps() {
         };
 
         // Find workflows that trigger for this combination
-        const triggeredWorkflows = workflowRules.filter(workflow => {
-            // Temporarily set selections
-            const savedSelections = { ...currentSelections };
-            Object.assign(currentSelections, testSelections);
-
-            // Evaluate workflow
-            const result = evaluateWorkflowRule(workflow);
-
-            // Restore original selections
-            currentSelections = savedSelections;
-
-            return result.triggered;
-        });
+        const triggeredWorkflows = workflowRules.filter(workflow =>
+            evaluateWorkflowCriteria(workflow, { ...currentSelections, ...testSelections }).triggered
+        );
 
         const key = `${combo.subjectType}|${combo.requestType}`;
         coverage[key] = {
@@ -3691,11 +3792,42 @@ function detectUnusedFields() {
     return unusedFields;
 }
 
+// Why an exploration may have missed journeys - its "unreachable" and "uncovered" results are then unproven
+function describeExplorationGaps(exploration) {
+    const gaps = [];
+    if (exploration.truncated) {
+        gaps.push(`Exploration stopped after ${exploration.paths.length} journeys - some answers were never tried`);
+    }
+    if (exploration.partialMultiSelect) {
+        const fields = exploration.coverage.pairsOnlyFields.map(getFieldLabel).join(', ');
+        gaps.push(`${fields}: rules mention too many options to combine them all - at most two were selected together`);
+    }
+    return gaps;
+}
+
 // Show analysis report in a modal/dialog
 function showAnalysisReport() {
     const orderingAnalysis = analyzeWorkflowRuleOrdering();
     const typos = detectTypos();
     const unusedFields = detectUnusedFields();
+    const exploration = exploreFormPaths(getSimulatorForm(), {
+        labels: { fieldLabel: getFieldLabel, optionLabel: getOptionLabel }
+    });
+    const explorationGaps = describeExplorationGaps(exploration);
+    const blockedAnalysis = analyzeSubmitBlockedPaths(exploration);
+    const unreachable = detectUnreachableWorkflows(getSimulatorForm(), {
+        webFormDto: webformData.webFormDto,
+        exploration,
+        labels: { fieldLabel: getFieldLabel, optionLabel: getOptionLabel }
+    });
+    const danglingReferences = detectDanglingReferences(getSimulatorForm(), {
+        webFormDto: webformData.webFormDto,
+        labels: { fieldLabel: getFieldLabel, optionLabel: getOptionLabel }
+    });
+    const visibilityDefects = detectVisibilityRuleDefects(getSimulatorForm(), {
+        labels: { fieldLabel: getFieldLabel }
+    });
+    const translationAudit = auditSimulatorTranslations();
     
     let report = '<div style="max-width: 1200px; margin: 0 auto; padding: 2rem; background: white; border-radius: 12px; box-shadow: 0 4px 20px rgba(0,0,0,0.1);">';
     report += '<h1 style="color: #2c3e50; margin-bottom: 2rem;">Analysis Report</h1>';
@@ -3723,6 +3855,159 @@ function showAnalysisReport() {
         report += '<p style="color: #27ae60; font-weight: bold;">✅ No ordering issues found - rules are properly ordered from most specific to least specific</p>';
     }
     report += '</div>';
+
+    // Unreachable Workflows (rules that can never be assigned, with the reason chain)
+    report += '<div style="margin-bottom: 2rem; padding: 1.5rem; background: #fdedec; border: 2px solid #e74c3c; border-radius: 8px;">';
+    report += '<h2 style="color: #e74c3c; margin-bottom: 1rem;">Unreachable Workflows</h2>';
+    explorationGaps.forEach(gap => {
+        report += `<p style="color: #e67e22; font-weight: bold;">⚠️ ${gap} - rules the journeys cannot settle are listed as undecided</p>`;
+    });
+    if (unreachable.findings.length > 0) {
+        report += `<p style="color: #e74c3c; font-weight: bold;">⚠️ ${unreachable.findings.length} workflow rule(s) can never be assigned</p>`;
+        report += '<table style="width: 100%; border-collapse: collapse; margin-top: 1rem;">';
+        report += '<tr style="background: #ecf0f1;"><th style="padding: 0.5rem; text-align: left;">Rule</th><th style="padding: 0.5rem; text-align: left;">Position</th><th style="padding: 0.5rem; text-align: left;">Reason</th><th style="padding: 0.5rem; text-align: left;">Why</th></tr>';
+        unreachable.findings.forEach(finding => {
+            report += `<tr style="border-bottom: 1px solid #ddd;"><td style="padding: 0.5rem;">${finding.ruleName}</td><td style="padding: 0.5rem;">#${finding.ruleSequence}</td><td style="padding: 0.5rem; color: #e74c3c; font-weight: bold;">${finding.kind}</td><td style="padding: 0.5rem;">${finding.reasons.join('<br>')}</td></tr>`;
+        });
+        report += '</table>';
+    } else if (unreachable.unknown.length === 0) {
+        report += '<p style="color: #27ae60; font-weight: bold;">✅ Every workflow rule can be assigned by some selections</p>';
+    } else {
+        report += '<p>No workflow rule was proven unreachable</p>';
+    }
+    if (unreachable.unknown.length > 0) {
+        report += `<p style="color: #e67e22; font-weight: bold; margin-top: 1rem;">❔ ${unreachable.unknown.length} workflow rule(s) could not be decided from the explored journeys</p>`;
+        report += '<table style="width: 100%; border-collapse: collapse; margin-top: 1rem;">';
+        report += '<tr style="background: #ecf0f1;"><th style="padding: 0.5rem; text-align: left;">Rule</th><th style="padding: 0.5rem; text-align: left;">Position</th><th style="padding: 0.5rem; text-align: left;">Why</th></tr>';
+        unreachable.unknown.forEach(entry => {
+            report += `<tr style="border-bottom: 1px solid #ddd;"><td style="padding: 0.5rem;">${entry.ruleName}</td><td style="padding: 0.5rem;">#${entry.ruleSequence}</td><td style="padding: 0.5rem;">${entry.reasons.join('<br>')}</td></tr>`;
+        });
+        report += '</table>';
+    }
+    report += '</div>';
+
+    // Dangling References (rule values that point at no option, type or known hash)
+    report += '<div style="margin-bottom: 2rem; padding: 1.5rem; background: #f4ecf7; border: 2px solid #8e44ad; border-radius: 8px;">';
+    report += '<h2 style="color: #8e44ad; margin-bottom: 1rem;">Dangling References</h2>';
+    if (danglingReferences.length > 0) {
+        report += `<p style="color: #e74c3c; font-weight: bold;">⚠️ Found ${danglingReferences.length} value(s) that reference nothing</p>`;
+        report += '<table style="width: 100%; border-collapse: collapse; margin-top: 1rem;">';
+        report += '<tr style="background: #ecf0f1;"><th style="padding: 0.5rem; text-align: left;">Rule</th><th style="padding: 0.5rem; text-align: left;">Where</th><th style="padding: 0.5rem; text-align: left;">Issue</th><th style="padding: 0.5rem; text-align: left;">Message</th></tr>';
+        danglingReferences.forEach(reference => {
+            const where = reference.source === 'workflow' ? 'Workflow criteria'
+                : reference.source === 'visibility' ? `Visibility rule of ${getFieldLabel(reference.owner)}`
+                : reference.source === 'submit' ? 'Submit button rule' : 'Attachment rule';
+            report += `<tr style="border-bottom: 1px solid #ddd;"><td style="padding: 0.5rem;">${reference.ruleName}</td><td style="padding: 0.5rem;">${where}</td><td style="padding: 0.5rem; color: #e74c3c; font-weight: bold;">${reference.kind}</td><td style="padding: 0.5rem; word-break: break-all;">${reference.message}</td></tr>`;
+        });
+        report += '</table>';
+    } else {
+        report += '<p style="color: #27ae60; font-weight: bold;">✅ Every rule value matches an option, request/subject type or known hash</p>';
+    }
+    report += '</div>';
+
+    // Visibility Rule Defects (never true, always true, circular)
+    report += '<div style="margin-bottom: 2rem; padding: 1.5rem; background: #fef5e7; border: 2px solid #e67e22; border-radius: 8px;">';
+    report += '<h2 style="color: #e67e22; margin-bottom: 1rem;">Visibility Rule Defects</h2>';
+    if (visibilityDefects.length > 0) {
+        report += `<p style="color: #e74c3c; font-weight: bold;">⚠️ Found ${visibilityDefects.length} defect(s)</p>`;
+        report += '<table style="width: 100%; border-collapse: collapse; margin-top: 1rem;">';
+        report += '<tr style="background: #ecf0f1;"><th style="padding: 0.5rem; text-align: left;">Field</th><th style="padding: 0.5rem; text-align: left;">Rule</th><th style="padding: 0.5rem; text-align: left;">Defect</th><th style="padding: 0.5rem; text-align: left;">Conditions</th><th style="padding: 0.5rem; text-align: left;">Message</th></tr>';
+        visibilityDefects.forEach(defect => {
+            const color = defect.kind === 'TAUTOLOGY' ? '#f39c12' : '#e74c3c';
+            report += `<tr style="border-bottom: 1px solid #ddd;"><td style="padding: 0.5rem;">${getFieldLabel(defect.owner)}</td><td style="padding: 0.5rem;">${defect.ruleName || '-'}</td><td style="padding: 0.5rem; color: ${color}; font-weight: bold;">${defect.kind}</td><td style="padding: 0.5rem;">${defect.description}</td><td style="padding: 0.5rem;">${defect.message}</td></tr>`;
+        });
+        report += '</table>';
+    } else {
+        report += '<p style="color: #27ae60; font-weight: bold;">✅ No contradictory, always-true or circular visibility rules found</p>';
+    }
+    report += '</div>';
+
+    // Translations (completeness and consistency of every language against the default one)
+    report += '<div style="margin-bottom: 2rem; padding: 1.5rem; background: #e8f8f5; border: 2px solid #16a085; border-radius: 8px;">';
+    report += '<h2 style="color: #16a085; margin-bottom: 1rem;">Translations</h2>';
+    report += `<p>${translationAudit.languages.length} language(s), compared against <strong>${translationAudit.defaultLanguage}</strong> (${translationAudit.summary[0]?.total || 0} keys). The "Translations" Excel sheet has one column per language for translators to fill in.</p>`;
+    report += '<table style="width: 100%; border-collapse: collapse; margin-top: 1rem;">';
+    report += '<tr style="background: #ecf0f1;"><th style="padding: 0.5rem; text-align: left;">Language</th><th style="padding: 0.5rem; text-align: left;">Complete</th><th style="padding: 0.5rem; text-align: left;">Missing</th><th style="padding: 0.5rem; text-align: left;">Untranslated</th><th style="padding: 0.5rem; text-align: left;">Placeholder Mismatches</th><th style="padding: 0.5rem; text-align: left;">Labels Showing Key</th></tr>';
+    translationAudit.summary.forEach(entry => {
+        const color = entry.percent === 100 ? '#27ae60' : entry.percent >= 80 ? '#f39c12' : '#e74c3c';
+        report += `<tr style="border-bottom: 1px solid #ddd;"><td style="padding: 0.5rem;">${entry.language}${entry.isDefault ? ' (default)' : ''}</td><td style="padding: 0.5rem; color: ${color}; font-weight: bold;">${entry.percent}% (${entry.translated}/${entry.total})</td><td style="padding: 0.5rem;">${entry.missing}</td><td style="padding: 0.5rem;">${entry.untranslated}</td><td style="padding: 0.5rem;">${entry.placeholderMismatches}</td><td style="padding: 0.5rem;">${entry.rawKeyLabels}</td></tr>`;
+    });
+    report += '</table>';
+    const translationIssues = translationAudit.findings.filter(finding => finding.kind !== 'MISSING');
+    if (translationIssues.length > 0) {
+        report += `<h3 style="margin-top: 1.5rem; color: #2c3e50;">Consistency Issues (${translationIssues.length})</h3>`;
+        report += '<table style="width: 100%; border-collapse: collapse; margin-top: 1rem;">';
+        report += '<tr style="background: #ecf0f1;"><th style="padding: 0.5rem; text-align: left;">Language</th><th style="padding: 0.5rem; text-align: left;">Key</th><th style="padding: 0.5rem; text-align: left;">Issue</th><th style="padding: 0.5rem; text-align: left;">Message</th></tr>';
+        translationIssues.forEach(finding => {
+            report += `<tr style="border-bottom: 1px solid #ddd;"><td style="padding: 0.5rem;">${finding.language}</td><td style="padding: 0.5rem; word-break: break-all;">${finding.key}</td><td style="padding: 0.5rem; color: #e67e22; font-weight: bold;">${finding.kind}</td><td style="padding: 0.5rem;">${finding.message}</td></tr>`;
+        });
+        report += '</table>';
+    } else {
+        report += '<p style="color: #27ae60; font-weight: bold;">✅ No untranslated texts, placeholder mismatches or labels showing their key</p>';
+    }
+    report += '</div>';
+    
+    // User Journeys (every reachable path through the form)
+    const journeySummary = exploration.summary;
+    const describeJourney = journey => journey.steps.length === 0 ? '(no choices)' : journey.steps.map(step => {
+        const others = step.equivalentValues.length > 0 ? ` <span style="color: #95a5a6;">(+${step.equivalentValues.length} equivalent)</span>` : '';
+        return `${getFieldLabel(step.field)} = ${formatPathStepValue(step, getOptionLabel)}${others}`;
+    }).join(' → ');
+    const unassignedJourneys = exploration.paths.filter(journey => journey.assignment.usedDefault);
+
+    report += '<div style="margin-bottom: 2rem; padding: 1.5rem; background: #e3f2fd; border: 2px solid #3498db; border-radius: 8px;">';
+    report += '<h2 style="color: #3498db; margin-bottom: 1rem;">User Journeys</h2>';
+    report += `<p>Explored <strong>${journeySummary.totalPaths}</strong> distinct journeys covering ${journeySummary.totalCombinations} option combinations. Options that no rule distinguishes are explored once.</p>`;
+    explorationGaps.forEach(gap => {
+        report += `<p style="color: #e74c3c; font-weight: bold;">⚠️ ${gap} - the results below are incomplete</p>`;
+    });
+    report += '<table style="width: 100%; border-collapse: collapse; margin-top: 1rem;">';
+    report += '<tr style="background: #ecf0f1;"><th style="padding: 0.5rem; text-align: left;">Assigned Workflow</th><th style="padding: 0.5rem; text-align: left;">Journeys</th></tr>';
+    Object.entries(journeySummary.byWorkflow).sort((a, b) => b[1] - a[1]).forEach(([name, count]) => {
+        report += `<tr style="border-bottom: 1px solid #ddd;"><td style="padding: 0.5rem;">${name}</td><td style="padding: 0.5rem;">${count}</td></tr>`;
+    });
+    report += '</table>';
+    if (unassignedJourneys.length > 0) {
+        report += `<p style="color: #e74c3c; font-weight: bold; margin-top: 1rem;">⚠️ ${unassignedJourneys.length} journey(s) match no workflow rule${journeySummary.noWorkflow > 0 ? ` (${journeySummary.noWorkflow} without any default workflow)` : ' and fall back to the default workflow'}</p>`;
+        report += '<table style="width: 100%; border-collapse: collapse; margin-top: 1rem;">';
+        report += '<tr style="background: #ecf0f1;"><th style="padding: 0.5rem; text-align: left;">Journey</th><th style="padding: 0.5rem; text-align: left;">Outcome</th></tr>';
+        unassignedJourneys.forEach(journey => {
+            const outcome = journey.endsInWorkflow ? 'Default workflow' : 'No workflow';
+            report += `<tr style="border-bottom: 1px solid #ddd;"><td style="padding: 0.5rem;">${describeJourney(journey)}</td><td style="padding: 0.5rem; color: ${journey.endsInWorkflow ? '#f39c12' : '#e74c3c'};">${outcome}</td></tr>`;
+        });
+        report += '</table>';
+    } else {
+        report += '<p style="color: #27ae60; font-weight: bold; margin-top: 1rem;">✅ Every journey is assigned a workflow by a rule</p>';
+    }
+    report += '</div>';
+    
+    // Submit-Blocked Journeys (DISABLE_SUBMIT_BUTTON rules)
+    report += '<div style="margin-bottom: 2rem; padding: 1.5rem; background: #fdecea; border: 2px solid #e74c3c; border-radius: 8px;">';
+    report += '<h2 style="color: #e74c3c; margin-bottom: 1rem;">Submit-Blocked Journeys</h2>';
+    if (blockedAnalysis.totalBlocked > 0) {
+        report += `<p><strong>${blockedAnalysis.totalBlocked}</strong> journey(s) end with the submit button disabled.</p>`;
+        blockedAnalysis.groups.forEach(group => {
+            report += `<h3 style="margin-top: 1.5rem; color: #2c3e50;">${group.ruleName} - "${getFieldLabel(group.errorMessage)}" (${group.journeys.length} journey(s), ${group.combinations} combination(s))</h3>`;
+            report += '<table style="width: 100%; border-collapse: collapse; margin-top: 0.5rem;">';
+            report += '<tr style="background: #ecf0f1;"><th style="padding: 0.5rem; text-align: left;">Selections</th><th style="padding: 0.5rem; text-align: left;">Workflow That Would Match</th></tr>';
+            group.journeys.forEach(journey => {
+                const matchedRule = journey.assignment.ruleName;
+                const workflowCell = matchedRule
+                    ? `<span style="color: #e74c3c; font-weight: bold;">⚠️ ${matchedRule}</span>`
+                    : '<span style="color: #95a5a6;">None</span>';
+                report += `<tr style="border-bottom: 1px solid #ddd;"><td style="padding: 0.5rem;">${describeJourney(journey)}</td><td style="padding: 0.5rem;">${workflowCell}</td></tr>`;
+            });
+            report += '</table>';
+        });
+        if (blockedAnalysis.blockedWithWorkflow.length > 0) {
+            report += `<p style="color: #e74c3c; font-weight: bold; margin-top: 1rem;">⚠️ ${blockedAnalysis.blockedWithWorkflow.length} blocked journey(s) would still be assigned a workflow rule - check whether the submit rule or the workflow criteria are misconfigured</p>`;
+        }
+    } else if (explorationGaps.length > 0) {
+        report += '<p style="color: #e67e22; font-weight: bold;">⚠️ No explored journey ends with the submit button disabled - the exploration was incomplete, so blocked journeys may be missing</p>';
+    } else {
+        report += '<p style="color: #27ae60; font-weight: bold;">✅ No journey ends with the submit button disabled</p>';
+    }
+    report += '</div>';
     
     // Typos
     report += '<div style="margin-bottom: 2rem; padding: 1.5rem; background: #e8f5e9; border: 2px solid #27ae60; border-radius: 8px;">';
@@ -3847,6 +4132,11 @@ function exportGapAnalysis() {
 
 function exportToExcel() {
     const workbook = XLSX.utils.book_new();
+    // The unreachable-workflow, submit-blocked and test-case sheets share one exploration
+    const exploration = exploreFormPaths(getSimulatorForm(), {
+        labels: { fieldLabel: getFieldLabel, optionLabel: getOptionLabel }
+    });
+    const explorationGaps = describeExplorationGaps(exploration);
 
     // Sheet 1: All Fields
     const allFieldsData = [];
@@ -4177,6 +4467,34 @@ function exportToExcel() {
             ]);
         });
     }
+    const unreachable = detectUnreachableWorkflows(getSimulatorForm(), {
+        webFormDto: webformData.webFormDto,
+        exploration,
+        labels: { fieldLabel: getFieldLabel, optionLabel: getOptionLabel }
+    });
+    orderingData.push([]);
+    orderingData.push(['Unreachable Workflows']);
+    if (unreachable.findings.length > 0) {
+        orderingData.push(['Position', 'Workflow Name', 'Workflow ID', 'Reason', 'Reason Chain']);
+        unreachable.findings.forEach(finding => {
+            orderingData.push([finding.ruleSequence, finding.ruleName, finding.workflowId || '', finding.kind, finding.reasons.join('\n')]);
+        });
+    } else if (unreachable.unknown.length === 0) {
+        orderingData.push(['Every workflow rule can be assigned by some selections']);
+    } else {
+        orderingData.push(['No workflow rule was proven unreachable']);
+    }
+    if (unreachable.unknown.length > 0) {
+        orderingData.push([]);
+        orderingData.push(['Undecided Workflows (the explored journeys cannot settle their conditions)']);
+        orderingData.push(['Position', 'Workflow Name', 'Workflow ID', 'Reason Chain']);
+        unreachable.unknown.forEach(entry => {
+            orderingData.push([entry.ruleSequence, entry.ruleName, entry.workflowId || '', entry.reasons.join('\n')]);
+        });
+    }
+    explorationGaps.forEach(gap => {
+        orderingData.push([`${gap} - rules the journeys cannot settle are listed as undecided`]);
+    });
     const orderingSheet = XLSX.utils.aoa_to_sheet(orderingData);
     XLSX.utils.book_append_sheet(workbook, orderingSheet, 'Workflow Ordering');
 
@@ -4219,6 +4537,121 @@ function exportToExcel() {
     const unusedSheet = XLSX.utils.aoa_to_sheet(unusedData);
     XLSX.utils.book_append_sheet(workbook, unusedSheet, 'Unused Fields');
 
+    // Sheet 14: Submit-Blocked Journeys
+    const blockedAnalysis = analyzeSubmitBlockedPaths(exploration);
+    const blockedData = [];
+    blockedData.push(['Rule Name', 'Error Message', 'Selections', 'Equivalent Combinations', 'Workflow That Would Match', 'Flag']);
+    blockedAnalysis.groups.forEach(group => {
+        group.journeys.forEach(journey => {
+            blockedData.push([
+                group.ruleName,
+                getFieldLabel(group.errorMessage),
+                journey.steps.map(step => `${getFieldLabel(step.field)} = ${formatPathStepValue(step, getOptionLabel)}`).join(', '),
+                journey.combinations,
+                journey.assignment.ruleName || '',
+                journey.assignment.ruleName ? 'Blocked but a workflow matches - likely misconfiguration' : ''
+            ]);
+        });
+    });
+    if (blockedAnalysis.totalBlocked === 0) {
+        blockedData.push([explorationGaps.length > 0 ? 'No explored journey ends with the submit button disabled' : 'No journey ends with the submit button disabled']);
+    }
+    explorationGaps.forEach(gap => {
+        blockedData.push([`${gap} - blocked journeys may be missing`]);
+    });
+    const blockedSheet = XLSX.utils.aoa_to_sheet(blockedData);
+    XLSX.utils.book_append_sheet(workbook, blockedSheet, 'Submit Blocked Paths');
+
+    // Sheet 15: Test Cases - the generated minimal suite, for QA to run in the OneTrust portal
+    const generated = generateScenarioSuite(getSimulatorForm(), {
+        exploration,
+        labels: { fieldLabel: getFieldLabel, optionLabel: getOptionLabel }
+    });
+    const testCaseData = [];
+    testCaseData.push(['Test Case', 'Steps', 'Expected Workflow', 'Expected Submit Button', 'Expected Attachment', 'Expected Visible Fields', 'Covers']);
+    generated.suite.scenarios.forEach(scenario => {
+        testCaseData.push([
+            scenario.name,
+            formatScenarioSteps(scenario.selections),
+            formatScenarioValue('assignedWorkflow', scenario.expected.assignedWorkflow),
+            formatScenarioValue('submit', { ...scenario.expected.submit, message: scenario.expected.submit.message && getFieldLabel(scenario.expected.submit.message) }),
+            formatScenarioValue('attachment', scenario.expected.attachment),
+            scenario.expected.visibleFields.map(getFieldLabel).join(', '),
+            scenario.covers.join('\n')
+        ]);
+    });
+    generated.uncovered.forEach(label => {
+        const why = explorationGaps.length > 0 ? 'no explored journey achieves this (exploration incomplete)' : 'no reachable selections achieve this';
+        testCaseData.push(['NOT COVERED', '', '', '', '', '', `${label} - ${why}`]);
+    });
+    explorationGaps.forEach(gap => {
+        testCaseData.push([gap]);
+    });
+    if (generated.suite.scenarios.length === 0 && generated.uncovered.length === 0) {
+        testCaseData.push(['No rules to cover']);
+    }
+    const testCaseSheet = XLSX.utils.aoa_to_sheet(testCaseData);
+    XLSX.utils.book_append_sheet(workbook, testCaseSheet, 'Test Cases');
+
+    // Sheet 16: Dangling References
+    const danglingReferences = detectDanglingReferences(getSimulatorForm(), {
+        webFormDto: webformData.webFormDto,
+        labels: { fieldLabel: getFieldLabel, optionLabel: getOptionLabel }
+    });
+    const danglingData = [];
+    danglingData.push(['Source', 'Rule Name', 'Owner Field', 'Field', 'Value', 'Issue', 'Message']);
+    danglingReferences.forEach(reference => {
+        danglingData.push([
+            reference.source,
+            reference.ruleName,
+            reference.owner || '',
+            reference.field,
+            reference.value,
+            reference.kind,
+            reference.message
+        ]);
+    });
+    if (danglingReferences.length === 0) {
+        danglingData.push(['No dangling references found']);
+    }
+    const danglingSheet = XLSX.utils.aoa_to_sheet(danglingData);
+    XLSX.utils.book_append_sheet(workbook, danglingSheet, 'Dangling References');
+
+    // Sheet 17: Visibility Rule Defects
+    const visibilityDefects = detectVisibilityRuleDefects(getSimulatorForm(), {
+        labels: { fieldLabel: getFieldLabel }
+    });
+    const defectData = [];
+    defectData.push(['Field', 'Rule Name', 'Defect', 'Conditions', 'Message']);
+    visibilityDefects.forEach(defect => {
+        defectData.push([getFieldLabel(defect.owner), defect.ruleName || '', defect.kind, defect.description, defect.message]);
+    });
+    if (visibilityDefects.length === 0) {
+        defectData.push(['No contradictory, always-true or circular visibility rules found']);
+    }
+    const defectSheet = XLSX.utils.aoa_to_sheet(defectData);
+    XLSX.utils.book_append_sheet(workbook, defectSheet, 'Visibility Rule Defects');
+
+    // Sheet 18: Translations - one column per locale; translators fill the empty cells
+    const translationAudit = auditSimulatorTranslations();
+    const translationData = [];
+    translationData.push(['Key', ...translationAudit.languages, 'Issues']);
+    translationAudit.keys.forEach(key => {
+        const issues = translationAudit.findings
+            .filter(finding => finding.key === key)
+            .map(finding => `${finding.language}: ${finding.kind}`);
+        translationData.push([
+            key,
+            ...translationAudit.languages.map(language => formLanguages.translations[language]?.[key] || ''),
+            issues.join('; ')
+        ]);
+    });
+    if (translationAudit.keys.length === 0) {
+        translationData.push(['No translations found']);
+    }
+    const translationSheet = XLSX.utils.aoa_to_sheet(translationData);
+    XLSX.utils.book_append_sheet(workbook, translationSheet, 'Translations');
+
     // Generate filename with template name and timestamp
     const templateName = webformData.webFormDto?.templateName || 'webform';
     const cleanTemplateName = templateName.replace(/[^a-zA-Z0-9]/g, '-');
@@ -4258,6 +4691,12 @@ function getOptionLabel(optionKey) {
 
             return result;
         }
+        // Try the remaining dictionaries (other option lists, provinces, custom word lists)
+        const dictionary = hashDictionaries.find(d => d.lookup[optionKey]);
+        if (dictionary) {
+            const decrypted = dictionary.lookup[optionKey];
+            return decrypted.originalValue || decrypted.originalKey;
+        }
         // If hash not found, return truncated hash with indicator
 
         return `[Hash: ${optionKey.substring(0, 16)}...]`;
@@ -0,0 +1,330 @@
+/**
+ * ============================================================================
+ * WEBFORM DEPENDENCY GRAPH
+ * ============================================================================
+ *
+ * Builds the dependency graph of a parsed webform and renders it as SVG or
+ * Graphviz DOT. Nodes are fields, request types, subject types, UI actions
+ * (submit button, attachment) and workflow rules. Edges point from what is
+ * depended on to what depends on it:
+ *   - visibility: a visibility rule of the target compares the source
+ *   - options:    a SHOW_QUESTION_WITH_CONFIGURED_OPTIONS rule of the target compares the source
+ *   - criterion:  a workflow criterion of the target tests the source
+ *   - option:     a request/subject type is an answer of the requestTypes/subjectTypes field
+ * Conditions on requestTypes/subjectTypes start at the request/subject type
+ * they compare, so "Access → Attachment" reads directly off the graph.
+ */
+
+// Workflow criteria trees come from webform-rule-analysis.js (a <script> tag in the browser)
+const dependencyGraphAnalysis = typeof require === 'function'
+    ? require('./webform-rule-analysis.js')
+    : globalThis;
+
+const DEPENDENCY_NODE_STYLES = {
+    field: { fill: '#3498db', title: 'Field' },
+    requestType: { fill: '#27ae60', title: 'Request type' },
+    subjectType: { fill: '#8e44ad', title: 'Subject type' },
+    uiAction: { fill: '#e67e22', title: 'UI action' },
+    workflow: { fill: '#e74c3c', title: 'Workflow' }
+};
+
+const DEPENDENCY_EDGE_STYLES = {
+    visibility: { stroke: '#7f8c8d', dash: '', title: 'visibility depends on' },
+    options: { stroke: '#2980b9', dash: '6,4', title: 'options filtered by' },
+    criterion: { stroke: '#c0392b', dash: '', title: 'workflow criterion on' },
+    option: { stroke: '#bdc3c7', dash: '2,3', title: 'answer of' }
+};
+
+/**
+ * Builds the dependency graph of a webform
+ * @param {Object} form - Parsed webform (see webform-rule-engine.js)
+ * @param {Object} options
+ * @param {Object} options.webFormDto - webformData.webFormDto, for the request/subject type lists
+ * @param {Object} options.labels - { fieldLabel, optionLabel } resolvers
+ * @returns {{nodes: Array<{id, type, key, label}>, edges: Array<{from, to, kind, label}>}}
+ */
+function buildDependencyGraph(form, options = {}) {
+    const labels = options.labels || {};
+    const fieldLabel = labels.fieldLabel || (key => key);
+    const optionLabel = labels.optionLabel || (key => key);
+    const dto = options.webFormDto || {};
+    const nodes = [];
+    const nodeIds = new Set();
+    const edges = [];
+    const edgeKeys = new Set();
+
+    const addNode = (id, type, key, label) => {
+        if (nodeIds.has(id)) return;
+        nodeIds.add(id);
+        nodes.push({ id, type, key, label });
+    };
+    const addEdge = (from, to, kind, label) => {
+        const edgeKey = `${from}\u0000${to}\u0000${kind}`;
+        if (!nodeIds.has(from) || !nodeIds.has(to) || edgeKeys.has(edgeKey)) return;
+        edgeKeys.add(edgeKey);
+        edges.push({ from, to, kind, label });
+    };
+
+    (form.fields || []).forEach(field => addNode(`field:${field.key}`, 'field', field.key, fieldLabel(field.key) || field.key));
+    [['requestTypes', 'requestType'], ['subjectTypes', 'subjectType']].forEach(([fieldKey, type]) => {
+        (dto[fieldKey] || []).forEach(entry => {
+            addNode(`${type}:${entry.fieldName}`, type, entry.fieldName, optionLabel(entry.fieldName) || entry.fieldName);
+            addEdge(`field:${fieldKey}`, `${type}:${entry.fieldName}`, 'option', '');
+        });
+    });
+
+    // A condition on requestTypes/subjectTypes starts at the compared type when it exists
+    const sourcesFor = (fieldKey, values) => {
+        const type = fieldKey === 'requestTypes' ? 'requestType' : fieldKey === 'subjectTypes' ? 'subjectType' : null;
+        const typeSources = type ? values.map(value => `${type}:${value}`).filter(id => nodeIds.has(id)) : [];
+        return typeSources.length > 0 ? typeSources : [`field:${fieldKey}`];
+    };
+
+    const addVisibilityEdges = (rules, targetId) => {
+        (rules || []).forEach(rule => {
+            const filtersOptions = (rule.actions || []).some(action => action.action === 'SHOW_QUESTION_WITH_CONFIGURED_OPTIONS');
+            (rule.ruleConditions || []).forEach(condition => {
+                const values = (condition.ruleSubConditions || []).map(sub => sub.valueToCompareWith);
+                sourcesFor(condition.selectedField, values).forEach(source => {
+                    addEdge(source, targetId, filtersOptions ? 'options' : 'visibility', rule.ruleName || '');
+                });
+            });
+        });
+    };
+
+    (form.fields || []).forEach(field => addVisibilityEdges(field.visibilityRules?.rules, `field:${field.key}`));
+
+    [['submit', form.submitButtonRules, 'Submit button'], ['attachment', form.attachmentRules, 'Attachment']]
+        .forEach(([key, uiField, label]) => {
+            if (!uiField) return;
+            addNode(`ui:${key}`, 'uiAction', key, label);
+            addVisibilityEdges(uiField.visibilityRules?.rules, `ui:${key}`);
+        });
+
+    (form.workflowRules || []).forEach(workflow => {
+        const id = `workflow:${workflow.ruleName}`;
+        addNode(id, 'workflow', workflow.ruleName, `#${workflow.ruleSequence} ${workflow.ruleName}`);
+        dependencyGraphAnalysis.getWorkflowCriteriaTree(workflow).groups.forEach(group => {
+            group.conditions.forEach(condition => {
+                // Criteria on fields the form does not have still get a node, so they stand out
+                if (!nodeIds.has(`field:${condition.field}`)) {
+                    addNode(`field:${condition.field}`, 'field', condition.field, `${condition.field} (not on form)`);
+                }
+                sourcesFor(condition.field, condition.values || []).forEach(source => {
+                    addEdge(source, id, 'criterion', '');
+                });
+            });
+        });
+    });
+
+    return { nodes, edges };
+}
+
+/**
+ * Collects everything a node depends on (upstream) and everything depending on it (downstream)
+ * @param {Object} graph - Result of buildDependencyGraph
+ * @param {string} nodeId - Node to start from
+ * @returns {{upstream: Array<string>, downstream: Array<string>, edges: Array<number>}} - edges are indexes into graph.edges
+ */
+function getConnectedNodes(graph, nodeId) {
+    const walk = (start, next) => {
+        const seen = new Set();
+        const queue = [start];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            next(current).forEach(id => {
+                if (!seen.has(id) && id !== start) {
+                    seen.add(id);
+                    queue.push(id);
+                }
+            });
+        }
+        return seen;
+    };
+
+    const upstream = walk(nodeId, id => graph.edges.filter(e => e.to === id).map(e => e.from));
+    const downstream = walk(nodeId, id => graph.edges.filter(e => e.from === id).map(e => e.to));
+    const upstreamChain = new Set([...upstream, nodeId]);
+    const downstreamChain = new Set([...downstream, nodeId]);
+    const edges = [];
+    graph.edges.forEach((edge, index) => {
+        if ((upstream.has(edge.from) && upstreamChain.has(edge.to)) ||
+            (downstreamChain.has(edge.from) && downstream.has(edge.to))) {
+            edges.push(index);
+        }
+    });
+
+    return { upstream: Array.from(upstream), downstream: Array.from(downstream), edges };
+}
+
+/**
+ * Places nodes in left-to-right columns: each node one column right of the
+ * furthest node it depends on, workflows and UI actions in the last column
+ * @param {Object} graph - Result of buildDependencyGraph
+ * @returns {{positions: Object, width: number, height: number, nodeWidth: number, nodeHeight: number}}
+ */
+function layoutDependencyGraph(graph) {
+    const nodeWidth = 190;
+    const nodeHeight = 34;
+    const columnGap = 90;
+    const rowGap = 14;
+    const margin = 20;
+    const incoming = new Map(graph.nodes.map(node => [node.id, []]));
+    graph.edges.forEach(edge => incoming.get(edge.to).push(edge.from));
+
+    // Longest path from a source; edges closing a cycle are ignored
+    const layers = new Map();
+    const visiting = new Set();
+    const layerOf = id => {
+        if (layers.has(id)) return layers.get(id);
+        if (visiting.has(id)) return 0;
+        visiting.add(id);
+        const layer = incoming.get(id).reduce((max, from) => Math.max(max, layerOf(from) + 1), 0);
+        visiting.delete(id);
+        layers.set(id, layer);
+        return layer;
+    };
+    graph.nodes.forEach(node => layerOf(node.id));
+
+    const isSink = node => node.type === 'workflow' || node.type === 'uiAction';
+    const lastLayer = Math.max(0, ...graph.nodes.filter(node => !isSink(node)).map(node => layers.get(node.id))) + 1;
+    graph.nodes.filter(isSink).forEach(node => layers.set(node.id, lastLayer));
+
+    const columns = [];
+    graph.nodes.forEach(node => {
+        const layer = layers.get(node.id);
+        if (!columns[layer]) columns[layer] = [];
+        columns[layer].push(node);
+    });
+
+    // Order each column by the average row of the nodes it depends on
+    const positions = {};
+    let height = 0;
+    columns.forEach((column, layer) => {
+        if (!column) return;
+        const rowOf = node => {
+            const rows = incoming.get(node.id).filter(id => positions[id]).map(id => positions[id].row);
+            return rows.length > 0 ? rows.reduce((a, b) => a + b, 0) / rows.length : Number.MAX_SAFE_INTEGER;
+        };
+        column
+            .map((node, index) => ({ node, index, row: rowOf(node) }))
+            .sort((a, b) => a.row - b.row || a.index - b.index)
+            .forEach(({ node }, row) => {
+                positions[node.id] = {
+                    x: margin + layer * (nodeWidth + columnGap),
+                    y: margin + row * (nodeHeight + rowGap),
+                    row
+                };
+                height = Math.max(height, positions[node.id].y + nodeHeight + margin);
+            });
+    });
+
+    return {
+        positions,
+        width: margin * 2 + columns.length * nodeWidth + Math.max(0, columns.length - 1) * columnGap,
+        height: Math.max(height, 100),
+        nodeWidth,
+        nodeHeight
+    };
+}
+
+/**
+ * Escapes text for XML/SVG content and attributes
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeGraphXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Renders the graph as a standalone SVG document (inline styles, so the file
+ * opens anywhere). Nodes carry data-node-id and edges data-edge-index for
+ * interactive highlighting.
+ * @param {Object} graph - Result of buildDependencyGraph
+ * @param {Object} layout - Result of layoutDependencyGraph (computed when omitted)
+ * @returns {string} - SVG markup
+ */
+function renderDependencyGraphSvg(graph, layout = layoutDependencyGraph(graph)) {
+    const { positions, width, height, nodeWidth, nodeHeight } = layout;
+    const parts = [];
+    parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Segoe UI, Arial, sans-serif" font-size="12">`);
+    parts.push('<defs><marker id="dependency-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse"><path d="M 0 0 L 10 5 L 0 10 z" fill="#7f8c8d"/></marker></defs>');
+    parts.push(`<rect width="${width}" height="${height}" fill="#ffffff"/>`);
+
+    graph.edges.forEach((edge, index) => {
+        const from = positions[edge.from];
+        const to = positions[edge.to];
+        const style = DEPENDENCY_EDGE_STYLES[edge.kind];
+        const x1 = from.x + nodeWidth;
+        const y1 = from.y + nodeHeight / 2;
+        const x2 = to.x;
+        const y2 = to.y + nodeHeight / 2;
+        // Edges that go backwards (cycles) loop around below the nodes
+        const path = x2 > x1
+            ? `M ${x1} ${y1} C ${x1 + 45} ${y1}, ${x2 - 45} ${y2}, ${x2} ${y2}`
+            : `M ${x1} ${y1} C ${x1 + 60} ${y1 + 60}, ${x2 - 60} ${y2 + 60}, ${x2} ${y2}`;
+        const title = `${style.title}${edge.label ? ` (${edge.label})` : ''}`;
+        parts.push(`<path data-edge-index="${index}" d="${path}" fill="none" stroke="${style.stroke}" stroke-width="1.5"${style.dash ? ` stroke-dasharray="${style.dash}"` : ''} marker-end="url(#dependency-arrow)"><title>${escapeGraphXml(title)}</title></path>`);
+    });
+
+    graph.nodes.forEach(node => {
+        const { x, y } = positions[node.id];
+        const style = DEPENDENCY_NODE_STYLES[node.type];
+        const text = node.label.length > 28 ? `${node.label.slice(0, 27)}…` : node.label;
+        parts.push(`<g data-node-id="${escapeGraphXml(node.id)}" style="cursor: pointer;">`);
+        parts.push(`<title>${escapeGraphXml(`${style.title}: ${node.label}`)}</title>`);
+        parts.push(`<rect x="${x}" y="${y}" width="${nodeWidth}" height="${nodeHeight}" rx="${node.type === 'workflow' ? 4 : 14}" fill="${style.fill}"/>`);
+        parts.push(`<text x="${x + nodeWidth / 2}" y="${y + nodeHeight / 2 + 4}" text-anchor="middle" fill="#ffffff">${escapeGraphXml(text)}</text>`);
+        parts.push('</g>');
+    });
+
+    parts.push('</svg>');
+    return parts.join('\n');
+}
+
+/**
+ * Renders the graph as Graphviz DOT
+ * @param {Object} graph - Result of buildDependencyGraph
+ * @param {string} title - Graph label
+ * @returns {string}
+ */
+function dependencyGraphToDot(graph, title = 'Webform dependencies') {
+    const quote = text => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    const lines = [];
+    lines.push('digraph webform {');
+    lines.push(`    label=${quote(title)};`);
+    lines.push('    rankdir=LR;');
+    lines.push('    node [style=filled, fontcolor=white, fontname="Helvetica"];');
+    graph.nodes.forEach(node => {
+        const style = DEPENDENCY_NODE_STYLES[node.type];
+        const shape = node.type === 'workflow' ? 'box' : node.type === 'field' ? 'ellipse' : 'box, style="rounded,filled"';
+        lines.push(`    ${quote(node.id)} [label=${quote(node.label)}, shape=${shape}, fillcolor=${quote(style.fill)}];`);
+    });
+    graph.edges.forEach(edge => {
+        const style = DEPENDENCY_EDGE_STYLES[edge.kind];
+        const attributes = [`color=${quote(style.stroke)}`, `tooltip=${quote(style.title)}`];
+        if (style.dash) attributes.push('style=dashed');
+        if (edge.label) attributes.push(`label=${quote(edge.label)}`, 'fontsize=9');
+        lines.push(`    ${quote(edge.from)} -> ${quote(edge.to)} [${attributes.join(', ')}];`);
+    });
+    lines.push('}');
+    return lines.join('\n');
+}
+
+// Export functions for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEPENDENCY_NODE_STYLES,
+        DEPENDENCY_EDGE_STYLES,
+        buildDependencyGraph,
+        getConnectedNodes,
+        layoutDependencyGraph,
+        renderDependencyGraphSvg,
+        dependencyGraphToDot
+    };
+}
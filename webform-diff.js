@@ -0,0 +1,602 @@
+/**
+ * ============================================================================
+ * WEBFORM DIFF
+ * ============================================================================
+ *
+ * Semantic comparison of two versions of the same webform, both loaded with
+ * loadWebform() (webform-loader.js). Differences are reported per concept
+ * rather than per JSON line: fields, options, visibility rules, workflow
+ * criteria and order, request/subject types, translations, submit/attachment
+ * rules and the default workflow.
+ *
+ * Fields are matched by fieldKey, rules by ruleName (falling back to their
+ * position when unnamed), request/subject types by fieldName.
+ *
+ * diffWebformBehavior() measures the impact instead: it replays every journey
+ * of both versions against both versions and lists the journeys whose
+ * assigned workflow, visible fields, offered answers, submit state or
+ * attachment state differ.
+ */
+
+// Rule descriptions come from webform-rule-engine.js, journeys from
+// webform-path-explorer.js (<script> tags in the browser)
+const diffEngineApi = typeof require === 'function'
+    ? require('./webform-rule-engine.js')
+    : globalThis;
+const diffExplorerApi = typeof require === 'function'
+    ? require('./webform-path-explorer.js')
+    : globalThis;
+
+/**
+ * Describes a visibility/UI rule on one line, e.g. "country = US AND requestTypes ≠ Access → SHOW_QUESTION"
+ * @param {Object} rule - Rule with ruleConditions and actions
+ * @returns {string}
+ */
+function describeVisibilityRule(rule) {
+    const conditions = (rule.ruleConditions || []).map(condition => {
+        const subs = (condition.ruleSubConditions || []).map(sub =>
+            `${condition.selectedField} ${diffEngineApi.normalizeRuleOperator(sub.comparisonOperator, '') === 'NOT_EQUALS' ? '≠' : '='} ${sub.valueToCompareWith}`);
+        return subs.length > 1
+            ? `(${subs.join(` ${diffEngineApi.normalizeRuleOperator(condition.logicalOperatorForSubConditions, 'OR')} `)})`
+            : subs[0] || condition.selectedField;
+    });
+
+    const actions = (rule.actions || []).map(action => {
+        if (action.selectedOptions && action.selectedOptions.length > 0) {
+            return `${action.action} [${action.selectedOptions.join(', ')}]`;
+        }
+        if (action.errorMessage) {
+            return `${action.action} "${action.errorMessage}"`;
+        }
+        return action.action;
+    });
+
+    return `${conditions.join(` ${diffEngineApi.normalizeRuleOperator(rule.logicalOperatorForConditions, 'AND')} `) || '(always)'} → ${actions.join(', ') || '(no action)'}`;
+}
+
+/**
+ * Matches two lists of named items; unnamed items are matched by position
+ * A name used more than once is matched occurrence by occurrence (the second
+ * "X" becomes "X (2)") and listed in duplicates, so no item silently disappears.
+ * @param {Array} before - Items of the old version
+ * @param {Array} after - Items of the new version
+ * @param {Function} keyOf - item => identity string (falsy when unnamed)
+ * @returns {{added: Array, removed: Array, common: Array<{key: string, before: Object, after: Object}>, duplicates: Array<{key: string, before: number, after: number}>}}
+ */
+function matchByKey(before, after, keyOf) {
+    const toMap = items => {
+        const map = new Map();
+        const counts = new Map();
+        items.forEach((item, index) => {
+            const name = keyOf(item) || `#${index + 1}`;
+            const count = (counts.get(name) || 0) + 1;
+            counts.set(name, count);
+            map.set(count === 1 ? name : `${name} (${count})`, item);
+        });
+        return { map, counts };
+    };
+    const { map: beforeMap, counts: beforeCounts } = toMap(before);
+    const { map: afterMap, counts: afterCounts } = toMap(after);
+    const duplicates = Array.from(new Set([...beforeCounts.keys(), ...afterCounts.keys()]))
+        .filter(key => (beforeCounts.get(key) || 0) > 1 || (afterCounts.get(key) || 0) > 1)
+        .map(key => ({ key, before: beforeCounts.get(key) || 0, after: afterCounts.get(key) || 0 }));
+
+    return {
+        added: Array.from(afterMap.keys()).filter(key => !beforeMap.has(key)).map(key => ({ key, item: afterMap.get(key) })),
+        removed: Array.from(beforeMap.keys()).filter(key => !afterMap.has(key)).map(key => ({ key, item: beforeMap.get(key) })),
+        common: Array.from(afterMap.keys()).filter(key => beforeMap.has(key)).map(key => ({ key, before: beforeMap.get(key), after: afterMap.get(key) })),
+        duplicates
+    };
+}
+
+/**
+ * Compares two rule lists (field visibility rules or UI field rules)
+ * @param {Array} beforeRules
+ * @param {Array} afterRules
+ * @param {Array} duplicates - Receives { kind, owner, key, before, after } for rule names used twice
+ * @param {string} kind - Kind of rule for the duplicate entries
+ * @param {string|null} owner - Field that owns the rules
+ * @returns {Array<{change: string, ruleName: string, before?: string, after?: string}>}
+ */
+function diffRuleLists(beforeRules, afterRules, duplicates = [], kind = 'rule', owner = null) {
+    const matched = matchByKey(beforeRules || [], afterRules || [], rule => rule.ruleName);
+    matched.duplicates.forEach(duplicate => duplicates.push({ kind, owner, ...duplicate }));
+    const changes = [];
+
+    matched.added.forEach(({ key, item }) => changes.push({ change: 'added', ruleName: key, after: describeVisibilityRule(item) }));
+    matched.removed.forEach(({ key, item }) => changes.push({ change: 'removed', ruleName: key, before: describeVisibilityRule(item) }));
+    matched.common.forEach(({ key, before, after }) => {
+        const beforeText = describeVisibilityRule(before);
+        const afterText = describeVisibilityRule(after);
+        if (beforeText !== afterText) {
+            changes.push({ change: 'changed', ruleName: key, before: beforeText, after: afterText });
+        }
+    });
+
+    return changes;
+}
+
+/**
+ * Compares fields, their options and their visibility rules
+ * @param {Array} beforeFields - Parsed fields of the old version
+ * @param {Array} afterFields - Parsed fields of the new version
+ * @param {Array} duplicates - Receives duplicate field keys, option keys and visibility rule names
+ * @returns {{fields: Object, options: Array, visibility: Array}}
+ */
+function diffFields(beforeFields, afterFields, duplicates = []) {
+    const matched = matchByKey(beforeFields, afterFields, field => field.key);
+    matched.duplicates.forEach(duplicate => duplicates.push({ kind: 'field', owner: null, ...duplicate }));
+    const summarize = field => ({ key: field.key, label: field.label, type: field.type });
+    const fields = {
+        added: matched.added.map(({ key, item }) => ({ ...summarize(item), key })),
+        removed: matched.removed.map(({ key, item }) => ({ ...summarize(item), key })),
+        changed: []
+    };
+    const options = [];
+    const visibility = [];
+
+    matched.common.forEach(({ key, before, after }) => {
+        const changes = [];
+        const compare = (property, beforeValue, afterValue) => {
+            if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+                changes.push({ property, before: beforeValue, after: afterValue });
+            }
+        };
+        compare('label', before.label, after.label);
+        compare('type', before.type, after.type);
+        compare('required', Boolean(before.isRequired), Boolean(after.isRequired));
+        compare('enabled', diffEngineApi.isFieldEnabled(before), diffEngineApi.isFieldEnabled(after));
+        compare('description', before.description || '', after.description || '');
+        if (changes.length > 0) {
+            fields.changed.push({ key, label: after.label, changes });
+        }
+
+        const optionMatch = matchByKey(before.options || [], after.options || [], option => option.key);
+        optionMatch.duplicates.forEach(duplicate => duplicates.push({ kind: 'option', owner: key, ...duplicate }));
+        const relabelled = optionMatch.common
+            .filter(({ before: b, after: a }) => (b.value || '') !== (a.value || ''))
+            .map(({ key: optionKey, before: b, after: a }) => ({ key: optionKey, before: b.value, after: a.value }));
+        const commonBefore = (before.options || []).map(o => o.key).filter(k => optionMatch.common.some(c => c.key === k));
+        const commonAfter = (after.options || []).map(o => o.key).filter(k => optionMatch.common.some(c => c.key === k));
+        const reordered = commonBefore.join('|') !== commonAfter.join('|');
+        if (optionMatch.added.length || optionMatch.removed.length || relabelled.length || reordered) {
+            options.push({
+                fieldKey: key,
+                added: optionMatch.added.map(o => o.key),
+                removed: optionMatch.removed.map(o => o.key),
+                relabelled,
+                reordered
+            });
+        }
+
+        diffRuleLists(before.visibilityRules?.rules, after.visibilityRules?.rules, duplicates, 'visibility rule', key).forEach(change => {
+            visibility.push({ fieldKey: key, ...change });
+        });
+    });
+
+    return { fields, options, visibility };
+}
+
+/**
+ * Compares REQUEST_CREATION workflow rules: criteria, target workflow, deadline and order
+ * @param {Array} beforeRules - Parsed workflow rules of the old version
+ * @param {Array} afterRules - Parsed workflow rules of the new version
+ * @param {Array} duplicates - Receives duplicate rule names
+ * @returns {{added: Array, removed: Array, changed: Array, orderChanged: boolean, beforeOrder: Array<string>, afterOrder: Array<string>}}
+ */
+function diffWorkflowRules(beforeRules, afterRules, duplicates = []) {
+    const matched = matchByKey(beforeRules, afterRules, rule => rule.ruleName);
+    matched.duplicates.forEach(duplicate => duplicates.push({ kind: 'workflow rule', owner: null, ...duplicate }));
+    const describe = rule => rule.criteriaTree
+        ? diffEngineApi.describeCriteriaTree(rule.criteriaTree)
+        : (rule.ruleCriteria || []).map(c => `${c.field} = ${c.values.join(' OR ')}`).join(' AND ') || '(always)';
+    const summarize = rule => ({
+        ruleName: rule.ruleName,
+        ruleSequence: rule.ruleSequence,
+        workflowId: diffEngineApi.getWorkflowActionParameter(rule, 'WORKFLOWID') || null,
+        criteria: describe(rule)
+    });
+
+    const changed = [];
+    matched.common.forEach(({ key, before, after }) => {
+        const changes = [];
+        const compare = (property, beforeValue, afterValue) => {
+            if (beforeValue !== afterValue) {
+                changes.push({ property, before: beforeValue, after: afterValue });
+            }
+        };
+        compare('criteria', describe(before), describe(after));
+        compare('workflowId', diffEngineApi.getWorkflowActionParameter(before, 'WORKFLOWID') || null,
+            diffEngineApi.getWorkflowActionParameter(after, 'WORKFLOWID') || null);
+        compare('deadline', diffEngineApi.getWorkflowActionParameter(before, 'DEADLINE') ?? null,
+            diffEngineApi.getWorkflowActionParameter(after, 'DEADLINE') ?? null);
+        compare('ruleSequence', before.ruleSequence ?? null, after.ruleSequence ?? null);
+        if (changes.length > 0) {
+            changed.push({ ruleName: key, changes });
+        }
+    });
+
+    // Evaluation order of the rules both versions share
+    const commonKeys = new Map();
+    matched.common.forEach(({ key, before, after }) => commonKeys.set(before, key).set(after, key));
+    const orderOf = rules => diffEngineApi.sortByRuleSequence(rules)
+        .map(rule => commonKeys.get(rule))
+        .filter(Boolean);
+    const beforeOrder = orderOf(beforeRules);
+    const afterOrder = orderOf(afterRules);
+
+    return {
+        added: matched.added.map(({ key, item }) => ({ ...summarize(item), ruleName: key })),
+        removed: matched.removed.map(({ key, item }) => ({ ...summarize(item), ruleName: key })),
+        changed,
+        orderChanged: beforeOrder.join('|') !== afterOrder.join('|'),
+        beforeOrder,
+        afterOrder
+    };
+}
+
+/**
+ * Compares the request types or subject types of webFormDto
+ * @param {Array} beforeTypes
+ * @param {Array} afterTypes
+ * @param {Array} duplicates - Receives duplicate type names
+ * @param {string} kind - 'request type' or 'subject type'
+ * @returns {Array<{fieldName: string, change: string, before?: any, after?: any}>}
+ */
+function diffTypeList(beforeTypes, afterTypes, duplicates = [], kind = 'type') {
+    const matched = matchByKey(beforeTypes || [], afterTypes || [], type => type.fieldName);
+    matched.duplicates.forEach(duplicate => duplicates.push({ kind, owner: null, ...duplicate }));
+    const isActive = type => type.isSelected !== false && type.status !== 20;
+    const changes = [];
+
+    matched.added.forEach(({ key }) => changes.push({ fieldName: key, change: 'added' }));
+    matched.removed.forEach(({ key }) => changes.push({ fieldName: key, change: 'removed' }));
+    matched.common.forEach(({ key, before, after }) => {
+        if (isActive(before) !== isActive(after)) {
+            changes.push({ fieldName: key, change: isActive(after) ? 'enabled' : 'disabled' });
+        }
+        if ((before.order ?? null) !== (after.order ?? null)) {
+            changes.push({ fieldName: key, change: 'reordered', before: before.order, after: after.order });
+        }
+    });
+
+    return changes;
+}
+
+/**
+ * Compares formTranslations language by language
+ * @param {Object} beforeTranslations - formTranslations of the old version
+ * @param {Object} afterTranslations - formTranslations of the new version
+ * @returns {Object} - Per language: { added, removed, changed } (languages only present on one side are listed whole)
+ */
+function diffTranslations(beforeTranslations, afterTranslations) {
+    const result = {};
+    const languages = new Set([...Object.keys(beforeTranslations || {}), ...Object.keys(afterTranslations || {})]);
+
+    languages.forEach(language => {
+        const before = (beforeTranslations || {})[language] || {};
+        const after = (afterTranslations || {})[language] || {};
+        const added = Object.keys(after).filter(key => !(key in before));
+        const removed = Object.keys(before).filter(key => !(key in after));
+        const changed = Object.keys(after)
+            .filter(key => key in before && before[key] !== after[key])
+            .map(key => ({ key, before: before[key], after: after[key] }));
+
+        if (added.length || removed.length || changed.length) {
+            result[language] = { added, removed, changed };
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Computes the semantic diff between two loaded webforms
+ * @param {Object} before - Old version (result of loadWebform)
+ * @param {Object} after - New version (result of loadWebform)
+ * @returns {Object} - Diff grouped by concept, with a summary of change counts; duplicates lists
+ *          field keys, option keys, rule and type names used more than once ({ kind, owner, key, before, after })
+ */
+function diffWebforms(before, after) {
+    const duplicates = [];
+    const fieldDiff = diffFields(before.fields || [], after.fields || [], duplicates);
+    const beforeDto = before.webformData?.webFormDto || {};
+    const afterDto = after.webformData?.webFormDto || {};
+    const uiRulesOf = uiField => uiField?.visibilityRules?.rules || [];
+
+    const diff = {
+        fields: fieldDiff.fields,
+        options: fieldDiff.options,
+        visibility: fieldDiff.visibility,
+        workflows: diffWorkflowRules(before.workflowRules || [], after.workflowRules || [], duplicates),
+        requestTypes: diffTypeList(beforeDto.requestTypes, afterDto.requestTypes, duplicates, 'request type'),
+        subjectTypes: diffTypeList(beforeDto.subjectTypes, afterDto.subjectTypes, duplicates, 'subject type'),
+        translations: diffTranslations(before.webformData?.formTranslations, after.webformData?.formTranslations),
+        submitRules: diffRuleLists(uiRulesOf(before.submitButtonRules), uiRulesOf(after.submitButtonRules), duplicates, 'submit rule'),
+        attachmentRules: diffRuleLists(uiRulesOf(before.attachmentRules), uiRulesOf(after.attachmentRules), duplicates, 'attachment rule'),
+        defaultWorkflow: (before.defaultWorkflowId || null) !== (after.defaultWorkflowId || null)
+            ? { before: before.defaultWorkflowId || null, after: after.defaultWorkflowId || null }
+            : null,
+        duplicates
+    };
+
+    diff.summary = {
+        fieldsAdded: diff.fields.added.length,
+        fieldsRemoved: diff.fields.removed.length,
+        fieldsChanged: diff.fields.changed.length,
+        optionListsChanged: diff.options.length,
+        visibilityRulesChanged: diff.visibility.length,
+        workflowsAdded: diff.workflows.added.length,
+        workflowsRemoved: diff.workflows.removed.length,
+        workflowsChanged: diff.workflows.changed.length,
+        workflowOrderChanged: diff.workflows.orderChanged,
+        requestTypesChanged: diff.requestTypes.length,
+        subjectTypesChanged: diff.subjectTypes.length,
+        translationLanguagesChanged: Object.keys(diff.translations).length,
+        submitRulesChanged: diff.submitRules.length,
+        attachmentRulesChanged: diff.attachmentRules.length,
+        defaultWorkflowChanged: Boolean(diff.defaultWorkflow),
+        // Duplicates both versions share are listed, but only a changed count is a difference
+        duplicateCountsChanged: duplicates.filter(duplicate => duplicate.before !== duplicate.after).length
+    };
+    diff.hasDifferences = Object.values(diff.summary).some(value => value === true || value > 0);
+
+    return diff;
+}
+
+/**
+ * Formats a diff as plain-text report lines (used by the CLI)
+ * @param {Object} diff - Result of diffWebforms
+ * @returns {Array<string>}
+ */
+function formatWebformDiff(diff) {
+    const lines = [];
+    const section = title => lines.push('', title);
+
+    const duplicates = diff.duplicates || [];
+    if (!diff.hasDifferences && duplicates.length === 0) {
+        return ['✅ No semantic differences'];
+    }
+    if (!diff.hasDifferences) {
+        lines.push('✅ No semantic differences');
+    }
+
+    if (diff.fields.added.length || diff.fields.removed.length || diff.fields.changed.length) {
+        section('Fields:');
+        diff.fields.added.forEach(f => lines.push(`  + ${f.key} (${f.label}, ${f.type})`));
+        diff.fields.removed.forEach(f => lines.push(`  - ${f.key} (${f.label}, ${f.type})`));
+        diff.fields.changed.forEach(f => f.changes.forEach(c =>
+            lines.push(`  ~ ${f.key}: ${c.property} "${c.before}" → "${c.after}"`)));
+    }
+
+    if (diff.options.length) {
+        section('Options:');
+        diff.options.forEach(o => {
+            if (o.added.length) lines.push(`  + ${o.fieldKey}: ${o.added.join(', ')}`);
+            if (o.removed.length) lines.push(`  - ${o.fieldKey}: ${o.removed.join(', ')}`);
+            o.relabelled.forEach(r => lines.push(`  ~ ${o.fieldKey}.${r.key}: "${r.before}" → "${r.after}"`));
+            if (o.reordered) lines.push(`  ~ ${o.fieldKey}: options reordered`);
+        });
+    }
+
+    const ruleChanges = (title, changes, prefix = c => c.ruleName) => {
+        if (!changes.length) return;
+        section(title);
+        changes.forEach(c => {
+            if (c.change === 'added') lines.push(`  + ${prefix(c)}: ${c.after}`);
+            if (c.change === 'removed') lines.push(`  - ${prefix(c)}: ${c.before}`);
+            if (c.change === 'changed') {
+                lines.push(`  ~ ${prefix(c)}:`);
+                lines.push(`      before: ${c.before}`);
+                lines.push(`      after:  ${c.after}`);
+            }
+        });
+    };
+    ruleChanges('Visibility rules:', diff.visibility, c => `${c.fieldKey} / ${c.ruleName}`);
+
+    const workflows = diff.workflows;
+    if (workflows.added.length || workflows.removed.length || workflows.changed.length || workflows.orderChanged) {
+        section('Workflow rules:');
+        workflows.added.forEach(w => lines.push(`  + #${w.ruleSequence} ${w.ruleName}: ${w.criteria}`));
+        workflows.removed.forEach(w => lines.push(`  - #${w.ruleSequence} ${w.ruleName}: ${w.criteria}`));
+        workflows.changed.forEach(w => w.changes.forEach(c =>
+            lines.push(`  ~ ${w.ruleName}: ${c.property} "${c.before}" → "${c.after}"`)));
+        if (workflows.orderChanged) {
+            lines.push(`  ~ evaluation order: ${workflows.beforeOrder.join(' → ')}`);
+            lines.push(`                   → ${workflows.afterOrder.join(' → ')}`);
+        }
+    }
+
+    if (diff.defaultWorkflow) {
+        section('Default workflow:');
+        lines.push(`  ~ ${diff.defaultWorkflow.before} → ${diff.defaultWorkflow.after}`);
+    }
+
+    [['Request types:', diff.requestTypes], ['Subject types:', diff.subjectTypes]].forEach(([title, changes]) => {
+        if (!changes.length) return;
+        section(title);
+        changes.forEach(c => lines.push(c.change === 'reordered'
+            ? `  ~ ${c.fieldName}: order ${c.before} → ${c.after}`
+            : `  ${c.change === 'added' ? '+' : c.change === 'removed' ? '-' : '~'} ${c.fieldName}${c.change === 'added' || c.change === 'removed' ? '' : `: ${c.change}`}`));
+    });
+
+    ruleChanges('Submit button rules:', diff.submitRules);
+    ruleChanges('Attachment rules:', diff.attachmentRules);
+
+    if (duplicates.length) {
+        section('Duplicate keys (matched occurrence by occurrence, later ones as "name (2)"):');
+        duplicates.forEach(d => lines.push(
+            `  ! ${d.kind} "${d.key}"${d.owner ? ` of ${d.owner}` : ''}: ${d.before}× in the old version, ${d.after}× in the new one`));
+    }
+
+    const languages = Object.keys(diff.translations);
+    if (languages.length) {
+        section('Translations:');
+        languages.forEach(language => {
+            const t = diff.translations[language];
+            lines.push(`  ${language}: +${t.added.length} added, -${t.removed.length} removed, ~${t.changed.length} changed`);
+            t.changed.forEach(c => lines.push(`    ~ ${c.key}: "${c.before}" → "${c.after}"`));
+        });
+    }
+
+    return lines;
+}
+
+/**
+ * Reduces a simulation outcome to the aspects compared by the behavioral diff
+ * @param {Object} outcome - Result of simulateWebform
+ * @returns {{workflow: string, visibleFields: Array<string>, unavailable: Array<string>, submit: string, attachment: string}}
+ */
+function summarizeBehavior(outcome) {
+    const assigned = outcome.assignment.assigned;
+    // Answers the form no longer offers (option removed or filtered out)
+    const unavailable = [];
+    Object.keys(outcome.availableOptions).forEach(key => {
+        diffEngineApi.getSelectionValues(outcome.selections[key])
+            .filter(value => !outcome.availableOptions[key].includes(value))
+            .forEach(value => unavailable.push(`${key}=${value}`));
+    });
+
+    return {
+        unavailable,
+        workflow: assigned
+            ? `${assigned.ruleName} (${assigned.workflowId || 'no workflow ID'})`
+            : outcome.assignment.workflowId ? `default workflow (${outcome.assignment.workflowId})` : 'no workflow',
+        visibleFields: outcome.visibleFields,
+        submit: outcome.submit && outcome.submit.disabled ? `blocked: ${outcome.submit.message}` : 'enabled',
+        attachment: outcome.attachment && outcome.attachment.shown ? 'shown' : 'hidden'
+    };
+}
+
+/**
+ * Replays the journeys of both versions against both versions and lists every
+ * journey whose outcome differs
+ * @param {Object} before - Old version (result of loadWebform)
+ * @param {Object} after - New version (result of loadWebform)
+ * @param {Object} options
+ * @param {number} options.maxPaths - Journey limit per version (default 5000)
+ * @returns {{differences: Array, journeysCompared: number, truncated: boolean, partialMultiSelect: boolean, summary: Object}}
+ */
+function diffWebformBehavior(before, after, options = {}) {
+    // Option classes must separate every value either version's rules distinguish
+    const explore = (form, other) => diffExplorerApi.exploreFormPaths(form, {
+        maxPaths: options.maxPaths,
+        referenceForms: [other]
+    });
+    const explorations = [explore(before, after), explore(after, before)];
+
+    // Fields that exist in one version only are reported by diffWebforms - compare on the shared ones
+    const afterKeys = new Set((after.fields || []).map(f => f.key));
+    const sharedKeys = new Set((before.fields || []).map(f => f.key).filter(key => afterKeys.has(key)));
+    const journeys = new Map();
+    explorations.forEach(exploration => {
+        exploration.paths.forEach(path => {
+            const selections = {};
+            Object.keys(path.selections)
+                .filter(key => sharedKeys.has(key))
+                .forEach(key => { selections[key] = path.selections[key]; });
+            const key = diffExplorerApi.getSelectionsKey(selections);
+            if (!journeys.has(key)) {
+                journeys.set(key, { selections, steps: path.steps.filter(step => sharedKeys.has(step.field)) });
+            }
+        });
+    });
+
+    const differences = [];
+    journeys.forEach(path => {
+        const beforeBehavior = summarizeBehavior(diffEngineApi.simulateWebform(before, path.selections));
+        const afterBehavior = summarizeBehavior(diffEngineApi.simulateWebform(after, path.selections));
+        const changes = [];
+
+        if (beforeBehavior.workflow !== afterBehavior.workflow) {
+            changes.push({ aspect: 'workflow', before: beforeBehavior.workflow, after: afterBehavior.workflow });
+        }
+        const shown = afterBehavior.visibleFields.filter(key => sharedKeys.has(key) && !beforeBehavior.visibleFields.includes(key));
+        const hidden = beforeBehavior.visibleFields.filter(key => sharedKeys.has(key) && !afterBehavior.visibleFields.includes(key));
+        if (shown.length || hidden.length) {
+            changes.push({ aspect: 'visibility', shown, hidden });
+        }
+        const noLongerOffered = afterBehavior.unavailable.filter(answer => !beforeBehavior.unavailable.includes(answer));
+        const nowOffered = beforeBehavior.unavailable.filter(answer => !afterBehavior.unavailable.includes(answer));
+        if (noLongerOffered.length || nowOffered.length) {
+            changes.push({ aspect: 'options', noLongerOffered, nowOffered });
+        }
+        if (beforeBehavior.submit !== afterBehavior.submit) {
+            changes.push({ aspect: 'submit', before: beforeBehavior.submit, after: afterBehavior.submit });
+        }
+        if (beforeBehavior.attachment !== afterBehavior.attachment) {
+            changes.push({ aspect: 'attachment', before: beforeBehavior.attachment, after: afterBehavior.attachment });
+        }
+
+        if (changes.length > 0) {
+            differences.push({ selections: path.selections, steps: path.steps, changes });
+        }
+    });
+
+    const countAspect = aspect => differences.filter(d => d.changes.some(c => c.aspect === aspect)).length;
+    return {
+        differences,
+        journeysCompared: journeys.size,
+        truncated: explorations.some(exploration => exploration.truncated),
+        partialMultiSelect: explorations.some(exploration => exploration.partialMultiSelect),
+        summary: {
+            changedJourneys: differences.length,
+            workflowChanged: countAspect('workflow'),
+            visibilityChanged: countAspect('visibility'),
+            optionsChanged: countAspect('options'),
+            submitChanged: countAspect('submit'),
+            attachmentChanged: countAspect('attachment')
+        }
+    };
+}
+
+/**
+ * Formats a behavioral diff as plain-text report lines
+ * @param {Object} behavior - Result of diffWebformBehavior
+ * @returns {Array<string>}
+ */
+function formatBehaviorDiff(behavior) {
+    const lines = [`Journeys compared: ${behavior.journeysCompared}, with a different outcome: ${behavior.differences.length}`];
+    if (behavior.truncated) {
+        lines.push('⚠️ Journey exploration was truncated - some combinations were not compared');
+    }
+    if (behavior.partialMultiSelect) {
+        lines.push('⚠️ Some multi-select options were combined in pairs only - larger selections were not compared');
+    }
+
+    behavior.differences.forEach((difference, index) => {
+        const selections = Object.entries(difference.selections)
+            .map(([key, value]) => `${key}=${diffEngineApi.getSelectionValues(value).join('+')}`)
+            .join(', ');
+        lines.push('', `${index + 1}. ${selections || '(no choices)'}`);
+        difference.changes.forEach(change => {
+            if (change.aspect === 'visibility') {
+                if (change.shown.length) lines.push(`   ~ now shown: ${change.shown.join(', ')}`);
+                if (change.hidden.length) lines.push(`   ~ now hidden: ${change.hidden.join(', ')}`);
+            } else if (change.aspect === 'options') {
+                if (change.noLongerOffered.length) lines.push(`   - answer no longer offered: ${change.noLongerOffered.join(', ')}`);
+                if (change.nowOffered.length) lines.push(`   + answer now offered: ${change.nowOffered.join(', ')}`);
+            } else {
+                lines.push(`   ~ ${change.aspect}: ${change.before} → ${change.after}`);
+            }
+        });
+    });
+
+    return lines;
+}
+
+// Export functions for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        describeVisibilityRule,
+        diffFields,
+        diffWorkflowRules,
+        diffTypeList,
+        diffTranslations,
+        diffWebforms,
+        formatWebformDiff,
+        summarizeBehavior,
+        diffWebformBehavior,
+        formatBehaviorDiff
+    };
+}
@@ -0,0 +1,151 @@
+/**
+ * ============================================================================
+ * WEBFORM HASH ANALYSIS
+ * ============================================================================
+ *
+ * Scans a whole webform export for SHA-512 hashes - workflow criteria values
+ * and anything else hash-shaped - and reverses each with the hash dictionaries
+ * (see buildHashDictionaries). The report lists every occurrence with its JSON
+ * path, the workflow rule and field that own it, the recovered plaintext and
+ * the dictionary/variation rule that produced the hash, plus the hashes no
+ * dictionary reverses, most frequent first.
+ *
+ * Paths use the notation of the agnostic parser ("root.rules.REQUEST_CREATION[0]...").
+ */
+
+// Hash helpers come from webform-hash-lookup.js (<script> tag in the browser)
+const hashAnalysisLookupApi = typeof require === 'function'
+    ? require('./webform-hash-lookup.js')
+    : globalThis;
+
+/**
+ * Finds every SHA-512 hash in a JSON document
+ * The owning workflow is the nearest enclosing object with a ruleName; the field
+ * is the nearest enclosing field/fieldKey/fieldName, or the property itself when
+ * it is named like one ("countryHash").
+ * @param {any} json - Parsed webform export
+ * @returns {Array<{path: string, hash: string, property: string, workflow: string|null, field: string|null}>}
+ */
+function findHashOccurrences(json) {
+    const occurrences = [];
+    const fieldOf = node => [node.field, node.fieldKey, node.fieldName]
+        .find(value => typeof value === 'string' && value !== '');
+
+    const visit = (node, path, property, owner) => {
+        if (typeof node === 'string') {
+            if (hashAnalysisLookupApi.isSha512Hash(node)) {
+                occurrences.push({
+                    path,
+                    hash: node.toLowerCase(),
+                    property,
+                    workflow: owner.workflow,
+                    field: owner.field || (/hash$/i.test(property) ? property : null)
+                });
+            }
+            return;
+        }
+        if (Array.isArray(node)) {
+            node.forEach((item, index) => visit(item, `${path}[${index}]`, property, owner));
+            return;
+        }
+        if (node && typeof node === 'object') {
+            const nodeOwner = {
+                workflow: typeof node.ruleName === 'string' ? node.ruleName : owner.workflow,
+                field: fieldOf(node) ? fieldOf(node).replace('multiselectFields.', '') : owner.field
+            };
+            Object.keys(node).forEach(key => visit(node[key], `${path}.${key}`, key, nodeOwner));
+        }
+    };
+
+    visit(json, 'root', null, { workflow: null, field: null });
+    return occurrences;
+}
+
+/**
+ * Reverses every hash of a webform export with the given dictionaries
+ * @param {any} json - Parsed webform export
+ * @param {Array<Object>} dictionaries - Built dictionaries (see buildHashDictionaries)
+ * @returns {{summary: Object, resolved: Array<Object>, unresolved: Array<Object>}}
+ *          resolved: one entry per occurrence ({ path, workflow, field, hash, plaintext, key,
+ *          dictionary, hashedVariant, variationRule }); unresolved: one entry per distinct hash
+ *          ({ hash, count, paths, workflows, fields }), most frequent first
+ */
+function analyzeWebformHashes(json, dictionaries) {
+    const occurrences = findHashOccurrences(json);
+    const resolved = [];
+    const unresolvedByHash = new Map();
+
+    occurrences.forEach(occurrence => {
+        const match = hashAnalysisLookupApi.reverseHashWithDictionaries(occurrence.hash, occurrence.field || occurrence.property, dictionaries);
+        if (match) {
+            resolved.push({
+                path: occurrence.path,
+                workflow: occurrence.workflow,
+                field: occurrence.field,
+                hash: occurrence.hash,
+                plaintext: match.originalValue,
+                key: match.originalKey,
+                dictionary: match.dictionary,
+                hashedVariant: match.hashedVariant,
+                variationRule: match.variationRule
+            });
+            return;
+        }
+
+        if (!unresolvedByHash.has(occurrence.hash)) {
+            unresolvedByHash.set(occurrence.hash, { hash: occurrence.hash, count: 0, paths: [], workflows: [], fields: [] });
+        }
+        const entry = unresolvedByHash.get(occurrence.hash);
+        entry.count++;
+        entry.paths.push(occurrence.path);
+        if (occurrence.workflow && !entry.workflows.includes(occurrence.workflow)) entry.workflows.push(occurrence.workflow);
+        if (occurrence.field && !entry.fields.includes(occurrence.field)) entry.fields.push(occurrence.field);
+    });
+
+    const unresolved = Array.from(unresolvedByHash.values()).sort((a, b) => b.count - a.count);
+
+    return {
+        summary: {
+            occurrences: occurrences.length,
+            uniqueHashes: new Set(occurrences.map(occurrence => occurrence.hash)).size,
+            resolved: resolved.length,
+            unresolved: occurrences.length - resolved.length,
+            uniqueUnresolved: unresolved.length,
+            dictionaries: (dictionaries || []).map(dictionary => dictionary.name)
+        },
+        resolved,
+        unresolved
+    };
+}
+
+/**
+ * Writes a hash analysis as CSV: resolved occurrences first, then unresolved
+ * hashes by frequency (their paths, workflows and fields joined with " | ")
+ * @param {Object} analysis - Result of analyzeWebformHashes
+ * @returns {string}
+ */
+function hashAnalysisToCsv(analysis) {
+    const cell = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = [['Status', 'JSON Path', 'Workflow', 'Field', 'Hash', 'Plaintext', 'Key', 'Dictionary', 'Hashed Text', 'Variation Rule', 'Occurrences']];
+
+    analysis.resolved.forEach(item => {
+        rows.push(['resolved', item.path, item.workflow, item.field, item.hash, item.plaintext, item.key, item.dictionary, item.hashedVariant, item.variationRule, 1]);
+    });
+    analysis.unresolved.forEach(item => {
+        rows.push(['unresolved', item.paths.join(' | '), item.workflows.join(' | '), item.fields.join(' | '), item.hash, '', '', '', '', '', item.count]);
+    });
+
+    return rows.map(row => row.map(cell).join(',')).join('\n') + '\n';
+}
+
+// Export functions for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        findHashOccurrences,
+        analyzeWebformHashes,
+        hashAnalysisToCsv
+    };
+}
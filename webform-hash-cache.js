@@ -0,0 +1,222 @@
+/**
+ * ============================================================================
+ * WEBFORM HASH CACHE
+ * ============================================================================
+ *
+ * Hashing every variation of every dictionary word takes thousands of SHA-512
+ * digests per upload. The lookup tables only depend on the dictionary and the
+ * variation rules, so they are stored once computed: in IndexedDB in the
+ * browser, in a JSON cache file for the Node scripts. Each table is stored
+ * under its dictionary id with a fingerprint of the dictionary contents and
+ * variation rules; a table whose fingerprint no longer matches is rebuilt and
+ * replaced, so edited dictionaries and changed rules never serve stale hashes.
+ *
+ * In the browser the tables are built in a Web Worker (webform-hash-worker.js)
+ * so uploading a form never blocks the page.
+ *
+ * A cache is any object with get(id, fingerprint) -> Promise<lookup|null> and
+ * set(id, fingerprint, lookup) -> Promise.
+ */
+
+const HASH_CACHE_VERSION = 1;
+const HASH_CACHE_DB_NAME = 'webformHashCache';
+const HASH_CACHE_STORE = 'lookups';
+const HASH_CACHE_ENV = 'WEBFORM_HASH_CACHE';
+
+/**
+ * Fingerprints a dictionary and the variation rules it is hashed with
+ * (cyrb53 over the JSON; any change to a word, the name or a rule changes it)
+ * @param {Object} dictionary - Dictionary definition ({ id, name, countryCodes, country, entries })
+ * @param {Object} variationRules - Normalized variation rules
+ * @returns {string}
+ */
+function getHashDictionaryFingerprint(dictionary, variationRules) {
+    const text = JSON.stringify([
+        HASH_CACHE_VERSION,
+        dictionary.name,
+        Boolean(dictionary.countryCodes),
+        dictionary.country || null,
+        (dictionary.entries || []).map(entry => [entry.key, entry.value, entry.abbrev || null, entry.aliases || [], entry.hash || null]),
+        variationRules
+    ]);
+
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return `${text.length.toString(36)}-${(4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36)}`;
+}
+
+/**
+ * Lookup table cache in IndexedDB; every operation resolves (to null on failure)
+ * so a browser without IndexedDB simply recomputes
+ * @param {string} dbName - Database name
+ * @returns {{get: Function, set: Function}}
+ */
+function createIndexedDbHashCache(dbName = HASH_CACHE_DB_NAME) {
+    let dbPromise = null;
+    const openDb = () => {
+        if (!dbPromise) {
+            dbPromise = new Promise(resolve => {
+                try {
+                    const request = indexedDB.open(dbName, HASH_CACHE_VERSION);
+                    request.onupgradeneeded = () => request.result.createObjectStore(HASH_CACHE_STORE);
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => resolve(null);
+                } catch (error) {
+                    resolve(null);
+                }
+            });
+        }
+        return dbPromise;
+    };
+    const run = async (mode, action) => {
+        const db = await openDb();
+        if (!db) return null;
+        return new Promise(resolve => {
+            try {
+                const request = action(db.transaction(HASH_CACHE_STORE, mode).objectStore(HASH_CACHE_STORE));
+                request.onsuccess = () => resolve(request.result ?? null);
+                request.onerror = () => resolve(null);
+            } catch (error) {
+                console.warn('⚠️ Hash cache unavailable:', error.message);
+                resolve(null);
+            }
+        });
+    };
+
+    return {
+        async get(id, fingerprint) {
+            const record = await run('readonly', store => store.get(id));
+            return record && record.fingerprint === fingerprint ? record.lookup : null;
+        },
+        async set(id, fingerprint, lookup) {
+            await run('readwrite', store => store.put({ fingerprint, lookup, storedAt: new Date().toISOString() }, id));
+        }
+    };
+}
+
+/**
+ * Lookup table cache in a JSON file ({ version, lookups: { id: { fingerprint, lookup } } })
+ * A missing, unreadable or outdated file counts as empty; failed writes only warn.
+ * @param {string} filePath - Cache file path (its directory is created on first write)
+ * @returns {{get: Function, set: Function}}
+ */
+function createFileHashCache(filePath) {
+    const fs = require('fs');
+    const path = require('path');
+    let data = null;
+    const load = () => {
+        if (!data) {
+            try {
+                data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            } catch (error) {
+                data = null;
+            }
+            if (!data || data.version !== HASH_CACHE_VERSION || typeof data.lookups !== 'object') {
+                data = { version: HASH_CACHE_VERSION, lookups: {} };
+            }
+        }
+        return data;
+    };
+
+    return {
+        async get(id, fingerprint) {
+            const record = load().lookups[id];
+            return record && record.fingerprint === fingerprint ? record.lookup : null;
+        },
+        async set(id, fingerprint, lookup) {
+            load().lookups[id] = { fingerprint, lookup };
+            try {
+                fs.mkdirSync(path.dirname(filePath), { recursive: true });
+                fs.writeFileSync(filePath, JSON.stringify(data));
+            } catch (error) {
+                console.warn(`⚠️ Could not write hash cache ${filePath}: ${error.message}`);
+            }
+        }
+    };
+}
+
+let defaultHashCache;
+
+/**
+ * The cache loadWebform uses when none is passed: IndexedDB in the browser,
+ * .cache/hash-lookups.json next to this file in Node (the WEBFORM_HASH_CACHE
+ * environment variable sets another file, or "off" to disable it)
+ * @returns {{get: Function, set: Function}|null}
+ */
+function getDefaultHashCache() {
+    if (defaultHashCache !== undefined) {
+        return defaultHashCache;
+    }
+    if (typeof indexedDB !== 'undefined') {
+        defaultHashCache = createIndexedDbHashCache();
+    } else if (typeof require === 'function' && typeof process !== 'undefined') {
+        const setting = process.env[HASH_CACHE_ENV];
+        defaultHashCache = setting === 'off'
+            ? null
+            : createFileHashCache(setting || require('path').join(__dirname, '.cache', 'hash-lookups.json'));
+    } else {
+        defaultHashCache = null;
+    }
+    return defaultHashCache;
+}
+
+/**
+ * Builds lookup tables in a Web Worker instead of on the page
+ * @param {string} workerUrl - URL of webform-hash-worker.js
+ * @returns {Function|null} - (dictionary, variationRules) => Promise<lookup>, or null without Worker support
+ */
+function createHashLookupWorker(workerUrl) {
+    if (typeof Worker === 'undefined') {
+        return null;
+    }
+
+    let worker;
+    try {
+        worker = new Worker(workerUrl);
+    } catch (error) {
+        console.warn('⚠️ Hash worker unavailable, hashing on the page:', error.message);
+        return null;
+    }
+
+    const pending = new Map();
+    let nextRequestId = 1;
+    worker.onmessage = event => {
+        const { requestId, lookup, error } = event.data;
+        const request = pending.get(requestId);
+        if (!request) return;
+        pending.delete(requestId);
+        if (error) {
+            request.reject(new Error(error));
+        } else {
+            request.resolve(lookup);
+        }
+    };
+    worker.onerror = event => {
+        pending.forEach(request => request.reject(new Error(event.message || 'Hash worker failed')));
+        pending.clear();
+    };
+
+    return (dictionary, variationRules) => new Promise((resolve, reject) => {
+        const requestId = nextRequestId++;
+        pending.set(requestId, { resolve, reject });
+        worker.postMessage({ requestId, dictionary, variationRules });
+    });
+}
+
+// Export functions for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getHashDictionaryFingerprint,
+        createIndexedDbHashCache,
+        createFileHashCache,
+        getDefaultHashCache,
+        createHashLookupWorker
+    };
+}
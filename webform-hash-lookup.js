@@ -0,0 +1,740 @@
+/**
+ * ============================================================================
+ * WEBFORM HASH LOOKUP
+ * ============================================================================
+ *
+ * OneTrust stores some workflow criteria (country, state) as SHA-512 hashes of
+ * the selected value. These helpers hash every known value and build reverse
+ * lookup tables so hashed criteria can be shown and evaluated as plain values.
+ * Hash dictionaries generalise this to any field: built-in lists (countries, EU
+ * member states, US states, Canadian provinces, Australian states), the form's
+ * own option lists and user-supplied CSV/JSON word lists are each hashed, and a
+ * hashed criterion is tried against every dictionary relevant to its field.
+ * Which texts are hashed per entry (case, ISO codes, salts...) is decided by the
+ * variation rules of webform-hash-variations.js; every match records its rule.
+ * Works in the browser (crypto.subtle) and in Node.
+ */
+
+// Variation rules come from webform-hash-variations.js, the lookup table cache from
+// webform-hash-cache.js (<script> tags in the browser)
+const hashVariationApi = typeof require === 'function'
+    ? require('./webform-hash-variations.js')
+    : globalThis;
+const hashCacheApi = typeof require === 'function'
+    ? require('./webform-hash-cache.js')
+    : globalThis;
+
+/**
+ * Generates a hex-encoded SHA-512 digest
+ * @param {string} str - String to hash
+ * @returns {Promise<string>}
+ */
+async function sha512(str) {
+    const subtle = (typeof crypto !== 'undefined' && crypto.subtle)
+        ? crypto.subtle
+        : require('crypto').webcrypto.subtle;
+    const buffer = new TextEncoder().encode(str);
+    const hashBuffer = await subtle.digest('SHA-512', buffer);
+    const hashArray = Array.from(new Uint8Array(hashBuffer));
+    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Checks if a value looks like a SHA-512 hash (128 hex characters)
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isSha512Hash(value) {
+    return typeof value === 'string' && value.length === 128 && /^[0-9a-f]+$/i.test(value);
+}
+
+/**
+ * Finds a field by key: exact match, then case-insensitive, then partial match
+ * Accepts parsed fields ({ key }) and raw OneTrust fields ({ fieldKey })
+ * @param {Array} fields - Field list
+ * @param {string} hint - Key to look for (e.g. 'country')
+ * @returns {Object|undefined}
+ */
+function findFieldByKeyHint(fields, hint) {
+    const keyOf = f => f.key || f.fieldKey || '';
+    return fields.find(f => keyOf(f) === hint) ||
+        fields.find(f => keyOf(f).toLowerCase() === hint) ||
+        fields.find(f => keyOf(f).toLowerCase().includes(hint));
+}
+
+function getWorldCountriesOptions() {
+    // Comprehensive ISO 3166-1 alpha-2 country codes (all 249 countries)
+    // This is used as a fallback when country field has no options in JSON
+    const countries = [
+        { key: 'AD', value: 'Andorra' }, { key: 'AE', value: 'United Arab Emirates' },
+        { key: 'AF', value: 'Afghanistan' }, { key: 'AG', value: 'Antigua and Barbuda' },
+        { key: 'AI', value: 'Anguilla' }, { key: 'AL', value: 'Albania' },
+        { key: 'AM', value: 'Armenia' }, { key: 'AO', value: 'Angola' },
+        { key: 'AQ', value: 'Antarctica' }, { key: 'AR', value: 'Argentina' },
+        { key: 'AS', value: 'American Samoa' }, { key: 'AT', value: 'Austria' },
+        { key: 'AU', value: 'Australia' }, { key: 'AW', value: 'Aruba' },
+        { key: 'AX', value: 'Åland Islands' }, { key: 'AZ', value: 'Azerbaijan' },
+        { key: 'BA', value: 'Bosnia and Herzegovina' }, { key: 'BB', value: 'Barbados' },
+        { key: 'BD', value: 'Bangladesh' }, { key: 'BE', value: 'Belgium' },
+        { key: 'BF', value: 'Burkina Faso' }, { key: 'BG', value: 'Bulgaria' },
+        { key: 'BH', value: 'Bahrain' }, { key: 'BI', value: 'Burundi' },
+        { key: 'BJ', value: 'Benin' }, { key: 'BL', value: 'Saint Barthélemy' },
+        { key: 'BM', value: 'Bermuda' }, { key: 'BN', value: 'Brunei' },
+        { key: 'BO', value: 'Bolivia' }, { key: 'BQ', value: 'Caribbean Netherlands' },
+        { key: 'BR', value: 'Brazil' }, { key: 'BS', value: 'Bahamas' },
+        { key: 'BT', value: 'Bhutan' }, { key: 'BV', value: 'Bouvet Island' },
+        { key: 'BW', value: 'Botswana' }, { key: 'BY', value: 'Belarus' },
+        { key: 'BZ', value: 'Belize' }, { key: 'CA', value: 'Canada' },
+        { key: 'CC', value: 'Cocos Islands' }, { key: 'CD', value: 'Congo (DRC)' },
+        { key: 'CF', value: 'Central African Republic' }, { key: 'CG', value: 'Congo' },
+        { key: 'CH', value: 'Switzerland' }, { key: 'CI', value: 'Côte d\'Ivoire' },
+        { key: 'CK', value: 'Cook Islands' }, { key: 'CL', value: 'Chile' },
+        { key: 'CM', value: 'Cameroon' }, { key: 'CN', value: 'China' },
+        { key: 'CO', value: 'Colombia' }, { key: 'CR', value: 'Costa Rica' },
+        { key: 'CU', value: 'Cuba' }, { key: 'CV', value: 'Cape Verde' },
+        { key: 'CW', value: 'Curaçao' }, { key: 'CX', value: 'Christmas Island' },
+        { key: 'CY', value: 'Cyprus' }, { key: 'CZ', value: 'Czech Republic' },
+        { key: 'DE', value: 'Germany' }, { key: 'DJ', value: 'Djibouti' },
+        { key: 'DK', value: 'Denmark' }, { key: 'DM', value: 'Dominica' },
+        { key: 'DO', value: 'Dominican Republic' }, { key: 'DZ', value: 'Algeria' },
+        { key: 'EC', value: 'Ecuador' }, { key: 'EE', value: 'Estonia' },
+        { key: 'EG', value: 'Egypt' }, { key: 'EH', value: 'Western Sahara' },
+        { key: 'ER', value: 'Eritrea' }, { key: 'ES', value: 'Spain' },
+        { key: 'ET', value: 'Ethiopia' }, { key: 'FI', value: 'Finland' },
+        { key: 'FJ', value: 'Fiji' }, { key: 'FK', value: 'Falkland Islands' },
+        { key: 'FM', value: 'Micronesia' }, { key: 'FO', value: 'Faroe Islands' },
+        { key: 'FR', value: 'France' }, { key: 'GA', value: 'Gabon' },
+        { key: 'GB', value: 'United Kingdom' }, { key: 'GD', value: 'Grenada' },
+        { key: 'GE', value: 'Georgia' }, { key: 'GF', value: 'French Guiana' },
+        { key: 'GG', value: 'Guernsey' }, { key: 'GH', value: 'Ghana' },
+        { key: 'GI', value: 'Gibraltar' }, { key: 'GL', value: 'Greenland' },
+        { key: 'GM', value: 'Gambia' }, { key: 'GN', value: 'Guinea' },
+        { key: 'GP', value: 'Guadeloupe' }, { key: 'GQ', value: 'Equatorial Guinea' },
+        { key: 'GR', value: 'Greece' }, { key: 'GS', value: 'South Georgia' },
+        { key: 'GT', value: 'Guatemala' }, { key: 'GU', value: 'Guam' },
+        { key: 'GW', value: 'Guinea-Bissau' }, { key: 'GY', value: 'Guyana' },
+        { key: 'HK', value: 'Hong Kong' }, { key: 'HM', value: 'Heard Island' },
+        { key: 'HN', value: 'Honduras' }, { key: 'HR', value: 'Croatia' },
+        { key: 'HT', value: 'Haiti' }, { key: 'HU', value: 'Hungary' },
+        { key: 'ID', value: 'Indonesia' }, { key: 'IE', value: 'Ireland' },
+        { key: 'IL', value: 'Israel' }, { key: 'IM', value: 'Isle of Man' },
+        { key: 'IN', value: 'India' }, { key: 'IO', value: 'British Indian Ocean Territory' },
+        { key: 'IQ', value: 'Iraq' }, { key: 'IR', value: 'Iran' },
+        { key: 'IS', value: 'Iceland' }, { key: 'IT', value: 'Italy' },
+        { key: 'JE', value: 'Jersey' }, { key: 'JM', value: 'Jamaica' },
+        { key: 'JO', value: 'Jordan' }, { key: 'JP', value: 'Japan' },
+        { key: 'KE', value: 'Kenya' }, { key: 'KG', value: 'Kyrgyzstan' },
+        { key: 'KH', value: 'Cambodia' }, { key: 'KI', value: 'Kiribati' },
+        { key: 'KM', value: 'Comoros' }, { key: 'KN', value: 'Saint Kitts and Nevis' },
+        { key: 'KP', value: 'North Korea' }, { key: 'KR', value: 'South Korea' },
+        { key: 'KW', value: 'Kuwait' }, { key: 'KY', value: 'Cayman Islands' },
+        { key: 'KZ', value: 'Kazakhstan' }, { key: 'LA', value: 'Laos' },
+        { key: 'LB', value: 'Lebanon' }, { key: 'LC', value: 'Saint Lucia' },
+        { key: 'LI', value: 'Liechtenstein' }, { key: 'LK', value: 'Sri Lanka' },
+        { key: 'LR', value: 'Liberia' }, { key: 'LS', value: 'Lesotho' },
+        { key: 'LT', value: 'Lithuania' }, { key: 'LU', value: 'Luxembourg' },
+        { key: 'LV', value: 'Latvia' }, { key: 'LY', value: 'Libya' },
+        { key: 'MA', value: 'Morocco' }, { key: 'MC', value: 'Monaco' },
+        { key: 'MD', value: 'Moldova' }, { key: 'ME', value: 'Montenegro' },
+        { key: 'MF', value: 'Saint Martin' }, { key: 'MG', value: 'Madagascar' },
+        { key: 'MH', value: 'Marshall Islands' }, { key: 'MK', value: 'North Macedonia' },
+        { key: 'ML', value: 'Mali' }, { key: 'MM', value: 'Myanmar' },
+        { key: 'MN', value: 'Mongolia' }, { key: 'MO', value: 'Macao' },
+        { key: 'MP', value: 'Northern Mariana Islands' }, { key: 'MQ', value: 'Martinique' },
+        { key: 'MR', value: 'Mauritania' }, { key: 'MS', value: 'Montserrat' },
+        { key: 'MT', value: 'Malta' }, { key: 'MU', value: 'Mauritius' },
+        { key: 'MV', value: 'Maldives' }, { key: 'MW', value: 'Malawi' },
+        { key: 'MX', value: 'Mexico' }, { key: 'MY', value: 'Malaysia' },
+        { key: 'MZ', value: 'Mozambique' }, { key: 'NA', value: 'Namibia' },
+        { key: 'NC', value: 'New Caledonia' }, { key: 'NE', value: 'Niger' },
+        { key: 'NF', value: 'Norfolk Island' }, { key: 'NG', value: 'Nigeria' },
+        { key: 'NI', value: 'Nicaragua' }, { key: 'NL', value: 'Netherlands' },
+        { key: 'NO', value: 'Norway' }, { key: 'NP', value: 'Nepal' },
+        { key: 'NR', value: 'Nauru' }, { key: 'NU', value: 'Niue' },
+        { key: 'NZ', value: 'New Zealand' }, { key: 'OM', value: 'Oman' },
+        { key: 'PA', value: 'Panama' }, { key: 'PE', value: 'Peru' },
+        { key: 'PF', value: 'French Polynesia' }, { key: 'PG', value: 'Papua New Guinea' },
+        { key: 'PH', value: 'Philippines' }, { key: 'PK', value: 'Pakistan' },
+        { key: 'PL', value: 'Poland' }, { key: 'PM', value: 'Saint Pierre and Miquelon' },
+        { key: 'PN', value: 'Pitcairn' }, { key: 'PR', value: 'Puerto Rico' },
+        { key: 'PS', value: 'Palestine' }, { key: 'PT', value: 'Portugal' },
+        { key: 'PW', value: 'Palau' }, { key: 'PY', value: 'Paraguay' },
+        { key: 'QA', value: 'Qatar' }, { key: 'RE', value: 'Réunion' },
+        { key: 'RO', value: 'Romania' }, { key: 'RS', value: 'Serbia' },
+        { key: 'RU', value: 'Russia' }, { key: 'RW', value: 'Rwanda' },
+        { key: 'SA', value: 'Saudi Arabia' }, { key: 'SB', value: 'Solomon Islands' },
+        { key: 'SC', value: 'Seychelles' }, { key: 'SD', value: 'Sudan' },
+        { key: 'SE', value: 'Sweden' }, { key: 'SG', value: 'Singapore' },
+        { key: 'SH', value: 'Saint Helena' }, { key: 'SI', value: 'Slovenia' },
+        { key: 'SJ', value: 'Svalbard and Jan Mayen' }, { key: 'SK', value: 'Slovakia' },
+        { key: 'SL', value: 'Sierra Leone' }, { key: 'SM', value: 'San Marino' },
+        { key: 'SN', value: 'Senegal' }, { key: 'SO', value: 'Somalia' },
+        { key: 'SR', value: 'Suriname' }, { key: 'SS', value: 'South Sudan' },
+        { key: 'ST', value: 'São Tomé and Príncipe' }, { key: 'SV', value: 'El Salvador' },
+        { key: 'SX', value: 'Sint Maarten' }, { key: 'SY', value: 'Syria' },
+        { key: 'SZ', value: 'Eswatini' }, { key: 'TC', value: 'Turks and Caicos Islands' },
+        { key: 'TD', value: 'Chad' }, { key: 'TF', value: 'French Southern Territories' },
+        { key: 'TG', value: 'Togo' }, { key: 'TH', value: 'Thailand' },
+        { key: 'TJ', value: 'Tajikistan' }, { key: 'TK', value: 'Tokelau' },
+        { key: 'TL', value: 'Timor-Leste' }, { key: 'TM', value: 'Turkmenistan' },
+        { key: 'TN', value: 'Tunisia' }, { key: 'TO', value: 'Tonga' },
+        { key: 'TR', value: 'Turkey' }, { key: 'TT', value: 'Trinidad and Tobago' },
+        { key: 'TV', value: 'Tuvalu' }, { key: 'TW', value: 'Taiwan' },
+        { key: 'TZ', value: 'Tanzania' }, { key: 'UA', value: 'Ukraine' },
+        { key: 'UG', value: 'Uganda' }, { key: 'UM', value: 'U.S. Outlying Islands' },
+        { key: 'US', value: 'United States' }, { key: 'UY', value: 'Uruguay' },
+        { key: 'UZ', value: 'Uzbekistan' }, { key: 'VA', value: 'Vatican City' },
+        { key: 'VC', value: 'Saint Vincent and the Grenadines' }, { key: 'VE', value: 'Venezuela' },
+        { key: 'VG', value: 'British Virgin Islands' }, { key: 'VI', value: 'U.S. Virgin Islands' },
+        { key: 'VN', value: 'Vietnam' }, { key: 'VU', value: 'Vanuatu' },
+        { key: 'WF', value: 'Wallis and Futuna' }, { key: 'WS', value: 'Samoa' },
+        { key: 'YE', value: 'Yemen' }, { key: 'YT', value: 'Mayotte' },
+        { key: 'ZA', value: 'South Africa' }, { key: 'ZM', value: 'Zambia' },
+        { key: 'ZW', value: 'Zimbabwe' }
+    ];
+
+    return countries;
+}
+
+function getUSStatesOptions() {
+    // US states with their standard abbreviations
+    const statesWithAbbrevs = [
+        { abbrev: 'AL', name: 'Alabama' },
+        { abbrev: 'AK', name: 'Alaska' },
+        { abbrev: 'AZ', name: 'Arizona' },
+        { abbrev: 'AR', name: 'Arkansas' },
+        { abbrev: 'CA', name: 'California' },
+        { abbrev: 'CO', name: 'Colorado' },
+        { abbrev: 'CT', name: 'Connecticut' },
+        { abbrev: 'DE', name: 'Delaware' },
+        { abbrev: 'FL', name: 'Florida' },
+        { abbrev: 'GA', name: 'Georgia' },
+        { abbrev: 'HI', name: 'Hawaii' },
+        { abbrev: 'ID', name: 'Idaho' },
+        { abbrev: 'IL', name: 'Illinois' },
+        { abbrev: 'IN', name: 'Indiana' },
+        { abbrev: 'IA', name: 'Iowa' },
+        { abbrev: 'KS', name: 'Kansas' },
+        { abbrev: 'KY', name: 'Kentucky' },
+        { abbrev: 'LA', name: 'Louisiana' },
+        { abbrev: 'ME', name: 'Maine' },
+        { abbrev: 'MD', name: 'Maryland' },
+        { abbrev: 'MA', name: 'Massachusetts' },
+        { abbrev: 'MI', name: 'Michigan' },
+        { abbrev: 'MN', name: 'Minnesota' },
+        { abbrev: 'MS', name: 'Mississippi' },
+        { abbrev: 'MO', name: 'Missouri' },
+        { abbrev: 'MT', name: 'Montana' },
+        { abbrev: 'NE', name: 'Nebraska' },
+        { abbrev: 'NV', name: 'Nevada' },
+        { abbrev: 'NH', name: 'New Hampshire' },
+        { abbrev: 'NJ', name: 'New Jersey' },
+        { abbrev: 'NM', name: 'New Mexico' },
+        { abbrev: 'NY', name: 'New York' },
+        { abbrev: 'NC', name: 'North Carolina' },
+        { abbrev: 'ND', name: 'North Dakota' },
+        { abbrev: 'OH', name: 'Ohio' },
+        { abbrev: 'OK', name: 'Oklahoma' },
+        { abbrev: 'OR', name: 'Oregon' },
+        { abbrev: 'PA', name: 'Pennsylvania' },
+        { abbrev: 'RI', name: 'Rhode Island' },
+        { abbrev: 'SC', name: 'South Carolina' },
+        { abbrev: 'SD', name: 'South Dakota' },
+        { abbrev: 'TN', name: 'Tennessee' },
+        { abbrev: 'TX', name: 'Texas' },
+        { abbrev: 'UT', name: 'Utah' },
+        { abbrev: 'VT', name: 'Vermont' },
+        { abbrev: 'VA', name: 'Virginia' },
+        { abbrev: 'WA', name: 'Washington' },
+        { abbrev: 'WV', name: 'West Virginia' },
+        { abbrev: 'WI', name: 'Wisconsin' },
+        { abbrev: 'WY', name: 'Wyoming' },
+        { abbrev: 'DC', name: 'District of Columbia' }
+    ];
+
+    return statesWithAbbrevs.map(state => ({
+        key: state.name.replace(/\s+/g, ''),
+        value: state.name,
+        abbrev: state.abbrev
+    }));
+}
+
+function getCanadianProvincesOptions() {
+    // Canadian provinces and territories with their postal abbreviations
+    const provinces = [
+        { abbrev: 'AB', name: 'Alberta' },
+        { abbrev: 'BC', name: 'British Columbia' },
+        { abbrev: 'MB', name: 'Manitoba' },
+        { abbrev: 'NB', name: 'New Brunswick' },
+        { abbrev: 'NL', name: 'Newfoundland and Labrador' },
+        { abbrev: 'NS', name: 'Nova Scotia' },
+        { abbrev: 'NT', name: 'Northwest Territories' },
+        { abbrev: 'NU', name: 'Nunavut' },
+        { abbrev: 'ON', name: 'Ontario' },
+        { abbrev: 'PE', name: 'Prince Edward Island' },
+        { abbrev: 'QC', name: 'Quebec', aliases: ['Québec'] },
+        { abbrev: 'SK', name: 'Saskatchewan' },
+        { abbrev: 'YT', name: 'Yukon' }
+    ];
+
+    return provinces.map(province => ({
+        key: province.name.replace(/\s+/g, ''),
+        value: province.name,
+        abbrev: province.abbrev,
+        aliases: [province.abbrev, ...(province.aliases || [])]
+    }));
+}
+
+function getAustralianStatesOptions() {
+    // Australian states and territories with their abbreviations
+    const states = [
+        { abbrev: 'ACT', name: 'Australian Capital Territory' },
+        { abbrev: 'NSW', name: 'New South Wales' },
+        { abbrev: 'NT', name: 'Northern Territory' },
+        { abbrev: 'QLD', name: 'Queensland' },
+        { abbrev: 'SA', name: 'South Australia' },
+        { abbrev: 'TAS', name: 'Tasmania' },
+        { abbrev: 'VIC', name: 'Victoria' },
+        { abbrev: 'WA', name: 'Western Australia' }
+    ];
+
+    return states.map(state => ({
+        key: state.name.replace(/\s+/g, ''),
+        value: state.name,
+        abbrev: state.abbrev,
+        aliases: [state.abbrev]
+    }));
+}
+
+function getEuMemberStatesOptions() {
+    // EU member states by ISO alpha-2 code; forms often use the local name
+    return [
+        { key: 'AT', value: 'Austria', aliases: ['Österreich'] },
+        { key: 'BE', value: 'Belgium', aliases: ['België', 'Belgique', 'Belgien'] },
+        { key: 'BG', value: 'Bulgaria', aliases: ['България'] },
+        { key: 'HR', value: 'Croatia', aliases: ['Hrvatska'] },
+        { key: 'CY', value: 'Cyprus', aliases: ['Κύπρος'] },
+        { key: 'CZ', value: 'Czech Republic', aliases: ['Czechia', 'Česko'] },
+        { key: 'DK', value: 'Denmark', aliases: ['Danmark'] },
+        { key: 'EE', value: 'Estonia', aliases: ['Eesti'] },
+        { key: 'FI', value: 'Finland', aliases: ['Suomi'] },
+        { key: 'FR', value: 'France', aliases: [] },
+        { key: 'DE', value: 'Germany', aliases: ['Deutschland'] },
+        { key: 'GR', value: 'Greece', aliases: ['EL', 'Ελλάδα'] },
+        { key: 'HU', value: 'Hungary', aliases: ['Magyarország'] },
+        { key: 'IE', value: 'Ireland', aliases: ['Éire'] },
+        { key: 'IT', value: 'Italy', aliases: ['Italia'] },
+        { key: 'LV', value: 'Latvia', aliases: ['Latvija'] },
+        { key: 'LT', value: 'Lithuania', aliases: ['Lietuva'] },
+        { key: 'LU', value: 'Luxembourg', aliases: ['Lëtzebuerg'] },
+        { key: 'MT', value: 'Malta', aliases: [] },
+        { key: 'NL', value: 'Netherlands', aliases: ['Nederland'] },
+        { key: 'PL', value: 'Poland', aliases: ['Polska'] },
+        { key: 'PT', value: 'Portugal', aliases: [] },
+        { key: 'RO', value: 'Romania', aliases: ['România'] },
+        { key: 'SK', value: 'Slovakia', aliases: ['Slovensko'] },
+        { key: 'SI', value: 'Slovenia', aliases: ['Slovenija'] },
+        { key: 'ES', value: 'Spain', aliases: ['España'] },
+        { key: 'SE', value: 'Sweden', aliases: ['Sverige'] }
+    ];
+}
+
+/**
+ * Parses state_hash_mapping.csv ("State Name,State Hash" rows) into a lookup table
+ * @param {string} csvText - CSV file contents
+ * @returns {Object} - Map of hash to { originalKey, originalValue, originalAbbrev, hashedVariant, variationRule }
+ */
+function parseStateHashCsv(csvText) {
+    const lookup = {};
+    const lines = csvText.split('\n').filter(line => line.trim() && !line.startsWith('State Name'));
+
+    for (const line of lines) {
+        const [stateName, stateHash] = line.split(',').map(s => s.trim());
+        if (stateName && stateHash && stateHash.length === 128) {
+            lookup[stateHash] = {
+                originalKey: stateName.replace(/\s+/g, ''),
+                originalValue: stateName,
+                originalAbbrev: null, // Filled in below if the state field has abbreviations
+                hashedVariant: stateName,
+                variationRule: 'precomputed hash'
+            };
+        }
+    }
+
+    return lookup;
+}
+
+/**
+ * Builds the lookup table for country hashes
+ * OneTrust hashes the country code ("us") or the country name ("United States"),
+ * so every variation of both is hashed for every option of the form's country field.
+ * @param {Array} fields - Parsed or raw fields
+ * @param {Object} variationRules - Variation rules (see normalizeHashVariationRules)
+ * @returns {Promise<Object>} - Map of hash to { originalKey, originalValue, hashedVariant, variationRule }
+ */
+async function buildCountryHashLookup(fields, variationRules = {}) {
+    const lookup = {};
+    const countryField = findFieldByKeyHint(fields, 'country');
+
+    if (!countryField) {
+        console.warn('⚠️ No country field found - country hashes cannot be reversed');
+        return lookup;
+    }
+
+    const options = countryField.options && countryField.options.length > 0
+        ? countryField.options
+        : getWorldCountriesOptions();
+
+    for (const option of options) {
+        const variants = hashVariationApi.generateHashVariants(option, { rules: variationRules, countryCodes: true });
+        for (const variant of variants) {
+            const hash = await sha512(variant.text);
+            if (!lookup[hash]) {
+                lookup[hash] = {
+                    originalKey: option.key,
+                    originalValue: option.value,
+                    hashedVariant: variant.text,
+                    variationRule: variant.rule
+                };
+            }
+        }
+    }
+
+    return lookup;
+}
+
+/**
+ * Builds the lookup table for state hashes
+ * Uses the precomputed CSV when available, otherwise hashes every variation of
+ * the states of the form's state field (falling back to the US state list).
+ * @param {Array} fields - Parsed or raw fields
+ * @param {string|null} csvText - Contents of state_hash_mapping.csv, if loaded
+ * @param {Object} variationRules - Variation rules (see normalizeHashVariationRules)
+ * @returns {Promise<Object>} - Map of hash to { originalKey, originalValue, originalAbbrev, hashedVariant, variationRule }
+ */
+async function buildStateHashLookup(fields, csvText = null, variationRules = {}) {
+    const csvLookup = csvText ? parseStateHashCsv(csvText) : {};
+    const csvLoaded = Object.keys(csvLookup).length > 0;
+
+    let stateField = findFieldByKeyHint(fields, 'state');
+    if (!stateField || !stateField.options || stateField.options.length === 0) {
+        stateField = { key: 'state', options: getUSStatesOptions() };
+    }
+
+    if (csvLoaded) {
+        // CSV already has the hashes - just add abbreviations where the field provides them
+        for (const option of stateField.options) {
+            const matchingHash = Object.keys(csvLookup).find(hash =>
+                csvLookup[hash].originalValue === option.value || csvLookup[hash].originalValue === option.key
+            );
+            if (matchingHash && option.abbrev) {
+                csvLookup[matchingHash].originalAbbrev = option.abbrev;
+            }
+        }
+        return csvLookup;
+    }
+
+    // OneTrust hashes the state name ("California") or its ISO 3166-2 code ("us-ca")
+    const lookup = {};
+    for (const option of stateField.options) {
+        const variants = hashVariationApi.generateHashVariants(option, { rules: variationRules, country: 'US' });
+        for (const variant of variants) {
+            const hash = await sha512(variant.text);
+            if (!lookup[hash]) {
+                lookup[hash] = {
+                    originalKey: option.key,
+                    originalValue: option.value,
+                    originalAbbrev: option.abbrev || null,
+                    hashedVariant: variant.text,
+                    variationRule: variant.rule
+                };
+            }
+        }
+    }
+
+    return lookup;
+}
+
+/**
+ * Reads a user-supplied hash dictionary (word list)
+ * JSON: an array of words, an array of { key, value, aliases } entries, or
+ * { name, fields, entries } to name the dictionary and limit it to fields whose
+ * key contains one of the given hints. CSV: one word per line, or key,value
+ * columns; a "hash" column holds precomputed hashes (as in state_hash_mapping.csv).
+ * @param {string} text - File contents
+ * @param {Object} options
+ * @param {string} options.name - Dictionary name (defaults to the file name)
+ * @param {string} options.format - 'json' or 'csv' (guessed from the contents when omitted)
+ * @returns {{id: string, name: string, fields: Array<string>, targetField: null, entries: Array<Object>}}
+ */
+function parseHashDictionary(text, options = {}) {
+    const content = String(text || '').replace(/^\uFEFF/, '').trim();
+    const format = options.format || (/^[[{]/.test(content) ? 'json' : 'csv');
+    let name = options.name || 'Custom word list';
+    let fields = [];
+    let entries = [];
+
+    const toEntry = item => (typeof item === 'string' || typeof item === 'number'
+        ? { key: String(item), value: String(item) }
+        : { key: String(item.key ?? item.value ?? ''), value: String(item.value ?? item.key ?? ''), aliases: item.aliases || [], hash: item.hash });
+
+    if (format === 'json') {
+        const data = JSON.parse(content);
+        const list = Array.isArray(data) ? data : data.entries;
+        if (!Array.isArray(list)) {
+            throw new Error('Hash dictionary JSON must be an array of words or { name, fields, entries }');
+        }
+        if (!Array.isArray(data)) {
+            name = data.name || name;
+            fields = (data.fields || []).map(hint => String(hint).toLowerCase());
+        }
+        entries = list.map(toEntry);
+    } else {
+        const rows = content.split(/\r?\n/).map(line => line.split(/[,;]/).map(cell => cell.trim().replace(/^"|"$/g, '')));
+        const header = rows[0].map(cell => cell.toLowerCase());
+        const hashColumn = header.findIndex(cell => cell.includes('hash'));
+        const hasHeader = hashColumn !== -1 || header.includes('key') || header.includes('value');
+        const keyColumn = hasHeader && header.includes('key') ? header.indexOf('key') : 0;
+        const valueColumn = hasHeader && header.includes('value') ? header.indexOf('value')
+            : rows[0].length > 1 && hashColumn !== 1 ? 1 : keyColumn;
+
+        entries = rows.slice(hasHeader ? 1 : 0)
+            .filter(cells => cells[keyColumn])
+            .map(cells => ({
+                key: cells[keyColumn],
+                value: cells[valueColumn] || cells[keyColumn],
+                hash: hashColumn !== -1 && isSha512Hash(cells[hashColumn]) ? cells[hashColumn].toLowerCase() : undefined
+            }));
+    }
+
+    entries = entries.filter(entry => entry.key);
+    if (entries.length === 0) {
+        throw new Error(`Hash dictionary "${name}" has no entries`);
+    }
+
+    return {
+        id: `custom:${name}`,
+        name,
+        fields,
+        targetField: null,
+        entries
+    };
+}
+
+/**
+ * Hashes every variation of every entry of a dictionary (precomputed hashes are used as-is)
+ * @param {Object} dictionary - { name, countryCodes, country, entries: [{ key, value, aliases, hash, abbrev }] }
+ *                              countryCodes: entry keys are ISO alpha-2 codes; country: the entries are its subdivisions
+ * @param {Object} variationRules - Variation rules (see normalizeHashVariationRules)
+ * @returns {Promise<Object>} - Map of hash to { originalKey, originalValue, originalAbbrev, hashedVariant, variationRule, dictionary }
+ */
+async function buildHashDictionaryLookup(dictionary, variationRules = {}) {
+    const lookup = {};
+
+    for (const entry of dictionary.entries) {
+        const match = {
+            originalKey: entry.key,
+            originalValue: entry.value || entry.key,
+            originalAbbrev: entry.abbrev || null,
+            dictionary: dictionary.name
+        };
+
+        if (entry.hash) {
+            lookup[entry.hash] = { ...match, hashedVariant: entry.value || entry.key, variationRule: 'precomputed hash' };
+            continue;
+        }
+        const variants = hashVariationApi.generateHashVariants(entry, {
+            rules: variationRules,
+            countryCodes: dictionary.countryCodes,
+            country: dictionary.country
+        });
+        for (const variant of variants) {
+            const hash = await sha512(variant.text);
+            if (!lookup[hash]) {
+                lookup[hash] = { ...match, hashedVariant: variant.text, variationRule: variant.rule };
+            }
+        }
+    }
+
+    return lookup;
+}
+
+// Adds the postal abbreviation to state options that lack one, so their ISO 3166-2 codes can be hashed
+function withStateAbbreviations(options) {
+    const usStates = getUSStatesOptions();
+    return options.map(option => {
+        if (option.abbrev) return option;
+        const state = usStates.find(s => s.value === option.value || s.key === option.key);
+        return state ? { ...option, abbrev: state.abbrev } : option;
+    });
+}
+
+/**
+ * Builds every hash dictionary that applies to a webform: world countries (or the
+ * country field's options), EU member states, US states (hashed names plus
+ * state_hash_mapping.csv), Canadian provinces, Australian states, the options of
+ * each option field of the form, and any user-supplied dictionaries.
+ * @param {Array} fields - Parsed fields
+ * @param {Object} options
+ * @param {string|null} options.stateHashCsv - Contents of state_hash_mapping.csv, if loaded
+ * @param {Array<Object>} options.dictionaries - User dictionaries (see parseHashDictionary)
+ * @param {Object} options.variationRules - Variation rules (see normalizeHashVariationRules)
+ * @param {Object|null} options.cache - Lookup table cache (see webform-hash-cache.js); null to always hash
+ * @param {Function} options.buildLookup - Builds one table, e.g. in a Web Worker (defaults to buildHashDictionaryLookup)
+ * @returns {Promise<Array<{id, name, fields, fieldKeys, targetField, lookup}>>}
+ *          fields are key hints (a dictionary applies to hashed criteria whose field contains one;
+ *          none means any field), fieldKeys exact field keys, targetField the field a match resolves
+ *          an unnamed hashed criterion to
+ */
+async function buildHashDictionaries(fields, options = {}) {
+    const countryField = findFieldByKeyHint(fields, 'country');
+    let stateField = findFieldByKeyHint(fields, 'state');
+    if (!stateField || !stateField.options || stateField.options.length === 0) {
+        stateField = { key: 'state', options: getUSStatesOptions() };
+    }
+
+    const definitions = [
+        {
+            id: 'countries',
+            name: 'World countries',
+            fields: ['country', 'residence', 'nation'],
+            targetField: 'country',
+            countryCodes: true,
+            entries: countryField && countryField.options.length > 0 ? countryField.options : getWorldCountriesOptions()
+        },
+        { id: 'eu-member-states', name: 'EU member states', fields: ['country', 'residence', 'nation'], targetField: 'country', countryCodes: true, entries: getEuMemberStatesOptions() },
+        { id: 'us-states', name: 'US states', fields: ['state'], targetField: 'state', country: 'US', entries: withStateAbbreviations(stateField.options) },
+        { id: 'ca-provinces', name: 'Canadian provinces', fields: ['province', 'state', 'region', 'territory'], targetField: null, country: 'CA', entries: getCanadianProvincesOptions() },
+        { id: 'au-states', name: 'Australian states', fields: ['state', 'region', 'territory'], targetField: null, country: 'AU', entries: getAustralianStatesOptions() }
+    ];
+
+    // Precomputed state hashes (the shipped CSV holds the lowercase ISO 3166-2 codes the US states
+    // dictionary also derives; an edited CSV may hold other variants, so it stays a dictionary of its own)
+    const csvLookup = options.stateHashCsv ? parseStateHashCsv(options.stateHashCsv) : {};
+    if (Object.keys(csvLookup).length > 0) {
+        definitions.push({
+            id: 'state-hash-csv',
+            name: 'state_hash_mapping.csv',
+            fields: ['state'],
+            targetField: 'state',
+            entries: Object.entries(csvLookup).map(([hash, entry]) => {
+                const option = stateField.options.find(o => o.value === entry.originalValue || o.key === entry.originalValue);
+                return { key: entry.originalKey, value: entry.originalValue, abbrev: option?.abbrev, hash };
+            })
+        });
+    }
+
+    // Each other option field is its own dictionary, so hashes of any option can be reversed
+    fields
+        .filter(field => field.options && field.options.length > 0 && field !== countryField && field !== stateField)
+        .forEach(field => {
+            definitions.push({
+                id: `options:${field.key}`,
+                name: `Options of ${field.key}`,
+                fields: [],
+                fieldKeys: [field.key],
+                targetField: field.key,
+                entries: field.options.map(option => ({ key: option.key, value: option.value || option.key }))
+            });
+        });
+
+    (options.dictionaries || []).forEach(dictionary => definitions.push({ targetField: null, ...dictionary }));
+
+    const variationRules = hashVariationApi.normalizeHashVariationRules(options.variationRules);
+    const cache = options.cache || null;
+    const buildLookup = options.buildLookup || buildHashDictionaryLookup;
+
+    const dictionaries = [];
+    for (const definition of definitions) {
+        const source = {
+            id: definition.id,
+            name: definition.name,
+            countryCodes: Boolean(definition.countryCodes),
+            country: definition.country || null,
+            entries: definition.entries.map(entry => ({
+                key: entry.key, value: entry.value, abbrev: entry.abbrev, aliases: entry.aliases, hash: entry.hash
+            }))
+        };
+
+        // Tables are cached per dictionary; the fingerprint changes with the words and the rules
+        const fingerprint = hashCacheApi.getHashDictionaryFingerprint(source, variationRules);
+        let lookup = cache ? await cache.get(source.id, fingerprint) : null;
+        if (!lookup) {
+            lookup = await buildLookup(source, variationRules).catch(error => {
+                console.warn(`⚠️ Hashing "${source.name}" on the page: ${error.message}`);
+                return buildHashDictionaryLookup(source, variationRules);
+            });
+            if (cache) {
+                await cache.set(source.id, fingerprint, lookup);
+            }
+        }
+
+        dictionaries.push({
+            id: definition.id,
+            name: definition.name,
+            fields: definition.fields || [],
+            fieldKeys: definition.fieldKeys || [],
+            targetField: definition.targetField,
+            lookup
+        });
+    }
+    return dictionaries;
+}
+
+/**
+ * Checks whether a dictionary applies to a hashed criterion field
+ * @param {Object} dictionary - Built dictionary (see buildHashDictionaries)
+ * @param {string} fieldName - Criterion field, e.g. 'stateHash' or 'province'
+ * @returns {boolean}
+ */
+function isHashDictionaryRelevant(dictionary, fieldName) {
+    const field = String(fieldName || '').replace('multiselectFields.', '');
+    if (dictionary.fieldKeys.length > 0) {
+        return dictionary.fieldKeys.includes(field) || dictionary.fieldKeys.includes(field.replace(/Hash$/, ''));
+    }
+    if (dictionary.fields.length === 0) return true;
+    const lowerField = field.toLowerCase();
+    return dictionary.fields.some(hint => lowerField.includes(hint));
+}
+
+/**
+ * Reverses a hash with the dictionaries relevant to its field, then with all others
+ * @param {string} hash - SHA-512 hash
+ * @param {string} fieldName - Criterion field the hash was compared against
+ * @param {Array<Object>} dictionaries - Built dictionaries (see buildHashDictionaries)
+ * @returns {Object|null} - { originalKey, originalValue, hashedVariant, variationRule, dictionary, targetField, relevant }
+ */
+function reverseHashWithDictionaries(hash, fieldName, dictionaries) {
+    const relevant = (dictionaries || []).filter(dictionary => isHashDictionaryRelevant(dictionary, fieldName));
+    const others = (dictionaries || []).filter(dictionary => !relevant.includes(dictionary));
+
+    for (const dictionary of [...relevant, ...others]) {
+        const match = dictionary.lookup[hash];
+        if (match) {
+            return { ...match, targetField: dictionary.targetField, relevant: relevant.includes(dictionary) };
+        }
+    }
+    return null;
+}
+
+// Export functions for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        sha512,
+        isSha512Hash,
+        findFieldByKeyHint,
+        getWorldCountriesOptions,
+        getUSStatesOptions,
+        getCanadianProvincesOptions,
+        getAustralianStatesOptions,
+        getEuMemberStatesOptions,
+        parseStateHashCsv,
+        buildCountryHashLookup,
+        buildStateHashLookup,
+        parseHashDictionary,
+        buildHashDictionaryLookup,
+        buildHashDictionaries,
+        isHashDictionaryRelevant,
+        reverseHashWithDictionaries
+    };
+}
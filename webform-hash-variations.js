@@ -0,0 +1,197 @@
+/**
+ * ============================================================================
+ * WEBFORM HASH VARIATIONS
+ * ============================================================================
+ *
+ * A value only reverses a hash if it is hashed exactly as OneTrust hashed it,
+ * and exports differ: lowercase ISO codes ("us"), ISO 3166-2 subdivision codes
+ * ("us-ca", as in state_hash_mapping.csv), full names, names with the code
+ * appended, salted values. This module generates, for one dictionary entry,
+ * every text worth hashing together with the variation rule that produced it,
+ * so a successful reversal can be explained ("ISO 3166-2 code + lowercase").
+ *
+ * Rules are configurable (see DEFAULT_HASH_VARIATION_RULES) and shared by the
+ * hash dictionaries (webform-hash-lookup.js) and HashDecryptor
+ * (scripts/node/hash-decryptor.js). Works in the browser and in Node.
+ */
+
+/**
+ * Default variation rules; pass a partial object to normalizeHashVariationRules to override
+ *   caseVariants     - lowercase, UPPERCASE and Title Case of every text
+ *   trimWhitespace   - surrounding/repeated whitespace trimmed, and all spaces removed
+ *   stripDiacritics  - accents removed ("Québec" -> "Quebec")
+ *   isoCodes         - ISO 3166-1 alpha-2/alpha-3/numeric codes of countries and
+ *                      ISO 3166-2 codes ("US-CA") of states and provinces
+ *   nameWithCode     - "Country Name (CODE)" / "State Name (AB)"
+ *   prefixes         - known salts hashed in front of the value
+ *   suffixes         - known salts hashed after the value
+ */
+const DEFAULT_HASH_VARIATION_RULES = {
+    caseVariants: true,
+    trimWhitespace: true,
+    stripDiacritics: true,
+    isoCodes: true,
+    nameWithCode: true,
+    prefixes: [],
+    suffixes: []
+};
+
+// ISO 3166-1 "alpha-2:alpha-3:numeric" for every code in getWorldCountriesOptions()
+const ISO_COUNTRY_CODE_TABLE = 'AD:AND:020 AE:ARE:784 AF:AFG:004 AG:ATG:028 AI:AIA:660 AL:ALB:008 AM:ARM:051 ' +
+    'AO:AGO:024 AQ:ATA:010 AR:ARG:032 AS:ASM:016 AT:AUT:040 AU:AUS:036 AW:ABW:533 AX:ALA:248 AZ:AZE:031 ' +
+    'BA:BIH:070 BB:BRB:052 BD:BGD:050 BE:BEL:056 BF:BFA:854 BG:BGR:100 BH:BHR:048 BI:BDI:108 BJ:BEN:204 ' +
+    'BL:BLM:652 BM:BMU:060 BN:BRN:096 BO:BOL:068 BQ:BES:535 BR:BRA:076 BS:BHS:044 BT:BTN:064 BV:BVT:074 ' +
+    'BW:BWA:072 BY:BLR:112 BZ:BLZ:084 CA:CAN:124 CC:CCK:166 CD:COD:180 CF:CAF:140 CG:COG:178 CH:CHE:756 ' +
+    'CI:CIV:384 CK:COK:184 CL:CHL:152 CM:CMR:120 CN:CHN:156 CO:COL:170 CR:CRI:188 CU:CUB:192 CV:CPV:132 ' +
+    'CW:CUW:531 CX:CXR:162 CY:CYP:196 CZ:CZE:203 DE:DEU:276 DJ:DJI:262 DK:DNK:208 DM:DMA:212 DO:DOM:214 ' +
+    'DZ:DZA:012 EC:ECU:218 EE:EST:233 EG:EGY:818 EH:ESH:732 ER:ERI:232 ES:ESP:724 ET:ETH:231 FI:FIN:246 ' +
+    'FJ:FJI:242 FK:FLK:238 FM:FSM:583 FO:FRO:234 FR:FRA:250 GA:GAB:266 GB:GBR:826 GD:GRD:308 GE:GEO:268 ' +
+    'GF:GUF:254 GG:GGY:831 GH:GHA:288 GI:GIB:292 GL:GRL:304 GM:GMB:270 GN:GIN:324 GP:GLP:312 GQ:GNQ:226 ' +
+    'GR:GRC:300 GS:SGS:239 GT:GTM:320 GU:GUM:316 GW:GNB:624 GY:GUY:328 HK:HKG:344 HM:HMD:334 HN:HND:340 ' +
+    'HR:HRV:191 HT:HTI:332 HU:HUN:348 ID:IDN:360 IE:IRL:372 IL:ISR:376 IM:IMN:833 IN:IND:356 IO:IOT:086 ' +
+    'IQ:IRQ:368 IR:IRN:364 IS:ISL:352 IT:ITA:380 JE:JEY:832 JM:JAM:388 JO:JOR:400 JP:JPN:392 KE:KEN:404 ' +
+    'KG:KGZ:417 KH:KHM:116 KI:KIR:296 KM:COM:174 KN:KNA:659 KP:PRK:408 KR:KOR:410 KW:KWT:414 KY:CYM:136 ' +
+    'KZ:KAZ:398 LA:LAO:418 LB:LBN:422 LC:LCA:662 LI:LIE:438 LK:LKA:144 LR:LBR:430 LS:LSO:426 LT:LTU:440 ' +
+    'LU:LUX:442 LV:LVA:428 LY:LBY:434 MA:MAR:504 MC:MCO:492 MD:MDA:498 ME:MNE:499 MF:MAF:663 MG:MDG:450 ' +
+    'MH:MHL:584 MK:MKD:807 ML:MLI:466 MM:MMR:104 MN:MNG:496 MO:MAC:446 MP:MNP:580 MQ:MTQ:474 MR:MRT:478 ' +
+    'MS:MSR:500 MT:MLT:470 MU:MUS:480 MV:MDV:462 MW:MWI:454 MX:MEX:484 MY:MYS:458 MZ:MOZ:508 NA:NAM:516 ' +
+    'NC:NCL:540 NE:NER:562 NF:NFK:574 NG:NGA:566 NI:NIC:558 NL:NLD:528 NO:NOR:578 NP:NPL:524 NR:NRU:520 ' +
+    'NU:NIU:570 NZ:NZL:554 OM:OMN:512 PA:PAN:591 PE:PER:604 PF:PYF:258 PG:PNG:598 PH:PHL:608 PK:PAK:586 ' +
+    'PL:POL:616 PM:SPM:666 PN:PCN:612 PR:PRI:630 PS:PSE:275 PT:PRT:620 PW:PLW:585 PY:PRY:600 QA:QAT:634 ' +
+    'RE:REU:638 RO:ROU:642 RS:SRB:688 RU:RUS:643 RW:RWA:646 SA:SAU:682 SB:SLB:090 SC:SYC:690 SD:SDN:729 ' +
+    'SE:SWE:752 SG:SGP:702 SH:SHN:654 SI:SVN:705 SJ:SJM:744 SK:SVK:703 SL:SLE:694 SM:SMR:674 SN:SEN:686 ' +
+    'SO:SOM:706 SR:SUR:740 SS:SSD:728 ST:STP:678 SV:SLV:222 SX:SXM:534 SY:SYR:760 SZ:SWZ:748 TC:TCA:796 ' +
+    'TD:TCD:148 TF:ATF:260 TG:TGO:768 TH:THA:764 TJ:TJK:762 TK:TKL:772 TL:TLS:626 TM:TKM:795 TN:TUN:788 ' +
+    'TO:TON:776 TR:TUR:792 TT:TTO:780 TV:TUV:798 TW:TWN:158 TZ:TZA:834 UA:UKR:804 UG:UGA:800 UM:UMI:581 ' +
+    'US:USA:840 UY:URY:858 UZ:UZB:860 VA:VAT:336 VC:VCT:670 VE:VEN:862 VG:VGB:092 VI:VIR:850 VN:VNM:704 ' +
+    'VU:VUT:548 WF:WLF:876 WS:WSM:882 YE:YEM:887 YT:MYT:175 ZA:ZAF:710 ZM:ZMB:894 ZW:ZWE:716';
+
+const ISO_COUNTRY_CODES = ISO_COUNTRY_CODE_TABLE.split(' ').reduce((codes, row) => {
+    const [alpha2, alpha3, numeric] = row.split(':');
+    codes[alpha2] = { alpha2, alpha3, numeric };
+    return codes;
+}, {});
+
+/**
+ * Looks up the ISO 3166-1 codes of a country
+ * @param {string} code - Alpha-2 code (case-insensitive)
+ * @returns {{alpha2: string, alpha3: string, numeric: string}|null}
+ */
+function getIsoCountryCodes(code) {
+    return ISO_COUNTRY_CODES[String(code || '').toUpperCase()] || null;
+}
+
+/**
+ * Fills in defaults and cleans the salt lists of a variation rule configuration
+ * @param {Object} rules - Partial rules (see DEFAULT_HASH_VARIATION_RULES)
+ * @returns {Object} - Complete rules
+ */
+function normalizeHashVariationRules(rules = {}) {
+    const saltList = list => Array.from(new Set((Array.isArray(list) ? list : [list])
+        .filter(salt => typeof salt === 'string' && salt !== '')));
+
+    return {
+        caseVariants: rules.caseVariants !== undefined ? Boolean(rules.caseVariants) : DEFAULT_HASH_VARIATION_RULES.caseVariants,
+        trimWhitespace: rules.trimWhitespace !== undefined ? Boolean(rules.trimWhitespace) : DEFAULT_HASH_VARIATION_RULES.trimWhitespace,
+        stripDiacritics: rules.stripDiacritics !== undefined ? Boolean(rules.stripDiacritics) : DEFAULT_HASH_VARIATION_RULES.stripDiacritics,
+        isoCodes: rules.isoCodes !== undefined ? Boolean(rules.isoCodes) : DEFAULT_HASH_VARIATION_RULES.isoCodes,
+        nameWithCode: rules.nameWithCode !== undefined ? Boolean(rules.nameWithCode) : DEFAULT_HASH_VARIATION_RULES.nameWithCode,
+        prefixes: saltList(rules.prefixes || []),
+        suffixes: saltList(rules.suffixes || [])
+    };
+}
+
+function toTitleCase(text) {
+    return text.toLowerCase().replace(/(^|[\s\-'(/])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+/**
+ * Generates every text to hash for one dictionary entry, simplest first
+ * Base texts are the key, value, abbreviation and aliases, plus (when enabled)
+ * ISO codes and "Name (CODE)"; each is then trimmed / stripped of diacritics /
+ * re-cased, and finally wrapped in every known salt. A text produced by several
+ * rules keeps the first (simplest) one.
+ * @param {Object} entry - { key, value, abbrev, aliases }
+ * @param {Object} options
+ * @param {Object} options.rules - Variation rules (see normalizeHashVariationRules)
+ * @param {boolean} options.countryCodes - Entry keys are ISO alpha-2 country codes
+ * @param {string} options.country - Alpha-2 code of the country whose subdivisions the entries are
+ * @returns {Array<{text: string, rule: string}>}
+ */
+function generateHashVariants(entry, options = {}) {
+    const rules = normalizeHashVariationRules(options.rules);
+    const bases = [];
+    const addBase = (text, rule) => {
+        if (text !== undefined && text !== null && String(text) !== '') {
+            bases.push({ text: String(text), rule });
+        }
+    };
+
+    addBase(entry.key, 'key');
+    addBase(entry.value, 'value');
+    addBase(entry.abbrev, 'abbreviation');
+    (entry.aliases || []).forEach(alias => addBase(alias, 'alias'));
+
+    const iso = options.countryCodes ? getIsoCountryCodes(entry.key) : null;
+    if (rules.isoCodes && iso) {
+        addBase(iso.alpha2, 'ISO alpha-2 code');
+        addBase(iso.alpha3, 'ISO alpha-3 code');
+        addBase(iso.numeric, 'ISO numeric code');
+    }
+    if (rules.isoCodes && options.country && entry.abbrev) {
+        addBase(`${options.country}-${entry.abbrev}`, 'ISO 3166-2 code');
+    }
+    if (rules.nameWithCode && entry.value) {
+        const codes = iso ? [iso.alpha2, iso.alpha3] : entry.abbrev ? [entry.abbrev] : [];
+        codes.forEach(code => addBase(`${entry.value} (${code})`, 'name with code'));
+    }
+
+    // Each transform keeps the texts it was given and adds its own versions
+    const transform = (variants, steps) => variants.concat(...variants.map(variant => steps
+        .map(([label, apply]) => ({ text: apply(variant.text), rule: `${variant.rule} + ${label}` }))));
+
+    let variants = bases;
+    if (rules.trimWhitespace) {
+        variants = transform(variants, [
+            ['trimmed', text => text.trim().replace(/\s+/g, ' ')],
+            ['no spaces', text => text.replace(/\s+/g, '')]
+        ]);
+    }
+    if (rules.stripDiacritics) {
+        variants = transform(variants, [
+            ['no diacritics', text => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '')]
+        ]);
+    }
+    if (rules.caseVariants) {
+        variants = transform(variants, [
+            ['lowercase', text => text.toLowerCase()],
+            ['uppercase', text => text.toUpperCase()],
+            ['title case', toTitleCase]
+        ]);
+    }
+
+    const unsalted = variants.slice();
+    rules.prefixes.forEach(prefix => {
+        unsalted.forEach(variant => variants.push({ text: prefix + variant.text, rule: `${variant.rule} + prefix "${prefix}"` }));
+    });
+    rules.suffixes.forEach(suffix => {
+        unsalted.forEach(variant => variants.push({ text: variant.text + suffix, rule: `${variant.rule} + suffix "${suffix}"` }));
+    });
+
+    const seen = new Set();
+    return variants.filter(variant => {
+        if (!variant.text || seen.has(variant.text)) return false;
+        seen.add(variant.text);
+        return true;
+    });
+}
+
+// Export functions for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_HASH_VARIATION_RULES,
+        getIsoCountryCodes,
+        normalizeHashVariationRules,
+        generateHashVariants
+    };
+}
@@ -0,0 +1,22 @@
+/**
+ * ============================================================================
+ * WEBFORM HASH WORKER
+ * ============================================================================
+ *
+ * Web Worker that hashes dictionary lookup tables off the page (see
+ * createHashLookupWorker in webform-hash-cache.js). Receives
+ * { requestId, dictionary, variationRules } and answers { requestId, lookup }
+ * or { requestId, error }.
+ */
+
+importScripts('webform-hash-variations.js?v=1', 'webform-hash-lookup.js?v=4');
+
+self.onmessage = async event => {
+    const { requestId, dictionary, variationRules } = event.data;
+    try {
+        const lookup = await buildHashDictionaryLookup(dictionary, variationRules);
+        self.postMessage({ requestId, lookup });
+    } catch (error) {
+        self.postMessage({ requestId, error: error.message });
+    }
+};
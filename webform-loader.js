@@ -0,0 +1,561 @@
+/**
+ * ============================================================================
+ * WEBFORM LOADER
+ * ============================================================================
+ *
+ * Turns an exported OneTrust webform JSON into the parsed structure the rule
+ * engine and the simulator work with: fields, workflow rules with their
+ * criteria (GUIDs mapped to fieldNames, hashes reversed), UI fields and
+ * workflow settings. Shared by simulator.js and the Node scripts so both
+ * read a webform exactly the same way. The parts of the export are located
+ * by shape (locateWebformData), so older and newer export layouts load too.
+ */
+
+// Hash helpers come from webform-hash-lookup.js (a <script> tag in the browser)
+const hashLookupApi = typeof require === 'function'
+    ? require('./webform-hash-lookup.js')
+    : globalThis;
+// The default hash lookup cache comes from webform-hash-cache.js (a <script> tag in the browser)
+const loaderHashCacheApi = typeof require === 'function'
+    ? require('./webform-hash-cache.js')
+    : globalThis;
+// Shape-based discovery comes from onetrust-webform-parser-agnostic.js (a <script> tag in the browser)
+const loaderParserApi = typeof require === 'function'
+    ? require('./onetrust-webform-parser-agnostic.js')
+    : globalThis;
+
+/**
+ * Maps requestType/subjectType GUIDs to their fieldNames
+ * @param {Object} webformData - Webform data
+ * @returns {Object} - Map of GUID to fieldName
+ */
+function buildGuidToKeyMap(webformData) {
+    const guidToKeyMap = {};
+    const dto = webformData.webFormDto || {};
+
+    (dto.requestTypes || []).forEach(rt => {
+        guidToKeyMap[rt.id] = rt.fieldName;
+    });
+    (dto.subjectTypes || []).forEach(st => {
+        guidToKeyMap[st.id] = st.fieldName;
+    });
+
+    return guidToKeyMap;
+}
+
+/**
+ * Reads the default workflow and deadline defaults from the settings list
+ * @param {Object} webformData - Webform data
+ * @returns {{defaultWorkflowId: string|null, workflowSettings: Object}}
+ */
+function parseWorkflowSettings(webformData) {
+    const settings = webformData.settings || [];
+    const workflowSettings = {};
+    let defaultWorkflowId = null;
+
+    const workflowsSetting = settings.find(s => s.fieldName === 'Workflows');
+    if (workflowsSetting && workflowsSetting.value) {
+        defaultWorkflowId = workflowsSetting.value.workflowRefId;
+    }
+
+    const defaultDays = settings.find(s => s.fieldName === 'DefaultDaysToRespond');
+    if (defaultDays) {
+        workflowSettings.defaultDaysToRespond = defaultDays.value;
+    }
+
+    const defaultReminder = settings.find(s => s.fieldName === 'DefaultReminder');
+    if (defaultReminder) {
+        workflowSettings.defaultReminder = defaultReminder.value;
+    }
+
+    return { defaultWorkflowId, workflowSettings };
+}
+
+/**
+ * Converts raw webform fields to the parsed field structure
+ * Country field options are sorted alphabetically by label.
+ * @param {Array} rawFields - webformData.fields
+ * @param {Object} labels - { fieldLabel, optionLabel } resolvers
+ * @returns {Array} - Parsed fields
+ */
+function parseFields(rawFields, labels) {
+    return (rawFields || []).map(field => {
+        let options = field.options || [];
+
+        const fieldKey = field.fieldKey || '';
+        const fieldLabel = labels.fieldLabel(fieldKey) || '';
+        const isCountryField = fieldKey.toLowerCase().includes('country') ||
+                               fieldLabel.toLowerCase().includes('country') ||
+                               fieldLabel.toLowerCase().includes('residence');
+
+        if (isCountryField && options.length > 0) {
+            options = [...options].sort((a, b) => {
+                const labelA = (a.value || labels.optionLabel(a.key) || a.key || '').trim().toLowerCase();
+                const labelB = (b.value || labels.optionLabel(b.key) || b.key || '').trim().toLowerCase();
+                return labelA.localeCompare(labelB, undefined, { sensitivity: 'base' });
+            });
+        }
+
+        return {
+            key: field.fieldKey,
+            label: labels.fieldLabel(field.fieldKey),
+            type: field.inputType,
+            description: field.description,
+            isRequired: field.isRequired,
+            hasVisibilityRule: field.hasVisibilityRule,
+            visibilityRules: field.visibilityRules,
+            options: options,
+            isMasked: field.isMasked,
+            isMultiSelect: /^multi[\s_-]?select$/i.test(field.inputType || ''),
+            status: field.status,
+            isSelected: field.isSelected
+        };
+    });
+}
+
+/**
+ * Converts criteriaInformation.conditionGroups of one workflow rule into ruleCriteria
+ * (one entry per field, values ORed). Hashed values are reversed through the hash
+ * dictionaries; GUIDs are mapped to request/subject type fieldNames.
+ * This flat summary feeds the coverage and analysis views - evaluation uses the
+ * criteriaTree from parseCriteriaTree, which keeps groups and operators.
+ * @param {Object} rule - Raw REQUEST_CREATION rule
+ * @param {Object} context - { guidToKeyMap, hashDictionaries, countryHashLookup, stateHashLookup }
+ * @returns {Array} - ruleCriteria entries ({ field, values, isHashed, decrypted, inferred, hashSources })
+ */
+function parseRuleCriteria(rule, context) {
+    const { guidToKeyMap, countryHashLookup, stateHashLookup } = context;
+    const ruleCriteria = [];
+    const conditionGroups = (rule.criteriaInformation || {}).conditionGroups || [];
+    const ruleName = rule.ruleName || '';
+
+    const isHashCondition = c =>
+        (c.field && c.field.includes('Hash')) || hashLookupApi.isSha512Hash(c.value);
+
+    const hasHashedCriteria = conditionGroups.some(group => group.conditions?.some(isHashCondition));
+
+    if (hasHashedCriteria) {
+        // Reverse hashed values; unresolved hashes are kept whole so labels can still decrypt them later
+        const dictionaries = getContextHashDictionaries(context);
+        const decryptedByField = new Map();
+        const undecryptedByField = new Map();
+        const collect = (map, field, value, sources) => {
+            if (!map.has(field)) map.set(field, { values: new Set(), sources: new Set() });
+            map.get(field).values.add(value);
+            sources.forEach(source => map.get(field).sources.add(source));
+        };
+
+        conditionGroups.forEach(group => {
+            (group.conditions || []).forEach(condition => {
+                if (!isHashCondition(condition)) return;
+
+                const resolved = parseCriteriaCondition(condition, context);
+                resolved.values.forEach(value => {
+                    if (!value || typeof value !== 'string') return;
+                    if (!hashLookupApi.isSha512Hash(value)) {
+                        collect(decryptedByField, resolved.field, value, resolved.hashSources);
+                        return;
+                    }
+
+                    // Hashes in fields no dictionary is meant for fall through to the name-based inference below
+                    if (isHashDictionaryField(dictionaries, resolved.field)) {
+                        collect(undecryptedByField, resolved.field, value, []);
+                    }
+                });
+            });
+        });
+
+        decryptedByField.forEach((entry, field) => {
+            ruleCriteria.push({ field, values: Array.from(entry.values), isHashed: true, inferred: false, decrypted: true, hashSources: Array.from(entry.sources) });
+        });
+        undecryptedByField.forEach((entry, field) => {
+            ruleCriteria.push({ field, values: Array.from(entry.values), isHashed: true, inferred: false, decrypted: false, hashSources: [] });
+        });
+
+        if (ruleCriteria.length === 0) {
+            // Fallback: infer the jurisdiction from the workflow name
+            const inferredCountries = inferJurisdictionCountries(ruleName);
+            if (inferredCountries) {
+                ruleCriteria.push({ field: 'country', values: inferredCountries, isHashed: false, inferred: true, decrypted: false });
+            } else {
+                ruleCriteria.push({
+                    field: 'encrypted_criteria',
+                    values: ['[Could not decrypt - hash not in lookup table]'],
+                    isHashed: true,
+                    inferred: false,
+                    decrypted: false
+                });
+            }
+        }
+
+        // Hashed workflows skip the normal parsing below
+        return ruleCriteria;
+    }
+
+    conditionGroups.forEach(group => {
+        (group.conditions || []).forEach(condition => {
+            // Clean field name (remove "multiselectFields." prefix)
+            const field = condition.field.replace('multiselectFields.', '');
+
+            // Map GUID to friendly key if available
+            let value = condition.value;
+            if (guidToKeyMap[value]) {
+                value = guidToKeyMap[value];
+            }
+
+            // Hashed state/country values in plain-named fields
+            const isStateField = field.toLowerCase().includes('state');
+            const isCountryField = field.toLowerCase().includes('country');
+
+            if (hashLookupApi.isSha512Hash(value) && (isStateField || isCountryField)) {
+                const lookup = isStateField ? stateHashLookup : countryHashLookup;
+                const decrypted = lookup[value];
+                if (decrypted) {
+                    value = decrypted.originalKey || decrypted.originalValue;
+                }
+
+                const criterionField = isStateField ? 'state' : 'country';
+                const existing = ruleCriteria.find(c => c.field === criterionField);
+                if (existing) {
+                    if (!existing.values.includes(value)) {
+                        existing.values.push(value);
+                    }
+                    existing.isHashed = true;
+                    existing.decrypted = Boolean(decrypted);
+                } else {
+                    ruleCriteria.push({
+                        field: criterionField,
+                        values: [value],
+                        isHashed: true,
+                        decrypted: Boolean(decrypted),
+                        inferred: false
+                    });
+                }
+                return;
+            }
+
+            let existing = ruleCriteria.find(c => c.field === field);
+            if (!existing) {
+                existing = { field: field, values: [], isHashed: false };
+                ruleCriteria.push(existing);
+            }
+
+            if (value && !existing.values.includes(value)) {
+                existing.values.push(value);
+            }
+        });
+    });
+
+    return ruleCriteria;
+}
+
+/**
+ * Infers the countries of a workflow from the jurisdiction in its name (CCPA, LGPD, GDPR)
+ * @param {string} ruleName - Workflow rule name
+ * @returns {Array<string>|null} - Country codes, or null when the name names no jurisdiction
+ */
+function inferJurisdictionCountries(ruleName) {
+    const upperName = String(ruleName || '').toUpperCase();
+    if (upperName.includes('CCPA')) {
+        return ['US'];
+    }
+    if (upperName.includes('LGPD')) {
+        return ['BR'];
+    }
+    if (upperName.includes('GDPR')) {
+        return ['AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE', 'IT', 'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE'];
+    }
+    return null;
+}
+
+/**
+ * Checks whether some hash dictionary is meant for a criteria field
+ * @param {Array<Object>} dictionaries - Built dictionaries (see buildHashDictionaries)
+ * @param {string} field - Criteria field (after parseCriteriaCondition)
+ * @returns {boolean}
+ */
+function isHashDictionaryField(dictionaries, field) {
+    return dictionaries.some(dictionary =>
+        (dictionary.fields.length > 0 || dictionary.fieldKeys.length > 0) &&
+        hashLookupApi.isHashDictionaryRelevant(dictionary, field));
+}
+
+/**
+ * Hash dictionaries to reverse criteria with; callers that only pass the
+ * country/state tables get one dictionary for each
+ * @param {Object} context - { hashDictionaries } or { countryHashLookup, stateHashLookup }
+ * @returns {Array<Object>} - Built dictionaries (see buildHashDictionaries)
+ */
+function getContextHashDictionaries(context) {
+    if (context.hashDictionaries) {
+        return context.hashDictionaries;
+    }
+    return [
+        { id: 'countries', name: 'World countries', fields: ['country'], fieldKeys: [], targetField: 'country', lookup: context.countryHashLookup || {} },
+        { id: 'us-states', name: 'US states', fields: ['state'], fieldKeys: [], targetField: 'state', lookup: context.stateHashLookup || {} }
+    ];
+}
+
+/**
+ * Normalizes a workflow criteria operator to the names the rule engine evaluates
+ * Unknown operators are kept as-is (upper-cased) so they can be reported.
+ * @param {string} operator - Raw operator (e.g. EQUAL_TO, NOT_EQUAL_TO)
+ * @returns {string} - EQUALS, NOT_EQUALS, CONTAINS_ALL, CONTAINS, NOT_CONTAINS, IS_EMPTY, IS_NOT_EMPTY or the raw operator
+ */
+function normalizeCriteriaOperator(operator) {
+    const op = String(operator || 'EQUALS').toUpperCase();
+    const aliases = {
+        EQUAL_TO: 'EQUALS', EQUALS: 'EQUALS', EQUAL: 'EQUALS', EQ: 'EQUALS', IS: 'EQUALS', IN: 'EQUALS', '=': 'EQUALS', '==': 'EQUALS',
+        NOT_EQUAL_TO: 'NOT_EQUALS', NOT_EQUALS: 'NOT_EQUALS', NOT_EQUAL: 'NOT_EQUALS', NE: 'NOT_EQUALS', IS_NOT: 'NOT_EQUALS', NOT_IN: 'NOT_EQUALS', '!=': 'NOT_EQUALS',
+        CONTAINS: 'CONTAINS', NOT_CONTAINS: 'NOT_CONTAINS', DOES_NOT_CONTAIN: 'NOT_CONTAINS',
+        ANY_OF: 'EQUALS', CONTAINS_ANY: 'EQUALS', INCLUDES_ANY: 'EQUALS', NONE_OF: 'NOT_EQUALS',
+        ALL_OF: 'CONTAINS_ALL', CONTAINS_ALL: 'CONTAINS_ALL', INCLUDES_ALL: 'CONTAINS_ALL',
+        IS_EMPTY: 'IS_EMPTY', IS_NULL: 'IS_EMPTY', IS_NOT_EMPTY: 'IS_NOT_EMPTY', IS_NOT_NULL: 'IS_NOT_EMPTY'
+    };
+    return aliases[op] || op;
+}
+
+/**
+ * Resolves one raw criteria condition to the field and values the simulator uses:
+ * "multiselectFields." prefixes are dropped, countryHash/stateHash fields become
+ * country/state (other "<field>Hash" fields become <field>), GUIDs become
+ * request/subject type fieldNames and hashes are reversed with every relevant
+ * hash dictionary. hashSources names the dictionaries that reversed the values;
+ * hashReversals records, per reversed hash, the hashed text and its variation rule.
+ * @param {Object} condition - Raw condition ({ field, operator, value })
+ * @param {Object} context - { guidToKeyMap, hashDictionaries, countryHashLookup, stateHashLookup }
+ * @returns {Object} - { field, operator, values, rawField, rawValues, isHashed, decrypted, hashSources, hashReversals }
+ */
+function parseCriteriaCondition(condition, context) {
+    const { guidToKeyMap } = context;
+    const dictionaries = getContextHashDictionaries(context);
+    const rawField = condition.field || '';
+    const rawValues = (Array.isArray(condition.value) ? condition.value : [condition.value])
+        .filter(v => v !== undefined && v !== null && v !== '');
+
+    let field = rawField.replace('multiselectFields.', '');
+    const lowerField = field.toLowerCase();
+    const isCountryField = lowerField.includes('country');
+    const isStateField = lowerField.includes('state');
+    if (rawField.includes('Hash') && (isCountryField || isStateField)) {
+        field = isStateField ? 'state' : 'country';
+    } else if (/Hash$/.test(field)) {
+        field = field.replace(/Hash$/, '');
+    }
+
+    let isHashed = false;
+    let decrypted = true;
+    const hashSources = new Set();
+    const hashReversals = [];
+    const values = rawValues.map(value => {
+        if (guidToKeyMap[value]) {
+            return guidToKeyMap[value];
+        }
+        if (!hashLookupApi.isSha512Hash(value)) {
+            return value;
+        }
+
+        isHashed = true;
+        const match = hashLookupApi.reverseHashWithDictionaries(value, field, dictionaries);
+        if (!match) {
+            // Unresolved hashes are kept whole so labels can still decrypt them later
+            decrypted = false;
+            return value;
+        }
+        // A field that names no dictionary takes the field of the one that matched
+        if (!match.relevant && match.targetField) {
+            field = match.targetField;
+        }
+        hashSources.add(match.dictionary);
+        hashReversals.push({
+            hash: value,
+            value: match.originalKey || match.originalValue,
+            dictionary: match.dictionary,
+            hashedVariant: match.hashedVariant,
+            variationRule: match.variationRule
+        });
+        return match.originalKey || match.originalValue;
+    });
+
+    return {
+        field,
+        operator: normalizeCriteriaOperator(condition.operator),
+        values,
+        rawField,
+        rawValues,
+        isHashed,
+        decrypted: isHashed ? decrypted : false,
+        hashSources: Array.from(hashSources),
+        hashReversals
+    };
+}
+
+/**
+ * Builds the criteria tree of one workflow rule, keeping criteriaInformation's
+ * group structure and logical operators (both default to AND, as OneTrust does
+ * when the operator is omitted).
+ * When the ruleCriteria summary fell back to the country inferred from the rule
+ * name, that country also replaces the undecryptable hash conditions it stands
+ * for (marked inferred), so the rule is evaluated the way it is shown.
+ * @param {Object} rule - Raw REQUEST_CREATION rule
+ * @param {Object} context - { guidToKeyMap, hashDictionaries, countryHashLookup, stateHashLookup }
+ * @param {Array} ruleCriteria - The rule's parseRuleCriteria summary
+ * @returns {Object|null} - { operator, groups: [{ operator, conditions }] }, or null without conditionGroups
+ */
+function parseCriteriaTree(rule, context, ruleCriteria = []) {
+    const criteriaInformation = rule.criteriaInformation || {};
+    const conditionGroups = criteriaInformation.conditionGroups || [];
+    if (conditionGroups.length === 0) {
+        return null;
+    }
+
+    const dictionaries = getContextHashDictionaries(context);
+    const inferred = ruleCriteria.find(criterion => criterion.inferred);
+    const parseCondition = condition => {
+        const parsed = parseCriteriaCondition(condition, context);
+        const standsForInferred = inferred && parsed.isHashed && !parsed.decrypted &&
+            parsed.values.every(value => hashLookupApi.isSha512Hash(value)) &&
+            !isHashDictionaryField(dictionaries, parsed.field);
+        return standsForInferred ? { ...parsed, field: inferred.field, values: inferred.values.slice(), inferred: true } : parsed;
+    };
+
+    return {
+        operator: String(criteriaInformation.logicalOperator || 'AND').toUpperCase(),
+        groups: conditionGroups.map(group => ({
+            operator: String(group.logicalOperator || 'AND').toUpperCase(),
+            conditions: (group.conditions || []).map(parseCondition)
+        }))
+    };
+}
+
+/**
+ * Parses the REQUEST_CREATION workflow rules
+ * @param {Object} webformData - Webform data
+ * @param {Object} context - { guidToKeyMap, hashDictionaries, countryHashLookup, stateHashLookup }
+ * @returns {Array} - Workflow rules with parsed ruleActionParameters, the flat ruleCriteria
+ *                    summary (one entry per field) and the criteriaTree the engine evaluates
+ */
+function parseWorkflowRules(webformData, context) {
+    const rules = webformData.rules?.REQUEST_CREATION || [];
+
+    return rules.map(rule => {
+        let ruleActionParameters = [];
+        try {
+            ruleActionParameters = JSON.parse(rule.ruleActionParameters || '[]');
+        } catch (e) {
+            console.error('Failed to parse ruleActionParameters', e);
+        }
+
+        const ruleCriteria = parseRuleCriteria(rule, context);
+        return {
+            ...rule,
+            type: 'REQUEST_CREATION',
+            ruleActionParameters: ruleActionParameters,
+            ruleCriteria,
+            criteriaTree: parseCriteriaTree(rule, context, ruleCriteria)
+        };
+    });
+}
+
+/**
+ * Loads a webform into the parsed structure used by the rule engine
+ * @param {Object} jsonData - Exported webform JSON (wrapped or root-level)
+ * @param {Object} options
+ * @param {string} options.stateHashCsv - Contents of state_hash_mapping.csv
+ * @param {Array<Object>} options.hashDictionaries - Extra hash dictionaries (see parseHashDictionary)
+ * @param {Object} options.hashVariationRules - Which variations of each word are hashed (see normalizeHashVariationRules)
+ * @param {Object|null} options.hashCache - Hash lookup table cache (defaults to getDefaultHashCache(); null disables it)
+ * @param {Function} options.hashLookupBuilder - Builds one lookup table, e.g. createHashLookupWorker(...)
+ * @param {Object|Function} options.labels - { fieldLabel, optionLabel }, or a function of the located webform
+ *        data returning them (for labels that depend on its translations); defaults to the en-us formTranslations
+ * @returns {Promise<Object>} - Parsed webform; sourceMap lists the JSON path each part was read from
+ */
+async function loadWebform(jsonData, options = {}) {
+    const { webformData, sourceMap } = loaderParserApi.locateWebformData(jsonData);
+    const formTranslations = webformData.formTranslations?.['en-us'] || {};
+    const labels = typeof options.labels === 'function' ? options.labels(webformData) : options.labels || {
+        fieldLabel: key => formTranslations[key] || key,
+        optionLabel: key => formTranslations[key] || key
+    };
+
+    let submitButtonRules = null;
+    let attachmentRules = null;
+    (webformData.uiFields || []).forEach(field => {
+        if (field.fieldKey === 'DSAR.Webform.VisibilityRule.SubmitButton') {
+            submitButtonRules = field;
+        } else if (field.fieldKey === 'DSAR.Webform.VisibilityRule.Attachment') {
+            attachmentRules = field;
+        }
+    });
+
+    const fields = parseFields(webformData.fields, labels);
+
+    // A country field without options offers the full world list
+    const countryField = hashLookupApi.findFieldByKeyHint(fields, 'country');
+    if (countryField && countryField.options.length === 0) {
+        countryField.options = hashLookupApi.getWorldCountriesOptions();
+    }
+
+    // Hash dictionaries must be built after the fields so the country/state and option lists are known
+    const hashDictionaries = await hashLookupApi.buildHashDictionaries(fields, {
+        stateHashCsv: options.stateHashCsv || null,
+        dictionaries: options.hashDictionaries || [],
+        variationRules: options.hashVariationRules || {},
+        cache: options.hashCache !== undefined ? options.hashCache : loaderHashCacheApi.getDefaultHashCache(),
+        buildLookup: options.hashLookupBuilder
+    });
+    const dictionaryLookup = id => hashDictionaries.find(dictionary => dictionary.id === id)?.lookup || {};
+    const countryHashLookup = dictionaryLookup('countries');
+    const stateHashLookup = { ...dictionaryLookup('us-states'), ...dictionaryLookup('state-hash-csv') };
+
+    const guidToKeyMap = buildGuidToKeyMap(webformData);
+    const { defaultWorkflowId, workflowSettings } = parseWorkflowSettings(webformData);
+    const workflowRules = parseWorkflowRules(webformData, { guidToKeyMap, hashDictionaries, countryHashLookup, stateHashLookup });
+
+    // Workflow criteria address multi-select fields as "multiselectFields.<fieldKey>"
+    workflowRules.forEach(workflow => {
+        (workflow.criteriaTree?.groups || []).forEach(group => {
+            group.conditions.forEach(condition => {
+                if (!condition.rawField.startsWith('multiselectFields.')) return;
+                const field = fields.find(f => f.key === condition.field);
+                if (field) {
+                    field.isMultiSelect = true;
+                }
+            });
+        });
+    });
+
+    return {
+        webformData,
+        sourceMap,
+        formTranslations,
+        fields,
+        workflowRules,
+        uiFields: webformData.uiFields || [],
+        submitButtonRules,
+        attachmentRules,
+        defaultWorkflowId,
+        workflowSettings,
+        guidToKeyMap,
+        hashDictionaries,
+        countryHashLookup,
+        stateHashLookup
+    };
+}
+
+// Export functions for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        buildGuidToKeyMap,
+        parseWorkflowSettings,
+        parseFields,
+        getContextHashDictionaries,
+        parseRuleCriteria,
+        inferJurisdictionCountries,
+        normalizeCriteriaOperator,
+        parseCriteriaCondition,
+        parseCriteriaTree,
+        parseWorkflowRules,
+        loadWebform
+    };
+}
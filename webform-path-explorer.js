@@ -0,0 +1,424 @@
+/**
+ * ============================================================================
+ * WEBFORM PATH EXPLORER
+ * ============================================================================
+ *
+ * Enumerates every reachable state of a parsed webform. Starting from empty
+ * selections, the first visible option-bearing field (in form order) that has
+ * not been answered yet is expanded with each of its available options - and,
+ * unless the field is required, with leaving it blank - re-evaluating
+ * visibility rules and SHOW_QUESTION_WITH_CONFIGURED_OPTIONS filters after
+ * every answer, until no such field is left. Each leaf is one user journey with
+ * its assigned workflow, submit state and attachment state.
+ *
+ * To keep large option lists (countries, states) from exploding, options that
+ * no rule can tell apart are explored once: two options are equivalent when
+ * they appear in exactly the same visibility sub-conditions, option filters,
+ * UI field rules and workflow conditions. The journey records the other
+ * options it stands for. Repeated states are evaluated once (memoized) and
+ * explored once.
+ *
+ * Free-text fields are not explored. Multi-select fields are explored with one
+ * option at a time plus every combination of the options the rules mention
+ * (only pairs when more than EXPLORER_MAX_COMBINED_OPTIONS options are mentioned).
+ * The result says which answers the journeys include (coverage), whether the
+ * journey limit stopped the exploration (truncated) and whether some
+ * multi-select fields were combined in pairs only (partialMultiSelect), so
+ * analyses built on the journeys can tell "never happens" from "not explored".
+ */
+
+// Rule evaluation comes from webform-rule-engine.js (a <script> tag in the browser)
+const pathExplorerEngine = typeof require === 'function'
+    ? require('./webform-rule-engine.js')
+    : globalThis;
+
+/**
+ * Collects, per field and option value, every rule location that mentions the value
+ * @param {Object} form - Parsed webform (see webform-rule-engine.js)
+ * @param {Array} referenceForms - Further webforms whose rules must also be told apart
+ *                                 (e.g. the other version when comparing two versions)
+ * @returns {{references: Object, textMatchedFields: Set<string>}} - references[fieldKey][value] = [location ids]
+ */
+function collectOptionReferences(form, referenceForms = []) {
+    const references = {};
+    const textMatchedFields = new Set();
+    const addReference = (fieldKey, value, location) => {
+        if (!references[fieldKey]) references[fieldKey] = {};
+        if (!references[fieldKey][value]) references[fieldKey][value] = [];
+        references[fieldKey][value].push(location);
+    };
+
+    const collectVisibilityRules = (rules, prefix, ownerKey) => {
+        (rules || []).forEach((rule, ruleIndex) => {
+            (rule.ruleConditions || []).forEach((condition, conditionIndex) => {
+                (condition.ruleSubConditions || []).forEach((sub, subIndex) => {
+                    addReference(condition.selectedField, sub.valueToCompareWith,
+                        `${prefix}:${ruleIndex}:${conditionIndex}:${subIndex}`);
+                });
+            });
+
+            // Option filters decide which of the owner's options are offered
+            (rule.actions || []).forEach((action, actionIndex) => {
+                if (action.action !== 'SHOW_QUESTION_WITH_CONFIGURED_OPTIONS' || !ownerKey) return;
+                (action.selectedOptions || []).forEach(optionKey => {
+                    addReference(ownerKey, optionKey, `${prefix}:${ruleIndex}:filter:${actionIndex}`);
+                });
+            });
+        });
+    };
+
+    [form, ...referenceForms].forEach((sourceForm, formIndex) => {
+        (sourceForm.fields || []).forEach(field => {
+            collectVisibilityRules(field.visibilityRules?.rules, `${formIndex}/field:${field.key}`, field.key);
+        });
+        [sourceForm.submitButtonRules, sourceForm.attachmentRules].forEach((uiField, uiIndex) => {
+            if (uiField) {
+                collectVisibilityRules(uiField.visibilityRules?.rules, `${formIndex}/ui:${uiIndex}`, null);
+            }
+        });
+
+        (sourceForm.workflowRules || []).forEach((workflow, workflowIndex) => {
+            if (workflow.criteriaTree) {
+                workflow.criteriaTree.groups.forEach((group, groupIndex) => {
+                    group.conditions.forEach((condition, conditionIndex) => {
+                        // Substring operators can tell any two options apart
+                        if (condition.operator === 'CONTAINS' || condition.operator === 'NOT_CONTAINS') {
+                            textMatchedFields.add(condition.field);
+                        }
+                        (condition.values || []).forEach(value => {
+                            addReference(condition.field, value, `${formIndex}/workflow:${workflowIndex}:${groupIndex}:${conditionIndex}`);
+                        });
+                    });
+                });
+            } else {
+                (workflow.ruleCriteria || []).forEach((criterion, criterionIndex) => {
+                    (criterion.values || []).forEach(value => {
+                        addReference(criterion.field, value, `${formIndex}/workflow:${workflowIndex}:${criterionIndex}`);
+                    });
+                });
+            }
+        });
+    });
+
+    return { references, textMatchedFields };
+}
+
+/**
+ * Groups a field's options into classes of options no rule can tell apart
+ * @param {string} fieldKey - Field the options belong to
+ * @param {Array} options - Available option objects ({ key, value })
+ * @param {Object} referenceIndex - Result of collectOptionReferences
+ * @returns {Array<Array<Object>>} - Option classes; the first option of each class is explored
+ */
+function groupEquivalentOptions(fieldKey, options, referenceIndex) {
+    if (referenceIndex.textMatchedFields.has(fieldKey)) {
+        return options.map(option => [option]);
+    }
+
+    const fieldReferences = referenceIndex.references[fieldKey] || {};
+    const classes = new Map();
+    options.forEach(option => {
+        const signature = (fieldReferences[option.key] || []).slice().sort().join('|');
+        if (!classes.has(signature)) {
+            classes.set(signature, []);
+        }
+        classes.get(signature).push(option);
+    });
+
+    return Array.from(classes.values());
+}
+
+const EXPLORER_MAX_COMBINED_OPTIONS = 5;
+
+/**
+ * Tells whether a multi-select field mentions too many options in rules to
+ * combine them all - getRuleOptionCombinations then returns pairs only
+ * @param {string} fieldKey - Multi-select field
+ * @param {Array} options - Available option objects ({ key, value })
+ * @param {Object} referenceIndex - Result of collectOptionReferences
+ * @returns {boolean}
+ */
+function isCombinationLimited(fieldKey, options, referenceIndex) {
+    const fieldReferences = referenceIndex.references[fieldKey] || {};
+    return options.filter(option => fieldReferences[option.key]).length > EXPLORER_MAX_COMBINED_OPTIONS;
+}
+
+/**
+ * Lists the multi-option selections worth exploring for a multi-select field:
+ * every combination of two or more of the available options that some rule
+ * mentions (pairs only when more than EXPLORER_MAX_COMBINED_OPTIONS are mentioned)
+ * @param {string} fieldKey - Multi-select field
+ * @param {Array} options - Available option objects ({ key, value })
+ * @param {Object} referenceIndex - Result of collectOptionReferences
+ * @returns {Array<Array<string>>} - Option key lists
+ */
+function getRuleOptionCombinations(fieldKey, options, referenceIndex) {
+    const fieldReferences = referenceIndex.references[fieldKey] || {};
+    const mentioned = options.map(option => option.key).filter(key => fieldReferences[key]);
+    const maxSize = isCombinationLimited(fieldKey, options, referenceIndex) ? 2 : mentioned.length;
+    const combinations = [];
+
+    const extend = (start, current) => {
+        if (current.length >= 2) {
+            combinations.push(current);
+        }
+        if (current.length === maxSize) return;
+        for (let i = start; i < mentioned.length; i++) {
+            extend(i + 1, [...current, mentioned[i]]);
+        }
+    };
+    extend(0, []);
+
+    return combinations;
+}
+
+/**
+ * Formats the answer of a journey step: the option label, the labels of a
+ * multi-option selection joined with " + ", or "(left blank)"
+ * @param {Object} step - Journey step ({ field, value, unanswered })
+ * @param {Function} optionLabel - Resolves an option key to its label
+ * @returns {string}
+ */
+function formatPathStepValue(step, optionLabel = key => key) {
+    if (step.unanswered) {
+        return '(left blank)';
+    }
+    return Array.isArray(step.value) ? step.value.map(optionLabel).join(' + ') : optionLabel(step.value);
+}
+
+/**
+ * Builds a stable key for a selections object
+ * @param {Object} selections - Map of fieldKey to selected value(s)
+ * @returns {string}
+ */
+function getSelectionsKey(selections) {
+    return JSON.stringify(Object.keys(selections).sort().map(key => [key, selections[key]]));
+}
+
+/**
+ * Enumerates every distinct reachable selection path of a webform
+ * @param {Object} form - Parsed webform (see webform-rule-engine.js)
+ * @param {Object} options
+ * @param {number} options.maxPaths - Stop after this many journeys (default 5000)
+ * @param {boolean} options.collapseEquivalentOptions - Explore one option per equivalence class (default true)
+ * @param {Array} options.referenceForms - Further webforms whose rules also split option classes
+ * @param {boolean} options.blankOptionalFields - Also leave each optional field blank (default true)
+ * @param {boolean} options.multiSelectCombinations - Also select the option combinations the
+ *                  rules mention in multi-select fields (default true)
+ * @param {Object} options.labels - Label resolvers passed to the rule engine
+ * @returns {Object} - { paths, summary, truncated, partialMultiSelect, coverage }; coverage tells
+ *          consumers which answers the journeys include ({ blankOptionalFields,
+ *          multiSelectCombinations, pairsOnlyFields }); pairsOnlyFields lists the multi-select
+ *          fields whose options were combined in pairs only
+ */
+function exploreFormPaths(form, options = {}) {
+    const maxPaths = options.maxPaths || 5000;
+    const collapse = options.collapseEquivalentOptions !== false;
+    const blankOptionalFields = options.blankOptionalFields !== false;
+    const multiSelectCombinations = options.multiSelectCombinations !== false;
+    const fields = form.fields || [];
+    const referenceIndex = collectOptionReferences(form, options.referenceForms || []);
+    const outcomeCache = new Map();
+    const exploredStates = new Set();
+    const paths = [];
+    const pairsOnlyFields = new Set();
+    let truncated = false;
+    let cacheHits = 0;
+
+    // Simulating a state is the expensive part - identical states are simulated once
+    const simulate = selections => {
+        const key = getSelectionsKey(selections);
+        if (outcomeCache.has(key)) {
+            cacheHits++;
+            return outcomeCache.get(key);
+        }
+        const outcome = pathExplorerEngine.simulateWebform(form, selections, { labels: options.labels });
+        outcomeCache.set(key, outcome);
+        return outcome;
+    };
+
+    const visit = (selections, answered, steps) => {
+        if (paths.length >= maxPaths) {
+            truncated = true;
+            return;
+        }
+
+        const outcome = simulate(selections);
+        const stateKey = `${getSelectionsKey(outcome.selections)}#${Array.from(answered).sort().join(',')}`;
+        if (exploredStates.has(stateKey)) return;
+        exploredStates.add(stateKey);
+
+        const nextField = fields.find(field =>
+            !answered.has(field.key) &&
+            outcome.availableOptions[field.key] &&
+            outcome.availableOptions[field.key].length > 0);
+
+        if (!nextField) {
+            paths.push(buildPathRecord(outcome, steps));
+            return;
+        }
+
+        const nextAnswered = new Set(answered).add(nextField.key);
+        const available = nextField.options.filter(option => outcome.availableOptions[nextField.key].includes(option.key));
+        const optionClasses = collapse
+            ? groupEquivalentOptions(nextField.key, available, referenceIndex)
+            : available.map(option => [option]);
+
+        const isMultiSelect = pathExplorerEngine.isMultiSelectField(nextField);
+        const branches = optionClasses.map(optionClass => ({
+            value: isMultiSelect ? [optionClass[0].key] : optionClass[0].key,
+            step: {
+                field: nextField.key,
+                value: optionClass[0].key,
+                equivalentValues: optionClass.slice(1).map(option => option.key)
+            }
+        }));
+        if (isMultiSelect && multiSelectCombinations) {
+            if (isCombinationLimited(nextField.key, available, referenceIndex)) {
+                pairsOnlyFields.add(nextField.key);
+            }
+            getRuleOptionCombinations(nextField.key, available, referenceIndex).forEach(keys => {
+                branches.push({ value: keys, step: { field: nextField.key, value: keys, equivalentValues: [] } });
+            });
+        }
+        // Optional fields (multi-selects included) can also stay empty
+        if (blankOptionalFields && nextField.isRequired !== true) {
+            branches.push({ value: undefined, step: { field: nextField.key, value: null, equivalentValues: [], unanswered: true } });
+        }
+
+        for (const branch of branches) {
+            const nextSelections = { ...outcome.selections };
+            if (branch.value === undefined) {
+                delete nextSelections[nextField.key];
+            } else {
+                nextSelections[nextField.key] = branch.value;
+            }
+            visit(nextSelections, nextAnswered, [...steps, branch.step]);
+            if (truncated) return;
+        }
+    };
+
+    visit({}, new Set(), []);
+    const partialMultiSelect = pairsOnlyFields.size > 0;
+
+    return {
+        paths,
+        truncated,
+        partialMultiSelect,
+        coverage: { blankOptionalFields, multiSelectCombinations, pairsOnlyFields: Array.from(pairsOnlyFields) },
+        summary: summarizePaths(paths, { truncated, partialMultiSelect, cacheHits, statesEvaluated: outcomeCache.size })
+    };
+}
+
+/**
+ * Reduces a simulation outcome to the journey record reported by the explorer
+ * @param {Object} outcome - Result of simulateWebform
+ * @param {Array} steps - Answers that led to the outcome
+ * @returns {Object}
+ */
+function buildPathRecord(outcome, steps) {
+    const assigned = outcome.assignment.assigned;
+    return {
+        steps,
+        selections: outcome.selections,
+        visibleFields: outcome.visibleFields,
+        // Each step stands for itself plus its equivalent options
+        combinations: steps.reduce((total, step) => total * (step.equivalentValues.length + 1), 1),
+        assignment: {
+            ruleName: assigned ? assigned.ruleName : null,
+            ruleSequence: assigned ? assigned.ruleSequence : null,
+            workflowId: outcome.assignment.workflowId,
+            usedDefault: outcome.assignment.usedDefault
+        },
+        triggeredWorkflows: outcome.triggeredWorkflows,
+        shadowedWorkflows: outcome.assignment.shadowed.map(w => w.ruleName),
+        submit: outcome.submit,
+        attachment: outcome.attachment,
+        submitBlocked: Boolean(outcome.submit && outcome.submit.disabled),
+        attachmentShown: Boolean(outcome.attachment && outcome.attachment.shown),
+        endsInWorkflow: Boolean(outcome.assignment.workflowId)
+    };
+}
+
+/**
+ * Counts journeys by outcome
+ * @param {Array} paths - Journey records
+ * @param {Object} extra - Additional summary values
+ * @returns {Object}
+ */
+function summarizePaths(paths, extra = {}) {
+    const byWorkflow = {};
+    paths.forEach(path => {
+        const name = path.assignment.ruleName || (path.assignment.workflowId ? '(default workflow)' : '(no workflow)');
+        byWorkflow[name] = (byWorkflow[name] || 0) + 1;
+    });
+
+    return {
+        totalPaths: paths.length,
+        totalCombinations: paths.reduce((total, path) => total + path.combinations, 0),
+        assignedByRule: paths.filter(p => !p.assignment.usedDefault).length,
+        defaultWorkflow: paths.filter(p => p.assignment.usedDefault && p.endsInWorkflow).length,
+        noWorkflow: paths.filter(p => !p.endsInWorkflow).length,
+        submitBlocked: paths.filter(p => p.submitBlocked).length,
+        attachmentShown: paths.filter(p => p.attachmentShown).length,
+        byWorkflow,
+        ...extra
+    };
+}
+
+/**
+ * Groups the journeys that end with the submit button disabled by the
+ * DISABLE_SUBMIT_BUTTON rule and errorMessage that blocked them. Blocked
+ * journeys that a workflow rule would still have been assigned are flagged -
+ * usually the submit rule or the workflow criteria are misconfigured.
+ * @param {Object} exploration - Result of exploreFormPaths
+ * @returns {{groups: Array, totalBlocked: number, blockedWithWorkflow: Array, truncated: boolean, partialMultiSelect: boolean}}
+ *          - truncated / partialMultiSelect: the journeys are incomplete, so blocked journeys may be missing
+ */
+function analyzeSubmitBlockedPaths(exploration) {
+    const blocked = exploration.paths.filter(path => path.submitBlocked);
+    const groups = new Map();
+
+    blocked.forEach(path => {
+        const key = `${path.submit.ruleName}\u0000${path.submit.message}`;
+        if (!groups.has(key)) {
+            groups.set(key, {
+                ruleName: path.submit.ruleName,
+                errorMessage: path.submit.message,
+                journeys: [],
+                combinations: 0,
+                workflowMatchedJourneys: []
+            });
+        }
+        const group = groups.get(key);
+        group.journeys.push(path);
+        group.combinations += path.combinations;
+        if (path.assignment.ruleName) {
+            group.workflowMatchedJourneys.push(path);
+        }
+    });
+
+    return {
+        groups: Array.from(groups.values()).sort((a, b) => b.journeys.length - a.journeys.length),
+        totalBlocked: blocked.length,
+        blockedWithWorkflow: blocked.filter(path => path.assignment.ruleName),
+        truncated: exploration.truncated === true,
+        partialMultiSelect: exploration.partialMultiSelect === true
+    };
+}
+
+// Export functions for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        collectOptionReferences,
+        groupEquivalentOptions,
+        isCombinationLimited,
+        getRuleOptionCombinations,
+        formatPathStepValue,
+        getSelectionsKey,
+        exploreFormPaths,
+        buildPathRecord,
+        summarizePaths,
+        analyzeSubmitBlockedPaths
+    };
+}
@@ -0,0 +1,273 @@
+/**
+ * ============================================================================
+ * WEBFORM ROUTING EXPORT
+ * ============================================================================
+ *
+ * Turns the REQUEST_CREATION rules of a parsed webform into the decision flow
+ * OneTrust applies when a request is submitted: rules are tried in ruleSequence
+ * order, the first whose criteria match assigns its workflow, and the default
+ * workflow applies when none does. Each decision also lists the visibility
+ * chain that has to be satisfied before the fields its criteria test are asked
+ * (e.g. "State is shown when Country = US").
+ *
+ * The flow is exported as a Mermaid flowchart (in Markdown) and as BPMN 2.0 XML
+ * with diagram layout, so it opens in bpmn.io, Camunda Modeler or Visio.
+ */
+
+// Criteria descriptions come from webform-rule-engine.js and webform-rule-analysis.js
+// (<script> tags in the browser)
+const routingEngineApi = typeof require === 'function'
+    ? require('./webform-rule-engine.js')
+    : globalThis;
+const routingAnalysisApi = typeof require === 'function'
+    ? require('./webform-rule-analysis.js')
+    : globalThis;
+
+/**
+ * Lists the visibility conditions that must hold before a field is asked,
+ * following the fields those conditions compare in turn
+ * @param {string} fieldKey - Field to start from
+ * @param {Object} fieldsByKey - Map of fieldKey to parsed field
+ * @param {Function} fieldLabel - Field label resolver
+ * @param {Set<string>} seen - Fields already described (guards against cycles)
+ * @returns {Array<string>} - e.g. ["State is shown when Country = US"]
+ */
+function getFieldVisibilityChain(fieldKey, fieldsByKey, fieldLabel, seen = new Set()) {
+    const field = fieldsByKey[fieldKey];
+    if (!field || seen.has(fieldKey)) return [];
+    seen.add(fieldKey);
+    if (!field.hasVisibilityRule) return [];
+
+    const showingRules = (field.visibilityRules?.rules || []).filter(rule =>
+        (rule.actions || []).some(action => action.action === 'SHOW_QUESTION' || action.action === 'SHOW_QUESTION_WITH_CONFIGURED_OPTIONS'));
+    if (showingRules.length === 0) return [];
+
+    const conditionText = showingRules.map(rule => (rule.ruleConditions || [])
+        .map(condition => routingAnalysisApi.describeVisibilityCondition(condition, fieldLabel))
+        .join(` ${routingEngineApi.normalizeRuleOperator(rule.logicalOperatorForConditions, 'AND')} `));
+    const chain = [`${fieldLabel(fieldKey)} is shown when ${conditionText.join(' OR ')}`];
+
+    showingRules.forEach(rule => {
+        (rule.ruleConditions || []).forEach(condition => {
+            chain.push(...getFieldVisibilityChain(condition.selectedField, fieldsByKey, fieldLabel, seen));
+        });
+    });
+    return chain;
+}
+
+/**
+ * Builds the ordered routing decisions of a webform
+ * @param {Object} form - Parsed webform (see webform-rule-engine.js)
+ * @param {Object} options
+ * @param {Object} options.labels - { fieldLabel, optionLabel } resolvers
+ * @returns {{decisions: Array<{ruleName, ruleSequence, workflowId, criteria, prerequisites}>, defaultWorkflowId: string|null}}
+ */
+function buildRoutingFlow(form, options = {}) {
+    const labels = options.labels || {};
+    const fieldLabel = labels.fieldLabel || (key => key);
+    const fieldsByKey = {};
+    (form.fields || []).forEach(field => {
+        fieldsByKey[field.key] = field;
+    });
+
+    const decisions = routingEngineApi.sortByRuleSequence(form.workflowRules || []).map(workflow => {
+        const tree = routingAnalysisApi.getWorkflowCriteriaTree(workflow);
+        const criteriaFields = [];
+        tree.groups.forEach(group => group.conditions.forEach(condition => {
+            if (!criteriaFields.includes(condition.field)) criteriaFields.push(condition.field);
+        }));
+
+        // One shared "seen" set, so a chain shared by several criteria fields is listed once
+        const seen = new Set();
+        const prerequisites = criteriaFields.flatMap(key => getFieldVisibilityChain(key, fieldsByKey, fieldLabel, seen));
+
+        return {
+            ruleName: workflow.ruleName,
+            ruleSequence: workflow.ruleSequence,
+            workflowId: routingEngineApi.getWorkflowActionParameter(workflow, 'WORKFLOWID') || null,
+            criteria: routingEngineApi.describeCriteriaTree(tree, labels),
+            prerequisites
+        };
+    });
+
+    return { decisions, defaultWorkflowId: form.defaultWorkflowId || null };
+}
+
+/**
+ * Renders the routing flow as a Mermaid flowchart
+ * @param {Object} flow - Result of buildRoutingFlow
+ * @returns {string} - Mermaid source (without Markdown fences)
+ */
+function routingFlowToMermaid(flow) {
+    const text = value => String(value).replace(/"/g, '#quot;').replace(/</g, '#lt;').replace(/>/g, '#gt;');
+    const lines = ['flowchart TD', '    start(["Request submitted"])'];
+    const prerequisiteIds = new Map();
+    let previous = 'start';
+    let previousLabel = '';
+
+    flow.decisions.forEach((decision, index) => {
+        const id = `rule${index + 1}`;
+        lines.push(`    ${id}{"#${decision.ruleSequence} ${text(decision.ruleName)}<br/>${text(decision.criteria)}"}`);
+        lines.push(`    ${previous} -->${previousLabel} ${id}`);
+        lines.push(`    ${id} -->|Yes| assign${index + 1}["Assign workflow<br/>${text(decision.ruleName)}<br/>${text(decision.workflowId || 'no workflow ID')}"]`);
+
+        decision.prerequisites.forEach(prerequisite => {
+            if (!prerequisiteIds.has(prerequisite)) {
+                const prerequisiteId = `shown${prerequisiteIds.size + 1}`;
+                prerequisiteIds.set(prerequisite, prerequisiteId);
+                lines.push(`    ${prerequisiteId}>"${text(prerequisite)}"]`);
+            }
+            lines.push(`    ${prerequisiteIds.get(prerequisite)} -.-> ${id}`);
+        });
+
+        previous = id;
+        previousLabel = '|No|';
+    });
+
+    lines.push(`    ${previous} -->${previousLabel} fallback["${flow.defaultWorkflowId ? `Assign default workflow<br/>${text(flow.defaultWorkflowId)}` : 'No workflow assigned'}"]`);
+    lines.push('    classDef decision fill:#fff9e6,stroke:#f39c12;');
+    lines.push('    classDef assign fill:#e8f8f0,stroke:#27ae60;');
+    lines.push('    classDef shown fill:#ecf0f1,stroke:#95a5a6;');
+    if (flow.decisions.length > 0) {
+        lines.push(`    class ${flow.decisions.map((d, i) => `rule${i + 1}`).join(',')} decision;`);
+        lines.push(`    class ${flow.decisions.map((d, i) => `assign${i + 1}`).join(',')},fallback assign;`);
+    } else {
+        lines.push('    class fallback assign;');
+    }
+    if (prerequisiteIds.size > 0) {
+        lines.push(`    class ${Array.from(prerequisiteIds.values()).join(',')} shown;`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Wraps the Mermaid flowchart in a Markdown document
+ * @param {Object} flow - Result of buildRoutingFlow
+ * @param {string} title - Document title (usually the template name)
+ * @returns {string}
+ */
+function routingFlowToMarkdown(flow, title = 'Webform') {
+    return [
+        `# ${title} - workflow routing`,
+        '',
+        'Rules are tried top to bottom (by rule sequence); the first match assigns its workflow. Grey notes show when the fields a rule tests are asked.',
+        '',
+        '```mermaid',
+        routingFlowToMermaid(flow),
+        '```',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Renders the routing flow as BPMN 2.0 XML: a chain of exclusive gateways (one
+ * per rule, "No" as the default flow), a task per assigned workflow, text
+ * annotations for the visibility chain, and diagram layout for modelers
+ * @param {Object} flow - Result of buildRoutingFlow
+ * @param {string} name - Process name (usually the template name)
+ * @returns {string}
+ */
+function routingFlowToBpmn(flow, name = 'Webform routing') {
+    const xml = value => String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+    const process = [];
+    const shapes = [];
+    const edges = [];
+    const rowHeight = 130;
+    const gatewayX = 420;
+    const taskX = 560;
+    const endX = 780;
+    const annotationX = 60;
+
+    const shape = (id, x, y, width, height) => {
+        shapes.push(`      <bpmndi:BPMNShape id="${id}_di" bpmnElement="${id}"><dc:Bounds x="${x}" y="${y}" width="${width}" height="${height}" /></bpmndi:BPMNShape>`);
+    };
+    const edge = (id, points) => {
+        edges.push(`      <bpmndi:BPMNEdge id="${id}_di" bpmnElement="${id}">${points.map(([x, y]) => `<di:waypoint x="${x}" y="${y}" />`).join('')}</bpmndi:BPMNEdge>`);
+    };
+    const flowElement = (id, source, target, label, condition) => {
+        process.push(`    <bpmn:sequenceFlow id="${id}" sourceRef="${source}" targetRef="${target}"${label ? ` name="${xml(label)}"` : ''}>` +
+            (condition ? `<bpmn:conditionExpression xsi:type="bpmn:tFormalExpression">${xml(condition)}</bpmn:conditionExpression>` : '') +
+            '</bpmn:sequenceFlow>');
+    };
+
+    process.push('    <bpmn:startEvent id="Start" name="Request submitted" />');
+    shape('Start', gatewayX + 7, 40, 36, 36);
+
+    let previous = 'Start';
+    let previousBottom = [gatewayX + 25, 76];
+    flow.decisions.forEach((decision, index) => {
+        const n = index + 1;
+        const y = 40 + n * rowHeight;
+        const gateway = `Gateway_${n}`;
+        const task = `Task_${n}`;
+        const end = `End_${n}`;
+        const incoming = n === 1 ? 'Flow_start' : `Flow_${n - 1}_no`;
+
+        process.push(`    <bpmn:exclusiveGateway id="${gateway}" name="${xml(`#${decision.ruleSequence} ${decision.ruleName}?`)}" default="Flow_${n}_no" />`);
+        process.push(`    <bpmn:task id="${task}" name="${xml(`Assign workflow ${decision.ruleName}${decision.workflowId ? ` (${decision.workflowId})` : ''}`)}" />`);
+        process.push(`    <bpmn:endEvent id="${end}" />`);
+        flowElement(incoming, previous, gateway, n === 1 ? '' : 'No', '');
+        flowElement(`Flow_${n}_yes`, gateway, task, 'Yes', decision.criteria);
+        flowElement(`Flow_${n}_done`, task, end, '', '');
+
+        shape(gateway, gatewayX, y, 50, 50);
+        shape(task, taskX, y - 15, 160, 80);
+        shape(end, endX, y + 7, 36, 36);
+        edge(incoming, [previousBottom, [gatewayX + 25, y]]);
+        edge(`Flow_${n}_yes`, [[gatewayX + 50, y + 25], [taskX, y + 25]]);
+        edge(`Flow_${n}_done`, [[taskX + 160, y + 25], [endX, y + 25]]);
+
+        if (decision.prerequisites.length > 0) {
+            const annotation = `Annotation_${n}`;
+            process.push(`    <bpmn:textAnnotation id="${annotation}"><bpmn:text>${xml(decision.prerequisites.join('\n'))}</bpmn:text></bpmn:textAnnotation>`);
+            process.push(`    <bpmn:association id="Association_${n}" sourceRef="${gateway}" targetRef="${annotation}" />`);
+            shape(annotation, annotationX, y - 20, 260, 90);
+            edge(`Association_${n}`, [[gatewayX, y + 25], [annotationX + 260, y + 25]]);
+        }
+
+        previous = gateway;
+        previousBottom = [gatewayX + 25, y + 50];
+    });
+
+    const fallbackY = 40 + (flow.decisions.length + 1) * rowHeight;
+    const fallbackFlow = flow.decisions.length > 0 ? `Flow_${flow.decisions.length}_no` : 'Flow_start';
+    process.push(`    <bpmn:task id="Task_default" name="${xml(flow.defaultWorkflowId ? `Assign default workflow (${flow.defaultWorkflowId})` : 'No workflow assigned')}" />`);
+    process.push('    <bpmn:endEvent id="End_default" />');
+    flowElement(fallbackFlow, previous, 'Task_default', flow.decisions.length > 0 ? 'No' : '', '');
+    flowElement('Flow_default_done', 'Task_default', 'End_default', '', '');
+    shape('Task_default', gatewayX - 55, fallbackY - 15, 160, 80);
+    shape('End_default', endX, fallbackY + 7, 36, 36);
+    edge(fallbackFlow, [previousBottom, [gatewayX + 25, fallbackY - 15]]);
+    edge('Flow_default_done', [[gatewayX + 105, fallbackY + 25], [endX, fallbackY + 25]]);
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<bpmn:definitions xmlns:bpmn="http://www.omg.org/spec/BPMN/20100524/MODEL" xmlns:bpmndi="http://www.omg.org/spec/BPMN/20100524/DI" xmlns:dc="http://www.omg.org/spec/DD/20100524/DC" xmlns:di="http://www.omg.org/spec/DD/20100524/DI" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" id="Definitions_WebformRouting" targetNamespace="http://bpmn.io/schema/bpmn">',
+        `  <bpmn:process id="WebformRouting" name="${xml(name)}" isExecutable="false">`,
+        ...process,
+        '  </bpmn:process>',
+        '  <bpmndi:BPMNDiagram id="Diagram_WebformRouting">',
+        '    <bpmndi:BPMNPlane id="Plane_WebformRouting" bpmnElement="WebformRouting">',
+        ...shapes,
+        ...edges,
+        '    </bpmndi:BPMNPlane>',
+        '  </bpmndi:BPMNDiagram>',
+        '</bpmn:definitions>',
+        ''
+    ].join('\n');
+}
+
+// Export functions for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getFieldVisibilityChain,
+        buildRoutingFlow,
+        routingFlowToMermaid,
+        routingFlowToMarkdown,
+        routingFlowToBpmn
+    };
+}
@@ -0,0 +1,641 @@
+/**
+ * ============================================================================
+ * WEBFORM RULE ANALYSIS
+ * ============================================================================
+ *
+ * Static checks over the rules of a parsed webform that find configuration
+ * defects before anyone submits a request.
+ *
+ * detectUnreachableWorkflows proves that a REQUEST_CREATION rule can never be
+ * the assigned workflow and explains why, step by step:
+ *   - its criteria need a field that is not on the form or is disabled
+ *   - its criteria need a value that is not one of the field's options
+ *   - its criteria need a request/subject type that is inactive
+ *   - no reachable answers satisfy a condition, or all conditions together
+ *     (visibility rules and option filters hide the combination)
+ *   - every reachable journey that matches it matches an earlier rule first
+ * The last two use the journeys of webform-path-explorer.js, which explores
+ * option fields only - rules that depend on free text, or on answers the
+ * exploration skipped (see its coverage and partialMultiSelect), are listed as
+ * unknown instead of judged on journeys, and so is every rule once the journey
+ * limit is reached.
+ *
+ * detectDanglingReferences lists rule values that point at nothing: workflow
+ * criteria values that are no option key, request type, subject type or
+ * decryptable hash (typically a GUID left over from a deleted type), and
+ * visibility-rule values or configured options missing from the field's options.
+ *
+ * detectVisibilityRuleDefects finds visibility rules (of fields and of the
+ * submit/attachment UI fields) that can never be true or are true for every
+ * answer, by evaluating each rule against every distinct answer of the fields
+ * it references, plus fields whose visibility depends on itself in a cycle.
+ */
+
+// Rule evaluation and journey enumeration come from webform-rule-engine.js and
+// webform-path-explorer.js (<script> tags in the browser)
+const ruleAnalysisEngine = typeof require === 'function'
+    ? require('./webform-rule-engine.js')
+    : globalThis;
+const ruleAnalysisExplorer = typeof require === 'function'
+    ? require('./webform-path-explorer.js')
+    : globalThis;
+const ruleAnalysisHashes = typeof require === 'function'
+    ? require('./webform-hash-lookup.js')
+    : globalThis;
+
+// Operators that can only match a field that was answered with one of the listed values
+const POSITIVE_CRITERIA_OPERATORS = ['EQUALS', 'CONTAINS_ALL'];
+
+// Visibility rules referencing more answer combinations than this are not enumerated
+const MAX_RULE_COMBINATIONS = 4096;
+const OTHER_TEXT_ANSWER = '\u0000other';
+
+const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Returns a workflow's criteria as a tree; flat ruleCriteria become one AND group
+ * of EQUALS conditions (values of one field ORed)
+ * @param {Object} workflow - Parsed workflow rule
+ * @returns {Object} - { operator, groups: [{ operator, conditions }] }
+ */
+function getWorkflowCriteriaTree(workflow) {
+    if (workflow.criteriaTree) {
+        return workflow.criteriaTree;
+    }
+    return {
+        operator: 'AND',
+        groups: [{
+            operator: 'AND',
+            conditions: (workflow.ruleCriteria || []).map(criterion => ({
+                field: criterion.field,
+                operator: 'EQUALS',
+                values: criterion.values || []
+            }))
+        }]
+    };
+}
+
+/**
+ * Finds why a single criteria condition can never be true, without simulating
+ * @param {Object} condition - { field, operator, values }
+ * @param {Object} context - { fieldsByKey, typeLists, fieldLabel, optionLabel }
+ * @returns {Array<{kind: string, reason: string}>} - Empty when the condition can be met
+ */
+function findImpossibleConditionReasons(condition, context) {
+    const { fieldsByKey, typeLists, fieldLabel, optionLabel } = context;
+    if (condition.operator === 'IS_EMPTY') {
+        return [];
+    }
+
+    const field = fieldsByKey[condition.field];
+    if (!field) {
+        return [{ kind: 'MISSING_FIELD', reason: `"${condition.field}" is not a field of this webform, so it is never answered` }];
+    }
+    if (!ruleAnalysisEngine.isFieldEnabled(field)) {
+        return [{
+            kind: 'DISABLED_FIELD',
+            reason: `${fieldLabel(field.key)} is disabled (isSelected: ${field.isSelected}, status: ${field.status}), so it is never answered`
+        }];
+    }
+    if (!POSITIVE_CRITERIA_OPERATORS.includes(condition.operator) || !field.options || field.options.length === 0) {
+        return [];
+    }
+
+    const typeList = typeLists[field.key] || [];
+    const optionKeys = new Set(field.options.map(option => option.key));
+    const valueReasons = (condition.values || []).map(value => {
+        const type = typeList.find(t => t.fieldName === value);
+        if (type && (type.status === 20 || type.isSelected === false)) {
+            return {
+                kind: 'INACTIVE_TYPE',
+                reason: `${optionLabel(value)} is an inactive ${field.key === 'requestTypes' ? 'request' : 'subject'} type (status: ${type.status}, isSelected: ${type.isSelected})`
+            };
+        }
+        if (!optionKeys.has(value)) {
+            return { kind: 'VALUE_NOT_IN_OPTIONS', reason: `"${value}" is not an option of ${fieldLabel(field.key)}` };
+        }
+        return null;
+    });
+
+    // EQUALS needs any listed value, CONTAINS_ALL needs every one
+    const impossible = condition.operator === 'EQUALS'
+        ? valueReasons.length > 0 && valueReasons.every(Boolean)
+        : valueReasons.some(Boolean);
+    return impossible ? valueReasons.filter(Boolean) : [];
+}
+
+/**
+ * Checks whether exploring journeys can settle a condition: its field must be an
+ * explored option field, an optional field needs journeys that leave it blank, and a
+ * multi-select field needs journeys that combine all the options its rules mention
+ * (at most two per condition)
+ * @param {Object} condition - { field, operator, values }
+ * @param {Object} fieldsByKey - Map of fieldKey to parsed field
+ * @param {Object} coverage - exploreFormPaths coverage ({ blankOptionalFields, multiSelectCombinations, pairsOnlyFields })
+ * @returns {boolean}
+ */
+function isConditionExplorable(condition, fieldsByKey, coverage = {}) {
+    const field = fieldsByKey[condition.field];
+    if (!field || !field.options || field.options.length === 0) {
+        return condition.operator === 'IS_EMPTY' || !field || !ruleAnalysisEngine.isFieldEnabled(field);
+    }
+    if (field.isRequired !== true && !coverage.blankOptionalFields) {
+        return false;
+    }
+    if (ruleAnalysisEngine.isMultiSelectField(field)) {
+        if (!coverage.multiSelectCombinations || (coverage.pairsOnlyFields || []).includes(field.key)) return false;
+        return ['EQUALS', 'IS_EMPTY', 'IS_NOT_EMPTY'].includes(condition.operator) ||
+            (condition.operator === 'CONTAINS_ALL' && (condition.values || []).length <= 2);
+    }
+    return true;
+}
+
+/**
+ * Finds the REQUEST_CREATION rules that can never be assigned
+ * @param {Object} form - Parsed webform (see webform-rule-engine.js)
+ * @param {Object} options
+ * @param {Object} options.webFormDto - webformData.webFormDto, for request/subject type status
+ * @param {Object} options.exploration - Result of exploreFormPaths, reused when already computed
+ * @param {number} options.maxPaths - Journey limit when exploring here
+ * @param {Object} options.labels - { fieldLabel, optionLabel } resolvers
+ * @returns {{findings: Array, unknown: Array, truncated: boolean, partialMultiSelect: boolean}} - findings:
+ *          [{ ruleName, ruleSequence, workflowId, kind, reasons }]; unknown: rules the journeys cannot
+ *          decide on ([{ ruleName, ruleSequence, workflowId, reasons }]) - every rule not proven
+ *          impossible on its own when the journey limit stopped the exploration
+ */
+function detectUnreachableWorkflows(form, options = {}) {
+    const labels = options.labels || {};
+    const fieldLabel = labels.fieldLabel || (key => key);
+    const optionLabel = labels.optionLabel || (key => key);
+    const fieldsByKey = {};
+    (form.fields || []).forEach(field => {
+        fieldsByKey[field.key] = field;
+    });
+    const dto = options.webFormDto || {};
+    const context = {
+        fieldsByKey,
+        typeLists: { requestTypes: dto.requestTypes || [], subjectTypes: dto.subjectTypes || [] },
+        fieldLabel,
+        optionLabel
+    };
+    const describe = condition => ruleAnalysisEngine.describeCriteriaCondition(condition, fieldLabel, optionLabel);
+    const findings = [];
+    const workflows = ruleAnalysisEngine.sortByRuleSequence(form.workflowRules || []);
+
+    // Criteria that can be ruled out without simulating anything
+    const staticallyReachable = workflows.filter(workflow => {
+        const tree = getWorkflowCriteriaTree(workflow);
+        if (tree.groups.length === 0) return true;
+
+        const groupFailures = tree.groups.map(group => {
+            const conditionFailures = group.conditions.map(condition => ({
+                condition,
+                reasons: findImpossibleConditionReasons(condition, context)
+            }));
+            const failed = conditionFailures.filter(failure => failure.reasons.length > 0);
+            const groupImpossible = group.conditions.length > 0 && (group.operator === 'OR'
+                ? failed.length === group.conditions.length
+                : failed.length > 0);
+            return groupImpossible ? failed : null;
+        });
+
+        const treeImpossible = tree.operator === 'OR'
+            ? groupFailures.every(Boolean)
+            : groupFailures.some(Boolean);
+        if (!treeImpossible) return true;
+
+        const reasons = [];
+        groupFailures.forEach((failed, groupIndex) => {
+            if (!failed) return;
+            const prefix = tree.groups.length > 1 ? `Group ${groupIndex + 1} needs` : 'Needs';
+            failed.forEach(failure => {
+                reasons.push(`${prefix} ${describe(failure.condition)}`);
+                failure.reasons.forEach(r => reasons.push(`→ ${r.reason}`));
+            });
+        });
+        findings.push({
+            ruleName: workflow.ruleName,
+            ruleSequence: workflow.ruleSequence,
+            workflowId: ruleAnalysisEngine.getWorkflowActionParameter(workflow, 'WORKFLOWID') || null,
+            kind: groupFailures.filter(Boolean)[0][0].reasons[0].kind,
+            reasons: [...reasons, '→ The rule can never match']
+        });
+        return false;
+    });
+
+    const exploration = options.exploration ||
+        ruleAnalysisExplorer.exploreFormPaths(form, { maxPaths: options.maxPaths, labels });
+    const describeBase = workflow => ({
+        ruleName: workflow.ruleName,
+        ruleSequence: workflow.ruleSequence,
+        workflowId: ruleAnalysisEngine.getWorkflowActionParameter(workflow, 'WORKFLOWID') || null
+    });
+    const partialMultiSelect = exploration.partialMultiSelect === true;
+    // A journey limit means some answers were never tried - nothing can be proven from them
+    if (exploration.truncated) {
+        const unknown = staticallyReachable.map(workflow => ({
+            ...describeBase(workflow),
+            reasons: [`Journey exploration stopped after ${exploration.paths.length} journeys`, '→ The explored journeys cannot settle whether the rule is ever assigned']
+        }));
+        return { findings, unknown, truncated: true, partialMultiSelect };
+    }
+
+    const coverage = exploration.coverage || {};
+    const pairsOnlyFields = coverage.pairsOnlyFields || [];
+    const unexplorableConditions = workflow => getWorkflowCriteriaTree(workflow).groups
+        .flatMap(group => group.conditions.filter(condition => !isConditionExplorable(condition, fieldsByKey, coverage)));
+    const isExplorable = workflow => unexplorableConditions(workflow).length === 0;
+    const describeUnexplorable = condition => {
+        const field = fieldsByKey[condition.field];
+        const kind = !field.options || field.options.length === 0 ? 'free-text field'
+            : pairsOnlyFields.includes(field.key) ? 'multi-select field, options combined in pairs only'
+                : ruleAnalysisEngine.isMultiSelectField(field) ? 'multi-select field' : 'optional field';
+        return `${describe(condition)} (${kind})`;
+    };
+    const unknown = [];
+
+    staticallyReachable.forEach(workflow => {
+        const tree = getWorkflowCriteriaTree(workflow);
+        const base = describeBase(workflow);
+        if (!isExplorable(workflow)) {
+            unknown.push({
+                ...base,
+                reasons: [...unexplorableConditions(workflow).map(describeUnexplorable), '→ The explored journeys cannot settle these conditions']
+            });
+            return;
+        }
+        const matching = exploration.paths.filter(path => path.triggeredWorkflows.includes(workflow.ruleName));
+
+        if (matching.length === 0) {
+            const reasons = [];
+            let kind = 'HIDDEN_COMBINATION';
+            tree.groups.forEach((group, groupIndex) => {
+                const prefix = tree.groups.length > 1 ? `Group ${groupIndex + 1}: ` : '';
+                const neverMet = group.conditions.filter(condition =>
+                    !exploration.paths.some(path => ruleAnalysisEngine.evaluateCriteriaCondition(condition, path.selections)));
+
+                if (neverMet.length > 0) {
+                    kind = 'HIDDEN_BY_VISIBILITY';
+                    neverMet.forEach(condition => {
+                        const everShown = exploration.paths.some(path => path.visibleFields.includes(condition.field));
+                        reasons.push(`${prefix}${describe(condition)} is never possible`);
+                        reasons.push(everShown
+                            ? `→ ${fieldLabel(condition.field)} is shown, but option filters never offer ${(condition.values || []).map(optionLabel).join(' / ')}`
+                            : `→ Visibility rules never show ${fieldLabel(condition.field)}`);
+                    });
+                } else {
+                    reasons.push(`${prefix}${group.conditions.map(describe).join(` ${group.operator || 'AND'} `)}`);
+                    reasons.push('→ Each condition can be met, but visibility rules and option filters never allow them together');
+                }
+            });
+            findings.push({ ...base, kind, reasons: [...reasons, '→ No reachable answers match the rule'] });
+            return;
+        }
+
+        const assigned = matching.filter(path => path.assignment.ruleName === workflow.ruleName);
+        if (assigned.length > 0) return;
+
+        // Shadowing rules must be judged on journeys too
+        const shadowingNames = Array.from(new Set(matching.map(path => path.assignment.ruleName)));
+        const shadowingRules = workflows.filter(w => shadowingNames.includes(w.ruleName));
+        if (!shadowingRules.every(isExplorable)) {
+            unknown.push({
+                ...base,
+                reasons: [
+                    `Matches ${matching.length} reachable journey(s), each assigned to an earlier rule`,
+                    ...shadowingRules.flatMap(w => unexplorableConditions(w)
+                        .map(condition => `→ Rule #${w.ruleSequence} "${w.ruleName}" needs ${describeUnexplorable(condition)}`)),
+                    '→ The explored journeys cannot tell whether the earlier rules always match first'
+                ]
+            });
+            return;
+        }
+
+        findings.push({
+            ...base,
+            kind: 'SHADOWED',
+            reasons: [
+                `Matches ${matching.length} reachable journey(s)`,
+                ...shadowingRules.map(w => {
+                    const count = matching.filter(path => path.assignment.ruleName === w.ruleName).length;
+                    return `→ Rule #${w.ruleSequence} "${w.ruleName}" matches first in ${count} of them`;
+                }),
+                '→ Every journey that matches the rule is assigned to an earlier rule'
+            ]
+        });
+    });
+
+    findings.sort((a, b) =>
+        workflows.findIndex(w => w.ruleName === a.ruleName) - workflows.findIndex(w => w.ruleName === b.ruleName));
+    return { findings, unknown, truncated: false, partialMultiSelect };
+}
+
+/**
+ * Finds rule values that reference no existing option, type or decryptable hash
+ * @param {Object} form - Parsed webform (see webform-rule-engine.js)
+ * @param {Object} options
+ * @param {Object} options.webFormDto - webformData.webFormDto, for request/subject types
+ * @param {Object} options.labels - { fieldLabel, optionLabel } resolvers
+ * @returns {Array<{source: string, ruleName: string, owner: string|null, field: string, value: string, kind: string, message: string}>}
+ */
+function detectDanglingReferences(form, options = {}) {
+    const fieldLabel = (options.labels || {}).fieldLabel || (key => key);
+    const dto = options.webFormDto || {};
+    const fieldsByKey = {};
+    (form.fields || []).forEach(field => {
+        fieldsByKey[field.key] = field;
+    });
+    const typeNames = {
+        requestTypes: new Set((dto.requestTypes || []).map(t => t.fieldName)),
+        subjectTypes: new Set((dto.subjectTypes || []).map(t => t.fieldName))
+    };
+    const isKnownValue = (field, value) =>
+        field.options.some(option => option.key === value) ||
+        (typeNames[field.key] && typeNames[field.key].has(value));
+    const findings = [];
+
+    // Workflow criteria
+    (form.workflowRules || []).forEach(workflow => {
+        getWorkflowCriteriaTree(workflow).groups.forEach(group => {
+            group.conditions.forEach(condition => {
+                if (condition.operator === 'IS_EMPTY' || condition.operator === 'IS_NOT_EMPTY') return;
+                const base = { source: 'workflow', ruleName: workflow.ruleName, owner: null, field: condition.field };
+                const field = fieldsByKey[condition.field];
+                if (!field) {
+                    findings.push({
+                        ...base,
+                        value: (condition.values || []).join(', '),
+                        kind: 'UNKNOWN_FIELD',
+                        message: `Criteria field "${condition.rawField || condition.field}" is not a field of this webform`
+                    });
+                    return;
+                }
+
+                (condition.values || []).forEach((value, index) => {
+                    const rawValue = (condition.rawValues || [])[index];
+                    if (ruleAnalysisHashes.isSha512Hash(value)) {
+                        findings.push({
+                            ...base,
+                            value,
+                            kind: 'UNDECRYPTED_HASH',
+                            message: `Hashed value for ${fieldLabel(field.key)} matches none of the known hash lookups`
+                        });
+                    } else if (GUID_PATTERN.test(value) && !isKnownValue(field, value)) {
+                        findings.push({
+                            ...base,
+                            value,
+                            kind: 'UNKNOWN_GUID',
+                            message: `GUID ${value} matches no request type or subject type - the criterion can never match`
+                        });
+                    } else if (field.options && field.options.length > 0 && !isKnownValue(field, value)) {
+                        findings.push({
+                            ...base,
+                            value,
+                            kind: 'UNKNOWN_OPTION',
+                            message: `"${value}"${rawValue && rawValue !== value ? ` (raw: ${rawValue})` : ''} is not an option of ${fieldLabel(field.key)}`
+                        });
+                    }
+                });
+            });
+        });
+    });
+
+    // Visibility rules of fields and of the submit/attachment UI fields
+    const checkVisibilityRules = (rules, source, owner) => {
+        (rules || []).forEach(rule => {
+            (rule.ruleConditions || []).forEach(condition => {
+                const field = fieldsByKey[condition.selectedField];
+                // Missing fields are reported by detectUnusedFields; free-text fields have no options
+                if (!field || !field.options || field.options.length === 0) return;
+                (condition.ruleSubConditions || []).forEach(sub => {
+                    if (!isKnownValue(field, sub.valueToCompareWith)) {
+                        findings.push({
+                            source,
+                            ruleName: rule.ruleName,
+                            owner,
+                            field: field.key,
+                            value: sub.valueToCompareWith,
+                            kind: 'UNKNOWN_OPTION',
+                            message: `Compares ${fieldLabel(field.key)} with "${sub.valueToCompareWith}", which is not one of its options`
+                        });
+                    }
+                });
+            });
+
+            const ownerField = source === 'visibility' ? fieldsByKey[owner] : null;
+            (rule.actions || []).forEach(action => {
+                if (action.action !== 'SHOW_QUESTION_WITH_CONFIGURED_OPTIONS' || !ownerField) return;
+                (action.selectedOptions || [])
+                    .filter(optionKey => !isKnownValue(ownerField, optionKey))
+                    .forEach(optionKey => {
+                        findings.push({
+                            source,
+                            ruleName: rule.ruleName,
+                            owner,
+                            field: owner,
+                            value: optionKey,
+                            kind: 'UNKNOWN_CONFIGURED_OPTION',
+                            message: `Configured option "${optionKey}" is not an option of ${fieldLabel(owner)}`
+                        });
+                    });
+            });
+        });
+    };
+
+    (form.fields || []).forEach(field => checkVisibilityRules(field.visibilityRules?.rules, 'visibility', field.key));
+    checkVisibilityRules(form.submitButtonRules?.visibilityRules?.rules, 'submit', null);
+    checkVisibilityRules(form.attachmentRules?.visibilityRules?.rules, 'attachment', null);
+
+    return findings;
+}
+
+/**
+ * Describes a visibility rule condition, e.g. "Country ≠ US AND ≠ CA"
+ * @param {Object} condition - Rule condition with selectedField and ruleSubConditions
+ * @param {Function} fieldLabel - Field label resolver
+ * @returns {string}
+ */
+function describeVisibilityCondition(condition, fieldLabel) {
+    const joiner = ` ${ruleAnalysisEngine.normalizeRuleOperator(condition.logicalOperatorForSubConditions, 'OR')} `;
+    const parts = (condition.ruleSubConditions || []).map(sub =>
+        `${ruleAnalysisEngine.normalizeRuleOperator(sub.comparisonOperator, '') === 'NOT_EQUALS' ? '≠' : '='} ${sub.valueToCompareWith}`);
+    return `${fieldLabel(condition.selectedField)} ${parts.join(joiner)}`;
+}
+
+/**
+ * Lists the distinct answers a field can give as far as a rule can tell: the
+ * compared values that are options plus one option the rule never mentions
+ * (every non-empty combination of those for multi-select fields)
+ * @param {Object|undefined} field - Parsed field
+ * @param {Set<string>} mentioned - Values the rule compares the field with
+ * @returns {Array} - Selection values; empty when the field can never be answered
+ */
+function getDistinctRuleAnswers(field, mentioned) {
+    if (!field || !ruleAnalysisEngine.isFieldEnabled(field)) {
+        return [];
+    }
+
+    let values;
+    if (field.options && field.options.length > 0) {
+        const optionKeys = field.options.map(option => option.key);
+        const other = optionKeys.find(key => !mentioned.has(key));
+        values = optionKeys.filter(key => mentioned.has(key)).concat(other !== undefined ? [other] : []);
+    } else {
+        values = Array.from(mentioned).concat([OTHER_TEXT_ANSWER]);
+    }
+
+    if (!ruleAnalysisEngine.isMultiSelectField(field)) {
+        return values;
+    }
+    if (values.length > 10) {
+        return null;
+    }
+    const subsets = [];
+    for (let mask = 1; mask < (1 << values.length); mask++) {
+        subsets.push(values.filter((value, index) => mask & (1 << index)));
+    }
+    return subsets;
+}
+
+/**
+ * Finds contradictory and tautological visibility rules and circular visibility dependencies
+ * @param {Object} form - Parsed webform (see webform-rule-engine.js)
+ * @param {Object} options
+ * @param {Object} options.labels - { fieldLabel } resolver
+ * @returns {Array<{kind: string, owner: string, ruleName: string|null, description: string, message: string}>}
+ *          kind is CONTRADICTORY, TAUTOLOGY or CIRCULAR_DEPENDENCY
+ */
+function detectVisibilityRuleDefects(form, options = {}) {
+    const fieldLabel = (options.labels || {}).fieldLabel || (key => key);
+    const fieldsByKey = {};
+    (form.fields || []).forEach(field => {
+        fieldsByKey[field.key] = field;
+    });
+    const findings = [];
+
+    const checkRule = (rule, owner) => {
+        const conditions = rule.ruleConditions || [];
+        if (conditions.length === 0) return;
+        const description = conditions
+            .map(condition => describeVisibilityCondition(condition, fieldLabel))
+            .join(` ${ruleAnalysisEngine.normalizeRuleOperator(rule.logicalOperatorForConditions, 'AND')} `);
+        const base = { owner, ruleName: rule.ruleName || null, description };
+
+        const mentionedByField = new Map();
+        conditions.forEach(condition => {
+            if (!mentionedByField.has(condition.selectedField)) {
+                mentionedByField.set(condition.selectedField, new Set());
+            }
+            (condition.ruleSubConditions || []).forEach(sub => mentionedByField.get(condition.selectedField).add(sub.valueToCompareWith));
+        });
+
+        const fieldKeys = Array.from(mentionedByField.keys());
+        const answersByField = fieldKeys.map(key => getDistinctRuleAnswers(fieldsByKey[key], mentionedByField.get(key)));
+        if (answersByField.some(answers => answers === null)) return;
+
+        const unanswerable = fieldKeys.filter((key, index) => answersByField[index].length === 0);
+        const combinationCount = answersByField.reduce((total, answers) => total * Math.max(answers.length, 1), 1);
+        if (combinationCount > MAX_RULE_COMBINATIONS) return;
+
+        // Evaluate every combination of distinct answers (fields that can never be answered stay unanswered)
+        let combinations = [{}];
+        fieldKeys.forEach((key, index) => {
+            if (answersByField[index].length === 0) return;
+            combinations = combinations.flatMap(selections =>
+                answersByField[index].map(answer => ({ ...selections, [key]: answer })));
+        });
+        const results = combinations.map(selections => ruleAnalysisEngine.evaluateVisibilityRule(rule, selections));
+
+        if (!results.some(Boolean)) {
+            const notOptions = [];
+            mentionedByField.forEach((values, key) => {
+                const field = fieldsByKey[key];
+                if (field && field.options && field.options.length > 0) {
+                    values.forEach(value => {
+                        if (!field.options.some(option => option.key === value)) notOptions.push(`${value} (${fieldLabel(key)})`);
+                    });
+                }
+            });
+            const why = unanswerable.length > 0
+                ? `${unanswerable.map(key => fieldLabel(key)).join(', ')} can never be answered (missing or disabled)`
+                : notOptions.length > 0
+                    ? `no answer satisfies the conditions together; values that are not options: ${notOptions.join(', ')}`
+                    : 'no answer satisfies the conditions together';
+            findings.push({ ...base, kind: 'CONTRADICTORY', message: `Can never be true: ${why}` });
+        } else if (unanswerable.length === 0 && results.every(Boolean)) {
+            findings.push({
+                ...base,
+                kind: 'TAUTOLOGY',
+                message: `True for every answer - it only requires ${fieldKeys.map(key => fieldLabel(key)).join(', ')} to be answered`
+            });
+        }
+    };
+
+    (form.fields || []).forEach(field => {
+        (field.visibilityRules?.rules || []).forEach(rule => checkRule(rule, field.key));
+    });
+    [form.submitButtonRules, form.attachmentRules].forEach(uiField => {
+        if (uiField) {
+            (uiField.visibilityRules?.rules || []).forEach(rule => checkRule(rule, uiField.fieldKey || uiField.key));
+        }
+    });
+
+    // Circular dependencies: field -> fields its visibility rules compare against
+    const dependencies = new Map();
+    (form.fields || []).forEach(field => {
+        const referenced = new Set();
+        (field.visibilityRules?.rules || []).forEach(rule => {
+            (rule.ruleConditions || []).forEach(condition => referenced.add(condition.selectedField));
+        });
+        dependencies.set(field.key, Array.from(referenced).filter(key => fieldsByKey[key]));
+    });
+
+    const reported = new Set();
+    const state = new Map(); // 1 = on the current path, 2 = done
+    const stack = [];
+    const visit = key => {
+        state.set(key, 1);
+        stack.push(key);
+        (dependencies.get(key) || []).forEach(next => {
+            if (state.get(next) === 1) {
+                const cycle = stack.slice(stack.indexOf(next));
+                const signature = cycle.slice().sort().join('|');
+                if (!reported.has(signature)) {
+                    reported.add(signature);
+                    const chain = [...cycle, next].map(k => fieldLabel(k)).join(' → ');
+                    findings.push({
+                        kind: 'CIRCULAR_DEPENDENCY',
+                        owner: next,
+                        ruleName: null,
+                        description: chain,
+                        message: cycle.length === 1
+                            ? `${fieldLabel(next)} is only shown based on its own answer, which cannot be given while it is hidden`
+                            : `Visibility depends on itself: ${chain}. Unless another rule shows one of them first, none of these fields can appear`
+                    });
+                }
+            } else if (!state.has(next)) {
+                visit(next);
+            }
+        });
+        stack.pop();
+        state.set(key, 2);
+    };
+    (form.fields || []).forEach(field => {
+        if (!state.has(field.key)) visit(field.key);
+    });
+
+    return findings;
+}
+
+// Export functions for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getWorkflowCriteriaTree,
+        findImpossibleConditionReasons,
+        isConditionExplorable,
+        detectUnreachableWorkflows,
+        detectDanglingReferences,
+        describeVisibilityCondition,
+        detectVisibilityRuleDefects
+    };
+}
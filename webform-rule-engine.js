@@ -0,0 +1,608 @@
+/**
+ * ============================================================================
+ * WEBFORM RULE ENGINE
+ * ============================================================================
+ *
+ * DOM-free evaluation of a parsed OneTrust DSAR webform. Every function takes
+ * the selections it should evaluate against as an argument instead of reading
+ * simulator state, so the same logic runs in the browser (analyzer.html) and
+ * in Node scripts.
+ *
+ * A parsed webform is the structure built by loadWebform() in webform-loader.js:
+ *   {
+ *     fields:            [{ key, type, options, hasVisibilityRule, visibilityRules, isSelected, status }],
+ *     workflowRules:     [{ ruleName, ruleSequence, ruleActionParameters, ruleCriteria, criteriaTree }],
+ *     submitButtonRules: uiField | null,
+ *     attachmentRules:   uiField | null,
+ *     defaultWorkflowId: string | null
+ *   }
+ *
+ * Selections map a fieldKey to the selected option key (or typed text). Multi-select
+ * fields map to an array of option keys; a condition on them compares against
+ * every selected key (EQUALS = contains, NOT_EQUALS = does not contain).
+ */
+
+/**
+ * Checks whether a field is enabled in OneTrust
+ * Only fields with isSelected = true AND status != 20 are shown on the form
+ * @param {Object} field - Parsed field
+ * @returns {boolean}
+ */
+function isFieldEnabled(field) {
+    return field.isSelected === true && field.status !== 20;
+}
+
+/**
+ * Checks whether a field lets the data subject pick several options
+ * @param {Object} field - Parsed field
+ * @returns {boolean}
+ */
+function isMultiSelectField(field) {
+    return field.isMultiSelect === true || /^multi[\s_-]?select$/i.test(field.type || '');
+}
+
+/**
+ * Returns a selection as a list of values: arrays as-is (without empty entries),
+ * a single value as a one-element list and an unanswered field as an empty list
+ * @param {any} selection - Selected value(s)
+ * @returns {Array}
+ */
+function getSelectionValues(selection) {
+    if (Array.isArray(selection)) {
+        return selection.filter(v => v !== undefined && v !== null && v !== '');
+    }
+    return selection === undefined || selection === null || selection === '' ? [] : [selection];
+}
+
+/**
+ * Checks whether a field has been answered (empty multi-select arrays count as unanswered)
+ * @param {any} selection - Selected value(s)
+ * @returns {boolean}
+ */
+function hasSelection(selection) {
+    return getSelectionValues(selection).length > 0;
+}
+
+/**
+ * Formats a selection for reason strings; multi-select values are joined with commas
+ * @param {any} selection - Selected value(s)
+ * @param {Function} optionLabel - option key => display label
+ * @returns {string}
+ */
+function formatSelection(selection, optionLabel = key => key) {
+    return getSelectionValues(selection).map(v => optionLabel(v)).join(', ');
+}
+
+/**
+ * Upper-cases a logical or comparison operator - exports mix "AND" and "and"
+ * @param {string} operator - Operator as exported
+ * @param {string} fallback - Operator to use when none is given
+ * @returns {string}
+ */
+function normalizeRuleOperator(operator, fallback) {
+    return String(operator || fallback).toUpperCase();
+}
+
+/**
+ * Evaluates a single visibility rule condition (one selectedField with its sub-conditions)
+ * @param {Object} condition - Rule condition with selectedField and ruleSubConditions
+ * @param {Object} selections - Map of fieldKey to selected value
+ * @returns {boolean}
+ */
+function evaluateRuleCondition(condition, selections) {
+    const subConditions = condition.ruleSubConditions || [];
+    const operator = normalizeRuleOperator(condition.logicalOperatorForSubConditions, 'OR');
+    const selectedValues = getSelectionValues(selections[condition.selectedField]);
+
+    // An unanswered field never satisfies a condition, not even NOT_EQUALS -
+    // the field must be selected first
+    if (selectedValues.length === 0) {
+        return false;
+    }
+
+    // Multi-select answers contain the compared value (or do not)
+    const results = subConditions.map(sub => {
+        const comparison = normalizeRuleOperator(sub.comparisonOperator, '');
+        if (comparison === 'EQUALS') {
+            return selectedValues.includes(sub.valueToCompareWith);
+        } else if (comparison === 'NOT_EQUALS') {
+            return !selectedValues.includes(sub.valueToCompareWith);
+        }
+        return false;
+    });
+
+    return operator === 'OR' ? results.some(r => r) : results.every(r => r);
+}
+
+/**
+ * Evaluates a visibility rule (field rule or UI field rule)
+ * @param {Object} rule - Rule with ruleConditions and logicalOperatorForConditions
+ * @param {Object} selections - Map of fieldKey to selected value
+ * @returns {boolean}
+ */
+function evaluateVisibilityRule(rule, selections) {
+    const conditions = rule.ruleConditions || [];
+    const operator = normalizeRuleOperator(rule.logicalOperatorForConditions, 'AND');
+
+    const results = conditions.map(condition => evaluateRuleCondition(condition, selections));
+
+    return operator === 'AND' ? results.every(r => r) : results.some(r => r);
+}
+
+/**
+ * Returns the options a field offers for the given selections
+ * The first matching SHOW_QUESTION_WITH_CONFIGURED_OPTIONS rule restricts the option list
+ * @param {Object} field - Parsed field
+ * @param {Object} selections - Map of fieldKey to selected value
+ * @returns {Array} - Option objects ({ key, value })
+ */
+function getAvailableOptions(field, selections) {
+    const options = field.options || [];
+    const rules = field.visibilityRules?.rules || [];
+
+    for (const rule of rules) {
+        if (!evaluateVisibilityRule(rule, selections)) continue;
+
+        const action = rule.actions?.[0];
+        if (action && action.action === 'SHOW_QUESTION_WITH_CONFIGURED_OPTIONS' && action.selectedOptions) {
+            return options.filter(opt => action.selectedOptions.includes(opt.key));
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Calculates which fields are visible for one set of selections
+ * @param {Array} fields - Parsed fields
+ * @param {Object} selections - Map of fieldKey to selected value
+ * @param {Object} options
+ * @param {boolean} options.showInactiveFields - Also report disabled fields as visible
+ * @returns {Set<string>} - Visible field keys
+ */
+function calculateVisibleFieldKeys(fields, selections, options = {}) {
+    const visible = new Set();
+
+    fields.forEach(field => {
+        if (!isFieldEnabled(field)) {
+            if (options.showInactiveFields) {
+                visible.add(field.key);
+            }
+            return;
+        }
+
+        // Enabled fields without visibility rules are always shown
+        if (!field.hasVisibilityRule) {
+            visible.add(field.key);
+            return;
+        }
+
+        const rules = field.visibilityRules?.rules || [];
+        if (rules.some(rule => evaluateVisibilityRule(rule, selections))) {
+            visible.add(field.key);
+        }
+    });
+
+    return visible;
+}
+
+/**
+ * Calculates visible fields and drops selections for fields that are hidden.
+ * Repeats until stable, because clearing one answer can hide further fields.
+ * @param {Array} fields - Parsed fields
+ * @param {Object} selections - Map of fieldKey to selected value (not modified)
+ * @param {Object} options - Same as calculateVisibleFieldKeys
+ * @returns {{visibleFields: Set<string>, selections: Object, clearedFields: Array<string>}}
+ */
+function resolveVisibleSelections(fields, selections, options = {}) {
+    const knownKeys = new Set(fields.map(f => f.key));
+    const resolved = { ...selections };
+    const clearedFields = [];
+    let visibleFields = calculateVisibleFieldKeys(fields, resolved, options);
+
+    for (let pass = 0; pass <= fields.length; pass++) {
+        const hidden = Object.keys(resolved).filter(key => knownKeys.has(key) && !visibleFields.has(key));
+        if (hidden.length === 0) break;
+
+        hidden.forEach(key => {
+            delete resolved[key];
+            clearedFields.push(key);
+        });
+        visibleFields = calculateVisibleFieldKeys(fields, resolved, options);
+    }
+
+    return { visibleFields, selections: resolved, clearedFields };
+}
+
+/**
+ * Evaluates a UI field (submit button / attachment) against the selections
+ * The first matching rule with an action decides the result
+ * @param {Object} uiField - UI field with visibilityRules
+ * @param {Object} selections - Map of fieldKey to selected value
+ * @returns {{shown: boolean, disabled: boolean, message?: string, ruleName?: string}}
+ */
+function evaluateUIFieldRules(uiField, selections) {
+    if (!uiField || !uiField.visibilityRules) {
+        return { shown: false, disabled: false };
+    }
+
+    const rules = uiField.visibilityRules.rules || [];
+
+    for (const rule of rules) {
+        if (!evaluateVisibilityRule(rule, selections)) continue;
+
+        const action = rule.actions?.[0];
+        if (!action) continue;
+
+        if (action.action === 'DISABLE_SUBMIT_BUTTON') {
+            return {
+                disabled: true,
+                message: action.errorMessage || 'Submit is disabled',
+                shown: false,
+                ruleName: rule.ruleName
+            };
+        } else if (action.action === 'SHOW_ATTACHMENT') {
+            return {
+                shown: true,
+                message: `Triggered by: ${rule.ruleName}`,
+                disabled: false,
+                ruleName: rule.ruleName
+            };
+        }
+    }
+
+    return { shown: false, disabled: false };
+}
+
+/**
+ * Reads a value from a workflow rule's ruleActionParameters (e.g. WORKFLOWID, DEADLINE)
+ * @param {Object} workflow - Parsed workflow rule
+ * @param {string} field - Parameter name
+ * @returns {any} - Parameter value or undefined
+ */
+function getWorkflowActionParameter(workflow, field) {
+    const params = Array.isArray(workflow.ruleActionParameters) ? workflow.ruleActionParameters : [];
+    return params.find(p => p.field === field)?.value;
+}
+
+const CRITERIA_OPERATOR_SYMBOLS = {
+    EQUALS: '=',
+    NOT_EQUALS: '≠',
+    CONTAINS: 'contains',
+    NOT_CONTAINS: 'does not contain',
+    CONTAINS_ALL: 'includes all of',
+    IS_EMPTY: 'is empty',
+    IS_NOT_EMPTY: 'is not empty'
+};
+
+/**
+ * Evaluates one workflow criteria condition (from a criteriaTree group)
+ * Like visibility rules, an unanswered field only satisfies IS_EMPTY. Multi-select
+ * answers match EQUALS when any selected key is listed, NOT_EQUALS when none is,
+ * and CONTAINS_ALL when every listed value was selected.
+ * @param {Object} condition - { field, operator, values }
+ * @param {Object} selections - Map of fieldKey to selected value(s)
+ * @returns {boolean}
+ */
+function evaluateCriteriaCondition(condition, selections) {
+    const values = condition.values || [];
+    const selectedValues = getSelectionValues(selections[condition.field]);
+
+    if (condition.operator === 'IS_EMPTY') return selectedValues.length === 0;
+    if (condition.operator === 'IS_NOT_EMPTY') return selectedValues.length > 0;
+    if (selectedValues.length === 0) return false;
+
+    const containsText = value => selectedValues.some(selected =>
+        String(selected).toLowerCase().includes(String(value).toLowerCase()));
+
+    switch (condition.operator) {
+        case 'EQUALS':
+            return selectedValues.some(selected => values.includes(selected));
+        case 'NOT_EQUALS':
+            return !selectedValues.some(selected => values.includes(selected));
+        case 'CONTAINS_ALL':
+            return values.every(value => selectedValues.includes(value));
+        case 'CONTAINS':
+            return values.some(containsText);
+        case 'NOT_CONTAINS':
+            return !values.some(containsText);
+        default:
+            // Unsupported operators never match rather than guessing
+            return false;
+    }
+}
+
+/**
+ * Combines boolean results with a logical operator (AND unless OR is given)
+ * @param {string} operator - AND or OR
+ * @param {Array<boolean>} results
+ * @returns {boolean}
+ */
+function combineLogicalResults(operator, results) {
+    return normalizeRuleOperator(operator, 'AND') === 'OR' ? results.some(r => r) : results.every(r => r);
+}
+
+/**
+ * Describes a criteria condition for the reason lists, e.g. "Country ≠ Japan"
+ * @param {Object} condition - Criteria condition
+ * @param {Function} fieldLabel - fieldKey => display label
+ * @param {Function} optionLabel - option key => display label
+ * @returns {string}
+ */
+function describeCriteriaCondition(condition, fieldLabel, optionLabel) {
+    const label = fieldLabel(condition.field);
+    const symbol = CRITERIA_OPERATOR_SYMBOLS[condition.operator] || condition.operator;
+    if (condition.operator === 'IS_EMPTY' || condition.operator === 'IS_NOT_EMPTY') {
+        return `${label} ${symbol}`;
+    }
+    const joiner = condition.operator === 'EQUALS' || condition.operator === 'CONTAINS' ? ' OR '
+        : condition.operator === 'CONTAINS_ALL' ? ' AND '
+        : ', ';
+    return `${label} ${symbol} ${(condition.values || []).map(v => optionLabel(v)).join(joiner)}`;
+}
+
+/**
+ * Describes a whole criteria tree on one line,
+ * e.g. "(Request type = Access AND Country = US) OR (Country = DE)"
+ * @param {Object} tree - { operator, groups: [{ operator, conditions }] }
+ * @param {Object} labels - Optional { fieldLabel, optionLabel } resolvers
+ * @returns {string}
+ */
+function describeCriteriaTree(tree, labels = {}) {
+    const fieldLabel = labels.fieldLabel || (key => key);
+    const optionLabel = labels.optionLabel || (key => key);
+    if (!tree || !tree.groups || tree.groups.length === 0) {
+        return '(always)';
+    }
+
+    const groups = tree.groups.map(group => {
+        const text = group.conditions
+            .map(condition => describeCriteriaCondition(condition, fieldLabel, optionLabel))
+            .join(` ${group.operator} `);
+        return tree.groups.length > 1 && group.conditions.length > 1 ? `(${text})` : text;
+    });
+
+    return groups.join(` ${tree.operator} `);
+}
+
+/**
+ * Evaluates a criteriaTree (groups combined by the tree operator, conditions
+ * inside a group combined by the group operator)
+ * @param {Object} tree - { operator, groups: [{ operator, conditions }] }
+ * @param {Object} selections - Map of fieldKey to selected value
+ * @returns {Object} - The tree annotated with matched flags and current selections
+ */
+function evaluateCriteriaTree(tree, selections) {
+    const groups = (tree.groups || []).map(group => {
+        const conditions = (group.conditions || []).map(condition => ({
+            ...condition,
+            selection: selections[condition.field],
+            matched: evaluateCriteriaCondition(condition, selections)
+        }));
+        return {
+            operator: group.operator,
+            matched: combineLogicalResults(group.operator, conditions.map(c => c.matched)),
+            conditions
+        };
+    });
+
+    return {
+        operator: tree.operator,
+        matched: combineLogicalResults(tree.operator, groups.map(g => g.matched)),
+        groups
+    };
+}
+
+/**
+ * Evaluates a workflow rule's criteria against the selections
+ * Workflows with a criteriaTree are evaluated group by group with their logical
+ * operators; otherwise the flat ruleCriteria are ANDed and the values inside one
+ * criterion ORed.
+ * @param {Object} workflow - Parsed workflow rule with criteriaTree and/or ruleCriteria
+ * @param {Object} selections - Map of fieldKey to selected value
+ * @param {Object} labels - Optional label resolvers used to build the reason strings
+ * @param {Function} labels.fieldLabel - fieldKey => display label
+ * @param {Function} labels.optionLabel - option key => display label
+ * @returns {{triggered: boolean, reasons: Array<string>, unmatchedReasons: Array<string>, matchedCount: number, totalCriteria: number, tree: Object|null}}
+ */
+function evaluateWorkflowCriteria(workflow, selections, labels = {}) {
+    const fieldLabel = labels.fieldLabel || (key => key);
+    const optionLabel = labels.optionLabel || (key => key);
+    const reasons = [];
+    const unmatchedReasons = [];
+    let matchedCount = 0;
+
+    if (workflow.criteriaTree) {
+        const tree = evaluateCriteriaTree(workflow.criteriaTree, selections);
+        let totalCriteria = 0;
+
+        tree.groups.forEach(group => {
+            group.conditions.forEach(condition => {
+                totalCriteria++;
+                const description = describeCriteriaCondition(condition, fieldLabel, optionLabel);
+                condition.description = description;
+                if (condition.matched) {
+                    matchedCount++;
+                    reasons.push(condition.operator === 'EQUALS'
+                        ? `${fieldLabel(condition.field)} = ${formatSelection(condition.selection, optionLabel)}`
+                        : description);
+                } else if (hasSelection(condition.selection)) {
+                    unmatchedReasons.push(`${description} (currently: ${formatSelection(condition.selection, optionLabel)})`);
+                } else {
+                    unmatchedReasons.push(description);
+                }
+            });
+        });
+
+        return {
+            triggered: tree.matched,
+            reasons,
+            unmatchedReasons,
+            matchedCount,
+            totalCriteria,
+            tree
+        };
+    }
+
+    const criteria = workflow.ruleCriteria || [];
+    let triggered = true;
+
+    for (const criterion of criteria) {
+        const values = criterion.values || [];
+        const userSelection = selections[criterion.field];
+        const label = fieldLabel(criterion.field);
+        const expectedValues = values.map(v => optionLabel(v)).join(' OR ');
+
+        if (!hasSelection(userSelection)) {
+            triggered = false;
+            unmatchedReasons.push(`${label} = ${expectedValues}`);
+            continue;
+        }
+
+        if (getSelectionValues(userSelection).some(selected => values.includes(selected))) {
+            matchedCount++;
+            reasons.push(`${label} = ${formatSelection(userSelection, optionLabel)}`);
+        } else {
+            triggered = false;
+            unmatchedReasons.push(`${label} = ${expectedValues} (currently: ${formatSelection(userSelection, optionLabel)})`);
+        }
+    }
+
+    return {
+        triggered,
+        reasons,
+        unmatchedReasons,
+        matchedCount,
+        totalCriteria: criteria.length,
+        tree: null
+    };
+}
+
+/**
+ * Orders workflow rules the way OneTrust evaluates them: ascending ruleSequence,
+ * rules without a sequence last, ties kept in file order
+ * @param {Array} workflows - Workflow rules or workflow results carrying ruleSequence
+ * @returns {Array} - New array in evaluation order
+ */
+function sortByRuleSequence(workflows) {
+    const sequenceOf = workflow => {
+        const sequence = Number(workflow.ruleSequence);
+        return workflow.ruleSequence === undefined || workflow.ruleSequence === null || Number.isNaN(sequence)
+            ? Infinity
+            : sequence;
+    };
+
+    return workflows
+        .map((workflow, index) => ({ workflow, index }))
+        .sort((a, b) => (sequenceOf(a.workflow) - sequenceOf(b.workflow)) || (a.index - b.index))
+        .map(entry => entry.workflow);
+}
+
+/**
+ * Picks the single workflow OneTrust assigns: the first triggered rule in
+ * ruleSequence order, or the default workflow from the "Workflows" setting when
+ * no rule matches. Later triggered rules are shadowed by the assigned one.
+ * @param {Array} workflowResults - Entries with ruleName, ruleSequence, workflowId and triggered
+ * @param {string|null} defaultWorkflowId - workflowRefId of the "Workflows" setting
+ * @returns {{assigned: Object|null, workflowId: string|null, usedDefault: boolean, shadowed: Array<{ruleName: string, ruleSequence: number, shadowedBy: Object}>}}
+ */
+function resolveWorkflowAssignment(workflowResults, defaultWorkflowId = null) {
+    const triggered = sortByRuleSequence(workflowResults.filter(w => w.triggered));
+    const assigned = triggered[0] || null;
+
+    return {
+        assigned,
+        workflowId: assigned ? assigned.workflowId : (defaultWorkflowId || null),
+        usedDefault: !assigned,
+        shadowed: triggered.slice(1).map(w => ({
+            ruleName: w.ruleName,
+            ruleSequence: w.ruleSequence,
+            shadowedBy: { ruleName: assigned.ruleName, ruleSequence: assigned.ruleSequence }
+        }))
+    };
+}
+
+/**
+ * Simulates the whole webform for one set of selections
+ * @param {Object} form - Parsed webform (see header)
+ * @param {Object} selections - Map of fieldKey to selected value
+ * @param {Object} options
+ * @param {boolean} options.showInactiveFields - Also report disabled fields as visible
+ * @param {Object} options.labels - Label resolvers passed to evaluateWorkflowCriteria
+ * @returns {Object} - Plain data: visible fields, filtered options, submit/attachment state, workflows
+ *                    (each with status assigned / shadowed / not-matched) and the workflow assignment
+ */
+function simulateWebform(form, selections, options = {}) {
+    const fields = form.fields || [];
+    const resolved = resolveVisibleSelections(fields, selections || {}, options);
+    const activeSelections = resolved.selections;
+
+    const availableOptions = {};
+    fields.forEach(field => {
+        if (resolved.visibleFields.has(field.key) && field.options && field.options.length > 0) {
+            availableOptions[field.key] = getAvailableOptions(field, activeSelections).map(opt => opt.key);
+        }
+    });
+
+    const workflows = (form.workflowRules || []).map(workflow => {
+        const result = evaluateWorkflowCriteria(workflow, activeSelections, options.labels);
+        return {
+            ruleName: workflow.ruleName,
+            ruleSequence: workflow.ruleSequence,
+            workflowId: getWorkflowActionParameter(workflow, 'WORKFLOWID') || null,
+            ...result
+        };
+    });
+
+    const assignment = resolveWorkflowAssignment(workflows, form.defaultWorkflowId);
+    workflows.forEach(workflow => {
+        if (workflow === assignment.assigned) {
+            workflow.status = 'assigned';
+        } else if (workflow.triggered) {
+            workflow.status = 'shadowed';
+            workflow.shadowedBy = assignment.assigned.ruleSequence;
+        } else {
+            workflow.status = 'not-matched';
+        }
+    });
+
+    return {
+        selections: activeSelections,
+        clearedFields: resolved.clearedFields,
+        visibleFields: fields.filter(f => resolved.visibleFields.has(f.key)).map(f => f.key),
+        availableOptions,
+        submit: form.submitButtonRules ? evaluateUIFieldRules(form.submitButtonRules, activeSelections) : null,
+        attachment: form.attachmentRules ? evaluateUIFieldRules(form.attachmentRules, activeSelections) : null,
+        workflows,
+        triggeredWorkflows: workflows.filter(w => w.triggered).map(w => w.ruleName),
+        assignment
+    };
+}
+
+// Export functions for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        isFieldEnabled,
+        isMultiSelectField,
+        getSelectionValues,
+        normalizeRuleOperator,
+        hasSelection,
+        formatSelection,
+        evaluateRuleCondition,
+        evaluateVisibilityRule,
+        getAvailableOptions,
+        calculateVisibleFieldKeys,
+        resolveVisibleSelections,
+        evaluateUIFieldRules,
+        getWorkflowActionParameter,
+        CRITERIA_OPERATOR_SYMBOLS,
+        evaluateCriteriaCondition,
+        evaluateCriteriaTree,
+        describeCriteriaCondition,
+        describeCriteriaTree,
+        evaluateWorkflowCriteria,
+        sortByRuleSequence,
+        resolveWorkflowAssignment,
+        simulateWebform
+    };
+}
@@ -0,0 +1,442 @@
+/**
+ * ============================================================================
+ * WEBFORM SCENARIOS
+ * ============================================================================
+ *
+ * Scenarios are saved simulator sessions used as regression tests: a set of
+ * selections plus the outcome observed when they were recorded. Scenarios are
+ * grouped into suites (usually one per client) stored as JSON:
+ *
+ *   {
+ *     "name": "Acme DSAR form",
+ *     "templateName": "Acme Webform",
+ *     "scenarios": [{
+ *       "name": "California resident deletion",
+ *       "selections": { "country": "US", "state": "California", "requestTypes": ["Deletion"] },
+ *       "expected": {
+ *         "assignedWorkflow": { "ruleName": "CCPA Deletion", "workflowId": "..." },
+ *         "visibleFields": ["country", "state", "requestTypes"],
+ *         "submit": { "disabled": false },
+ *         "attachment": { "shown": false }
+ *       }
+ *     }]
+ *   }
+ *
+ * Every aspect of "expected" is optional; replaying only checks the ones present,
+ * so hand-written scenarios can pin down just the assigned workflow. A scenario
+ * with no aspect at all fails, and so does one whose selections the form no
+ * longer offers (field removed or hidden, option no longer available).
+ *
+ * generateScenarioSuite derives a small suite from the rules themselves: it picks
+ * journeys from the path explorer until every workflow has been assigned, every
+ * visibility rule has evaluated both true and false and every submit/attachment
+ * rule has fired (greedy set cover, so small rather than provably minimal).
+ * When the exploration was incomplete (journey limit, multi-select options
+ * combined in pairs only), an uncovered goal may still be reachable - the result
+ * carries the explorer's truncated and partialMultiSelect flags.
+ */
+
+// Rule evaluation and journey enumeration come from webform-rule-engine.js and
+// webform-path-explorer.js (<script> tags in the browser)
+const scenarioEngineApi = typeof require === 'function'
+    ? require('./webform-rule-engine.js')
+    : globalThis;
+const scenarioExplorerApi = typeof require === 'function'
+    ? require('./webform-path-explorer.js')
+    : globalThis;
+
+const SCENARIO_SUITE_VERSION = 1;
+
+/**
+ * Reduces a simulation outcome to the expected-outcome block of a scenario
+ * @param {Object} outcome - Result of simulateWebform
+ * @returns {Object} - { assignedWorkflow, visibleFields, submit, attachment }
+ */
+function captureScenarioOutcome(outcome) {
+    const assigned = outcome.assignment.assigned;
+    return {
+        assignedWorkflow: {
+            ruleName: assigned ? assigned.ruleName : null,
+            workflowId: outcome.assignment.workflowId || null
+        },
+        visibleFields: outcome.visibleFields.slice(),
+        submit: outcome.submit
+            ? { disabled: outcome.submit.disabled, ...(outcome.submit.disabled ? { message: outcome.submit.message } : {}) }
+            : { disabled: false },
+        attachment: { shown: Boolean(outcome.attachment && outcome.attachment.shown) }
+    };
+}
+
+/**
+ * Records a scenario: the selections and the outcome they produce on a webform
+ * @param {Object} form - Parsed webform (see webform-rule-engine.js)
+ * @param {string} name - Scenario name
+ * @param {Object} selections - Map of fieldKey to selected value(s)
+ * @param {Object} extra - Optional { description }
+ * @returns {Object} - Scenario
+ */
+function createScenario(form, name, selections, extra = {}) {
+    const outcome = scenarioEngineApi.simulateWebform(form, selections);
+    return {
+        name,
+        ...(extra.description ? { description: extra.description } : {}),
+        createdAt: new Date().toISOString(),
+        selections: outcome.selections,
+        expected: captureScenarioOutcome(outcome)
+    };
+}
+
+/**
+ * Creates an empty scenario suite
+ * @param {string} name - Suite name (usually the client)
+ * @param {string|null} templateName - Webform template the suite was recorded against
+ * @returns {Object} - Suite
+ */
+function createScenarioSuite(name, templateName = null) {
+    return { version: SCENARIO_SUITE_VERSION, name, templateName, scenarios: [] };
+}
+
+/**
+ * Adds a scenario to a suite, replacing a scenario with the same name
+ * @param {Object} suite - Suite (modified)
+ * @param {Object} scenario - Scenario
+ * @returns {Object} - The suite
+ */
+function addScenarioToSuite(suite, scenario) {
+    const index = suite.scenarios.findIndex(s => s.name === scenario.name);
+    if (index >= 0) {
+        suite.scenarios[index] = scenario;
+    } else {
+        suite.scenarios.push(scenario);
+    }
+    return suite;
+}
+
+/**
+ * Validates and normalizes scenario JSON: a suite, an array of scenarios or a single scenario
+ * @param {Object|Array} json - Parsed JSON
+ * @param {string} fallbackName - Suite name to use when the JSON has none
+ * @returns {Object} - Suite
+ * @throws {Error} - When a scenario has no name or no selections
+ */
+function parseScenarioSuite(json, fallbackName = 'Scenarios') {
+    let suite;
+    if (Array.isArray(json)) {
+        suite = { ...createScenarioSuite(fallbackName), scenarios: json };
+    } else if (json && Array.isArray(json.scenarios)) {
+        suite = { ...createScenarioSuite(json.name || fallbackName, json.templateName || null), ...json };
+    } else if (json && json.selections) {
+        suite = { ...createScenarioSuite(fallbackName), scenarios: [json] };
+    } else {
+        throw new Error('Not a scenario file: expected a suite with "scenarios", an array of scenarios or a single scenario');
+    }
+
+    suite.scenarios.forEach((scenario, index) => {
+        if (!scenario || typeof scenario.name !== 'string' || !scenario.name) {
+            throw new Error(`Scenario #${index + 1} has no name`);
+        }
+        if (!scenario.selections || typeof scenario.selections !== 'object') {
+            throw new Error(`Scenario "${scenario.name}" has no selections`);
+        }
+        scenario.expected = scenario.expected || {};
+    });
+
+    return suite;
+}
+
+/**
+ * Compares an expected outcome with the actual one; only aspects present in expected are checked
+ * @param {Object} expected - Scenario expected block
+ * @param {Object} actual - captureScenarioOutcome of the replay
+ * @returns {Array<{aspect: string, expected: any, actual: any, detail?: string}>} - Mismatches
+ */
+function compareScenarioOutcome(expected, actual) {
+    const mismatches = [];
+
+    if (expected.assignedWorkflow) {
+        const exp = expected.assignedWorkflow;
+        const act = actual.assignedWorkflow;
+        const ruleDiffers = 'ruleName' in exp && exp.ruleName !== act.ruleName;
+        const idDiffers = 'workflowId' in exp && exp.workflowId !== act.workflowId;
+        if (ruleDiffers || idDiffers) {
+            mismatches.push({ aspect: 'assignedWorkflow', expected: exp, actual: act });
+        }
+    }
+
+    if (expected.visibleFields) {
+        const missing = expected.visibleFields.filter(key => !actual.visibleFields.includes(key));
+        const extra = actual.visibleFields.filter(key => !expected.visibleFields.includes(key));
+        if (missing.length || extra.length) {
+            mismatches.push({
+                aspect: 'visibleFields',
+                expected: expected.visibleFields,
+                actual: actual.visibleFields,
+                detail: [
+                    missing.length ? `no longer shown: ${missing.join(', ')}` : '',
+                    extra.length ? `now shown: ${extra.join(', ')}` : ''
+                ].filter(Boolean).join('; ')
+            });
+        }
+    }
+
+    if (expected.submit) {
+        const disabledDiffers = 'disabled' in expected.submit && expected.submit.disabled !== actual.submit.disabled;
+        const messageDiffers = 'message' in expected.submit && expected.submit.message !== actual.submit.message;
+        if (disabledDiffers || messageDiffers) {
+            mismatches.push({ aspect: 'submit', expected: expected.submit, actual: actual.submit });
+        }
+    }
+
+    if (expected.attachment && 'shown' in expected.attachment && expected.attachment.shown !== actual.attachment.shown) {
+        mismatches.push({ aspect: 'attachment', expected: expected.attachment, actual: actual.attachment });
+    }
+
+    return mismatches;
+}
+
+const SCENARIO_EXPECTED_ASPECTS = ['assignedWorkflow', 'visibleFields', 'submit', 'attachment'];
+
+/**
+ * Lists the recorded selections the form no longer offers
+ * @param {Object} form - Parsed webform
+ * @param {Object} selections - Scenario selections
+ * @param {Object} outcome - simulateWebform result for those selections
+ * @returns {Array<{aspect: string, expected: Object, actual: Object, detail: string}>} - Mismatches;
+ *          actual.status is missing (no such field), hidden or unavailable (option not offered)
+ */
+function findUnavailableSelections(form, selections, outcome) {
+    const mismatches = [];
+    Object.keys(selections || {}).forEach(key => {
+        const value = selections[key];
+        if (!scenarioEngineApi.hasSelection(value)) return;
+
+        const field = (form.fields || []).find(f => f.key === key);
+        const expected = { field: key, value };
+        if (!field) {
+            mismatches.push({ aspect: 'selection', expected, actual: { field: key, status: 'missing' }, detail: `"${key}" is not a field of this webform` });
+        } else if (!outcome.visibleFields.includes(key)) {
+            mismatches.push({ aspect: 'selection', expected, actual: { field: key, status: 'hidden' }, detail: `"${key}" is hidden for these selections` });
+        } else if (outcome.availableOptions[key]) {
+            const options = outcome.availableOptions[key];
+            const unavailable = scenarioEngineApi.getSelectionValues(value).filter(v => !options.includes(v));
+            if (unavailable.length > 0) {
+                mismatches.push({
+                    aspect: 'selection',
+                    expected,
+                    actual: { field: key, status: 'unavailable', options },
+                    detail: `${unavailable.map(v => `"${v}"`).join(', ')} is not an available option of "${key}"`
+                });
+            }
+        }
+    });
+    return mismatches;
+}
+
+/**
+ * Replays one scenario against a webform. Fails when the scenario expects nothing
+ * or when its selections are no longer possible on the form
+ * @param {Object} form - Parsed webform
+ * @param {Object} scenario - Scenario
+ * @returns {{name: string, passed: boolean, mismatches: Array, actual: Object}}
+ */
+function runScenario(form, scenario) {
+    const outcome = scenarioEngineApi.simulateWebform(form, scenario.selections);
+    const actual = captureScenarioOutcome(outcome);
+    const expected = scenario.expected || {};
+    const mismatches = findUnavailableSelections(form, scenario.selections, outcome);
+    if (!SCENARIO_EXPECTED_ASPECTS.some(aspect => expected[aspect])) {
+        mismatches.push({ aspect: 'expected', expected: null, actual, detail: 'The scenario records no expected outcome to compare' });
+    } else {
+        mismatches.push(...compareScenarioOutcome(expected, actual));
+    }
+    return { name: scenario.name, passed: mismatches.length === 0, mismatches, actual };
+}
+
+/**
+ * Replays a whole suite against a webform
+ * @param {Object} form - Parsed webform
+ * @param {Object} suite - Suite
+ * @returns {{suiteName: string, total: number, passed: number, failed: number, results: Array}}
+ */
+function runScenarioSuite(form, suite) {
+    const results = suite.scenarios.map(scenario => runScenario(form, scenario));
+    const passed = results.filter(r => r.passed).length;
+    return {
+        suiteName: suite.name,
+        total: results.length,
+        passed,
+        failed: results.length - passed,
+        results
+    };
+}
+
+/**
+ * Lists the coverage goals of a webform: each workflow being assigned, each visibility
+ * rule evaluating true and false, each submit/attachment rule firing
+ * @param {Object} form - Parsed webform
+ * @param {Object} labels - Optional { fieldLabel } resolver for goal labels
+ * @returns {Array<{id: string, label: string, isMet: Function}>} - isMet(outcome) tells whether a journey meets the goal
+ */
+function buildCoverageGoals(form, labels = {}) {
+    const fieldLabel = labels.fieldLabel || (key => key);
+    const goals = [];
+
+    (form.workflowRules || []).forEach(workflow => {
+        goals.push({
+            id: `workflow:${workflow.ruleName}`,
+            label: `Workflow "${workflow.ruleName}" is assigned`,
+            // A rule that matches behind an earlier one is shadowed, not covered
+            isMet: outcome => outcome.assignment.assigned?.ruleName === workflow.ruleName
+        });
+    });
+
+    (form.fields || []).forEach(field => {
+        (field.visibilityRules?.rules || []).forEach((rule, ruleIndex) => {
+            const ruleName = rule.ruleName || `rule ${ruleIndex + 1}`;
+            [true, false].forEach(expected => {
+                goals.push({
+                    id: `visibility:${field.key}:${ruleIndex}:${expected}`,
+                    label: `Visibility rule "${ruleName}" on ${fieldLabel(field.key)} is ${expected}`,
+                    isMet: outcome => scenarioEngineApi.evaluateVisibilityRule(rule, outcome.selections) === expected
+                });
+            });
+        });
+    });
+
+    [['submit', form.submitButtonRules, 'Submit rule'], ['attachment', form.attachmentRules, 'Attachment rule']]
+        .forEach(([kind, uiField, title]) => {
+            (uiField?.visibilityRules?.rules || []).forEach((rule, ruleIndex) => {
+                // The first matching rule decides, so a later rule only fires when none before it does
+                goals.push({
+                    id: `${kind}:${ruleIndex}`,
+                    label: `${title} "${rule.ruleName || `rule ${ruleIndex + 1}`}" fires`,
+                    isMet: outcome => {
+                        const state = outcome[kind];
+                        return Boolean(state && (state.disabled || state.shown) && state.ruleName === rule.ruleName);
+                    }
+                });
+            });
+        });
+
+    return goals;
+}
+
+/**
+ * Generates a small scenario suite that covers every goal of buildCoverageGoals
+ * reachable through the form. Each round picks the journey meeting the most
+ * uncovered goals (fewest answers on ties).
+ * @param {Object} form - Parsed webform
+ * @param {Object} options
+ * @param {string} options.name - Suite name
+ * @param {string} options.templateName - Webform template name
+ * @param {Object} options.exploration - Result of exploreFormPaths, reused when already computed
+ * @param {number} options.maxPaths - Journey limit when exploring here
+ * @param {Object} options.labels - Label resolvers ({ fieldLabel, optionLabel })
+ * @returns {{suite: Object, goals: Array, uncovered: Array<string>, journeysConsidered: number, truncated: boolean, partialMultiSelect: boolean}}
+ */
+function generateScenarioSuite(form, options = {}) {
+    const exploration = options.exploration || scenarioExplorerApi.exploreFormPaths(form, {
+        maxPaths: options.maxPaths,
+        labels: options.labels
+    });
+    const goals = buildCoverageGoals(form, options.labels);
+    const candidates = exploration.paths.map(path => {
+        const outcome = scenarioEngineApi.simulateWebform(form, path.selections);
+        return {
+            path,
+            outcome,
+            metGoals: new Set(goals.filter(goal => goal.isMet(outcome)).map(goal => goal.id))
+        };
+    });
+
+    const uncoveredIds = new Set(goals.map(goal => goal.id));
+    const chosen = [];
+    while (uncoveredIds.size > 0) {
+        let best = null;
+        let bestGain = 0;
+        candidates.forEach(candidate => {
+            const gain = Array.from(candidate.metGoals).filter(id => uncoveredIds.has(id)).length;
+            if (gain > bestGain || (gain === bestGain && gain > 0 && candidate.path.steps.length < best.path.steps.length)) {
+                best = candidate;
+                bestGain = gain;
+            }
+        });
+        if (!best) break;
+
+        const covers = goals.filter(goal => uncoveredIds.has(goal.id) && best.metGoals.has(goal.id));
+        covers.forEach(goal => uncoveredIds.delete(goal.id));
+        chosen.push({ candidate: best, covers });
+    }
+
+    const suite = createScenarioSuite(options.name || 'Generated test cases', options.templateName || null);
+    chosen.forEach(({ candidate, covers }, index) => {
+        suite.scenarios.push({
+            name: `TC${String(index + 1).padStart(2, '0')} - ${covers[0].label}`,
+            description: covers.map(goal => goal.label).join('; '),
+            createdAt: new Date().toISOString(),
+            selections: candidate.outcome.selections,
+            covers: covers.map(goal => goal.label),
+            expected: captureScenarioOutcome(candidate.outcome)
+        });
+    });
+
+    return {
+        suite,
+        goals: goals.map(goal => ({ id: goal.id, label: goal.label, covered: !uncoveredIds.has(goal.id) })),
+        uncovered: goals.filter(goal => uncoveredIds.has(goal.id)).map(goal => goal.label),
+        journeysConsidered: candidates.length,
+        truncated: exploration.truncated === true,
+        partialMultiSelect: exploration.partialMultiSelect === true
+    };
+}
+
+/**
+ * Formats one side of a mismatch for display
+ * @param {string} aspect - Mismatch aspect
+ * @param {any} value - Expected or actual value
+ * @returns {string}
+ */
+function formatScenarioValue(aspect, value) {
+    if (aspect === 'assignedWorkflow') {
+        return value.ruleName ? `${value.ruleName} (${value.workflowId || 'no workflow ID'})` : `default workflow (${value.workflowId || 'none'})`;
+    }
+    if (aspect === 'visibleFields') {
+        return value.join(', ');
+    }
+    if (aspect === 'submit') {
+        return value.disabled ? `disabled${value.message ? `: ${value.message}` : ''}` : 'enabled';
+    }
+    if (aspect === 'attachment') {
+        return value.shown ? 'shown' : 'hidden';
+    }
+    if (aspect === 'selection') {
+        if ('value' in value) {
+            return `${value.field} = ${scenarioEngineApi.getSelectionValues(value.value).join(', ')}`;
+        }
+        return value.status === 'unavailable' ? `${value.field} offers ${value.options.join(', ') || 'no option'}`
+            : value.status === 'hidden' ? `${value.field} is hidden` : `${value.field} does not exist`;
+    }
+    if (aspect === 'expected') {
+        return value ? `assigned ${formatScenarioValue('assignedWorkflow', value.assignedWorkflow)}` : 'nothing recorded';
+    }
+    return JSON.stringify(value);
+}
+
+// Export functions for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SCENARIO_SUITE_VERSION,
+        captureScenarioOutcome,
+        createScenario,
+        createScenarioSuite,
+        addScenarioToSuite,
+        parseScenarioSuite,
+        compareScenarioOutcome,
+        findUnavailableSelections,
+        runScenario,
+        runScenarioSuite,
+        buildCoverageGoals,
+        generateScenarioSuite,
+        formatScenarioValue
+    };
+}
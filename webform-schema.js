@@ -0,0 +1,402 @@
+/**
+ * ============================================================================
+ * WEBFORM SCHEMA
+ * ============================================================================
+ *
+ * The structure the loader and the rule engine expect from an exported OneTrust
+ * webform, written as a JSON Schema subset (type, required, properties,
+ * additionalProperties, items, enum) plus two extensions: "recommended" lists
+ * properties whose absence only warns, and format "json-array" marks strings
+ * that must hold a JSON array (ruleActionParameters).
+ *
+ * validateWebformJson checks the parts the loader will use - located by shape
+ * with locateWebformData, so wrapped, root-level and nested exports all work -
+ * and reports every problem with the JSON path the part was read from
+ * ("root.webformData.fields[3].fieldKey", the notation of the agnostic parser)
+ * and a readable message, so a broken export is explained before the simulator
+ * or a CI job works with it.
+ */
+
+// Shape-based discovery comes from onetrust-webform-parser-agnostic.js (a <script> tag in the browser)
+const schemaParserApi = typeof require === 'function'
+    ? require('./onetrust-webform-parser-agnostic.js')
+    : globalThis;
+
+const SCHEMA_LOGICAL_OPERATORS = ['AND', 'OR', 'and', 'or'];
+
+const SCHEMA_VISIBILITY_RULES = {
+    type: 'object',
+    properties: {
+        rules: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    ruleName: { type: 'string' },
+                    logicalOperatorForConditions: { type: 'string', enum: SCHEMA_LOGICAL_OPERATORS },
+                    actions: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['action'],
+                            properties: {
+                                action: { type: 'string' },
+                                errorMessage: { type: ['string', 'null'] }
+                            }
+                        }
+                    },
+                    ruleConditions: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['selectedField'],
+                            properties: {
+                                selectedField: { type: 'string' },
+                                logicalOperatorForSubConditions: { type: 'string', enum: SCHEMA_LOGICAL_OPERATORS },
+                                ruleSubConditions: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        required: ['comparisonOperator'],
+                                        properties: {
+                                            comparisonOperator: { type: 'string' },
+                                            valueToCompareWith: { type: ['string', 'number', 'boolean', 'array', 'null'] }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+const SCHEMA_TYPE_LIST = {
+    type: 'array',
+    items: {
+        type: 'object',
+        required: ['id', 'fieldName'],
+        properties: {
+            id: { type: 'string' },
+            fieldName: { type: 'string' },
+            order: { type: 'number' },
+            status: { type: 'number' },
+            isSelected: { type: 'boolean' }
+        }
+    }
+};
+
+/**
+ * Schema of the webform data (the contents of "webformData", or the whole file
+ * in the root-level format)
+ */
+const WEBFORM_SCHEMA = {
+    type: 'object',
+    required: ['fields', 'rules', 'webFormDto'],
+    recommended: ['uiFields', 'settings', 'formTranslations'],
+    properties: {
+        fields: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['fieldKey'],
+                recommended: ['inputType'],
+                properties: {
+                    fieldKey: { type: 'string' },
+                    inputType: { type: 'string' },
+                    description: { type: ['string', 'null'] },
+                    isRequired: { type: 'boolean' },
+                    isSelected: { type: 'boolean' },
+                    isMasked: { type: 'boolean' },
+                    status: { type: 'number' },
+                    hasVisibilityRule: { type: 'boolean' },
+                    visibilityRules: { ...SCHEMA_VISIBILITY_RULES, type: ['object', 'null'] },
+                    options: {
+                        type: ['array', 'null'],
+                        items: {
+                            type: 'object',
+                            required: ['key'],
+                            properties: {
+                                key: { type: 'string' },
+                                value: { type: ['string', 'null'] }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        rules: {
+            type: 'object',
+            required: ['REQUEST_CREATION'],
+            properties: {
+                REQUEST_CREATION: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['ruleName'],
+                        recommended: ['ruleSequence', 'ruleActionParameters'],
+                        properties: {
+                            ruleName: { type: 'string' },
+                            ruleSequence: { type: 'number' },
+                            ruleActionParameters: { type: ['string', 'null'], format: 'json-array' },
+                            criteriaInformation: {
+                                type: ['object', 'null'],
+                                properties: {
+                                    logicalOperator: { type: 'string', enum: SCHEMA_LOGICAL_OPERATORS },
+                                    conditionGroups: {
+                                        type: 'array',
+                                        items: {
+                                            type: 'object',
+                                            required: ['conditions'],
+                                            properties: {
+                                                logicalOperator: { type: 'string', enum: SCHEMA_LOGICAL_OPERATORS },
+                                                conditions: {
+                                                    type: 'array',
+                                                    items: {
+                                                        type: 'object',
+                                                        required: ['field', 'operator'],
+                                                        properties: {
+                                                            field: { type: 'string' },
+                                                            operator: { type: 'string' },
+                                                            value: { type: ['string', 'number', 'boolean', 'array', 'null'] }
+                                                        }
+                                                    }
+                                                }
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        uiFields: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['fieldKey'],
+                properties: {
+                    fieldKey: { type: 'string' },
+                    hasVisibilityRule: { type: 'boolean' },
+                    visibilityRules: { ...SCHEMA_VISIBILITY_RULES, type: ['object', 'null'] }
+                }
+            }
+        },
+        settings: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['fieldName'],
+                properties: {
+                    fieldName: { type: 'string' }
+                }
+            }
+        },
+        webFormDto: {
+            type: 'object',
+            recommended: ['templateName'],
+            properties: {
+                templateName: { type: 'string' },
+                defaultLanguage: { type: 'string' },
+                languageList: {
+                    type: 'array',
+                    items: {
+                        type: ['object', 'string'],
+                        properties: { code: { type: 'string' } }
+                    }
+                },
+                requestTypes: SCHEMA_TYPE_LIST,
+                subjectTypes: SCHEMA_TYPE_LIST
+            }
+        },
+        formTranslations: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                additionalProperties: { type: ['string', 'null'] }
+            }
+        }
+    }
+};
+
+/**
+ * The located parts (see locateWebformData) with the schema each must satisfy;
+ * a missing required part is an error, any other missing part a warning
+ */
+const SCHEMA_PARTS = [
+    { part: 'fields', property: 'fields', description: 'field list', required: true },
+    { part: 'workflowRules', property: 'rules.REQUEST_CREATION', description: 'REQUEST_CREATION rule list', required: true },
+    { part: 'webFormDto', property: 'webFormDto', description: 'webFormDto metadata object', required: true },
+    { part: 'uiFields', property: 'uiFields', description: 'uiFields list', required: false },
+    { part: 'settings', property: 'settings', description: 'settings list', required: false },
+    { part: 'formTranslations', property: 'formTranslations', description: 'translations object', required: false }
+];
+
+/**
+ * Reads the value at a JSON path in the agnostic parser notation ("root.a.b[2]")
+ * @param {any} json - Parsed JSON
+ * @param {string} path
+ * @returns {any} - undefined when the path does not exist
+ */
+function getValueAtSchemaPath(json, path) {
+    const tokens = path.replace(/^root/, '').match(/\.[^.[]+|\[\d+\]/g) || [];
+    return tokens.reduce((value, token) => {
+        if (value === null || value === undefined) return undefined;
+        return token.startsWith('[') ? value[Number(token.slice(1, -1))] : value[token.slice(1)];
+    }, json);
+}
+
+/**
+ * JSON type name of a value as used by the schema (arrays are "array", null is "null")
+ * @param {any} value
+ * @returns {string}
+ */
+function getSchemaType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Validates a value against a schema node, collecting every problem
+ * @param {any} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {string} path - JSON path of the value
+ * @param {{errors: Array, warnings: Array}} report - Receives { path, message } entries
+ */
+function validateAgainstSchema(value, schema, path, report) {
+    const types = schema.type ? [].concat(schema.type) : null;
+    const actualType = getSchemaType(value);
+    if (types && !types.includes(actualType)) {
+        report.errors.push({ path, message: `Expected ${types.join(' or ')}, found ${actualType}` });
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        report.errors.push({ path, message: `"${value}" is not one of ${Array.from(new Set(schema.enum.map(v => String(v).toUpperCase()))).join(', ')}` });
+    }
+
+    if (schema.format === 'json-array' && typeof value === 'string' && value !== '') {
+        try {
+            if (!Array.isArray(JSON.parse(value))) {
+                report.errors.push({ path, message: 'Must be a JSON array encoded as a string' });
+            }
+        } catch (error) {
+            report.errors.push({ path, message: `Not valid JSON: ${error.message}` });
+        }
+    }
+
+    if (actualType === 'array' && schema.items) {
+        value.forEach((item, index) => validateAgainstSchema(item, schema.items, `${path}[${index}]`, report));
+    }
+
+    if (actualType === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                report.errors.push({ path, message: `Missing required property "${key}"` });
+            }
+        });
+        (schema.recommended || []).forEach(key => {
+            if (value[key] === undefined) {
+                report.warnings.push({ path, message: `Missing property "${key}"` });
+            }
+        });
+        Object.keys(value).forEach(key => {
+            const propertySchema = (schema.properties && schema.properties[key]) || schema.additionalProperties;
+            if (propertySchema && value[key] !== undefined) {
+                validateAgainstSchema(value[key], propertySchema, `${path}.${key}`, report);
+            }
+        });
+    }
+}
+
+/**
+ * Validates an exported webform (wrapped in "webformData", root-level or nested)
+ * Each part is checked where locateWebformData found it, so paths point into the
+ * file as uploaded. Besides the schema it warns about field keys and rule names
+ * used twice, which make the simulator pick one of them arbitrarily.
+ * @param {any} jsonData - Parsed JSON file contents
+ * @returns {{valid: boolean, format: string|null, errors: Array<{path: string, message: string}>, warnings: Array<{path: string, message: string}>}}
+ *          format is 'wrapped', 'root-level', 'nested' (parts found elsewhere) or null when the data is not an object
+ */
+function validateWebformJson(jsonData) {
+    const report = { errors: [], warnings: [] };
+
+    if (getSchemaType(jsonData) !== 'object') {
+        report.errors.push({ path: 'root', message: `Expected a webform object, found ${getSchemaType(jsonData)}` });
+        return { valid: false, format: null, ...report };
+    }
+
+    const format = jsonData.webformData !== undefined ? 'wrapped'
+        : jsonData.fields !== undefined || jsonData.rules !== undefined ? 'root-level' : 'nested';
+    const { webformData, sourceMap } = schemaParserApi.locateWebformData(jsonData);
+    const itemPathsByPart = {};
+
+    SCHEMA_PARTS.forEach(({ part, property, description, required }) => {
+        const entry = sourceMap.find(e => e.part === part);
+        if (entry.method === 'missing') {
+            (required ? report.errors : report.warnings).push({
+                path: 'root',
+                message: `Missing ${required ? 'required ' : ''}property "${property}" - no ${description} found anywhere in the export`
+            });
+            return;
+        }
+
+        const schema = part === 'workflowRules'
+            ? WEBFORM_SCHEMA.properties.rules.properties.REQUEST_CREATION
+            : WEBFORM_SCHEMA.properties[part];
+        const value = part === 'workflowRules' ? webformData.rules.REQUEST_CREATION : webformData[part];
+        if (!Array.isArray(value)) {
+            validateAgainstSchema(value, schema, entry.paths[0], report);
+            return;
+        }
+
+        // Rules can be gathered from several arrays - each item keeps the path it came from
+        const itemPaths = new Map();
+        entry.paths.forEach(listPath => {
+            const list = getValueAtSchemaPath(jsonData, listPath);
+            if (!Array.isArray(list)) return;
+            list.forEach((item, index) => {
+                if (item && typeof item === 'object' && !itemPaths.has(item)) {
+                    itemPaths.set(item, `${listPath}[${index}]`);
+                }
+            });
+        });
+        const pathOf = (item, index) => itemPaths.get(item) || `${entry.paths[0]}[${index}]`;
+        itemPathsByPart[part] = pathOf;
+        value.forEach((item, index) => validateAgainstSchema(item, schema.items, pathOf(item, index), report));
+    });
+
+    const reportDuplicates = (items, property, pathOf, label) => {
+        if (!Array.isArray(items) || !pathOf) return;
+        const seen = new Map();
+        items.forEach((item, index) => {
+            const name = item && item[property];
+            if (typeof name !== 'string') return;
+            if (seen.has(name)) {
+                report.warnings.push({ path: `${pathOf(item, index)}.${property}`, message: `${label} "${name}" is also used at ${seen.get(name)}` });
+            } else {
+                seen.set(name, pathOf(item, index));
+            }
+        });
+    };
+    reportDuplicates(webformData.fields, 'fieldKey', itemPathsByPart.fields, 'Field key');
+    reportDuplicates(webformData.rules.REQUEST_CREATION, 'ruleName', itemPathsByPart.workflowRules, 'Rule name');
+
+    return { valid: report.errors.length === 0, format, ...report };
+}
+
+// Export functions for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        WEBFORM_SCHEMA,
+        getSchemaType,
+        getValueAtSchemaPath,
+        validateAgainstSchema,
+        validateWebformJson
+    };
+}
@@ -0,0 +1,362 @@
+/**
+ * ============================================================================
+ * WEBFORM TRANSLATIONS
+ * ============================================================================
+ *
+ * Discovers every language a webform export carries (formTranslations, found by
+ * shape through the agnostic parser, plus the languageList of the form
+ * metadata) and resolves translation keys in a chosen language. Keys missing in
+ * that language fall back to the default language and are flagged, so the
+ * simulator can highlight untranslated text when QA-ing a localized form.
+ *
+ * The audit compares each language with the default one: missing keys, texts
+ * left identical to the default (untranslated), placeholder mismatches and
+ * field labels that still show the raw field key.
+ *
+ * The import reads the same layout back (a Key column and one column per
+ * language, from XLSX or CSV) and patches formTranslations in a copy of the
+ * webform, reporting which texts were added, changed or rejected.
+ */
+
+// Translation and metadata discovery come from onetrust-webform-parser-agnostic.js
+// (<script> tag in the browser)
+const translationParserApi = typeof require === 'function'
+    ? require('./onetrust-webform-parser-agnostic.js')
+    : globalThis;
+
+const DEFAULT_FORM_LANGUAGE = 'en-us';
+
+/**
+ * Finds the languages of a webform and their translation dictionaries
+ * @param {Object} webformData - Webform JSON (wrapped or root-level)
+ * @returns {{languages: Array<string>, defaultLanguage: string, translations: Object, path: string|null}}
+ *          translations maps language code to { key: text }
+ */
+function getFormLanguages(webformData) {
+    const found = translationParserApi.findTranslations(webformData || {});
+    const metadata = translationParserApi.findWebFormMetadata(webformData || {});
+
+    // languageList entries are { code } objects in current exports, plain codes in older ones
+    const listed = (metadata.languages || [])
+        .map(language => (typeof language === 'string' ? language : language?.code))
+        .filter(Boolean);
+
+    const languages = [...new Set([...found.languages, ...listed])];
+    const defaultLanguage = metadata.defaultLanguage
+        || (languages.includes(DEFAULT_FORM_LANGUAGE) ? DEFAULT_FORM_LANGUAGE : languages[0])
+        || DEFAULT_FORM_LANGUAGE;
+    if (!languages.includes(defaultLanguage)) {
+        languages.unshift(defaultLanguage);
+    }
+
+    return {
+        languages,
+        defaultLanguage,
+        translations: found.translations,
+        path: found.path
+    };
+}
+
+/**
+ * Resolves a translation key in a language, falling back to the default language
+ * @param {Object} formLanguages - Result of getFormLanguages()
+ * @param {string} language - Language to resolve in
+ * @param {string} key - Translation key (field key, option key, description or error message key)
+ * @returns {{text: string|null, missing: boolean}} - text is null when no language has the key;
+ *          missing is true when the default language has the key but the requested one does not
+ */
+function translateFormKey(formLanguages, language, key) {
+    const translations = formLanguages?.translations || {};
+    const localized = translations[language]?.[key];
+    if (localized) {
+        return { text: localized, missing: false };
+    }
+
+    const fallback = translations[formLanguages?.defaultLanguage]?.[key];
+    return { text: fallback || null, missing: Boolean(fallback) };
+}
+
+// {name}, {{name}}, ${name}, %s, %1$s - the placeholder styles seen in OneTrust texts
+const TRANSLATION_PLACEHOLDER_PATTERN = /\{\{\s*[\w.]+\s*\}\}|\$\{[\w.]+\}|\{[\w.]*\}|%(\d+\$)?[sdif@]/g;
+
+/**
+ * Lists the placeholders of a text, sorted so two texts can be compared
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function getTranslationPlaceholders(text) {
+    return (String(text || '').match(TRANSLATION_PLACEHOLDER_PATTERN) || []).sort();
+}
+
+/**
+ * Audits every language of a webform against the default language
+ * @param {Object} formLanguages - Result of getFormLanguages()
+ * @param {Object} options
+ * @param {Array<string>} options.fieldKeys - Field keys, to find labels that still show the raw key
+ * @returns {{defaultLanguage: string, languages: Array<string>, keys: Array<string>, summary: Array<Object>, findings: Array<Object>}}
+ *          summary has one entry per language ({language, isDefault, total, translated, percent, missing,
+ *          untranslated, placeholderMismatches, rawKeyLabels}); findings are
+ *          {language, key, kind: MISSING|UNTRANSLATED|PLACEHOLDER_MISMATCH|RAW_KEY_LABEL, message}
+ */
+function auditFormTranslations(formLanguages, options = {}) {
+    const translations = formLanguages.translations || {};
+    const defaultLanguage = formLanguages.defaultLanguage;
+    const defaultTexts = translations[defaultLanguage] || {};
+    const fieldKeys = options.fieldKeys || [];
+    const defaultKeys = Object.keys(defaultTexts).filter(key => defaultTexts[key]);
+
+    // Default-language keys first, then untranslated field keys, then keys only other languages have
+    const keys = [...new Set([
+        ...defaultKeys,
+        ...fieldKeys,
+        ...formLanguages.languages.flatMap(language => Object.keys(translations[language] || {}))
+    ])];
+
+    const findings = [];
+    const summary = formLanguages.languages.map(language => {
+        const texts = translations[language] || {};
+        const isDefault = language === defaultLanguage;
+        const counts = { missing: 0, untranslated: 0, placeholderMismatches: 0, rawKeyLabels: 0 };
+        const report = (key, kind, countName, message) => {
+            findings.push({ language, key, kind, message });
+            counts[countName]++;
+        };
+
+        let translated = 0;
+        if (!isDefault) {
+            defaultKeys.forEach(key => {
+                const text = texts[key];
+                if (!text) {
+                    report(key, 'MISSING', 'missing', `No ${language} text; "${defaultTexts[key]}" (${defaultLanguage}) is shown instead`);
+                    return;
+                }
+                if (text === defaultTexts[key]) {
+                    report(key, 'UNTRANSLATED', 'untranslated', `Identical to the ${defaultLanguage} text "${text}"`);
+                    return;
+                }
+                translated++;
+
+                const expected = getTranslationPlaceholders(defaultTexts[key]);
+                const found = getTranslationPlaceholders(text);
+                if (expected.join('|') !== found.join('|')) {
+                    report(key, 'PLACEHOLDER_MISMATCH', 'placeholderMismatches',
+                        `${defaultLanguage} has ${expected.join(', ') || 'no placeholders'}, ${language} has ${found.join(', ') || 'no placeholders'}`);
+                }
+            });
+        } else {
+            translated = defaultKeys.length;
+        }
+
+        // getFieldLabel falls back to the key itself when there is no text; other
+        // languages only repeat that when they set the text to the key themselves
+        fieldKeys.forEach(key => {
+            const showsKey = isDefault ? (!texts[key] || texts[key] === key) : texts[key] === key;
+            if (showsKey) {
+                report(key, 'RAW_KEY_LABEL', 'rawKeyLabels', `Field label is shown as its key "${key}"`);
+            }
+        });
+
+        return {
+            language,
+            isDefault,
+            total: defaultKeys.length,
+            translated,
+            percent: defaultKeys.length > 0 ? Math.round((translated / defaultKeys.length) * 1000) / 10 : 100,
+            ...counts
+        };
+    });
+
+    return { defaultLanguage, languages: formLanguages.languages, keys, summary, findings };
+}
+
+// Header cells that name a language column, e.g. "fr", "en-us", "zh-hans", "es-419"
+const TRANSLATION_LANGUAGE_COLUMN = /^[a-z]{2,3}(-[a-z0-9]{2,4})?$/i;
+
+/**
+ * Splits CSV text into rows of cells (quoted cells, doubled quotes and line breaks
+ * inside quotes supported). Semicolon-separated files, as saved by Excel in many
+ * European locales, are detected from the header line.
+ * @param {string} csvText
+ * @returns {Array<Array<string>>}
+ */
+function parseTranslationCsv(csvText) {
+    const text = String(csvText || '').replace(/^\uFEFF/, '');
+    const headerLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = (headerLine.split(';').length > headerLine.split(',').length) ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Reads a translation table (the "Translations" Excel sheet layout: a Key column and
+ * one column per language; other columns such as Issues are ignored)
+ * @param {Array<Array<*>>} rows - Sheet rows, e.g. from parseTranslationCsv() or XLSX sheet_to_json(..., {header: 1})
+ * @returns {{languages: Array<string>, entries: Array<{rowNumber: number, key: string, values: Object}>}}
+ */
+function parseTranslationTable(rows) {
+    const headerIndex = rows.findIndex(cells =>
+        (cells || []).some(cell => String(cell).trim().toLowerCase() === 'key'));
+    if (headerIndex === -1) {
+        throw new Error('No "Key" column found - use the layout of the "Translations" sheet');
+    }
+
+    const header = rows[headerIndex].map(cell => String(cell).trim());
+    const keyColumn = header.findIndex(cell => cell.toLowerCase() === 'key');
+    const languageColumns = header
+        .map((cell, column) => ({ language: cell.toLowerCase(), column }))
+        .filter(({ language, column }) => column !== keyColumn && TRANSLATION_LANGUAGE_COLUMN.test(language));
+    if (languageColumns.length === 0) {
+        throw new Error('No language columns found next to "Key" (expected headers such as en-us, fr, de)');
+    }
+
+    const entries = rows.slice(headerIndex + 1).map((cells, index) => {
+        const values = {};
+        languageColumns.forEach(({ language, column }) => {
+            values[language] = cells[column] === undefined || cells[column] === null ? '' : String(cells[column]).trim();
+        });
+        return {
+            rowNumber: headerIndex + index + 2,
+            key: String(cells[keyColumn] ?? '').trim(),
+            values
+        };
+    });
+
+    return { languages: languageColumns.map(({ language }) => language), entries };
+}
+
+/**
+ * Applies an edited translation table to a webform and reports what changed.
+ * Empty cells leave the current text alone; keys the webform does not use,
+ * languages the form is not set up for, repeated keys and texts whose
+ * placeholders differ from the default language are rejected.
+ * @param {Object} webformJson - Webform JSON (wrapped or root-level); not modified
+ * @param {{languages: Array<string>, entries: Array<Object>}} table - Result of parseTranslationTable()
+ * @returns {{webformJson: Object, formTranslations: Object, added: Array<Object>, changed: Array<Object>, rejected: Array<Object>, unchanged: number}}
+ *          added: {language, key, text}; changed: {language, key, from, to}; rejected: {language, key, rowNumber, reason}
+ */
+function importTranslationTable(webformJson, table) {
+    const patched = JSON.parse(JSON.stringify(webformJson));
+    const formLanguages = getFormLanguages(patched);
+
+    // Patch the translations object in place inside the copy, wherever it lives
+    let formTranslations = formLanguages.translations;
+    if (!formLanguages.path) {
+        formTranslations = {};
+        (patched.webformData || patched).formTranslations = formTranslations;
+    }
+    const defaultTexts = formTranslations[formLanguages.defaultLanguage] || {};
+
+    const fieldKeys = translationParserApi.findFields(patched).fields.map(field => field.fieldKey);
+    const knownKeys = new Set([
+        ...fieldKeys,
+        ...Object.values(formTranslations).flatMap(texts => Object.keys(texts || {}))
+    ]);
+
+    const result = { webformJson: patched, formTranslations, added: [], changed: [], rejected: [], unchanged: 0 };
+    const languages = table.languages.filter(language => {
+        if (formLanguages.languages.includes(language)) return true;
+        result.rejected.push({ language, key: null, rowNumber: null, reason: `Language "${language}" is not set up on this form` });
+        return false;
+    });
+
+    const seenRows = {};
+    table.entries.forEach(entry => {
+        const hasText = languages.some(language => entry.values[language]);
+        if (!entry.key) {
+            if (hasText) {
+                result.rejected.push({ language: null, key: '', rowNumber: entry.rowNumber, reason: 'Row has text but no key' });
+            }
+            return;
+        }
+        if (seenRows[entry.key]) {
+            result.rejected.push({ language: null, key: entry.key, rowNumber: entry.rowNumber, reason: `Key already imported from row ${seenRows[entry.key]}` });
+            return;
+        }
+        seenRows[entry.key] = entry.rowNumber;
+        if (!knownKeys.has(entry.key)) {
+            if (hasText) {
+                result.rejected.push({ language: null, key: entry.key, rowNumber: entry.rowNumber, reason: 'Key is not used by this webform' });
+            }
+            return;
+        }
+
+        languages.forEach(language => {
+            const text = entry.values[language];
+            if (!text) return;
+
+            const defaultText = defaultTexts[entry.key];
+            if (language !== formLanguages.defaultLanguage && defaultText
+                && getTranslationPlaceholders(defaultText).join('|') !== getTranslationPlaceholders(text).join('|')) {
+                result.rejected.push({
+                    language,
+                    key: entry.key,
+                    rowNumber: entry.rowNumber,
+                    reason: `Placeholders differ from ${formLanguages.defaultLanguage} ("${defaultText}")`
+                });
+                return;
+            }
+
+            const texts = formTranslations[language] || (formTranslations[language] = {});
+            const current = texts[entry.key];
+            if (current === text) {
+                result.unchanged++;
+            } else if (!current) {
+                result.added.push({ language, key: entry.key, text });
+                texts[entry.key] = text;
+            } else {
+                result.changed.push({ language, key: entry.key, from: current, to: text });
+                texts[entry.key] = text;
+            }
+        });
+    });
+
+    return result;
+}
+
+// Export functions for use in Node.js or browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_FORM_LANGUAGE,
+        getFormLanguages,
+        translateFormKey,
+        getTranslationPlaceholders,
+        auditFormTranslations,
+        parseTranslationCsv,
+        parseTranslationTable,
+        importTranslationTable
+    };
+}